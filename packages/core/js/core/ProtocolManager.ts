@@ -1,17 +1,35 @@
 import { EventEmitter } from '../events';
-import { Config, ProtocolMessage, KeyShare, GroupInfo } from '../types';
+import { Config, ProtocolMessage, KeyShare, GroupInfo, SessionType, SessionCheckpoint, SessionInvitation, SigningOptions, RoundTimeoutInfo, ProgressEvent, MisbehaviorReport, SessionFingerprint, ReconnectEvent, ErrorType } from '../types';
 import { ApiClient } from '../api';
 import { WebSocketManager } from '../websocket';
+import { BaseTransport } from '../transport/base-transport';
 import { KeygenProcessor } from '../protocols/keygen-processor';
-import { SignProcessor } from '../protocols/sign-processor';
+import { SignProcessor, SignDerivation } from '../protocols/sign-processor';
+import { Bip32Utils } from '../crypto/bip32';
 import { StorageInterface } from '../storage/interface';
+import { deriveSessionId, sha256Hex } from '../utils/message-id';
+import { PairingUtils } from '../crypto/pairing';
+import { SessionHandshake } from './SessionHandshake';
+import { DeFiShArdError } from '../errors';
+import { AESUtils } from '../crypto/aes';
+import { IdentityUtils, PartyIdentity } from '../crypto/identity';
+import { INVITATION_CLOCK_SKEW_MS, INVITATION_SESSIONS_STORAGE_KEY } from '../utils/qrcode';
+import { bytesToHex } from '../utils/hex';
 
 export interface ProtocolManagerEvents {
-  'keygen-complete': (keyShare: KeyShare) => void;
-  'sign-complete': (signature: [Uint8Array, Uint8Array]) => void;
+  'keygen-complete': (wasmKeyshare: any, keyShare: KeyShare) => void;
+  'sign-complete': (signature: [Uint8Array, Uint8Array], derivation: SignDerivation) => void;
+  'round-timeout': (info: RoundTimeoutInfo) => void;
+  'progress': (progress: ProgressEvent) => void;
+  'party-misbehaved': (report: MisbehaviorReport) => void;
   'error': (error: Error) => void;
 }
 
+// Bump when the checkpoint layout changes so stale checkpoints are rejected
+const CHECKPOINT_VERSION = 3;
+const CHECKPOINT_PREFIX = 'session_';
+const CHECKPOINT_KEY_PURPOSE = 'checkpoint';
+
 export class ProtocolManager extends EventEmitter {
   private static instanceCounter = 0;
   private instanceId: number;
@@ -20,7 +38,7 @@ export class ProtocolManager extends EventEmitter {
   private storage: StorageInterface;
   private debug: boolean;
   private apiClient: ApiClient;
-  private websocketManager: WebSocketManager;
+  private transport: BaseTransport;
   private keygenProcessor: KeygenProcessor | null = null;
   private signProcessor: SignProcessor | null = null;
   
@@ -29,6 +47,21 @@ export class ProtocolManager extends EventEmitter {
   private processingOutgoing = false;
   private processedMessageIds: Set<string> = new Set(); // Track processed messages to prevent duplicates
 
+  // Context of the running session, persisted with every checkpoint
+  private activeSession: Omit<SessionCheckpoint, 'processor' | 'outgoing' | 'updatedAt'> | null = null;
+  private checkpointWrites: Promise<void> = Promise.resolve(); // Serialize storage writes
+  private checkpointKey: CryptoKey | null = null; // Derived from the identity, no checkpoints without one
+
+  // Pairing: the QR secret is consumed by the next session, whose handshake runs between START and round 1
+  private pairingSecret: Uint8Array | null = null;
+  // Invitation of the last pairing secret; every session started under it (signPsbt runs several) is one more run of its nonce
+  private invitation: SessionInvitation | null = null;
+  private invitationRuns = 0;
+  private handshake: SessionHandshake | null = null;
+  // Every message we sent in the running session, by outgoing message id; a rekey sends them all again
+  private sessionMessages: Map<string, ProtocolMessage> = new Map();
+  private fingerprintConfirmation: ((matches: boolean) => void) | null = null; // Resolves a fingerprint awaiting the user
+
   /**
    * Common validation and group info retrieval
    */
@@ -48,9 +81,63 @@ export class ProtocolManager extends EventEmitter {
       throw new Error('Party not found in group members');
     }
 
+    await this.claimInvitation();
     return { groupInfo, partyIndex };
   }
 
+  /**
+   * Record the nonce of the invitation before its first session starts, refusing a nonce a session already ran under
+   * Every party records it, the creator too, and the creator takes part in every paired session of its
+   * invitation (see SessionHandshake), so a leaked invitation accepted on another device starts nothing
+   *
+   * @throws DeFiShArdError with code INVITATION_EXPIRED or INVITATION_REUSED
+   */
+  private async claimInvitation(): Promise<void> {
+    const invitation = this.invitation;
+    // Later runs of an invitation (signPsbt) belong to the session that claimed it
+    if (!invitation || this.invitationRuns > 0) {
+      return;
+    }
+
+    const now = Date.now();
+    const clockSkewMs = this.config.invitationClockSkewMs ?? INVITATION_CLOCK_SKEW_MS;
+    if (invitation.expiresAt + clockSkewMs < now) {
+      throw new DeFiShArdError(
+        ErrorType.VALIDATION_ERROR,
+        `Invitation expired at ${new Date(invitation.expiresAt).toISOString()}, ask for a new one`,
+        'INVITATION_EXPIRED'
+      );
+    }
+
+    const stored = await this.storage.get(INVITATION_SESSIONS_STORAGE_KEY);
+    const claimed: Record<string, number> = stored ? JSON.parse(stored) : {};
+    // Forget nonces of invitations that could no longer start a session anyway
+    for (const [nonce, expiresAt] of Object.entries(claimed)) {
+      if (expiresAt + clockSkewMs < now) {
+        delete claimed[nonce];
+      }
+    }
+    if (invitation.nonce in claimed) {
+      throw new DeFiShArdError(
+        ErrorType.VALIDATION_ERROR,
+        'A session was already started under this invitation, ask for a new one',
+        'INVITATION_REUSED'
+      );
+    }
+    claimed[invitation.nonce] = invitation.expiresAt;
+    await this.storage.save(INVITATION_SESSIONS_STORAGE_KEY, JSON.stringify(claimed));
+  }
+
+  /**
+   * Round and session deadlines passed to every processor
+   */
+  private getTimeoutConfig(): { roundTimeoutMs?: number; sessionTimeoutMs?: number } {
+    return {
+      roundTimeoutMs: this.config.roundTimeoutMs,
+      sessionTimeoutMs: this.config.sessionTimeoutMs
+    };
+  }
+
   /**
    * Common round-complete event handler
    */
@@ -67,37 +154,50 @@ export class ProtocolManager extends EventEmitter {
   }
 
   /**
-   * Common processor error handler
+   * Common session failure handler
+   * Every failure ends the session the same way: no checkpoint, processors, handshake,
+   * queued messages or relay connection survive it
    */
-  private handleProcessorError(error: Error, type: 'keygen' | 'sign'): void {
-    // Clean up processor on error
-    if (type === 'keygen' && this.keygenProcessor) {
-      this.keygenProcessor.destroy();
-      this.keygenProcessor = null;
-    } else if (type === 'sign' && this.signProcessor) {
-      this.signProcessor.destroy();
-      this.signProcessor = null;
-    }
+  private handleProcessorError(error: Error): void {
+    this.abortSession();
     this.emit('error', error);
   }
 
+  /**
+   * Fail the active session once the transport gave up reconnecting, whether or not START arrived
+   */
+  private handleConnectionLost(event: ReconnectEvent): void {
+    if (!this.activeSession) {
+      return;
+    }
+    this.handleProcessorError(new DeFiShArdError(
+      ErrorType.NETWORK_ERROR,
+      `Relay connection lost after ${event.attempt} reconnection attempt(s)${event.error ? `: ${event.error}` : ''}`,
+      'CONNECTION_LOST',
+      event
+    ));
+  }
+
   /**
    * Common completion handler
    */
-  private async handleProcessorComplete<T>(result: T, eventName: string, processorType: 'keygen' | 'sign'): Promise<void> {
+  private async handleProcessorComplete(eventName: string, processorType: 'keygen' | 'sign', ...results: unknown[]): Promise<void> {
     if (this.debug) {
       console.log(`[ProtocolManager] [${this.config.partyId?.substring(0, 8)}] 🎉 ${processorType} completed`);
     }
     
     // Disconnect immediately (server handles completion)
     try {
-      await this.websocketManager.disconnect();
+      await this.transport.disconnect();
     } catch (error) {
       if (this.debug) {
         console.warn('[ProtocolManager] Error during disconnect:', error);
       }
     }
     
+    // Session finished, nothing left to resume
+    this.discardCheckpoint();
+
     // Clear processor
     if (processorType === 'keygen') {
       this.keygenProcessor = null;
@@ -106,7 +206,7 @@ export class ProtocolManager extends EventEmitter {
     }
 
     // Emit completion event
-    this.emit(eventName, result);
+    this.emit(eventName, ...results);
   }
 
   /**
@@ -115,46 +215,60 @@ export class ProtocolManager extends EventEmitter {
   private setupProcessorEventHandlers(processor: KeygenProcessor | SignProcessor, type: 'keygen' | 'sign'): void {
     // Common round-complete handler
     processor.on('round-complete', this.handleRoundComplete.bind(this));
+
+    // Checkpoint after every round so the session survives a reload
+    processor.on('round-complete', (_round: number, messages: ProtocolMessage[]) => {
+      this.saveCheckpoint(processor, messages);
+    });
     
+    processor.on('progress', (progress: ProgressEvent) => this.emit('progress', progress));
+    processor.on('party-misbehaved', (report: MisbehaviorReport) => this.emit('party-misbehaved', report));
+
+    // A stalled round is followed by its TIMEOUT error, which ends the session
+    processor.on('round-timeout', (info: RoundTimeoutInfo) => this.emit('round-timeout', info));
+
     // Common error handler
-    processor.on('error', (err: Error) => this.handleProcessorError(err, type));
+    processor.on('error', (err: Error) => this.handleProcessorError(err));
     
     // Type-specific completion handler
     if (type === 'keygen') {
       (processor as KeygenProcessor).on('keygen-complete', 
-        (keyShare: KeyShare) => this.handleProcessorComplete(keyShare, 'keygen-complete', 'keygen')
+        (wasmKeyshare: any, keyShare: KeyShare) => this.handleProcessorComplete('keygen-complete', 'keygen', wasmKeyshare, keyShare)
       );
     } else {
       (processor as SignProcessor).on('signing-complete', 
-        (signature: [Uint8Array, Uint8Array]) => this.handleProcessorComplete(signature, 'sign-complete', 'sign')
+        (signature: [Uint8Array, Uint8Array], derivation: SignDerivation) => this.handleProcessorComplete('sign-complete', 'sign', signature, derivation)
       );
     }
   }
 
-  constructor(config: Config, storage: StorageInterface, debug: boolean = false, websocketManager?: WebSocketManager) {
+  constructor(config: Config, storage: StorageInterface, debug: boolean = false, transport?: BaseTransport, apiClient?: ApiClient) {
     super();
     this.instanceId = ++ProtocolManager.instanceCounter;
     this.config = config;
     this.storage = storage;
     this.debug = debug;
-    this.apiClient = new ApiClient(config.relayerUrl);
+    this.apiClient = apiClient || new ApiClient(config.relayerUrl);
     
-    // Use provided WebSocketManager or create a new one
-    this.websocketManager = websocketManager || new WebSocketManager(config.websocketUrl || 'ws://localhost:3000', debug);
+    // Use provided transport or create a WebSocketManager
+    this.transport = transport || new WebSocketManager(config.websocketUrl || 'ws://localhost:3000', debug, config.reconnect);
 
-    // Set up WebSocket message handler (only if we're using our own WebSocketManager)
-    // When using a shared WebSocketManager (from SDK), the SDK handles message routing
-    if (!websocketManager) {
-      this.websocketManager.on('message', (message: ProtocolMessage) => {
+    // Set up message handler (only if we're using our own transport)
+    // When using a shared transport (from SDK), the SDK handles message routing
+    if (!transport) {
+      this.transport.on('message', (message: ProtocolMessage) => {
         this.handleMessage(message).catch((error: any) => {
           this.emit('error', error instanceof Error ? error : new Error(String(error)));
         });
       });
       
-      this.websocketManager.on('error', (error: any) => {
+      this.transport.on('error', (error: any) => {
         this.emit('error', error instanceof Error ? error : new Error(String(error)));
       });
     }
+
+    // A relay connection that stopped reconnecting cannot carry the session any further
+    this.transport.on('gave-up', (event: ReconnectEvent) => this.handleConnectionLost(event));
   }
 
   /**
@@ -165,6 +279,52 @@ export class ProtocolManager extends EventEmitter {
     this.apiClient.updateConfig(config);
   }
 
+  /**
+   * Set the identity whose key encrypts the session checkpoints
+   */
+  async setIdentity(identity: PartyIdentity): Promise<void> {
+    const rawKey = IdentityUtils.deriveStorageKey(identity, CHECKPOINT_KEY_PURPOSE);
+    try {
+      this.checkpointKey = await crypto.subtle.importKey('raw', rawKey as unknown as ArrayBuffer, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+    } finally {
+      rawKey.fill(0);
+    }
+  }
+
+  /**
+   * Set the pairing secret from a session QR code
+   * The next keygen or signing session derives its transport keys from a handshake authenticated by it
+   *
+   * @param invitation - Invitation the secret came with, its nonce goes into the session ids of the sessions it starts
+   */
+  setPairingSecret(secret: string | Uint8Array, invitation?: SessionInvitation): void {
+    this.pairingSecret = new Uint8Array(PairingUtils.decodePairingSecret(secret));
+    this.invitation = invitation ?? null;
+    this.invitationRuns = 0;
+  }
+
+  /**
+   * Short authentication string of the active session, null until its transport key is known
+   */
+  getSessionFingerprint(): SessionFingerprint | null {
+    return this.activeSession?.fingerprint ?? null;
+  }
+
+  /**
+   * Answer a fingerprint awaiting confirmation (config.confirmSessionFingerprint)
+   * A mismatch aborts the session: the parties are not talking to each other
+   *
+   * @param matches - Whether the codes shown on all devices are the same
+   */
+  confirmSessionFingerprint(matches: boolean): void {
+    const confirm = this.fingerprintConfirmation;
+    if (!confirm) {
+      throw new Error('No session fingerprint is awaiting confirmation');
+    }
+    this.fingerprintConfirmation = null;
+    confirm(matches);
+  }
+
   /**
    * Start keygen
    */
@@ -187,15 +347,19 @@ export class ProtocolManager extends EventEmitter {
         distributed,
         secret,
         debug: this.debug,
+        ...this.getTimeoutConfig(),
         storage: this.storage,
         apiKey: this.config.apiKey! // Pass API key for storage in keyshare
       });
 
       // Setup common event handlers
       this.setupProcessorEventHandlers(this.keygenProcessor, 'keygen');
+      this.activeSession = this.createSessionContext('keygen', groupInfo, partyIndex, {
+        keygen: { distributed, isKeyRotation: false }
+      });
 
-      // Connect to WebSocket for message exchange
-      await this.websocketManager.connect(
+      // Connect to the relay channel for message exchange
+      await this.transport.connect(
         this.config.groupId!,
         'keygen',
         this.config.apiKey!
@@ -204,7 +368,7 @@ export class ProtocolManager extends EventEmitter {
       // Initialize the processor (but don't start automatically)
       await this.keygenProcessor.initialize();
     } catch (error) {
-      this.emit('error', new Error(`Failed to start keygen: ${error}`));
+      this.emit('error', error instanceof DeFiShArdError ? error : new Error(`Failed to start keygen: ${error}`));
       throw error;
     }
   }
@@ -230,34 +394,28 @@ export class ProtocolManager extends EventEmitter {
         distributed,
         secret,
         debug: this.debug,
+        ...this.getTimeoutConfig(),
         storage: this.storage,
         apiKey: this.config.apiKey! // Pass API key for storage in keyshare
       }, true); // isKeyRotation = true
 
       // Setup common event handlers
       this.setupProcessorEventHandlers(this.keygenProcessor, 'keygen');
+      this.activeSession = this.createSessionContext('keygen', groupInfo, partyIndex, {
+        keygen: { distributed, isKeyRotation: true }
+      });
 
-      // Connect to WebSocket for message exchange
-      await this.websocketManager.connect(
+      // Connect to the relay channel for message exchange
+      await this.transport.connect(
         this.config.groupId!,
         'keygen',
         this.config.apiKey!
       );
 
       // Initialize the processor with the provided keyshare
-      // Accept both JSON KeyShare (like signing) and WASM Keyshare for backward compatibility
       let wasmKeyshare: any = null;
       try {
-        if (oldKeyshare && typeof oldKeyshare.toBytes === 'function') {
-          // Already a WASM Keyshare instance
-          wasmKeyshare = oldKeyshare;
-        } else if (oldKeyshare && Array.isArray(oldKeyshare.serialized)) {
-          // JSON KeyShare: convert to WASM Keyshare (same as signing flow)
-          const { Keyshare } = await import('../../pkg/dkls_wasm_ll.js');
-          wasmKeyshare = Keyshare.fromBytes(new Uint8Array(oldKeyshare.serialized));
-        } else {
-          throw new Error('Invalid keyshare format: expected WASM Keyshare or KeyShare JSON with serialized bytes');
-        }
+        wasmKeyshare = await this.toWasmKeyshare(oldKeyshare);
       } catch (error) {
         this.emit('error', new Error(`Failed to prepare keyshare for rotation: ${error}`));
         throw error;
@@ -265,22 +423,181 @@ export class ProtocolManager extends EventEmitter {
 
       await this.keygenProcessor.initialize(wasmKeyshare);
     } catch (error) {
-      this.emit('error', new Error(`Failed to start key rotation: ${error}`));
+      this.emit('error', error instanceof DeFiShArdError ? error : new Error(`Failed to start key rotation: ${error}`));
+      throw error;
+    }
+  }
+
+  /**
+   * Start key recovery as a surviving party
+   * Refreshes our share and restores the shares of the parties listed in lostShares
+   */
+  async startKeyRecovery(oldKeyshare: any, lostShares: number[], distributed: boolean = true): Promise<void> {
+    try {
+      this.processedMessageIds.clear();
+      this.outgoingQueue = [];
+      this.processingOutgoing = false;
+
+      const { groupInfo, partyIndex } = await this.validateAndGetGroupInfo('key recovery');
+      this.validateLostShares(lostShares, groupInfo);
+      if (lostShares.includes(partyIndex)) {
+        throw new Error(`Party index ${partyIndex} is listed as lost, use startLostShareRecovery instead`);
+      }
+
+      const wasmKeyshare = await this.toWasmKeyshare(oldKeyshare);
+
+      this.keygenProcessor = new KeygenProcessor({
+        groupInfo,
+        partyId: this.config.partyId!,
+        partyIndex,
+        groupId: this.config.groupId!,
+        distributed,
+        debug: this.debug,
+        ...this.getTimeoutConfig(),
+        storage: this.storage,
+        apiKey: this.config.apiKey!,
+        lostShares,
+        publicKey: wasmKeyshare.publicKey
+      }, true); // Replaces the existing keyshare like a rotation
+
+      this.setupProcessorEventHandlers(this.keygenProcessor, 'keygen');
+      this.activeSession = this.createSessionContext('keygen', groupInfo, partyIndex, {
+        keygen: { distributed, isKeyRotation: true, lostShares, publicKey: bytesToHex(wasmKeyshare.publicKey) }
+      });
+
+      await this.transport.connect(
+        this.config.groupId!,
+        'keygen',
+        this.config.apiKey!
+      );
+
+      await this.keygenProcessor.initialize(wasmKeyshare);
+    } catch (error) {
+      this.emit('error', error instanceof DeFiShArdError ? error : new Error(`Failed to start key recovery: ${error}`));
       throw error;
     }
   }
 
+  /**
+   * Start lost share recovery as the party that lost its keyshare
+   * The party must occupy its original index in the group; the result is a
+   * fresh keyshare under the existing group public key
+   */
+  async startLostShareRecovery(
+    publicKey: string | Uint8Array,
+    partyIndex: number,
+    lostShares: number[] = [partyIndex],
+    distributed: boolean = true
+  ): Promise<void> {
+    try {
+      this.processedMessageIds.clear();
+      this.outgoingQueue = [];
+      this.processingOutgoing = false;
+
+      const publicKeyBytes = typeof publicKey === 'string' ? this.hexToBytes(publicKey) : publicKey;
+      if (publicKeyBytes.length !== 33) {
+        throw new Error('Public key must be a 33-byte compressed secp256k1 point');
+      }
+
+      const { groupInfo, partyIndex: memberIndex } = await this.validateAndGetGroupInfo('lost share recovery');
+      if (memberIndex !== partyIndex) {
+        throw new Error(`Party joined the group at index ${memberIndex}, but the lost share belongs to index ${partyIndex}`);
+      }
+      this.validateLostShares(lostShares, groupInfo);
+      if (!lostShares.includes(partyIndex)) {
+        throw new Error(`Lost shares must include our own party index ${partyIndex}`);
+      }
+
+      this.keygenProcessor = new KeygenProcessor({
+        groupInfo,
+        partyId: this.config.partyId!,
+        partyIndex,
+        groupId: this.config.groupId!,
+        distributed,
+        debug: this.debug,
+        ...this.getTimeoutConfig(),
+        storage: this.storage,
+        apiKey: this.config.apiKey!,
+        lostShares,
+        publicKey: publicKeyBytes
+      }, true); // Backs up a stale keyshare if one is still around
+
+      this.setupProcessorEventHandlers(this.keygenProcessor, 'keygen');
+      this.activeSession = this.createSessionContext('keygen', groupInfo, partyIndex, {
+        keygen: { distributed, isKeyRotation: true, lostShares, publicKey: bytesToHex(publicKeyBytes) }
+      });
+
+      await this.transport.connect(
+        this.config.groupId!,
+        'keygen',
+        this.config.apiKey!
+      );
+
+      await this.keygenProcessor.initialize();
+    } catch (error) {
+      this.emit('error', error instanceof DeFiShArdError ? error : new Error(`Failed to start lost share recovery: ${error}`));
+      throw error;
+    }
+  }
+
+  /**
+   * Accept both JSON KeyShare (like signing) and WASM Keyshare for backward compatibility
+   */
+  private async toWasmKeyshare(keyshare: any): Promise<any> {
+    if (keyshare && typeof keyshare.toBytes === 'function') {
+      // Already a WASM Keyshare instance
+      return keyshare;
+    }
+    if (keyshare && Array.isArray(keyshare.serialized)) {
+      // JSON KeyShare: convert to WASM Keyshare (same as signing flow)
+      const { Keyshare } = await import('../../pkg/dkls_wasm_ll.js');
+      return Keyshare.fromBytes(new Uint8Array(keyshare.serialized));
+    }
+    throw new Error('Invalid keyshare format: expected WASM Keyshare or KeyShare JSON with serialized bytes');
+  }
+
+  /**
+   * Check that lost share indices are valid and enough parties survive to recover them
+   */
+  private validateLostShares(lostShares: number[], groupInfo: GroupInfo): void {
+    if (!Array.isArray(lostShares) || lostShares.length === 0) {
+      throw new Error('At least one lost share index is required');
+    }
+    if (new Set(lostShares).size !== lostShares.length) {
+      throw new Error('Lost share indices must be unique');
+    }
+    for (const index of lostShares) {
+      if (!Number.isInteger(index) || index < 0 || index >= groupInfo.totalParties) {
+        throw new Error(`Invalid lost share index ${index} for group with ${groupInfo.totalParties} parties`);
+      }
+    }
+    if (groupInfo.totalParties - lostShares.length < groupInfo.threshold) {
+      throw new Error(`Cannot recover ${lostShares.length} shares: at least ${groupInfo.threshold} parties must still hold their share`);
+    }
+  }
+
+  /**
+   * Convert hex string to bytes
+   */
+  private hexToBytes(hex: string): Uint8Array {
+    const clean = hex.startsWith('0x') ? hex.slice(2) : hex;
+    if (clean.length % 2 !== 0 || /[^0-9a-fA-F]/.test(clean)) {
+      throw new Error('Invalid hex string');
+    }
+    return new Uint8Array(clean.match(/.{1,2}/g)!.map(byte => parseInt(byte, 16)));
+  }
+
   /**
    * Start signing with provided keyshare (simple delegation)
    */
-  async startSigningWithKeyshare(messageHash: Uint8Array, keyshare: KeyShare): Promise<void> {
-    return this.startSigning(messageHash, keyshare);
+  async startSigningWithKeyshare(messageHash: Uint8Array, keyshare: KeyShare, options: SigningOptions = {}): Promise<void> {
+    return this.startSigning(messageHash, keyshare, options);
   }
 
   /**
    * Start signing with explicit keyshare (the only method needed for real apps)
    */
-  async startSigning(messageHash: Uint8Array, keyshare: KeyShare): Promise<void> {
+  async startSigning(messageHash: Uint8Array, keyshare: KeyShare, options: SigningOptions = {}): Promise<void> {
     try {
       // Clear processed message IDs and outgoing queue to allow restarting signing in same session
       this.processedMessageIds.clear();
@@ -292,6 +609,10 @@ export class ProtocolManager extends EventEmitter {
         throw new Error('Message hash must be 32 bytes');
       }
 
+      // Reject bad paths before connecting (hardened indices cannot be derived from a threshold key)
+      const derivationPath = options.derivationPath ?? 'm';
+      Bip32Utils.parsePath(derivationPath);
+
       // Common validation and group info retrieval
       const { groupInfo, partyIndex } = await this.validateAndGetGroupInfo('signing');
 
@@ -316,14 +637,19 @@ export class ProtocolManager extends EventEmitter {
         groupId: this.config.groupId!,
         keyShare: wasmKeyshare,
         messageHash,
-        debug: this.debug
+        derivationPath,
+        debug: this.debug,
+        ...this.getTimeoutConfig()
       });
 
       // Setup common event handlers
       this.setupProcessorEventHandlers(this.signProcessor, 'sign');
+      this.activeSession = this.createSessionContext('sign', groupInfo, partyIndex, {
+        sign: { messageHash: Array.from(messageHash), keyshare: keyshare.serialized, derivationPath }
+      });
 
-      // Connect to WebSocket for message exchange
-      await this.websocketManager.connect(
+      // Connect to the relay channel for message exchange
+      await this.transport.connect(
         this.config.groupId!,
         'sign',
         this.config.apiKey!
@@ -332,13 +658,360 @@ export class ProtocolManager extends EventEmitter {
       // Initialize the processor
       await this.signProcessor.initialize();
     } catch (error) {
-      this.emit('error', new Error(`Failed to start signing: ${error}`));
+      this.emit('error', error instanceof DeFiShArdError ? error : new Error(`Failed to start signing: ${error}`));
       throw error;
     }
   }
 
   /**
-   * Handle incoming WebSocket messages
+   * Resume a keygen or signing session from its last checkpoint
+   * Rebuilds the processor, reconnects the transport and re-sends our last round's messages;
+   * a paired session first rekeys with its participants, its keys were never stored
+   * Needs the identity the checkpoint was encrypted for and config.apiKey, which checkpoints leave out
+   */
+  async resumeSession(sessionId: string): Promise<SessionCheckpoint> {
+    try {
+      const data = await this.storage.get(`${CHECKPOINT_PREFIX}${sessionId}`);
+      if (!data) {
+        throw new Error(`No checkpoint found for session ${sessionId}`);
+      }
+      if (!this.checkpointKey) {
+        throw new Error('Party identity required to decrypt session checkpoints');
+      }
+      if (!this.config.apiKey) {
+        throw new Error('API key required to resume a session');
+      }
+
+      let checkpoint: SessionCheckpoint;
+      try {
+        checkpoint = JSON.parse(await AESUtils.decryptToString(JSON.parse(data), this.checkpointKey));
+      } catch (error) {
+        throw new Error(`Checkpoint of session ${sessionId} cannot be decrypted with this identity: ${error}`);
+      }
+      if (checkpoint.version !== CHECKPOINT_VERSION) {
+        throw new Error(`Unsupported checkpoint version ${checkpoint.version}`);
+      }
+      // Checkpoints moved to another session's key must not resume it
+      if (checkpoint.sessionId !== sessionId) {
+        throw new Error(`Checkpoint stored for session ${sessionId} belongs to session ${checkpoint.sessionId}`);
+      }
+
+      // Drop whatever was running before
+      this.destroyProcessors();
+      this.processedMessageIds.clear();
+      this.outgoingQueue = [];
+      this.processingOutgoing = false;
+
+      // Restore the identity the session was started with
+      this.config.partyId = checkpoint.partyId;
+      this.config.groupId = checkpoint.groupId;
+      this.apiClient.updateConfig(this.config);
+      this.transport.setOwnPartyId(checkpoint.partyId);
+      if (checkpoint.encryptionKey) {
+        await this.transport.setEncryptionKey(checkpoint.encryptionKey);
+      }
+      const rekey = Boolean(checkpoint.pairingSecret);
+      if (rekey && !checkpoint.participants) {
+        throw new Error('Checkpoint of a paired session is missing its participants');
+      }
+      // Resent messages reuse their sequence numbers, peers that already have them drop the copies;
+      // the rekey handshake goes first, after everything sent before, and the resent messages follow it
+      this.transport.setSession(
+        checkpoint.sessionId,
+        (checkpoint.messageSequence ?? 0) + (rekey ? checkpoint.outgoing.length : 0),
+        checkpoint.groupInfo.members.map(member => member.partyId)
+      );
+
+      const baseConfig = {
+        groupInfo: checkpoint.groupInfo,
+        partyId: checkpoint.partyId,
+        partyIndex: checkpoint.partyIndex,
+        groupId: checkpoint.groupId,
+        debug: this.debug,
+        ...this.getTimeoutConfig(),
+        apiKey: this.config.apiKey
+      };
+
+      if (checkpoint.type === 'keygen') {
+        // Recovery sessions need their lost shares and the group key the result must match
+        const { lostShares, publicKey } = checkpoint.keygen ?? {};
+        this.keygenProcessor = new KeygenProcessor({
+          ...baseConfig,
+          distributed: checkpoint.keygen?.distributed ?? true,
+          storage: this.storage,
+          lostShares,
+          publicKey: publicKey ? this.hexToBytes(publicKey) : undefined
+        }, checkpoint.keygen?.isKeyRotation ?? false);
+        this.setupProcessorEventHandlers(this.keygenProcessor, 'keygen');
+        await this.keygenProcessor.restore(checkpoint.processor);
+      } else {
+        if (!checkpoint.sign) {
+          throw new Error('Signing checkpoint is missing signing context');
+        }
+        const { Keyshare } = await import('../../pkg/dkls_wasm_ll.js');
+        this.signProcessor = new SignProcessor({
+          ...baseConfig,
+          keyShare: Keyshare.fromBytes(new Uint8Array(checkpoint.sign.keyshare)),
+          messageHash: new Uint8Array(checkpoint.sign.messageHash),
+          derivationPath: checkpoint.sign.derivationPath
+        });
+        this.setupProcessorEventHandlers(this.signProcessor, 'sign');
+        await this.signProcessor.restore(checkpoint.processor);
+      }
+
+      const { processor: _processor, outgoing, updatedAt: _updatedAt, ...context } = checkpoint;
+      this.activeSession = context;
+      this.sessionMessages.clear();
+
+      if (this.debug) {
+        console.log(`[ProtocolManager#${this.instanceId}] ♻️ Resuming ${checkpoint.type} session ${sessionId} at round ${checkpoint.processor.currentRound}`);
+      }
+
+      if (rekey) {
+        // Peer messages wait for the new keys, and nothing of ours goes out before them
+        this.transport.beginKeyExchange();
+        for (const message of outgoing) {
+          this.sessionMessages.set(this.outgoingMessageId(message), message);
+        }
+        // A party that fails again mid-rekey must pick a higher epoch next time
+        const epoch = (context.epoch ?? 0) + 1;
+        context.epoch = epoch;
+        this.saveCheckpoint((this.keygenProcessor ?? this.signProcessor)!, outgoing);
+        await this.transport.connect(checkpoint.groupId, checkpoint.type, this.config.apiKey);
+        this.startRekey(epoch);
+        return checkpoint;
+      }
+
+      await this.transport.connect(checkpoint.groupId, checkpoint.type, this.config.apiKey);
+
+      // Peers that missed our last round get it again, duplicates are dropped on their side
+      for (const message of outgoing) {
+        this.queueOutgoingMessage(message);
+      }
+      this.processOutgoingQueue();
+
+      return checkpoint;
+    } catch (error) {
+      this.emit('error', new Error(`Failed to resume session: ${error}`));
+      throw error;
+    }
+  }
+
+  /**
+   * List sessions that have a checkpoint in storage
+   */
+  async getResumableSessions(): Promise<string[]> {
+    const keys = await this.storage.getKeys();
+    return keys
+      .filter(key => key.startsWith(CHECKPOINT_PREFIX))
+      .map(key => key.substring(CHECKPOINT_PREFIX.length));
+  }
+
+  /**
+   * Get the ID of the running session, if any
+   */
+  getActiveSessionId(): string | null {
+    return this.activeSession?.sessionId ?? null;
+  }
+
+  /**
+   * Build the checkpoint context for a newly started session
+   * Also starts replay protection and sender authentication on the transport for the new session,
+   * and prepares the pairing handshake when a pairing secret was set
+   */
+  private createSessionContext(
+    type: SessionType,
+    groupInfo: GroupInfo,
+    partyIndex: number,
+    context: Pick<SessionCheckpoint, 'keygen' | 'sign'>
+  ): Omit<SessionCheckpoint, 'processor' | 'outgoing' | 'updatedAt'> {
+    const pairingSecret = this.pairingSecret;
+    this.pairingSecret = null; // A pairing secret pairs a single session
+
+    const members = groupInfo.members.map(member => member.partyId);
+    // All parties count the runs of an invitation alike, they start its sessions in the same order
+    const nonce = this.invitation ? `${this.invitation.nonce}/${this.invitationRuns++}` : undefined;
+    const messageSessionId = this.deriveMessageSessionId(type, context.sign?.messageHash, pairingSecret ?? undefined, nonce);
+    this.transport.setSession(messageSessionId, 0, members);
+
+    this.handshake?.destroy();
+    this.handshake = null;
+    this.sessionMessages.clear();
+    let fingerprint: SessionFingerprint | undefined;
+    // Kept for the rekey of a resumed session; the handshake wipes its own copy
+    const encodedSecret = pairingSecret ? btoa(String.fromCharCode(...pairingSecret)) : undefined;
+    if (pairingSecret) {
+      this.handshake = this.createHandshake(members, messageSessionId, pairingSecret, 0, this.invitation?.creator);
+      this.transport.beginKeyExchange();
+    } else {
+      // Keys set directly: the fingerprint covers every group member
+      fingerprint = this.computeFingerprint(members) ?? undefined;
+    }
+
+    return {
+      version: CHECKPOINT_VERSION,
+      sessionId: messageSessionId,
+      type,
+      groupId: this.config.groupId!,
+      partyId: this.config.partyId!,
+      partyIndex,
+      groupInfo,
+      fingerprint,
+      pairingSecret: encodedSecret,
+      ...context
+    };
+  }
+
+  /**
+   * Pairing handshake of a session
+   *
+   * @param epoch - 0 after START, higher for the rekey of a resumed session
+   * @param creator - Invitation creator, which must take part
+   */
+  private createHandshake(members: string[], sessionId: string, pairingSecret: Uint8Array, epoch: number, creator?: string): SessionHandshake {
+    return new SessionHandshake({
+      transport: this.transport,
+      groupId: this.config.groupId!,
+      partyId: this.config.partyId!,
+      members,
+      creator,
+      pairingSecret,
+      sessionId,
+      epoch,
+      timeoutMs: this.config.roundTimeoutMs,
+      debug: this.debug
+    });
+  }
+
+  /**
+   * Party IDs START put in the session, checked against the group
+   * Keygen runs with every member, so a relay that does not name them is fine there;
+   * a signing quorum must come from the relay, first come hellos could differ between parties
+   */
+  private resolveParticipants(start: ProtocolMessage, type: SessionType): string[] {
+    const groupInfo = this.activeSession!.groupInfo;
+    const members = groupInfo.members.map(member => member.partyId);
+    const participants = start.participants ?? (type === 'keygen' ? members : null);
+    if (!participants) {
+      throw new DeFiShArdError(
+        ErrorType.AUTHENTICATION_ERROR,
+        'START did not name the parties of the signing session',
+        'PAIRING_PARTICIPANTS'
+      );
+    }
+
+    const expected = type === 'keygen' ? groupInfo.totalParties : groupInfo.threshold;
+    let problem: string | null = null;
+    if (new Set(participants).size !== participants.length) {
+      problem = 'lists a party twice';
+    } else if (participants.length !== expected) {
+      problem = `names ${participants.length} parties, expected ${expected}`;
+    } else if (participants.some(partyId => !members.includes(partyId))) {
+      problem = 'names a party outside the group';
+    } else if (!participants.includes(this.config.partyId!)) {
+      problem = 'does not include us';
+    }
+    if (problem) {
+      throw new DeFiShArdError(
+        ErrorType.AUTHENTICATION_ERROR,
+        `START of the ${type} session ${problem}`,
+        'PAIRING_PARTICIPANTS',
+        { participants }
+      );
+    }
+    return [...participants].sort();
+  }
+
+  /**
+   * Fingerprint of the session over the current transport key, null without one
+   */
+  private computeFingerprint(participants: string[]): SessionFingerprint | null {
+    const rawKey = this.transport.exportEncryptionKey();
+    if (!rawKey) {
+      return null;
+    }
+    const key = Uint8Array.from(atob(rawKey), c => c.charCodeAt(0));
+    const fingerprint = PairingUtils.computeSessionFingerprint(this.config.groupId!, participants, key);
+    key.fill(0);
+    return fingerprint;
+  }
+
+  /**
+   * Derive the session id all parties bind their messages to
+   * Keyed with the pairing secret or transport key when one is set; the invitation nonce and run
+   * number make every run distinct, even a follow-up ceremony over the same key and message
+   */
+  private deriveMessageSessionId(type: SessionType, messageHash?: number[], pairingSecret?: Uint8Array, nonce?: string): string {
+    const rawKey = this.transport.exportEncryptionKey();
+    const sessionKey = pairingSecret ?? (rawKey ? Uint8Array.from(atob(rawKey), c => c.charCodeAt(0)) : undefined);
+    const context = messageHash ? messageHash.map(b => b.toString(16).padStart(2, '0')).join('') : '';
+    return deriveSessionId(this.config.groupId!, type, context, sessionKey, nonce);
+  }
+
+  /**
+   * Persist the processor state after a completed round, encrypted with the checkpoint key
+   * Only the session type and group stay readable, in the metadata of the encrypted record
+   */
+  private saveCheckpoint(processor: KeygenProcessor | SignProcessor, outgoing: ProtocolMessage[]): void {
+    const session = this.activeSession;
+    const key = this.checkpointKey;
+    if (!session || !key) {
+      return;
+    }
+
+    let checkpoint: SessionCheckpoint;
+    try {
+      checkpoint = {
+        ...session,
+        // Keys from a pairing handshake are never stored, a resumed party runs a new one
+        encryptionKey: session.pairingSecret ? undefined : this.transport.exportEncryptionKey() ?? undefined,
+        messageSequence: this.transport.getSequence(), // Outgoing messages are sent after this handler
+        processor: processor.createCheckpoint(),
+        outgoing,
+        updatedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      if (this.debug) {
+        console.warn('[ProtocolManager] Failed to create checkpoint:', error);
+      }
+      return;
+    }
+
+    this.checkpointWrites = this.checkpointWrites
+      .then(() => AESUtils.encrypt(JSON.stringify(checkpoint), key, {
+        metadata: { type: session.type, groupId: session.groupId },
+        keyDerivation: 'HKDF-SHA256 (party identity)'
+      }))
+      .then(encrypted => this.storage.save(`${CHECKPOINT_PREFIX}${session.sessionId}`, JSON.stringify(encrypted)))
+      .catch((error: unknown) => {
+        if (this.debug) {
+          console.warn('[ProtocolManager] Failed to save checkpoint:', error);
+        }
+      });
+  }
+
+  /**
+   * Remove the checkpoint of the active session
+   */
+  private discardCheckpoint(): void {
+    const session = this.activeSession;
+    if (!session) {
+      return;
+    }
+    this.activeSession = null;
+    this.sessionMessages.clear();
+
+    this.checkpointWrites = this.checkpointWrites
+      .then(() => this.storage.remove(`${CHECKPOINT_PREFIX}${session.sessionId}`))
+      .catch((error: unknown) => {
+        if (this.debug) {
+          console.warn('[ProtocolManager] Failed to remove checkpoint:', error);
+        }
+      });
+  }
+
+  /**
+   * Handle incoming transport messages
    * Routes messages to the appropriate processor automatically
    */
   async handleMessage(protocolMessage: ProtocolMessage): Promise<void> {
@@ -349,11 +1022,11 @@ export class ProtocolManager extends EventEmitter {
       }
 
       // Reconnect if not connected (for round-based connection management)
-      if (!this.websocketManager.isConnected()) {
+      if (!this.transport.isConnected()) {
         if (this.config.groupId && this.config.apiKey) {
           // Determine protocol based on active processor
           const protocol = this.keygenProcessor ? 'keygen' : 'sign';
-          await this.websocketManager.connect(
+          await this.transport.connect(
             this.config.groupId,
             protocol,
             this.config.apiKey
@@ -361,6 +1034,21 @@ export class ProtocolManager extends EventEmitter {
         }
       }
 
+      // The pairing handshake runs between START and round 1, and again when a resumed participant rekeys the session
+      if (SessionHandshake.isHandshakeMessage(protocolMessage)) {
+        const session = this.activeSession;
+        const epoch = SessionHandshake.getEpoch(protocolMessage);
+        if (session?.pairingSecret && session.participants?.includes(protocolMessage.from_id) && epoch > (session.epoch ?? 0)) {
+          this.startRekey(epoch);
+        }
+        await this.handshake?.handleMessage(protocolMessage);
+        return;
+      }
+      if (this.handshake && protocolMessage.round === 0 && protocolMessage.content === 'START') {
+        this.startHandshake(protocolMessage);
+        return;
+      }
+
       // Route message to the appropriate processor
       // Keygen processor handles rounds 0-4 and END messages (round 5)
       // Sign processor handles rounds 0-4 for signing
@@ -391,16 +1079,124 @@ export class ProtocolManager extends EventEmitter {
   }
 
   /**
-   * Simple hash function for message content
+   * Run the pairing handshake with the participants START named, then hand START to the processor
    */
-  private hashContent(content: string): string {
-    let hash = 0;
-    for (let i = 0; i < content.length; i++) {
-      const char = content.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
+  private startHandshake(start: ProtocolMessage): void {
+    const handshake = this.handshake!;
+    if (handshake.isStarted()) {
+      return;
+    }
+    const type = this.keygenProcessor ? 'keygen' : 'sign';
+
+    let participants: string[];
+    try {
+      participants = this.resolveParticipants(start, type);
+    } catch (error) {
+      this.handleProcessorError(error as Error);
+      return;
+    }
+    if (this.activeSession) {
+      this.activeSession.participants = participants;
+    }
+    this.runHandshake(handshake, participants, () => this.handleMessage(start));
+  }
+
+  /**
+   * Rekey the running session under a new epoch: a resumed participant starts it, the others join on its hello
+   * Afterwards every party sends its session messages again, the processors drop copies they already had
+   */
+  private startRekey(epoch: number): void {
+    const session = this.activeSession!;
+    this.handshake?.destroy();
+    session.epoch = epoch;
+    const members = session.groupInfo.members.map(member => member.partyId);
+    const pairingSecret = PairingUtils.decodePairingSecret(session.pairingSecret!);
+    const handshake = this.createHandshake(members, session.sessionId, new Uint8Array(pairingSecret), epoch);
+    this.handshake = handshake;
+    this.transport.beginKeyExchange();
+    if (this.debug) {
+      console.log(`[ProtocolManager#${this.instanceId}] 🔁 Rekeying session ${session.sessionId.substring(0, 16)} (epoch ${epoch})`);
+    }
+    this.runHandshake(handshake, session.participants!, () => this.resendSessionMessages());
+  }
+
+  /**
+   * Run a pairing handshake, show the session fingerprint, then continue the session
+   * With config.confirmSessionFingerprint the peers' messages stay held until the user confirms it
+   *
+   * @param proceed - Continues the session once the keys are installed
+   */
+  private runHandshake(handshake: SessionHandshake, participants: string[], proceed: () => Promise<void>): void {
+    handshake.start(participants).then(
+      async () => {
+        if (this.handshake !== handshake) {
+          return;
+        }
+        this.handshake = null;
+
+        const fingerprint = this.computeFingerprint(handshake.getParticipants());
+        if (fingerprint && this.activeSession) {
+          this.activeSession.fingerprint = fingerprint;
+          this.emit('session-fingerprint', fingerprint);
+        }
+        if (this.config.confirmSessionFingerprint && !(await this.awaitFingerprintConfirmation())) {
+          if (this.activeSession) {
+            this.handleProcessorError(new DeFiShArdError(
+              ErrorType.AUTHENTICATION_ERROR,
+              'Session fingerprint rejected: the parties did not see the same code and may be paired with a spoofed session',
+              'FINGERPRINT_MISMATCH'
+            ));
+          }
+          return;
+        }
+
+        await this.transport.completeKeyExchange();
+        await proceed();
+      },
+      (error: Error) => {
+        if (this.handshake !== handshake) {
+          return;
+        }
+        this.handshake = null;
+        this.handleProcessorError(error);
+      }
+    ).catch((error: unknown) => {
+      this.emit('error', error instanceof Error ? error : new Error(String(error)));
+    });
+  }
+
+  /**
+   * Queue every message of the session again under new keys
+   */
+  private async resendSessionMessages(): Promise<void> {
+    for (const [messageId, message] of this.sessionMessages) {
+      this.processedMessageIds.delete(messageId);
+      this.queueOutgoingMessage(message);
     }
-    return Math.abs(hash).toString(36); // Convert to base36 for shorter string
+    this.processOutgoingQueue();
+  }
+
+  /**
+   * Wait for confirmSessionFingerprint(), false if the session is torn down first
+   */
+  private awaitFingerprintConfirmation(): Promise<boolean> {
+    return new Promise(resolve => {
+      this.fingerprintConfirmation = resolve;
+    });
+  }
+
+  /**
+   * Id of an outgoing message, the same for every copy of it
+   */
+  private outgoingMessageId(message: ProtocolMessage): string {
+    return `${message.round}_${message.from_id}_${this.hashContent(message.content)}`;
+  }
+
+  /**
+   * SHA-256 of message content for deduplication
+   */
+  private hashContent(content: string): string {
+    return sha256Hex(content);
   }
 
   /**
@@ -454,7 +1250,7 @@ export class ProtocolManager extends EventEmitter {
           }
           
           // Create unique message ID to prevent duplicate processing
-          const messageId = `${message.round}_${message.from_id}_${this.hashContent(message.content)}`;
+          const messageId = this.outgoingMessageId(message);
           
           // Skip if already processed
           if (this.processedMessageIds.has(messageId)) {
@@ -467,7 +1263,10 @@ export class ProtocolManager extends EventEmitter {
           // Mark as processed
           this.processedMessageIds.add(messageId);
           
-          await this.websocketManager.sendMessage(message);
+          await this.transport.sendMessage(message);
+          if (this.activeSession) {
+            this.sessionMessages.set(messageId, message);
+          }
           
           // Small delay between messages to prevent overwhelming
           await new Promise(resolve => setTimeout(resolve, 10));
@@ -510,19 +1309,45 @@ export class ProtocolManager extends EventEmitter {
   }
 
   /**
-   * Clean up resources
+   * Destroy active processors
    */
-  destroy(): void {
-    // Clean up processors
+  private destroyProcessors(): void {
+    if (this.handshake) {
+      this.handshake.destroy();
+      this.handshake = null;
+    }
+    if (this.fingerprintConfirmation) {
+      const confirm = this.fingerprintConfirmation;
+      this.fingerprintConfirmation = null;
+      confirm(false);
+    }
+
     if (this.keygenProcessor) {
       this.keygenProcessor.destroy();
       this.keygenProcessor = null;
     }
-    
+
     if (this.signProcessor) {
       this.signProcessor.destroy();
       this.signProcessor = null;
     }
+  }
+
+  /**
+   * Abandon the active session for good: its checkpoint is removed before tearing down
+   */
+  abortSession(): void {
+    this.discardCheckpoint();
+    this.destroy();
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy(): void {
+    // Clean up processors (checkpoints stay in storage so the session can be resumed)
+    this.destroyProcessors();
+    this.activeSession = null;
     
     // Clear outgoing queue
     this.outgoingQueue = [];
@@ -530,11 +1355,12 @@ export class ProtocolManager extends EventEmitter {
     
     // Clear processed message IDs to prevent "already processed" errors in new sessions
     this.processedMessageIds.clear();
+    this.transport.clearSession();
     
-    // Disconnect WebSocket
-    this.websocketManager.disconnect().catch((error: unknown) => {
+    // Disconnect transport
+    this.transport.disconnect().catch((error: unknown) => {
       if (this.debug) {
-        console.warn('[ProtocolManager] Error during WebSocket disconnect:', error);
+        console.warn('[ProtocolManager] Error during transport disconnect:', error);
       }
     });
   }
@@ -1,14 +1,56 @@
 import { EventEmitter } from '../events';
 import { ApiClient } from '../api';
 import { WebSocketManager } from '../websocket';
+import { BaseTransport } from '../transport/base-transport';
 import { StorageInterface } from '../storage/interface';
 import { LocalStorageAdapter } from '../storage/local-storage';
 import { ProtocolManager } from '../core/ProtocolManager';
+import { DeFiShArdError } from '../errors';
+import { Bip32Utils } from '../crypto/bip32';
+import { IdentityUtils, PartyIdentity, IDENTITY_STORAGE_KEY } from '../crypto/identity';
+import { SignatureUtils, FormattedSignature, RecoverableSignature, VerifiableSignature } from '../crypto/signature';
+import { EthereumUtils, TypedData } from '../crypto/ethereum';
+import { EthereumTransactionUtils, EthereumTransaction, TransactionSignature } from '../crypto/ethereum-transaction';
+import { BitcoinUtils } from '../crypto/bitcoin';
+import { PsbtUtils, PsbtSigningRequest, SIGHASH_ALL } from '../crypto/bitcoin-psbt';
+import { SignDerivation } from '../protocols/sign-processor';
+import {
+  createInvitation,
+  parseQRCode,
+  INVITATION_CLOCK_SKEW_MS,
+  USED_INVITATIONS_STORAGE_KEY,
+  InvitationFields,
+  InvitationVerifyOptions,
+  QRCodeParseResult
+} from '../utils/qrcode';
+import { encodeInvitationLink, decodeInvitationLink, toInvitationData } from '../utils/invitation-link';
 import { 
   Config, 
   RegistrationResult, 
   GroupResult,
-  KeyShare 
+  KeyShare,
+  SessionCheckpoint,
+  SessionInvitation,
+  ErrorType,
+  ProtocolRunOptions,
+  KeygenOptions,
+  SignOptions,
+  SignResult,
+  EthereumSignResult,
+  EthereumTransactionSignResult,
+  BitcoinAddressOptions,
+  BitcoinMessageSignOptions,
+  BitcoinMessageSignResult,
+  PsbtSignOptions,
+  PsbtSignResult,
+  SigningOptions,
+  VerifySignatureOptions,
+  RoundTimeoutInfo,
+  ProgressEvent,
+  SessionFingerprint,
+  MisbehaviorReport,
+  ReconnectEvent,
+  MessageRejectedEvent
 } from '../types';
 
 // Export storage interface and implementations for easy access
@@ -19,46 +61,58 @@ export type { KeyShare } from '../types';
 export class DeFiShArdSDK extends EventEmitter {
   private wasmInitialized = false;
   private apiClient: ApiClient;
-  private websocketManager: WebSocketManager;
+  private transport: BaseTransport;
   private storage: StorageInterface;
   private config: Config;
   private protocolManager: ProtocolManager;
   private debug: boolean;
+  private identity: PartyIdentity | null = null; // Long-lived party key, loaded on first use
 
-  constructor(config: Config & { storage?: StorageInterface }) {
+  constructor(config: Config & { storage?: StorageInterface; transport?: BaseTransport; apiClient?: ApiClient }) {
     super();
     this.config = config;
     this.debug = config.debug ?? false;
-    this.apiClient = new ApiClient(config.relayerUrl);
-    this.websocketManager = new WebSocketManager(config.websocketUrl, this.debug);
+
+    // Use provided relay clients (e.g. a LoopbackHub's) or talk to the relay
+    this.apiClient = config.apiClient || new ApiClient(config.relayerUrl);
+    this.transport = config.transport || new WebSocketManager(config.websocketUrl, this.debug, config.reconnect);
     
     // Use provided storage or fallback to localStorage
     this.storage = config.storage || new LocalStorageAdapter('defishard_');
 
-    // Initialize protocol manager with shared WebSocketManager
-    this.protocolManager = new ProtocolManager(this.config, this.storage, this.debug, this.websocketManager);
+    // Initialize protocol manager with shared transport and API client
+    this.protocolManager = new ProtocolManager(this.config, this.storage, this.debug, this.transport, this.apiClient);
 
-    // Set up WebSocket message handler to route to ProtocolManager
-    this.websocketManager.on('message', (protocolMessage: any) => {
+    // Set up transport message handler to route to ProtocolManager
+    this.transport.on('message', (protocolMessage: any) => {
       this.handleWebSocketMessage(protocolMessage).catch((error: any) => {
         this.emit('error', error);
       });
     });
 
     // Forward WebSocket events
-    this.websocketManager.on('connected', () => {
+    this.transport.on('connected', () => {
       if (this.debug) {
         console.log(`[SDK] 🔌 WebSocket connected for party ${this.config.partyId}`);
       }
       this.emit('connected');
     });
-    this.websocketManager.on('disconnected', () => {
+    this.transport.on('disconnected', () => {
       if (this.debug) {
         console.log(`[SDK] 🔌 WebSocket disconnected for party ${this.config.partyId}`);
       }
       this.emit('disconnected');
     });
-    this.websocketManager.on('error', (error: any) => {
+    this.transport.on('reconnecting', (event: ReconnectEvent) => {
+      if (this.debug) {
+        console.log(`[SDK] 🔌 Reconnecting (attempt ${event.attempt}) in ${event.delayMs}ms for party ${this.config.partyId}`);
+      }
+      this.emit('reconnecting', event);
+    });
+    this.transport.on('reconnected', (event: ReconnectEvent) => this.emit('reconnected', event));
+    this.transport.on('gave-up', (event: ReconnectEvent) => this.emit('gave-up', event));
+    this.transport.on('message-rejected', (event: MessageRejectedEvent) => this.emit('message-rejected', event));
+    this.transport.on('error', (error: any) => {
       if (this.debug) {
         console.log(`[SDK] ❌ WebSocket error for party ${this.config.partyId}:`, error);
       }
@@ -66,11 +120,23 @@ export class DeFiShArdSDK extends EventEmitter {
     });
 
     // Forward protocol events
-    this.protocolManager.on('keygen-complete', (keyShare: KeyShare) => {
-      this.emit('keygen-complete', keyShare);
+    this.protocolManager.on('keygen-complete', (keyShare: any, keyShareData: KeyShare) => {
+      this.emit('keygen-complete', keyShare, keyShareData);
+    });
+    this.protocolManager.on('sign-complete', (signature: any, derivation: SignDerivation) => {
+      this.emit('sign-complete', signature, derivation);
+    });
+    this.protocolManager.on('progress', (progress: ProgressEvent) => {
+      this.emit('progress', progress);
+    });
+    this.protocolManager.on('party-misbehaved', (report: MisbehaviorReport) => {
+      this.emit('party-misbehaved', report);
     });
-    this.protocolManager.on('sign-complete', (signature: any) => {
-      this.emit('sign-complete', signature);
+    this.protocolManager.on('session-fingerprint', (fingerprint: SessionFingerprint) => {
+      this.emit('session-fingerprint', fingerprint);
+    });
+    this.protocolManager.on('round-timeout', (info: RoundTimeoutInfo) => {
+      this.emit('round-timeout', info);
     });
     this.protocolManager.on('error', (error: Error) => {
       this.emit('error', error);
@@ -91,6 +157,9 @@ export class DeFiShArdSDK extends EventEmitter {
       await init();
       this.wasmInitialized = true;
 
+      // Protocol messages are signed with the party identity
+      await this.loadIdentity();
+
       // SDK initialized
     } catch (error) {
       this.emit('error', new Error(`Failed to initialize SDK: ${error}`));
@@ -99,13 +168,19 @@ export class DeFiShArdSDK extends EventEmitter {
   }
 
   /**
-   * Register a new party
+   * Register with the relay under this party's identity
+   * The identity is created and stored on first use, so later registrations keep the same party ID
    */
   async register(): Promise<RegistrationResult> {
     try {
-      const result = await this.apiClient.register();
+      const identity = await this.loadIdentity();
+      const result = await this.apiClient.register(IdentityUtils.createRegistrationProof(identity));
       
       if (result.success) {
+        if (result.partyId !== identity.partyId) {
+          throw new Error(`Relay registered party ${result.partyId} instead of identity ${identity.partyId}`);
+        }
+
         this.config.partyId = result.partyId;
         this.config.apiKey = result.token;
         
@@ -115,8 +190,8 @@ export class DeFiShArdSDK extends EventEmitter {
         // Update ProtocolManager with the new config
         this.protocolManager.updateConfig(this.config);
         
-        // Set party ID on WebSocketManager for loop prevention
-        this.websocketManager.setOwnPartyId(result.partyId);
+        // Set party ID on the transport for loop prevention
+        this.transport.setOwnPartyId(result.partyId);
         
         if (this.debug) {
           console.log(`[SDK] ✅ Registered party ${result.partyId}`);
@@ -130,6 +205,14 @@ export class DeFiShArdSDK extends EventEmitter {
     }
   }
 
+  /**
+   * Get the public part of this party's identity (creates it on first use)
+   */
+  async getIdentity(): Promise<{ partyId: string; publicKey: Uint8Array; createdAt: string }> {
+    const { partyId, publicKey, createdAt } = await this.loadIdentity();
+    return { partyId, publicKey, createdAt };
+  }
+
   /**
    * Create a new group
    */
@@ -186,6 +269,243 @@ export class DeFiShArdSDK extends EventEmitter {
     }
   }
 
+  /**
+   * Run key generation to completion
+   * Resolves with the stored keyshare, rejects with a DeFiShArdError on failure, abort or deadline
+   */
+  async keygen(options: KeygenOptions = {}): Promise<KeyShare> {
+    return this.runProtocol<KeyShare>(
+      'keygen-complete',
+      options,
+      () => this.protocolManager.startKeygen(options.distributed ?? true, options.secret),
+      (_keyShare: any, keyShareData: KeyShare) => keyShareData
+    );
+  }
+
+  /**
+   * Run a signing ceremony to completion
+   * Resolves with the low-S signature in compact and DER form with its recovery id,
+   * rejects with a DeFiShArdError on failure, abort or deadline
+   */
+  async sign(messageHash: Uint8Array, keyshare: any, options: SignOptions = {}): Promise<SignResult> {
+    return this.runProtocol<SignResult>(
+      'sign-complete',
+      options,
+      () => this.protocolManager.startSigning(messageHash, keyshare, { derivationPath: options.derivationPath }),
+      (signature: [Uint8Array, Uint8Array], derivation: SignDerivation) => {
+        const { r, s, compact, der, recoveryId } = SignatureUtils.format(signature, messageHash, derivation.publicKey);
+        return {
+          signature,
+          r,
+          s,
+          compact,
+          der,
+          recoveryId,
+          derivationPath: derivation.derivationPath,
+          publicKey: derivation.publicKey
+        };
+      }
+    );
+  }
+
+  /**
+   * Sign an EIP-191 personal message (personal_sign) with a signing ceremony
+   *
+   * @param message - Text (signed as UTF-8) or raw bytes
+   */
+  async signPersonalMessage(message: string | Uint8Array, keyshare: any, options: SignOptions = {}): Promise<EthereumSignResult> {
+    return this.signEthereumHash(EthereumUtils.hashPersonalMessage(message), keyshare, options);
+  }
+
+  /**
+   * Sign EIP-712 typed data (eth_signTypedData_v4) with a signing ceremony
+   */
+  async signTypedData(typedData: TypedData, keyshare: any, options: SignOptions = {}): Promise<EthereumSignResult> {
+    return this.signEthereumHash(EthereumUtils.hashTypedData(typedData), keyshare, options);
+  }
+
+  /**
+   * Sign an Ethereum transaction (legacy, EIP-2930 or EIP-1559) with a signing ceremony
+   * Resolves with the raw signed transaction, ready for eth_sendRawTransaction
+   */
+  async signTransaction(transaction: EthereumTransaction, keyshare: any, options: SignOptions = {}): Promise<EthereumTransactionSignResult> {
+    const messageHash = EthereumTransactionUtils.signingHash(transaction);
+    const result = await this.sign(messageHash, keyshare, options);
+    const rawTransaction = EthereumTransactionUtils.serializeSigned(transaction, result);
+    return {
+      ...result,
+      messageHash,
+      address: EthereumUtils.publicKeyToAddress(result.publicKey),
+      rawTransaction,
+      transactionHash: EthereumTransactionUtils.transactionHash(rawTransaction)
+    };
+  }
+
+  /**
+   * Sign a BIP-137 Bitcoin message with a signing ceremony
+   *
+   * @param message - Text (signed as UTF-8) or raw bytes
+   */
+  async signBitcoinMessage(message: string | Uint8Array, keyshare: any, options: BitcoinMessageSignOptions = {}): Promise<BitcoinMessageSignResult> {
+    const { type = 'p2wpkh', network = 'mainnet', ...signOptions } = options;
+    const messageHash = BitcoinUtils.hashMessage(message);
+    const result = await this.sign(messageHash, keyshare, signOptions);
+    return {
+      ...result,
+      messageHash,
+      address: BitcoinUtils.getAddress(result.publicKey, type, network),
+      messageSignature: BitcoinUtils.encodeMessageSignature(result, type)
+    };
+  }
+
+  /**
+   * Sign the P2WPKH and P2SH-P2WPKH inputs of a BIP-174 PSBT that pay to the keyshare,
+   * running one signing ceremony per input over its BIP-143 sighash
+   * An input's key comes from its BIP32 derivations under the keyshare's root fingerprint,
+   * else from options.derivationPath. Every party must call signPsbt() with the same PSBT
+   * so that their ceremonies run in the same order. Inputs may only ask for SIGHASH_ALL unless
+   * options.allowedSighashTypes says otherwise; every input is checked before the first ceremony.
+   *
+   * @param psbt - Base64, hex or bytes
+   * @throws Error if the PSBT is malformed, an input asks for a sighash type that is not allowed
+   * or none of its inputs pays to the keyshare
+   */
+  async signPsbt(psbt: string | Uint8Array, keyshare: any, options: PsbtSignOptions = {}): Promise<PsbtSignResult> {
+    const { finalize = true, allowedSighashTypes = [SIGHASH_ALL], ...signOptions } = options;
+    const parsed = PsbtUtils.decode(psbt);
+    const rootFingerprint = BitcoinUtils.fingerprint(await this.deriveChildPublicKey(keyshare, 'm'));
+    const derivedKeys = new Map<string, Uint8Array>();
+    const requests: { request: PsbtSigningRequest; derivationPath: string }[] = [];
+
+    for (let index = 0; index < parsed.inputs.length; index++) {
+      // Only non-hardened paths can be derived from the shared public key
+      const paths = parsed.inputs[index].bip32Derivation
+        .filter(derivation => derivation.fingerprint === rootFingerprint && derivation.path.every(i => i < 0x80000000))
+        .map(derivation => ['m', ...derivation.path].join('/'));
+      paths.push(options.derivationPath || 'm');
+
+      for (const derivationPath of paths) {
+        if (!derivedKeys.has(derivationPath)) {
+          derivedKeys.set(derivationPath, await this.deriveChildPublicKey(keyshare, derivationPath));
+        }
+        const request = PsbtUtils.getSigningRequest(parsed, index, derivedKeys.get(derivationPath)!, allowedSighashTypes);
+        if (request) {
+          requests.push({ request, derivationPath });
+          break;
+        }
+      }
+    }
+    if (requests.length === 0) {
+      throw new Error('No unsigned input of the PSBT pays to this keyshare');
+    }
+
+    // BIP-143 sighashes do not cover other inputs' signatures, so they can all be computed up front
+    for (const { request, derivationPath } of requests) {
+      const result = await this.sign(request.sighash, keyshare, { ...signOptions, derivationPath });
+      PsbtUtils.addSignature(parsed, request, result.publicKey, result.der);
+      if (finalize) {
+        PsbtUtils.finalizeInput(parsed, request.index);
+      }
+    }
+
+    const complete = parsed.inputs.every(input => PsbtUtils.isInputFinalized(input));
+    const transaction = complete ? PsbtUtils.extractTransaction(parsed) : undefined;
+    return {
+      psbt: PsbtUtils.encode(parsed),
+      signedInputs: requests.map(({ request }) => request.index),
+      complete,
+      transaction,
+      txid: transaction ? PsbtUtils.getTxid(transaction) : undefined
+    };
+  }
+
+  private async signEthereumHash(messageHash: Uint8Array, keyshare: any, options: SignOptions): Promise<EthereumSignResult> {
+    const result = await this.sign(messageHash, keyshare, options);
+    return {
+      ...result,
+      messageHash,
+      address: EthereumUtils.publicKeyToAddress(result.publicKey),
+      v: 27 + result.recoveryId,
+      rpcSignature: EthereumUtils.toRpcSignature(result)
+    };
+  }
+
+  /**
+   * Start a protocol and settle once the protocol manager reports completion or failure
+   */
+  private runProtocol<T>(
+    completeEvent: string,
+    options: ProtocolRunOptions,
+    start: () => Promise<void>,
+    mapResult: (...results: any[]) => T
+  ): Promise<T> {
+    const { signal, timeoutMs } = options;
+
+    if (signal?.aborted) {
+      return Promise.reject(new DeFiShArdError(ErrorType.ABORTED, 'Operation aborted before start', 'ABORTED'));
+    }
+
+    return new Promise<T>((resolve, reject) => {
+      let settled = false;
+      let deadline: ReturnType<typeof setTimeout> | null = null;
+
+      const cleanup = () => {
+        settled = true;
+        this.protocolManager.off(completeEvent, onComplete);
+        this.protocolManager.off('error', onError);
+        signal?.removeEventListener('abort', onAbort);
+        if (deadline) {
+          clearTimeout(deadline);
+        }
+      };
+
+      const fail = (error: DeFiShArdError, teardown: boolean) => {
+        if (settled) {
+          return;
+        }
+        cleanup();
+        if (teardown) {
+          this.protocolManager.abortSession();
+        }
+        reject(error);
+      };
+
+      const onComplete = (...results: any[]) => {
+        if (settled) {
+          return;
+        }
+        cleanup();
+        try {
+          resolve(mapResult(...results));
+        } catch (error) {
+          reject(DeFiShArdError.from(error, ErrorType.PROTOCOL_ERROR, 'PROTOCOL_FAILED'));
+        }
+      };
+
+      const onError = (error: Error) => {
+        fail(DeFiShArdError.from(error, ErrorType.PROTOCOL_ERROR, 'PROTOCOL_FAILED'), false);
+      };
+
+      const onAbort = () => {
+        fail(new DeFiShArdError(ErrorType.ABORTED, 'Operation aborted', 'ABORTED', { reason: signal?.reason }), true);
+      };
+
+      this.protocolManager.on(completeEvent, onComplete);
+      this.protocolManager.on('error', onError);
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      if (timeoutMs !== undefined && timeoutMs > 0) {
+        deadline = setTimeout(() => {
+          fail(new DeFiShArdError(ErrorType.TIMEOUT, `Operation did not complete within ${timeoutMs}ms`, 'DEADLINE_EXCEEDED', { timeoutMs }), true);
+        }, timeoutMs);
+      }
+
+      start().catch((error: unknown) => {
+        fail(DeFiShArdError.from(error, ErrorType.PROTOCOL_ERROR, 'PROTOCOL_FAILED'), false);
+      });
+    });
+  }
+
   /**
    * Start key rotation
    */
@@ -199,11 +519,40 @@ export class DeFiShArdSDK extends EventEmitter {
   }
 
   /**
-   * Start signing
+   * Start key recovery as a surviving party, restoring the shares of the parties in lostShares
    */
-  async startSigning(messageHash: Uint8Array, keyshare: any): Promise<void> {
+  async startKeyRecovery(oldKeyshare: any, lostShares: number[], distributed: boolean = true): Promise<void> {
     try {
-      await this.protocolManager.startSigning(messageHash, keyshare);
+      await this.protocolManager.startKeyRecovery(oldKeyshare, lostShares, distributed);
+    } catch (error) {
+      this.emit('error', new Error(`Failed to start key recovery: ${error}`));
+      throw error;
+    }
+  }
+
+  /**
+   * Recover a lost keyshare for this party under the existing group public key
+   */
+  async startLostShareRecovery(
+    publicKey: string | Uint8Array,
+    partyIndex: number,
+    lostShares?: number[],
+    distributed: boolean = true
+  ): Promise<void> {
+    try {
+      await this.protocolManager.startLostShareRecovery(publicKey, partyIndex, lostShares, distributed);
+    } catch (error) {
+      this.emit('error', new Error(`Failed to start lost share recovery: ${error}`));
+      throw error;
+    }
+  }
+
+  /**
+   * Start signing, optionally with a non-hardened BIP32 derivation path
+   */
+  async startSigning(messageHash: Uint8Array, keyshare: any, options: SigningOptions = {}): Promise<void> {
+    try {
+      await this.protocolManager.startSigning(messageHash, keyshare, options);
     } catch (error) {
       this.emit('error', new Error(`Failed to start signing: ${error}`));
       throw error;
@@ -213,7 +562,12 @@ export class DeFiShArdSDK extends EventEmitter {
   /**
    * Start signing with specific keyshare details
    */
-  async startSigningWithKeyshare(messageHash: Uint8Array, keyshareGroupId: string, keyshareIndex: number): Promise<void> {
+  async startSigningWithKeyshare(
+    messageHash: Uint8Array,
+    keyshareGroupId: string,
+    keyshareIndex: number,
+    options: SigningOptions = {}
+  ): Promise<void> {
     try {
       // Load the keyshare manually from the specified location
       const keyshareStorageKey = `keyshare_${keyshareGroupId}_${keyshareIndex}`;
@@ -227,13 +581,202 @@ export class DeFiShArdSDK extends EventEmitter {
       console.log(`📋 Loaded keyshare from ${keyshareStorageKey}: Party ${keyshare.partyId}`);
       
       // Pass the loaded keyshare to the protocol manager
-      await (this.protocolManager as any).startSigningWithKeyshare(messageHash, keyshare);
+      await this.protocolManager.startSigningWithKeyshare(messageHash, keyshare, options);
     } catch (error) {
       this.emit('error', new Error(`Failed to start signing: ${error}`));
       throw error;
     }
   }
 
+  /**
+   * Compute the compressed child public key a keyshare signs for at a non-hardened derivation path
+   */
+  async deriveChildPublicKey(keyshare: any, derivationPath: string): Promise<Uint8Array> {
+    try {
+      let wasmKeyshare = keyshare;
+      if (!keyshare || typeof keyshare.toBytes !== 'function') {
+        if (!keyshare || !Array.isArray(keyshare.serialized)) {
+          throw new Error('Invalid keyshare format: expected WASM Keyshare or KeyShare JSON with serialized bytes');
+        }
+        await this.initialize();
+        const { Keyshare } = await import('../../pkg/dkls_wasm_ll.js');
+        wasmKeyshare = Keyshare.fromBytes(new Uint8Array(keyshare.serialized));
+      }
+      return Bip32Utils.deriveChildPublicKey(wasmKeyshare.publicKey, wasmKeyshare.rootChainCode, derivationPath).publicKey;
+    } catch (error) {
+      this.emit('error', new Error(`Failed to derive child public key: ${error}`));
+      throw error;
+    }
+  }
+
+  /**
+   * Low-S r and s, compact and DER encodings and recovery id of a raw [r, s] signature
+   *
+   * @param publicKey - Key the signature verifies against, e.g. SignResult.publicKey
+   */
+  formatSignature(signature: [Uint8Array, Uint8Array], messageHash: Uint8Array, publicKey: Uint8Array): FormattedSignature {
+    return SignatureUtils.format(signature, messageHash, publicKey);
+  }
+
+  /**
+   * Check an ECDSA signature over a 32-byte hash
+   * Pass a keyshare to verify against the key of options.derivationPath, or a public key (the
+   * derived one, or the parent together with options.chainCode)
+   *
+   * @param signature - Raw [r, s], { r, s }, or bytes / hex of a compact, recoverable or DER signature
+   * @returns False if the signature is malformed or was not made by the key
+   */
+  async verifySignature(
+    messageHash: Uint8Array,
+    signature: VerifiableSignature,
+    publicKey: Uint8Array | string | KeyShare,
+    options: VerifySignatureOptions = {}
+  ): Promise<boolean> {
+    const derivationPath = options.derivationPath || 'm';
+    let key: Uint8Array | string;
+    if (publicKey instanceof Uint8Array || typeof publicKey === 'string') {
+      key = publicKey;
+      if (derivationPath !== 'm') {
+        if (!options.chainCode) {
+          throw new Error(`A chain code is required to derive ${derivationPath} from a public key, pass the keyshare instead`);
+        }
+        const parent = typeof publicKey === 'string'
+          ? Uint8Array.from(publicKey.replace(/^0x/, '').match(/../g) ?? [], byte => parseInt(byte, 16))
+          : publicKey;
+        key = Bip32Utils.deriveChildPublicKey(parent, options.chainCode, derivationPath).publicKey;
+      }
+    } else {
+      key = await this.deriveChildPublicKey(publicKey, derivationPath);
+    }
+    return SignatureUtils.verify(messageHash, signature, key);
+  }
+
+  /**
+   * Public key behind a recoverable signature (65 bytes r || s || v, or { r, s, recoveryId })
+   */
+  recoverPublicKey(messageHash: Uint8Array, signature: RecoverableSignature, compressed: boolean = true): Uint8Array {
+    return SignatureUtils.recoverPublicKey(messageHash, signature, compressed);
+  }
+
+  /**
+   * Checksummed Ethereum address of a keyshare, or of one of its derived keys
+   */
+  async getEthereumAddress(keyshare: any, derivationPath: string = 'm'): Promise<string> {
+    return EthereumUtils.publicKeyToAddress(await this.deriveChildPublicKey(keyshare, derivationPath));
+  }
+
+  /**
+   * EIP-191 personal_sign hash of a message, the hash signPersonalMessage() signs
+   */
+  hashPersonalMessage(message: string | Uint8Array): Uint8Array {
+    return EthereumUtils.hashPersonalMessage(message);
+  }
+
+  /**
+   * EIP-712 hash of typed data, the hash signTypedData() signs
+   */
+  hashTypedData(typedData: TypedData): Uint8Array {
+    return EthereumUtils.hashTypedData(typedData);
+  }
+
+  /**
+   * Signing hash of an Ethereum transaction, the hash signTransaction() signs
+   */
+  hashTransaction(transaction: EthereumTransaction): Uint8Array {
+    return EthereumTransactionUtils.signingHash(transaction);
+  }
+
+  /**
+   * Raw signed transaction from a transaction and the sign() result of its signing hash
+   */
+  serializeSignedTransaction(transaction: EthereumTransaction, signature: TransactionSignature): string {
+    return EthereumTransactionUtils.serializeSigned(transaction, signature);
+  }
+
+  /**
+   * Bitcoin address of a keyshare, or of one of its derived keys (native segwit by default)
+   */
+  async getBitcoinAddress(keyshare: any, options: BitcoinAddressOptions = {}): Promise<string> {
+    const publicKey = await this.deriveChildPublicKey(keyshare, options.derivationPath || 'm');
+    return BitcoinUtils.getAddress(publicKey, options.type, options.network);
+  }
+
+  /**
+   * BIP-137 hash of a message, the hash signBitcoinMessage() signs
+   */
+  hashBitcoinMessage(message: string | Uint8Array): Uint8Array {
+    return BitcoinUtils.hashMessage(message);
+  }
+
+  /**
+   * Check a base64 BIP-137 signed message against a Bitcoin address
+   */
+  verifyBitcoinMessage(message: string | Uint8Array, address: string, signature: string): boolean {
+    return BitcoinUtils.verifyMessage(message, address, signature);
+  }
+
+  /**
+   * Resume a keygen or signing session after a page reload or service-worker restart
+   * The session continues from its last completed round; checkpoints do not keep the API key, set it in the config first
+   */
+  async resumeSession(sessionId: string): Promise<SessionCheckpoint> {
+    try {
+      await this.loadIdentity();
+      const checkpoint = await this.protocolManager.resumeSession(sessionId);
+
+      // The protocol manager restored partyId/groupId on the shared config
+      this.apiClient.updateConfig(this.config);
+
+      return checkpoint;
+    } catch (error) {
+      this.emit('error', new Error(`Failed to resume session: ${error}`));
+      throw error;
+    }
+  }
+
+  /**
+   * List sessions that can be resumed with resumeSession()
+   */
+  async getResumableSessions(): Promise<string[]> {
+    return await this.protocolManager.getResumableSessions();
+  }
+
+  /**
+   * Get the ID of the running keygen/signing session, if any
+   */
+  getActiveSessionId(): string | null {
+    return this.protocolManager.getActiveSessionId();
+  }
+
+  /**
+   * Load the identity from config.privateKey or storage, generating and storing a new one if there is none
+   * The transport signs our protocol messages with it
+   */
+  private async loadIdentity(): Promise<PartyIdentity> {
+    if (this.identity) {
+      return this.identity;
+    }
+
+    if (this.config.privateKey) {
+      this.identity = IdentityUtils.fromPrivateKey(this.config.privateKey);
+    } else {
+      const stored = await this.storage.get(IDENTITY_STORAGE_KEY);
+      if (stored) {
+        this.identity = IdentityUtils.deserialize(stored);
+      } else {
+        this.identity = IdentityUtils.generate();
+        await this.storage.save(IDENTITY_STORAGE_KEY, IdentityUtils.serialize(this.identity));
+        if (this.debug) {
+          console.log(`[SDK] 🔑 Created party identity ${this.identity.partyId}`);
+        }
+      }
+    }
+
+    this.transport.setIdentity(this.identity);
+    await this.protocolManager.setIdentity(this.identity);
+    return this.identity;
+  }
+
   /**
    * Handle WebSocket messages
    */
@@ -275,17 +818,142 @@ export class DeFiShArdSDK extends EventEmitter {
   }
 
   /**
-   * Set encryption key for WebSocket communication
+   * Set encryption key for relay communication
+   * Prefer setPairingSecret: a transport key in a QR code decrypts the whole session if the code leaks
    */
   async setEncryptionKey(rawKey: Uint8Array | string): Promise<void> {
-    await this.websocketManager.setEncryptionKey(rawKey);
+    await this.transport.setEncryptionKey(rawKey);
+  }
+
+  /**
+   * Set the pairing secret from a session QR code
+   * The next keygen or signing session runs a handshake authenticated by it and derives
+   * its transport keys from ephemeral keys, so the QR code is worthless once the session started
+   *
+   * @param invitation - Nonce, creator and expiry of the invitation the secret came with; every party
+   *   must pass the same one, its nonce keeps the sessions of different invitations apart
+   */
+  setPairingSecret(secret: Uint8Array | string, invitation?: SessionInvitation): void {
+    this.protocolManager.setPairingSecret(secret, invitation);
+  }
+
+  /**
+   * Create a session invitation signed by this party's identity
+   * The invitation carries a fresh pairing secret, which is also set for this party's next session
+   *
+   * @returns Invitation data to show as a QR code
+   */
+  async createInvitation(fields: InvitationFields, ttlMs?: number): Promise<string> {
+    const identity = await this.loadIdentity();
+    const invitation = createInvitation(identity, fields, ttlMs);
+    this.protocolManager.setPairingSecret(invitation.pairingSecret, {
+      nonce: invitation.nonce,
+      creator: identity.partyId,
+      expiresAt: invitation.expiresAt
+    });
+    return invitation.qrData;
+  }
+
+  /**
+   * Deep link carrying the same invitation as QR code data
+   *
+   * @param baseUrl - Join endpoint, `defishard://join` by default or an https fallback such as `https://app.example.com/join`
+   */
+  encodeInvitationLink(qrData: string, baseUrl?: string): string {
+    return encodeInvitationLink(qrData, baseUrl);
+  }
+
+  /**
+   * QR code data carried by a deep link, without verifying it (see acceptInvitation)
+   */
+  decodeInvitationLink(link: string): string {
+    return decodeInvitationLink(link);
+  }
+
+  /**
+   * Verify a scanned invitation (QR code data or deep link), consume its nonce and set its pairing secret
+   * Its creator must be a member of the invited group, so register before accepting.
+   * Nonces are remembered in storage until the invitation expires, so the same
+   * invitation cannot be accepted twice on this device
+   *
+   * @throws DeFiShArdError with an INVITATION_* code, see parseQRCode
+   */
+  async acceptInvitation(
+    invitation: string,
+    options: Omit<InvitationVerifyOptions, 'isNonceUsed'> = {}
+  ): Promise<QRCodeParseResult> {
+    const now = options.now ?? Date.now();
+    const clockSkewMs = options.clockSkewMs ?? this.config.invitationClockSkewMs ?? INVITATION_CLOCK_SKEW_MS;
+    const stored = await this.storage.get(USED_INVITATIONS_STORAGE_KEY);
+    const used: Record<string, number> = stored ? JSON.parse(stored) : {};
+    // Forget nonces of invitations that could no longer be accepted anyway
+    for (const [nonce, expiresAt] of Object.entries(used)) {
+      if (expiresAt + clockSkewMs < now) {
+        delete used[nonce];
+      }
+    }
+
+    const result = parseQRCode(toInvitationData(invitation), {
+      ...options,
+      clockSkewMs,
+      now,
+      isNonceUsed: nonce => nonce in used
+    });
+    await this.checkInvitationCreator(result);
+
+    used[result.nonce] = result.expiresAt;
+    await this.storage.save(USED_INVITATIONS_STORAGE_KEY, JSON.stringify(used));
+    this.protocolManager.setPairingSecret(result.pairingSecret, {
+      nonce: result.nonce,
+      creator: result.creator,
+      expiresAt: result.expiresAt
+    });
+    return result;
+  }
+
+  /**
+   * Check that the creator of an invitation belongs to the group it invites to
+   * Any identity can sign an invitation, the relay's member list tells whether it may start the group's sessions
+   *
+   * @throws DeFiShArdError INVITATION_CREATOR if the creator is neither a member nor the creator of the group
+   */
+  private async checkInvitationCreator(invitation: QRCodeParseResult): Promise<void> {
+    const groupInfo = await this.apiClient.getGroupInfo(invitation.groupId);
+    const creator = invitation.creator.toLowerCase();
+    const isMember = groupInfo.members.some(member => member.partyId.toLowerCase() === creator) ||
+      groupInfo.createdBy?.partyId?.toLowerCase() === creator;
+    if (!isMember) {
+      throw new DeFiShArdError(
+        ErrorType.VALIDATION_ERROR,
+        `Invitation was created by ${creator.substring(0, 8)}, which is not a member of group ${invitation.groupId}`,
+        'INVITATION_CREATOR'
+      );
+    }
+  }
+
+  /**
+   * Short authentication string of the active session (6 digits and 4 emoji)
+   * Show it on every device: the same code means all parties share the session's keys
+   *
+   * @returns null until the session's transport key is known (after pairing, before round 1)
+   */
+  getSessionFingerprint(): SessionFingerprint | null {
+    return this.protocolManager.getSessionFingerprint();
+  }
+
+  /**
+   * Confirm or reject the session fingerprint when config.confirmSessionFingerprint is set
+   * Rejecting aborts the session with a FINGERPRINT_MISMATCH error
+   */
+  confirmSessionFingerprint(matches: boolean): void {
+    this.protocolManager.confirmSessionFingerprint(matches);
   }
 
   /**
-   * Disconnect from WebSocket
+   * Disconnect from the relay
    */
   async disconnect(): Promise<void> {
-    await this.websocketManager.disconnect();
+    await this.transport.disconnect();
     this.protocolManager.destroy();
   }
 } 
\ No newline at end of file
@@ -0,0 +1,108 @@
+/**
+ * BIP32 Public Derivation Utilities
+ *
+ * Threshold keyshares only support non-hardened (public) derivation: every party
+ * applies the same additive offset to its share, so the child public key can be
+ * computed locally from the group public key and the root chain code.
+ */
+
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { hmac } from '@noble/hashes/hmac';
+import { sha512 } from '@noble/hashes/sha2';
+import { bytesToHex } from '../utils/hex';
+
+export const HARDENED_OFFSET = 0x80000000;
+export const MAX_DERIVATION_DEPTH = 255;
+
+export interface DerivedPublicKey {
+  publicKey: Uint8Array;   // 33-byte compressed child public key
+  chainCode: Uint8Array;   // 32-byte child chain code
+}
+
+/**
+ * BIP32 public derivation (CKDpub)
+ */
+export class Bip32Utils {
+  /**
+   * Parse and validate a derivation path such as "m/0/5"
+   *
+   * @param path - Path starting with "m", non-hardened indices only
+   * @returns Child indices in derivation order
+   */
+  static parsePath(path: string): number[] {
+    if (typeof path !== 'string') {
+      throw new Error('Derivation path must be a string');
+    }
+
+    const segments = path.trim().split('/');
+    if (segments[0] !== 'm') {
+      throw new Error(`Invalid derivation path "${path}": must start with "m"`);
+    }
+    if (segments.length - 1 > MAX_DERIVATION_DEPTH) {
+      throw new Error(`Invalid derivation path "${path}": depth exceeds ${MAX_DERIVATION_DEPTH}`);
+    }
+
+    return segments.slice(1).map(segment => {
+      if (/^\d+['hH]$/.test(segment)) {
+        throw new Error(`Invalid derivation path "${path}": hardened index ${segment} is not supported for threshold keys`);
+      }
+      if (!/^\d+$/.test(segment)) {
+        throw new Error(`Invalid derivation path "${path}": "${segment}" is not a valid index`);
+      }
+      const index = Number(segment);
+      if (index >= HARDENED_OFFSET) {
+        throw new Error(`Invalid derivation path "${path}": index ${segment} is out of the non-hardened range`);
+      }
+      return index;
+    });
+  }
+
+  /**
+   * Check a derivation path without throwing
+   */
+  static isValidPath(path: string): boolean {
+    try {
+      Bip32Utils.parsePath(path);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Derive a child public key from a parent public key and chain code
+   *
+   * @param publicKey - 33-byte compressed (or 65-byte uncompressed) parent public key
+   * @param chainCode - 32-byte parent chain code
+   * @param path - Non-hardened derivation path
+   * @returns Child public key and chain code
+   */
+  static deriveChildPublicKey(publicKey: Uint8Array, chainCode: Uint8Array, path: string): DerivedPublicKey {
+    if (chainCode.length !== 32) {
+      throw new Error(`Chain code must be 32 bytes, got ${chainCode.length}`);
+    }
+
+    let point = secp256k1.ProjectivePoint.fromHex(publicKey);
+    let code = chainCode;
+
+    for (const index of Bip32Utils.parsePath(path)) {
+      const data = new Uint8Array(37);
+      data.set(point.toRawBytes(true), 0);
+      new DataView(data.buffer).setUint32(33, index, false);
+
+      const I = hmac(sha512, code, data);
+      const tweak = BigInt('0x' + bytesToHex(I.slice(0, 32)));
+      if (tweak >= secp256k1.CURVE.n) {
+        throw new Error(`Derivation produced an invalid key at index ${index}`);
+      }
+
+      point = point.add(secp256k1.ProjectivePoint.BASE.multiplyUnsafe(tweak));
+      if (point.equals(secp256k1.ProjectivePoint.ZERO)) {
+        throw new Error(`Derivation produced an invalid key at index ${index}`);
+      }
+      code = I.slice(32);
+    }
+
+    return { publicKey: point.toRawBytes(true), chainCode: code };
+  }
+}
@@ -0,0 +1,734 @@
+/**
+ * Bitcoin PSBT Utilities
+ *
+ * A BIP-174 PSBT carries an unsigned transaction and, per input, what a signer
+ * needs: the spent output (witness UTXO or the whole previous transaction),
+ * the sighash type, scripts and BIP32 derivations. For each P2WPKH or
+ * P2SH-P2WPKH input paying to the MPC key this module computes the BIP-143
+ * segwit sighash the ceremony signs, records the DER signature as a partial
+ * signature and finalizes the input into its witness (and P2SH scriptSig).
+ */
+
+import { BitcoinUtils } from './bitcoin';
+import { hexToBytes, bytesToHex, concatBytes } from '../utils/hex';
+
+export const SIGHASH_ALL = 0x01;
+export const SIGHASH_NONE = 0x02;
+export const SIGHASH_SINGLE = 0x03;
+export const SIGHASH_ANYONECANPAY = 0x80;
+
+const PSBT_MAGIC = [0x70, 0x73, 0x62, 0x74, 0xff]; // "psbt" 0xff
+
+// Key types of BIP-174
+const GLOBAL_UNSIGNED_TX = 0x00;
+const IN_NON_WITNESS_UTXO = 0x00;
+const IN_WITNESS_UTXO = 0x01;
+const IN_PARTIAL_SIG = 0x02;
+const IN_SIGHASH_TYPE = 0x03;
+const IN_REDEEM_SCRIPT = 0x04;
+const IN_WITNESS_SCRIPT = 0x05;
+const IN_BIP32_DERIVATION = 0x06;
+const IN_FINAL_SCRIPTSIG = 0x07;
+const IN_FINAL_SCRIPTWITNESS = 0x08;
+const OUT_REDEEM_SCRIPT = 0x00;
+const OUT_WITNESS_SCRIPT = 0x01;
+const OUT_BIP32_DERIVATION = 0x02;
+
+export interface BitcoinTxInput {
+  txid: string;                // Previous transaction id, hex as explorers show it
+  vout: number;
+  scriptSig: Uint8Array;
+  sequence: number;
+  witness: Uint8Array[];
+}
+
+export interface BitcoinTxOutput {
+  amount: bigint;              // Satoshis
+  script: Uint8Array;
+}
+
+export interface BitcoinTransaction {
+  version: number;
+  inputs: BitcoinTxInput[];
+  outputs: BitcoinTxOutput[];
+  locktime: number;
+}
+
+export interface PsbtKeyValue {
+  key: Uint8Array;             // Key type byte followed by the key data
+  value: Uint8Array;
+}
+
+export interface PsbtBip32Derivation {
+  pubkey: Uint8Array;
+  fingerprint: number;         // First 4 bytes of the master key's HASH160, big-endian
+  path: number[];
+}
+
+export interface PsbtPartialSignature {
+  pubkey: Uint8Array;
+  signature: Uint8Array;       // DER signature followed by the sighash type byte
+}
+
+export interface PsbtInput {
+  nonWitnessUtxo?: Uint8Array;
+  witnessUtxo?: BitcoinTxOutput;
+  partialSigs: PsbtPartialSignature[];
+  sighashType?: number;
+  redeemScript?: Uint8Array;
+  witnessScript?: Uint8Array;
+  bip32Derivation: PsbtBip32Derivation[];
+  finalScriptSig?: Uint8Array;
+  finalScriptWitness?: Uint8Array[];
+  unknown: PsbtKeyValue[];     // Other keys, kept as they are
+}
+
+export interface PsbtOutput {
+  redeemScript?: Uint8Array;
+  witnessScript?: Uint8Array;
+  bip32Derivation: PsbtBip32Derivation[];
+  unknown: PsbtKeyValue[];
+}
+
+export interface Psbt {
+  tx: BitcoinTransaction;      // Unsigned transaction
+  inputs: PsbtInput[];
+  outputs: PsbtOutput[];
+  unknown: PsbtKeyValue[];     // Global keys other than the unsigned transaction (xpubs, version, ...)
+}
+
+// What one input needs signed by a given key
+export interface PsbtSigningRequest {
+  index: number;
+  type: 'p2wpkh' | 'p2sh-p2wpkh';
+  sighash: Uint8Array;         // BIP-143 hash for the ceremony
+  sighashType: number;
+}
+
+/**
+ * BIP-174 PSBT encoding, BIP-143 sighashes, signing and finalization of segwit key-hash inputs
+ */
+export class PsbtUtils {
+  /**
+   * Parse a PSBT from base64, hex or bytes
+   *
+   * @throws Error if it is malformed
+   */
+  static decode(psbt: string | Uint8Array): Psbt {
+    const bytes = typeof psbt !== 'string'
+      ? psbt
+      : /^70736274ff([0-9a-fA-F]{2})*$/i.test(psbt)
+        ? hexToBytes(psbt)
+        : Uint8Array.from(atob(psbt.trim()), char => char.charCodeAt(0));
+    const reader = new ByteReader(bytes);
+    if (!PSBT_MAGIC.every(byte => reader.readByte() === byte)) {
+      throw new Error('Not a PSBT: bad magic bytes');
+    }
+
+    let tx: BitcoinTransaction | undefined;
+    const unknown: PsbtKeyValue[] = [];
+    for (const { key, value } of PsbtUtils.readMap(reader)) {
+      if (key[0] === GLOBAL_UNSIGNED_TX && key.length === 1) {
+        tx = PsbtUtils.parseTransaction(value);
+      } else {
+        unknown.push({ key, value });
+      }
+    }
+    if (!tx) {
+      throw new Error('PSBT has no unsigned transaction');
+    }
+    if (tx.inputs.some(input => input.scriptSig.length > 0 || input.witness.length > 0)) {
+      throw new Error('PSBT unsigned transaction has scriptSigs or witnesses');
+    }
+
+    const inputs = tx.inputs.map(() => PsbtUtils.parseInput(PsbtUtils.readMap(reader)));
+    const outputs = tx.outputs.map(() => PsbtUtils.parseOutput(PsbtUtils.readMap(reader)));
+    if (!reader.isAtEnd()) {
+      throw new Error('PSBT has trailing data');
+    }
+    return { tx, inputs, outputs, unknown };
+  }
+
+  /**
+   * Serialize a PSBT as base64
+   */
+  static encode(psbt: Psbt): string {
+    const bytes = PsbtUtils.toBytes(psbt);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Serialize a PSBT as bytes
+   */
+  static toBytes(psbt: Psbt): Uint8Array {
+    const writer = new ByteWriter();
+    writer.write(new Uint8Array(PSBT_MAGIC));
+
+    PsbtUtils.writeMap(writer, [
+      { key: new Uint8Array([GLOBAL_UNSIGNED_TX]), value: PsbtUtils.serializeTransaction(psbt.tx, false) },
+      ...psbt.unknown
+    ]);
+    for (const input of psbt.inputs) {
+      const entries: PsbtKeyValue[] = [];
+      if (input.nonWitnessUtxo) {
+        entries.push(PsbtUtils.entry(IN_NON_WITNESS_UTXO, input.nonWitnessUtxo));
+      }
+      if (input.witnessUtxo) {
+        entries.push(PsbtUtils.entry(IN_WITNESS_UTXO, PsbtUtils.serializeOutput(input.witnessUtxo)));
+      }
+      for (const sig of input.partialSigs) {
+        entries.push(PsbtUtils.entry(IN_PARTIAL_SIG, sig.signature, sig.pubkey));
+      }
+      if (input.sighashType !== undefined) {
+        entries.push(PsbtUtils.entry(IN_SIGHASH_TYPE, PsbtUtils.uint32LE(input.sighashType)));
+      }
+      if (input.redeemScript) {
+        entries.push(PsbtUtils.entry(IN_REDEEM_SCRIPT, input.redeemScript));
+      }
+      if (input.witnessScript) {
+        entries.push(PsbtUtils.entry(IN_WITNESS_SCRIPT, input.witnessScript));
+      }
+      entries.push(...PsbtUtils.derivationEntries(IN_BIP32_DERIVATION, input.bip32Derivation));
+      if (input.finalScriptSig) {
+        entries.push(PsbtUtils.entry(IN_FINAL_SCRIPTSIG, input.finalScriptSig));
+      }
+      if (input.finalScriptWitness) {
+        entries.push(PsbtUtils.entry(IN_FINAL_SCRIPTWITNESS, PsbtUtils.serializeWitness(input.finalScriptWitness)));
+      }
+      PsbtUtils.writeMap(writer, [...entries, ...input.unknown]);
+    }
+    for (const output of psbt.outputs) {
+      const entries: PsbtKeyValue[] = [];
+      if (output.redeemScript) {
+        entries.push(PsbtUtils.entry(OUT_REDEEM_SCRIPT, output.redeemScript));
+      }
+      if (output.witnessScript) {
+        entries.push(PsbtUtils.entry(OUT_WITNESS_SCRIPT, output.witnessScript));
+      }
+      entries.push(...PsbtUtils.derivationEntries(OUT_BIP32_DERIVATION, output.bip32Derivation));
+      PsbtUtils.writeMap(writer, [...entries, ...output.unknown]);
+    }
+    return writer.toBytes();
+  }
+
+  /**
+   * Empty PSBT of an unsigned transaction
+   */
+  static fromTransaction(tx: BitcoinTransaction): Psbt {
+    const unsigned = {
+      ...tx,
+      inputs: tx.inputs.map(input => ({ ...input, scriptSig: new Uint8Array(0), witness: [] }))
+    };
+    return {
+      tx: unsigned,
+      inputs: tx.inputs.map(() => ({ partialSigs: [], bip32Derivation: [], unknown: [] })),
+      outputs: tx.outputs.map(() => ({ bip32Derivation: [], unknown: [] })),
+      unknown: []
+    };
+  }
+
+  /**
+   * Output spent by an input, from its witness UTXO or its full previous transaction
+   *
+   * @throws Error if the PSBT has neither or the previous transaction does not match the outpoint
+   */
+  static getInputUtxo(psbt: Psbt, index: number): BitcoinTxOutput {
+    const input = PsbtUtils.getInput(psbt, index);
+    const outpoint = psbt.tx.inputs[index];
+    if (input.nonWitnessUtxo) {
+      const previous = PsbtUtils.parseTransaction(input.nonWitnessUtxo);
+      if (PsbtUtils.getTxid(previous) !== outpoint.txid) {
+        throw new Error(`Input ${index}: previous transaction does not match its outpoint`);
+      }
+      const output = previous.outputs[outpoint.vout];
+      if (!output) {
+        throw new Error(`Input ${index}: previous transaction has no output ${outpoint.vout}`);
+      }
+      if (input.witnessUtxo && (input.witnessUtxo.amount !== output.amount ||
+          !PsbtUtils.equal(input.witnessUtxo.script, output.script))) {
+        throw new Error(`Input ${index}: witness UTXO contradicts the previous transaction`);
+      }
+      return output;
+    }
+    if (input.witnessUtxo) {
+      return input.witnessUtxo;
+    }
+    throw new Error(`Input ${index} has no UTXO information`);
+  }
+
+  /**
+   * What to sign for an input paying to a public key, null if the input is not a P2WPKH or
+   * P2SH-P2WPKH output of that key or is already finalized
+   *
+   * @param allowedSighashTypes - Sighash types the signer agrees to, only SIGHASH_ALL by default
+   * @throws Error if the input asks for a sighash type that is not allowed
+   */
+  static getSigningRequest(
+    psbt: Psbt,
+    index: number,
+    publicKey: Uint8Array,
+    allowedSighashTypes: number[] = [SIGHASH_ALL]
+  ): PsbtSigningRequest | null {
+    const input = PsbtUtils.getInput(psbt, index);
+    if (PsbtUtils.isInputFinalized(input)) {
+      return null;
+    }
+
+    const keyHash = BitcoinUtils.hash160(BitcoinUtils.compressPublicKey(publicKey));
+    const program = BitcoinUtils.p2wpkhScript(keyHash);
+    const utxo = PsbtUtils.getInputUtxo(psbt, index);
+    let type: PsbtSigningRequest['type'];
+    if (PsbtUtils.equal(utxo.script, program)) {
+      type = 'p2wpkh';
+    } else if (PsbtUtils.equal(utxo.script, BitcoinUtils.p2shScript(program)) &&
+        (!input.redeemScript || PsbtUtils.equal(input.redeemScript, program))) {
+      type = 'p2sh-p2wpkh';
+    } else {
+      return null;
+    }
+
+    // NONE, SINGLE and ANYONECANPAY leave outputs or inputs open to whoever completes the transaction
+    const sighashType = input.sighashType ?? SIGHASH_ALL;
+    if (!allowedSighashTypes.includes(sighashType)) {
+      throw new Error(`Input ${index} asks for sighash type ${sighashType}, which is not allowed`);
+    }
+    return {
+      index,
+      type,
+      sighash: PsbtUtils.segwitSighash(psbt.tx, index, BitcoinUtils.p2pkhScript(keyHash), utxo.amount, sighashType),
+      sighashType
+    };
+  }
+
+  /**
+   * Record a signature of an input as a partial signature
+   *
+   * @param der - DER signature of the request's sighash, low-S
+   */
+  static addSignature(psbt: Psbt, request: PsbtSigningRequest, publicKey: Uint8Array, der: Uint8Array): void {
+    const input = PsbtUtils.getInput(psbt, request.index);
+    const pubkey = BitcoinUtils.compressPublicKey(publicKey);
+    input.partialSigs = input.partialSigs.filter(sig => !PsbtUtils.equal(sig.pubkey, pubkey));
+    input.partialSigs.push({ pubkey, signature: new Uint8Array([...der, request.sighashType]) });
+    if (request.type === 'p2sh-p2wpkh' && !input.redeemScript) {
+      input.redeemScript = BitcoinUtils.p2wpkhScript(BitcoinUtils.hash160(pubkey));
+    }
+  }
+
+  /**
+   * Turn the partial signature of a P2WPKH or P2SH-P2WPKH input into its final witness
+   * and scriptSig, dropping the fields a finalized input no longer needs
+   *
+   * @throws Error if the input has no partial signature for its key
+   */
+  static finalizeInput(psbt: Psbt, index: number): void {
+    const input = PsbtUtils.getInput(psbt, index);
+    const utxo = PsbtUtils.getInputUtxo(psbt, index);
+    const partial = input.partialSigs.find(sig => {
+      const program = BitcoinUtils.p2wpkhScript(BitcoinUtils.hash160(sig.pubkey));
+      return PsbtUtils.equal(utxo.script, program) || PsbtUtils.equal(utxo.script, BitcoinUtils.p2shScript(program));
+    });
+    if (!partial) {
+      throw new Error(`Input ${index} has no signature for its key`);
+    }
+
+    const program = BitcoinUtils.p2wpkhScript(BitcoinUtils.hash160(partial.pubkey));
+    input.finalScriptWitness = [partial.signature, partial.pubkey];
+    if (PsbtUtils.equal(utxo.script, program)) {
+      delete input.finalScriptSig;
+    } else {
+      input.finalScriptSig = new Uint8Array([program.length, ...program]);
+    }
+    input.partialSigs = [];
+    input.bip32Derivation = [];
+    delete input.sighashType;
+    delete input.redeemScript;
+    delete input.witnessScript;
+  }
+
+  /**
+   * Whether an input carries its final scriptSig or witness
+   */
+  static isInputFinalized(input: PsbtInput): boolean {
+    return input.finalScriptSig !== undefined || input.finalScriptWitness !== undefined;
+  }
+
+  /**
+   * Signed transaction hex, ready for sendrawtransaction, once every input is finalized
+   *
+   * @throws Error naming the first input that is not finalized
+   */
+  static extractTransaction(psbt: Psbt): string {
+    const pending = psbt.inputs.findIndex(input => !PsbtUtils.isInputFinalized(input));
+    if (pending !== -1) {
+      throw new Error(`Input ${pending} is not finalized`);
+    }
+    const tx: BitcoinTransaction = {
+      ...psbt.tx,
+      inputs: psbt.tx.inputs.map((input, index) => ({
+        ...input,
+        scriptSig: psbt.inputs[index].finalScriptSig ?? new Uint8Array(0),
+        witness: psbt.inputs[index].finalScriptWitness ?? []
+      }))
+    };
+    return bytesToHex(PsbtUtils.serializeTransaction(tx, true));
+  }
+
+  /**
+   * BIP-143 signature hash of a segwit version 0 input
+   *
+   * @param scriptCode - Script being satisfied without its length prefix, the P2PKH script of the key for P2WPKH
+   * @param amount - Satoshis of the spent output
+   */
+  static segwitSighash(tx: BitcoinTransaction, index: number, scriptCode: Uint8Array, amount: bigint, sighashType: number): Uint8Array {
+    const baseType = sighashType & 0x1f;
+    const anyoneCanPay = (sighashType & SIGHASH_ANYONECANPAY) !== 0;
+    if (baseType < SIGHASH_ALL || baseType > SIGHASH_SINGLE || (sighashType & ~(0x1f | SIGHASH_ANYONECANPAY)) !== 0) {
+      throw new Error(`Unsupported sighash type ${sighashType}`);
+    }
+    const input = tx.inputs[index];
+    if (!input) {
+      throw new Error(`Transaction has no input ${index}`);
+    }
+
+    const zero: Uint8Array = new Uint8Array(32);
+    const hashPrevouts = anyoneCanPay
+      ? zero
+      : BitcoinUtils.sha256d(concatBytes(...tx.inputs.map(item => PsbtUtils.serializeOutpoint(item))));
+    const hashSequence = anyoneCanPay || baseType !== SIGHASH_ALL
+      ? zero
+      : BitcoinUtils.sha256d(concatBytes(...tx.inputs.map(item => PsbtUtils.uint32LE(item.sequence))));
+    let hashOutputs: Uint8Array = zero;
+    if (baseType === SIGHASH_ALL) {
+      hashOutputs = BitcoinUtils.sha256d(concatBytes(...tx.outputs.map(output => PsbtUtils.serializeOutput(output))));
+    } else if (baseType === SIGHASH_SINGLE && index < tx.outputs.length) {
+      hashOutputs = BitcoinUtils.sha256d(PsbtUtils.serializeOutput(tx.outputs[index]));
+    }
+
+    return BitcoinUtils.sha256d(concatBytes(
+      PsbtUtils.uint32LE(tx.version),
+      hashPrevouts,
+      hashSequence,
+      PsbtUtils.serializeOutpoint(input),
+      BitcoinUtils.encodeVarInt(scriptCode.length),
+      scriptCode,
+      PsbtUtils.uint64LE(amount),
+      PsbtUtils.uint32LE(input.sequence),
+      hashOutputs,
+      PsbtUtils.uint32LE(tx.locktime),
+      PsbtUtils.uint32LE(sighashType)
+    ));
+  }
+
+  /**
+   * Parse a serialized transaction, with or without segwit marker and witnesses
+   */
+  static parseTransaction(bytes: Uint8Array): BitcoinTransaction {
+    const reader = new ByteReader(bytes);
+    const version = reader.readUint32();
+    let segwit = false;
+    if (reader.peekByte() === 0x00) {
+      reader.readByte();
+      if (reader.readByte() !== 0x01) {
+        throw new Error('Transaction has an invalid segwit flag');
+      }
+      segwit = true;
+    }
+
+    const inputs: BitcoinTxInput[] = [];
+    const inputCount = reader.readVarInt();
+    for (let i = 0; i < inputCount; i++) {
+      const hash = reader.read(32);
+      inputs.push({
+        txid: bytesToHex(hash.slice().reverse()),
+        vout: reader.readUint32(),
+        scriptSig: reader.read(reader.readVarInt()),
+        sequence: reader.readUint32(),
+        witness: []
+      });
+    }
+    const outputs: BitcoinTxOutput[] = [];
+    const outputCount = reader.readVarInt();
+    for (let i = 0; i < outputCount; i++) {
+      const amount = reader.readUint64();
+      outputs.push({ amount, script: reader.read(reader.readVarInt()) });
+    }
+    if (segwit) {
+      for (const input of inputs) {
+        const items = reader.readVarInt();
+        for (let i = 0; i < items; i++) {
+          input.witness.push(reader.read(reader.readVarInt()));
+        }
+      }
+    }
+    const locktime = reader.readUint32();
+    if (!reader.isAtEnd()) {
+      throw new Error('Transaction has trailing data');
+    }
+    return { version, inputs, outputs, locktime };
+  }
+
+  /**
+   * Serialize a transaction; witnesses are included when asked for and any input has one
+   */
+  static serializeTransaction(tx: BitcoinTransaction, withWitness: boolean = true): Uint8Array {
+    const segwit = withWitness && tx.inputs.some(input => input.witness.length > 0);
+    const parts: Uint8Array[] = [PsbtUtils.uint32LE(tx.version)];
+    if (segwit) {
+      parts.push(new Uint8Array([0x00, 0x01]));
+    }
+    parts.push(BitcoinUtils.encodeVarInt(tx.inputs.length));
+    for (const input of tx.inputs) {
+      parts.push(
+        PsbtUtils.serializeOutpoint(input),
+        BitcoinUtils.encodeVarInt(input.scriptSig.length),
+        input.scriptSig,
+        PsbtUtils.uint32LE(input.sequence)
+      );
+    }
+    parts.push(BitcoinUtils.encodeVarInt(tx.outputs.length));
+    for (const output of tx.outputs) {
+      parts.push(PsbtUtils.serializeOutput(output));
+    }
+    if (segwit) {
+      for (const input of tx.inputs) {
+        parts.push(PsbtUtils.serializeWitness(input.witness));
+      }
+    }
+    parts.push(PsbtUtils.uint32LE(tx.locktime));
+    return concatBytes(...parts);
+  }
+
+  /**
+   * Transaction id, hex as explorers show it
+   *
+   * @param tx - Parsed transaction or its serialization as hex
+   */
+  static getTxid(tx: BitcoinTransaction | string): string {
+    const parsed = typeof tx === 'string' ? PsbtUtils.parseTransaction(hexToBytes(tx)) : tx;
+    return bytesToHex(BitcoinUtils.sha256d(PsbtUtils.serializeTransaction(parsed, false)).reverse());
+  }
+
+  private static getInput(psbt: Psbt, index: number): PsbtInput {
+    const input = psbt.inputs[index];
+    if (!input) {
+      throw new Error(`PSBT has no input ${index}`);
+    }
+    return input;
+  }
+
+  private static readMap(reader: ByteReader): PsbtKeyValue[] {
+    const entries: PsbtKeyValue[] = [];
+    const seen = new Set<string>();
+    for (;;) {
+      const keyLength = reader.readVarInt();
+      if (keyLength === 0) {
+        return entries;
+      }
+      const key = reader.read(keyLength);
+      const value = reader.read(reader.readVarInt());
+      const id = bytesToHex(key);
+      if (seen.has(id)) {
+        throw new Error(`PSBT has a duplicate key ${id}`);
+      }
+      seen.add(id);
+      entries.push({ key, value });
+    }
+  }
+
+  private static writeMap(writer: ByteWriter, entries: PsbtKeyValue[]): void {
+    for (const { key, value } of entries) {
+      writer.write(BitcoinUtils.encodeVarInt(key.length));
+      writer.write(key);
+      writer.write(BitcoinUtils.encodeVarInt(value.length));
+      writer.write(value);
+    }
+    writer.write(new Uint8Array([0x00]));
+  }
+
+  private static parseInput(entries: PsbtKeyValue[]): PsbtInput {
+    const input: PsbtInput = { partialSigs: [], bip32Derivation: [], unknown: [] };
+    for (const { key, value } of entries) {
+      const type = key[0];
+      const keyData = key.slice(1);
+      const single = keyData.length === 0;
+      if (type === IN_NON_WITNESS_UTXO && single) {
+        input.nonWitnessUtxo = value;
+      } else if (type === IN_WITNESS_UTXO && single) {
+        const reader = new ByteReader(value);
+        input.witnessUtxo = { amount: reader.readUint64(), script: reader.read(reader.readVarInt()) };
+      } else if (type === IN_PARTIAL_SIG && (keyData.length === 33 || keyData.length === 65)) {
+        input.partialSigs.push({ pubkey: keyData, signature: value });
+      } else if (type === IN_SIGHASH_TYPE && single) {
+        input.sighashType = new ByteReader(value).readUint32();
+      } else if (type === IN_REDEEM_SCRIPT && single) {
+        input.redeemScript = value;
+      } else if (type === IN_WITNESS_SCRIPT && single) {
+        input.witnessScript = value;
+      } else if (type === IN_BIP32_DERIVATION && (keyData.length === 33 || keyData.length === 65)) {
+        input.bip32Derivation.push(PsbtUtils.parseDerivation(keyData, value));
+      } else if (type === IN_FINAL_SCRIPTSIG && single) {
+        input.finalScriptSig = value;
+      } else if (type === IN_FINAL_SCRIPTWITNESS && single) {
+        const reader = new ByteReader(value);
+        const count = reader.readVarInt();
+        input.finalScriptWitness = Array.from({ length: count }, () => reader.read(reader.readVarInt()));
+      } else {
+        input.unknown.push({ key, value });
+      }
+    }
+    return input;
+  }
+
+  private static parseOutput(entries: PsbtKeyValue[]): PsbtOutput {
+    const output: PsbtOutput = { bip32Derivation: [], unknown: [] };
+    for (const { key, value } of entries) {
+      const type = key[0];
+      const keyData = key.slice(1);
+      if (type === OUT_REDEEM_SCRIPT && keyData.length === 0) {
+        output.redeemScript = value;
+      } else if (type === OUT_WITNESS_SCRIPT && keyData.length === 0) {
+        output.witnessScript = value;
+      } else if (type === OUT_BIP32_DERIVATION && (keyData.length === 33 || keyData.length === 65)) {
+        output.bip32Derivation.push(PsbtUtils.parseDerivation(keyData, value));
+      } else {
+        output.unknown.push({ key, value });
+      }
+    }
+    return output;
+  }
+
+  private static parseDerivation(pubkey: Uint8Array, value: Uint8Array): PsbtBip32Derivation {
+    if (value.length < 4 || value.length % 4 !== 0) {
+      throw new Error('PSBT BIP32 derivation has an invalid length');
+    }
+    const reader = new ByteReader(value);
+    const fingerprint = ((value[0] << 24) | (value[1] << 16) | (value[2] << 8) | value[3]) >>> 0;
+    reader.read(4);
+    const path = Array.from({ length: value.length / 4 - 1 }, () => reader.readUint32());
+    return { pubkey, fingerprint, path };
+  }
+
+  private static derivationEntries(type: number, derivations: PsbtBip32Derivation[]): PsbtKeyValue[] {
+    return derivations.map(derivation => PsbtUtils.entry(type, concatBytes(
+      new Uint8Array([derivation.fingerprint >>> 24, (derivation.fingerprint >>> 16) & 0xff, (derivation.fingerprint >>> 8) & 0xff, derivation.fingerprint & 0xff]),
+      ...derivation.path.map(index => PsbtUtils.uint32LE(index))
+    ), derivation.pubkey));
+  }
+
+  private static entry(type: number, value: Uint8Array, keyData: Uint8Array = new Uint8Array(0)): PsbtKeyValue {
+    return { key: new Uint8Array([type, ...keyData]), value };
+  }
+
+  private static serializeOutpoint(input: BitcoinTxInput): Uint8Array {
+    return concatBytes(hexToBytes(input.txid).reverse(), PsbtUtils.uint32LE(input.vout));
+  }
+
+  private static serializeOutput(output: BitcoinTxOutput): Uint8Array {
+    return concatBytes(PsbtUtils.uint64LE(output.amount), BitcoinUtils.encodeVarInt(output.script.length), output.script);
+  }
+
+  private static serializeWitness(items: Uint8Array[]): Uint8Array {
+    return concatBytes(
+      BitcoinUtils.encodeVarInt(items.length),
+      ...items.flatMap(item => [BitcoinUtils.encodeVarInt(item.length), item])
+    );
+  }
+
+  private static uint32LE(value: number): Uint8Array {
+    return new Uint8Array([value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff]);
+  }
+
+  private static uint64LE(value: bigint): Uint8Array {
+    if (value < 0n || value >= 1n << 64n) {
+      throw new Error(`Amount ${value} is out of range`);
+    }
+    return Uint8Array.from({ length: 8 }, (_, i) => Number((value >> BigInt(8 * i)) & 0xffn));
+  }
+
+  private static equal(a: Uint8Array, b: Uint8Array): boolean {
+    return a.length === b.length && a.every((byte, i) => byte === b[i]);
+  }
+}
+
+/**
+ * Sequential reader of little-endian Bitcoin serializations
+ */
+class ByteReader {
+  private offset = 0;
+
+  constructor(private bytes: Uint8Array) {}
+
+  isAtEnd(): boolean {
+    return this.offset === this.bytes.length;
+  }
+
+  peekByte(): number {
+    if (this.offset >= this.bytes.length) {
+      throw new Error('Unexpected end of data');
+    }
+    return this.bytes[this.offset];
+  }
+
+  readByte(): number {
+    const byte = this.peekByte();
+    this.offset++;
+    return byte;
+  }
+
+  read(length: number): Uint8Array {
+    if (this.offset + length > this.bytes.length) {
+      throw new Error('Unexpected end of data');
+    }
+    const bytes = this.bytes.slice(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+
+  readUint32(): number {
+    const bytes = this.read(4);
+    return (bytes[0] | (bytes[1] << 8) | (bytes[2] << 16) | (bytes[3] << 24)) >>> 0;
+  }
+
+  readUint64(): bigint {
+    return this.read(8).reduceRight((value, byte) => (value << 8n) | BigInt(byte), 0n);
+  }
+
+  readVarInt(): number {
+    const first = this.readByte();
+    if (first < 0xfd) {
+      return first;
+    }
+    if (first === 0xfd) {
+      const bytes = this.read(2);
+      return bytes[0] | (bytes[1] << 8);
+    }
+    if (first === 0xfe) {
+      return this.readUint32();
+    }
+    const value = this.readUint64();
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new Error('Varint out of range');
+    }
+    return Number(value);
+  }
+}
+
+/**
+ * Growing byte buffer
+ */
+class ByteWriter {
+  private parts: Uint8Array[] = [];
+
+  write(bytes: Uint8Array): void {
+    this.parts.push(bytes);
+  }
+
+  toBytes(): Uint8Array {
+    return concatBytes(...this.parts);
+  }
+}
@@ -0,0 +1,316 @@
+/**
+ * Ethereum Account Utilities
+ *
+ * An Ethereum address is the last 20 bytes of the keccak-256 hash of the
+ * uncompressed public key without its 0x04 prefix, written with the EIP-55
+ * mixed-case checksum. Wallets sign either a personal message (EIP-191 version
+ * 0x45, personal_sign) or typed structured data (EIP-712, eth_signTypedData_v4);
+ * both reduce to a 32-byte hash that the MPC ceremony signs like any other. The
+ * 65-byte r || s || v signature wallets return uses v = 27 + recovery id.
+ */
+
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { keccak_256 } from '@noble/hashes/sha3';
+import { hexToBytes, bytesToHex, concatBytes } from '../utils/hex';
+
+const PERSONAL_MESSAGE_PREFIX = '\x19Ethereum Signed Message:\n';
+
+// Field order of an EIP712Domain inferred from the domain values
+const DOMAIN_FIELDS: TypedDataField[] = [
+  { name: 'name', type: 'string' },
+  { name: 'version', type: 'string' },
+  { name: 'chainId', type: 'uint256' },
+  { name: 'verifyingContract', type: 'address' },
+  { name: 'salt', type: 'bytes32' }
+];
+
+export interface TypedDataField {
+  name: string;
+  type: string;
+}
+
+/**
+ * EIP-712 typed data, as passed to eth_signTypedData_v4
+ * types.EIP712Domain may be omitted, it is then inferred from the domain fields
+ */
+export interface TypedData {
+  types: Record<string, TypedDataField[]>;
+  primaryType: string;
+  domain: Record<string, unknown>;
+  message: Record<string, unknown>;
+}
+
+/**
+ * Keccak-256, address derivation, EIP-55 checksums and EIP-191 / EIP-712 hashing
+ */
+export class EthereumUtils {
+  /**
+   * Keccak-256 hash (the pre-standard SHA-3 Ethereum uses), strings are hashed as UTF-8
+   */
+  static keccak256(data: Uint8Array | string): Uint8Array {
+    return keccak_256(typeof data === 'string' ? new TextEncoder().encode(data) : data);
+  }
+
+  /**
+   * Checksummed address of a secp256k1 public key
+   *
+   * @param publicKey - Compressed or uncompressed public key, bytes or hex
+   */
+  static publicKeyToAddress(publicKey: Uint8Array | string): string {
+    const key = typeof publicKey === 'string' ? hexToBytes(publicKey) : publicKey;
+    const uncompressed = secp256k1.ProjectivePoint.fromHex(key).toRawBytes(false);
+    const hash = EthereumUtils.keccak256(uncompressed.slice(1));
+    return EthereumUtils.toChecksumAddress(bytesToHex(hash.slice(12)));
+  }
+
+  /**
+   * EIP-55 mixed-case form of an address
+   *
+   * @throws Error if the address is not 20 bytes of hex
+   */
+  static toChecksumAddress(address: string): string {
+    const clean = address.startsWith('0x') || address.startsWith('0X') ? address.slice(2) : address;
+    if (!/^[0-9a-fA-F]{40}$/.test(clean)) {
+      throw new Error(`Invalid address ${address}: expected 20 bytes of hex`);
+    }
+    const lower = clean.toLowerCase();
+    const hash = bytesToHex(EthereumUtils.keccak256(lower));
+    let checksummed = '0x';
+    for (let i = 0; i < lower.length; i++) {
+      checksummed += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+    }
+    return checksummed;
+  }
+
+  /**
+   * Whether a string is an address; mixed-case addresses must carry a valid checksum
+   */
+  static isValidAddress(address: string): boolean {
+    if (typeof address !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+      return false;
+    }
+    const body = address.slice(2);
+    if (body === body.toLowerCase() || body === body.toUpperCase()) {
+      return true;
+    }
+    return EthereumUtils.toChecksumAddress(address) === address;
+  }
+
+  /**
+   * EIP-191 personal_sign hash: keccak256("\x19Ethereum Signed Message:\n" + length + message)
+   *
+   * @param message - Text (hashed as UTF-8) or raw bytes
+   */
+  static hashPersonalMessage(message: string | Uint8Array): Uint8Array {
+    const bytes = typeof message === 'string' ? new TextEncoder().encode(message) : message;
+    const prefix = new TextEncoder().encode(`${PERSONAL_MESSAGE_PREFIX}${bytes.length}`);
+    return EthereumUtils.keccak256(concatBytes(prefix, bytes));
+  }
+
+  /**
+   * EIP-712 hash: keccak256(0x19 0x01 || domainSeparator || hashStruct(message))
+   *
+   * @throws Error for unknown types, missing fields or values out of range
+   */
+  static hashTypedData(typedData: TypedData): Uint8Array {
+    const types = EthereumUtils.withDomainType(typedData);
+    const parts = [new Uint8Array([0x19, 0x01]), EthereumUtils.hashStruct('EIP712Domain', typedData.domain, types)];
+    if (typedData.primaryType !== 'EIP712Domain') {
+      parts.push(EthereumUtils.hashStruct(typedData.primaryType, typedData.message, types));
+    }
+    return EthereumUtils.keccak256(concatBytes(...parts));
+  }
+
+  /**
+   * EIP-712 domain separator, hashStruct(EIP712Domain, domain)
+   */
+  static hashDomain(typedData: Pick<TypedData, 'types' | 'domain'>): Uint8Array {
+    return EthereumUtils.hashStruct('EIP712Domain', typedData.domain, EthereumUtils.withDomainType(typedData));
+  }
+
+  /**
+   * EIP-712 hashStruct: keccak256(typeHash || encodeData(data))
+   */
+  static hashStruct(primaryType: string, data: Record<string, unknown>, types: Record<string, TypedDataField[]>): Uint8Array {
+    const fields = types[primaryType];
+    if (!fields) {
+      throw new Error(`Unknown EIP-712 type ${primaryType}`);
+    }
+    if (!data || typeof data !== 'object') {
+      throw new Error(`EIP-712 value of ${primaryType} must be an object`);
+    }
+
+    const encoded = [EthereumUtils.keccak256(EthereumUtils.encodeType(primaryType, types))];
+    for (const field of fields) {
+      if (data[field.name] === undefined || data[field.name] === null) {
+        throw new Error(`EIP-712 ${primaryType}.${field.name} is missing`);
+      }
+      encoded.push(EthereumUtils.encodeValue(field.type, data[field.name], types));
+    }
+    return EthereumUtils.keccak256(concatBytes(...encoded));
+  }
+
+  /**
+   * EIP-712 encodeType: the primary type followed by its referenced struct types in alphabetical order
+   * e.g. "Mail(Person from,Person to,string contents)Person(string name,address wallet)"
+   */
+  static encodeType(primaryType: string, types: Record<string, TypedDataField[]>): string {
+    const dependencies = new Set<string>();
+    EthereumUtils.collectDependencies(primaryType, types, dependencies);
+    dependencies.delete(primaryType);
+
+    return [primaryType, ...Array.from(dependencies).sort()]
+      .map(name => `${name}(${types[name].map(field => `${field.type} ${field.name}`).join(',')})`)
+      .join('');
+  }
+
+  /**
+   * 65-byte r || s || v signature with v = 27 + recovery id, as personal_sign and eth_signTypedData return it
+   *
+   * @param signature - Low-S r and s with their recovery id, e.g. a SignResult
+   */
+  static toRpcSignature(signature: { r: Uint8Array; s: Uint8Array; recoveryId: number }): string {
+    if (signature.r.length !== 32 || signature.s.length !== 32) {
+      throw new Error('Signature r and s must be 32 bytes each');
+    }
+    if (!Number.isInteger(signature.recoveryId) || signature.recoveryId < 0 || signature.recoveryId > 1) {
+      throw new Error(`Recovery id ${signature.recoveryId} cannot be expressed as an Ethereum v`);
+    }
+    return '0x' + bytesToHex(concatBytes(signature.r, signature.s, new Uint8Array([27 + signature.recoveryId])));
+  }
+
+  /**
+   * Types including an EIP712Domain, inferred from the domain values when absent
+   */
+  private static withDomainType(typedData: Pick<TypedData, 'types' | 'domain'>): Record<string, TypedDataField[]> {
+    if (typedData.types.EIP712Domain) {
+      return typedData.types;
+    }
+    const domain = typedData.domain ?? {};
+    return {
+      ...typedData.types,
+      EIP712Domain: DOMAIN_FIELDS.filter(field => domain[field.name] !== undefined)
+    };
+  }
+
+  private static collectDependencies(type: string, types: Record<string, TypedDataField[]>, found: Set<string>): void {
+    const base = type.replace(/(\[\d*\])+$/, '');
+    if (found.has(base) || !types[base]) {
+      return;
+    }
+    found.add(base);
+    for (const field of types[base]) {
+      EthereumUtils.collectDependencies(field.type, types, found);
+    }
+  }
+
+  /**
+   * 32-byte encoding of one field value
+   */
+  private static encodeValue(type: string, value: unknown, types: Record<string, TypedDataField[]>): Uint8Array {
+    if (types[type]) {
+      return EthereumUtils.hashStruct(type, value as Record<string, unknown>, types);
+    }
+
+    const array = type.match(/^(.*)\[(\d*)\]$/);
+    if (array) {
+      if (!Array.isArray(value)) {
+        throw new Error(`EIP-712 value of ${type} must be an array`);
+      }
+      if (array[2] !== '' && value.length !== Number(array[2])) {
+        throw new Error(`EIP-712 value of ${type} must have ${array[2]} elements, got ${value.length}`);
+      }
+      return EthereumUtils.keccak256(concatBytes(...value.map(item => EthereumUtils.encodeValue(array[1], item, types))));
+    }
+
+    if (type === 'string') {
+      if (typeof value !== 'string') {
+        throw new Error('EIP-712 string value must be a string');
+      }
+      return EthereumUtils.keccak256(value);
+    }
+    if (type === 'bytes') {
+      return EthereumUtils.keccak256(EthereumUtils.toBytes(value, type));
+    }
+    if (type === 'bool') {
+      if (typeof value !== 'boolean') {
+        throw new Error('EIP-712 bool value must be a boolean');
+      }
+      return EthereumUtils.encodeInteger(value ? 1n : 0n, 8, false);
+    }
+    if (type === 'address') {
+      if (typeof value !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(value)) {
+        throw new Error(`EIP-712 address value ${String(value)} must be 20 bytes of 0x hex`);
+      }
+      return EthereumUtils.leftPad(hexToBytes(value));
+    }
+
+    const integer = type.match(/^(u?)int(\d*)$/);
+    if (integer) {
+      const bits = integer[2] === '' ? 256 : Number(integer[2]);
+      if (bits < 8 || bits > 256 || bits % 8 !== 0) {
+        throw new Error(`Unknown EIP-712 type ${type}`);
+      }
+      return EthereumUtils.encodeInteger(EthereumUtils.toBigInt(value, type), bits, integer[1] === '');
+    }
+
+    const fixedBytes = type.match(/^bytes(\d+)$/);
+    if (fixedBytes) {
+      const length = Number(fixedBytes[1]);
+      const bytes = EthereumUtils.toBytes(value, type);
+      if (length < 1 || length > 32) {
+        throw new Error(`Unknown EIP-712 type ${type}`);
+      }
+      if (bytes.length !== length) {
+        throw new Error(`EIP-712 value of ${type} must be ${length} bytes, got ${bytes.length}`);
+      }
+      const padded = new Uint8Array(32);
+      padded.set(bytes);
+      return padded;
+    }
+
+    throw new Error(`Unknown EIP-712 type ${type}`);
+  }
+
+  /**
+   * Two's complement 32-byte big-endian encoding of an integer of the given width
+   */
+  private static encodeInteger(value: bigint, bits: number, signed: boolean): Uint8Array {
+    const min = signed ? -(1n << BigInt(bits - 1)) : 0n;
+    const max = signed ? (1n << BigInt(bits - 1)) - 1n : (1n << BigInt(bits)) - 1n;
+    if (value < min || value > max) {
+      throw new Error(`EIP-712 value ${value} is out of range for ${signed ? 'int' : 'uint'}${bits}`);
+    }
+    const unsigned = value < 0n ? (1n << 256n) + value : value;
+    return hexToBytes(unsigned.toString(16).padStart(64, '0'));
+  }
+
+  private static toBigInt(value: unknown, type: string): bigint {
+    if (typeof value === 'bigint') {
+      return value;
+    }
+    if (typeof value === 'number' && Number.isSafeInteger(value)) {
+      return BigInt(value);
+    }
+    if (typeof value === 'string' && /^(-?\d+|0x[0-9a-fA-F]+)$/.test(value)) {
+      return BigInt(value);
+    }
+    throw new Error(`EIP-712 value ${String(value)} is not a valid ${type}`);
+  }
+
+  private static toBytes(value: unknown, type: string): Uint8Array {
+    if (value instanceof Uint8Array) {
+      return value;
+    }
+    if (typeof value === 'string' && /^0x([0-9a-fA-F]{2})*$/.test(value)) {
+      return hexToBytes(value);
+    }
+    throw new Error(`EIP-712 value of ${type} must be bytes or 0x hex`);
+  }
+
+  private static leftPad(bytes: Uint8Array): Uint8Array {
+    const padded = new Uint8Array(32);
+    padded.set(bytes, 32 - bytes.length);
+    return padded;
+  }
+}
@@ -0,0 +1,195 @@
+/**
+ * Party Identity Utilities
+ *
+ * A party is a long-lived secp256k1 keypair and its party ID is the hex encoded
+ * compressed public key. The key proves possession at registration and, kept in
+ * storage, gives the party the same ID in every group, keygen, signing and rotation.
+ * Two parties also derive their pairwise encryption keys from it with ECDH.
+ */
+
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha2';
+import { hexToBytes, bytesToHex } from '../utils/hex';
+
+export const IDENTITY_STORAGE_KEY = 'party_identity';
+const IDENTITY_VERSION = 1;
+const REGISTRATION_DOMAIN = 'defishard/register/v1';
+const PAIRWISE_DOMAIN = 'defishard/pairwise/v1';
+const STORAGE_DOMAIN = 'defishard/storage/v1';
+const REGISTRATION_MAX_AGE_MS = 5 * 60 * 1000;
+
+export interface PartyIdentity {
+  partyId: string;        // Hex compressed public key (66 characters)
+  publicKey: Uint8Array;  // 33-byte compressed public key
+  privateKey: Uint8Array; // 32-byte secret key, never leaves the device
+  createdAt: string;
+}
+
+// Sent to /party/register to prove the party holds the key behind its ID
+export interface RegistrationProof {
+  partyId: string;
+  timestamp: number;  // Milliseconds since epoch, limits replay of the proof
+  signature: string;  // Hex compact (r || s) signature over the registration challenge
+}
+
+/**
+ * Party identity keys: creation, persistence and signatures
+ */
+export class IdentityUtils {
+  /**
+   * Generate a new identity keypair
+   */
+  static generate(): PartyIdentity {
+    return IdentityUtils.fromPrivateKey(secp256k1.utils.randomPrivateKey());
+  }
+
+  /**
+   * Rebuild an identity from its private key
+   *
+   * @param privateKey - 32-byte secret key, as bytes or hex
+   * @param createdAt - Original creation time, defaults to now
+   */
+  static fromPrivateKey(privateKey: Uint8Array | string, createdAt: string = new Date().toISOString()): PartyIdentity {
+    const keyBytes = typeof privateKey === 'string' ? hexToBytes(privateKey) : privateKey;
+    if (!secp256k1.utils.isValidPrivateKey(keyBytes)) {
+      throw new Error('Invalid identity private key');
+    }
+    const publicKey = secp256k1.getPublicKey(keyBytes, true);
+    return {
+      partyId: bytesToHex(publicKey),
+      publicKey,
+      privateKey: keyBytes,
+      createdAt
+    };
+  }
+
+  /**
+   * Check that a party ID is a valid compressed secp256k1 public key
+   */
+  static isValidPartyId(partyId: string): boolean {
+    if (typeof partyId !== 'string' || !/^0[23][0-9a-fA-F]{64}$/.test(partyId)) {
+      return false;
+    }
+    try {
+      secp256k1.ProjectivePoint.fromHex(partyId);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Sign a message with the identity key (ECDSA over SHA-256, low-S)
+   *
+   * @returns Hex compact (r || s) signature
+   */
+  static sign(identity: PartyIdentity, message: Uint8Array): string {
+    const signature = secp256k1.sign(sha256(message), identity.privateKey);
+    return bytesToHex(signature.toCompactRawBytes());
+  }
+
+  /**
+   * Verify a signature made by the identity behind a party ID
+   */
+  static verify(partyId: string, message: Uint8Array, signature: string): boolean {
+    if (!IdentityUtils.isValidPartyId(partyId) || !/^[0-9a-fA-F]{128}$/.test(signature)) {
+      return false;
+    }
+    try {
+      return secp256k1.verify(hexToBytes(signature), sha256(message), hexToBytes(partyId));
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Create the proof of possession sent with /party/register
+   */
+  static createRegistrationProof(identity: PartyIdentity, timestamp: number = Date.now()): RegistrationProof {
+    return {
+      partyId: identity.partyId,
+      timestamp,
+      signature: IdentityUtils.sign(identity, IdentityUtils.registrationChallenge(identity.partyId, timestamp))
+    };
+  }
+
+  /**
+   * Verify a registration proof (as the relay does)
+   *
+   * @param proof - Proof received with the registration
+   * @param maxAgeMs - Accepted clock difference in either direction
+   */
+  static verifyRegistrationProof(proof: RegistrationProof, maxAgeMs: number = REGISTRATION_MAX_AGE_MS): boolean {
+    if (!proof || typeof proof.timestamp !== 'number' || Math.abs(Date.now() - proof.timestamp) > maxAgeMs) {
+      return false;
+    }
+    return IdentityUtils.verify(proof.partyId, IdentityUtils.registrationChallenge(proof.partyId, proof.timestamp), proof.signature);
+  }
+
+  /**
+   * Derive the AES-256 key two parties share for their point-to-point messages in a session
+   * ECDH between the identity keys, expanded with HKDF-SHA256 salted with the session id;
+   * both sides get the same key and it changes with every session
+   *
+   * @param identity - Our identity
+   * @param peerPartyId - Party ID (public key) of the other party
+   * @param sessionId - Session id both parties derived for the run
+   * @returns 32-byte key
+   */
+  static derivePairwiseKey(identity: PartyIdentity, peerPartyId: string, sessionId: string): Uint8Array {
+    if (!IdentityUtils.isValidPartyId(peerPartyId)) {
+      throw new Error(`Invalid peer party ID ${peerPartyId}`);
+    }
+    // Shared x-coordinate, without the prefix byte of the compressed point
+    const sharedSecret = secp256k1.getSharedSecret(identity.privateKey, hexToBytes(peerPartyId), true).slice(1);
+    const [first, second] = [identity.partyId, peerPartyId.toLowerCase()].sort();
+    const info = new TextEncoder().encode(`${PAIRWISE_DOMAIN}:${first}:${second}`);
+    return hkdf(sha256, sharedSecret, new TextEncoder().encode(sessionId), info, 32);
+  }
+
+  /**
+   * Derive the AES-256 key for data this party keeps in storage, such as session checkpoints
+   * HKDF-SHA256 over the identity key with one key per purpose; the data is as safe as the
+   * identity, which config.privateKey keeps out of storage altogether
+   *
+   * @param identity - Our identity
+   * @param purpose - What the key encrypts
+   * @returns 32-byte key
+   */
+  static deriveStorageKey(identity: PartyIdentity, purpose: string): Uint8Array {
+    const info = new TextEncoder().encode(`${STORAGE_DOMAIN}:${purpose}`);
+    return hkdf(sha256, identity.privateKey, undefined, info, 32);
+  }
+
+  /**
+   * Serialize an identity for storage
+   */
+  static serialize(identity: PartyIdentity): string {
+    return JSON.stringify({
+      version: IDENTITY_VERSION,
+      privateKey: bytesToHex(identity.privateKey),
+      partyId: identity.partyId,
+      createdAt: identity.createdAt
+    });
+  }
+
+  /**
+   * Restore an identity saved with serialize()
+   */
+  static deserialize(data: string): PartyIdentity {
+    const stored = JSON.parse(data);
+    if (stored.version !== IDENTITY_VERSION) {
+      throw new Error(`Unsupported identity version ${stored.version}`);
+    }
+    const identity = IdentityUtils.fromPrivateKey(stored.privateKey, stored.createdAt);
+    if (stored.partyId && stored.partyId !== identity.partyId) {
+      throw new Error('Stored identity does not match its private key');
+    }
+    return identity;
+  }
+
+  private static registrationChallenge(partyId: string, timestamp: number): Uint8Array {
+    return new TextEncoder().encode(`${REGISTRATION_DOMAIN}:${partyId.toLowerCase()}:${timestamp}`);
+  }
+}
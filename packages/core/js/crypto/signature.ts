@@ -0,0 +1,205 @@
+/**
+ * ECDSA Signature Encodings
+ *
+ * SignSession.combine() yields the raw [r, s] of a secp256k1 signature. This
+ * module turns it into the forms other tooling expects: low-S normalized r and
+ * s (BIP-62 / EIP-2, which Bitcoin and Ethereum nodes enforce), 64-byte compact
+ * r || s (JOSE ES256K), DER (Bitcoin scripts, X.509) and the recovery id that
+ * Ethereum's v and compact Bitcoin message signatures carry. The recovery id is
+ * found by matching the recovered key against the keyshare's public key.
+ */
+
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { hexToBytes } from '../utils/hex';
+
+const CURVE_ORDER = secp256k1.CURVE.n;
+
+/**
+ * A signature in every supported encoding, always low-S
+ */
+export interface FormattedSignature {
+  r: Uint8Array;          // 32 bytes
+  s: Uint8Array;          // 32 bytes, at most n/2
+  compact: Uint8Array;    // 64 bytes r || s
+  der: Uint8Array;        // ASN.1 DER SEQUENCE { r INTEGER, s INTEGER }
+  recoveryId: number;     // 0-3, selects the public key among the candidates r allows
+  normalized: boolean;    // Whether s was replaced by n - s
+}
+
+// Recoverable signature: 65 bytes r || s || v, or its parts
+export type RecoverableSignature =
+  | Uint8Array
+  | string
+  | { r: Uint8Array | string; s: Uint8Array | string; recoveryId: number };
+
+// Any signature form verify() reads
+export type VerifiableSignature =
+  | [Uint8Array, Uint8Array]
+  | Uint8Array
+  | string
+  | { r: Uint8Array | string; s: Uint8Array | string };
+
+/**
+ * Signature encoding, normalization, verification and public key recovery
+ */
+export class SignatureUtils {
+  /**
+   * Normalize a raw signature and compute all its encodings
+   *
+   * @param signature - Raw [r, s] as returned by SignSession.combine()
+   * @param messageHash - 32-byte hash that was signed
+   * @param publicKey - Compressed or uncompressed public key the signature must verify against
+   * @throws Error if the signature does not verify against the public key
+   */
+  static format(signature: [Uint8Array, Uint8Array], messageHash: Uint8Array, publicKey: Uint8Array): FormattedSignature {
+    const raw = SignatureUtils.fromRS(signature[0], signature[1]);
+    const normalized = raw.hasHighS();
+    const sig = normalized ? raw.normalizeS() : raw;
+    const recoveryId = SignatureUtils.computeRecoveryId(sig.toCompactRawBytes(), messageHash, publicKey);
+    const compact = sig.toCompactRawBytes();
+
+    return {
+      r: compact.slice(0, 32),
+      s: compact.slice(32),
+      compact,
+      der: sig.toDERRawBytes(),
+      recoveryId,
+      normalized
+    };
+  }
+
+  /**
+   * Verify an ECDSA signature over a 32-byte hash
+   * High-S signatures are accepted, the raw output of SignSession.combine() may have one
+   *
+   * @param signature - Raw [r, s], { r, s }, or bytes / hex of a 64-byte compact, 65-byte recoverable or DER signature
+   * @param publicKey - Compressed or uncompressed public key, bytes or hex
+   * @returns False for a malformed or non-matching signature
+   */
+  static verify(messageHash: Uint8Array, signature: VerifiableSignature, publicKey: Uint8Array | string): boolean {
+    try {
+      let sig;
+      if (Array.isArray(signature)) {
+        sig = SignatureUtils.fromRS(signature[0], signature[1]);
+      } else if (signature instanceof Uint8Array || typeof signature === 'string') {
+        const bytes = typeof signature === 'string' ? hexToBytes(signature) : signature;
+        sig = bytes.length === 64 || bytes.length === 65
+          ? secp256k1.Signature.fromCompact(bytes.slice(0, 64))
+          : secp256k1.Signature.fromDER(bytes);
+      } else {
+        const r = typeof signature.r === 'string' ? hexToBytes(signature.r) : signature.r;
+        const s = typeof signature.s === 'string' ? hexToBytes(signature.s) : signature.s;
+        sig = SignatureUtils.fromRS(r, s);
+      }
+      const key = typeof publicKey === 'string' ? hexToBytes(publicKey) : publicKey;
+      return secp256k1.verify(sig.toCompactRawBytes(), messageHash, key, { lowS: false });
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Low-S form of a 64-byte compact signature, returned unchanged if already low
+   */
+  static normalizeS(compact: Uint8Array): Uint8Array {
+    const sig = secp256k1.Signature.fromCompact(compact);
+    return sig.hasHighS() ? sig.normalizeS().toCompactRawBytes() : compact;
+  }
+
+  /**
+   * Whether s of a 64-byte compact signature is above n/2
+   */
+  static hasHighS(compact: Uint8Array): boolean {
+    return secp256k1.Signature.fromCompact(compact).hasHighS();
+  }
+
+  /**
+   * DER encoding of a 64-byte compact signature
+   */
+  static compactToDER(compact: Uint8Array): Uint8Array {
+    return secp256k1.Signature.fromCompact(compact).toDERRawBytes();
+  }
+
+  /**
+   * 64-byte compact form of a DER signature
+   *
+   * @throws Error if the bytes are not strict DER
+   */
+  static derToCompact(der: Uint8Array): Uint8Array {
+    return secp256k1.Signature.fromDER(der).toCompactRawBytes();
+  }
+
+  /**
+   * Recovery id (0-3) under which a signature recovers the given public key
+   *
+   * @throws Error if no recovery id yields the key, i.e. the signature is not by that key
+   */
+  static computeRecoveryId(compact: Uint8Array, messageHash: Uint8Array, publicKey: Uint8Array): number {
+    const expected = secp256k1.ProjectivePoint.fromHex(publicKey);
+    const sig = secp256k1.Signature.fromCompact(compact);
+    for (let recoveryId = 0; recoveryId < 4; recoveryId++) {
+      try {
+        if (sig.addRecoveryBit(recoveryId).recoverPublicKey(messageHash).equals(expected)) {
+          return recoveryId;
+        }
+      } catch {
+        // No point for this candidate x coordinate
+      }
+    }
+    throw new Error('Signature does not match the public key');
+  }
+
+  /**
+   * Public key that produced a recoverable signature
+   *
+   * @param messageHash - 32-byte hash that was signed
+   * @param signature - 65 bytes (or hex) r || s || v with v in 0-3 or 27-30, or { r, s, recoveryId }
+   * @param compressed - Return the 33-byte compressed key (default) or the 65-byte uncompressed one
+   * @throws Error if the signature is malformed or recovers no key
+   */
+  static recoverPublicKey(messageHash: Uint8Array, signature: RecoverableSignature, compressed: boolean = true): Uint8Array {
+    let r: Uint8Array;
+    let s: Uint8Array;
+    let recoveryId: number;
+    if (signature instanceof Uint8Array || typeof signature === 'string') {
+      const bytes = typeof signature === 'string' ? hexToBytes(signature) : signature;
+      if (bytes.length !== 65) {
+        throw new Error(`Recoverable signature must be 65 bytes, got ${bytes.length}`);
+      }
+      r = bytes.slice(0, 32);
+      s = bytes.slice(32, 64);
+      recoveryId = bytes[64] >= 27 ? bytes[64] - 27 : bytes[64];
+    } else {
+      r = typeof signature.r === 'string' ? hexToBytes(signature.r) : signature.r;
+      s = typeof signature.s === 'string' ? hexToBytes(signature.s) : signature.s;
+      recoveryId = signature.recoveryId;
+    }
+    if (!Number.isInteger(recoveryId) || recoveryId < 0 || recoveryId > 3) {
+      throw new Error(`Invalid recovery id ${recoveryId}`);
+    }
+
+    return SignatureUtils.fromRS(r, s)
+      .addRecoveryBit(recoveryId)
+      .recoverPublicKey(messageHash)
+      .toRawBytes(compressed);
+  }
+
+  /**
+   * Signature from big-endian r and s of up to 32 bytes each
+   */
+  private static fromRS(r: Uint8Array, s: Uint8Array) {
+    const rValue = SignatureUtils.toBigInt(r);
+    const sValue = SignatureUtils.toBigInt(s);
+    if (rValue <= 0n || rValue >= CURVE_ORDER || sValue <= 0n || sValue >= CURVE_ORDER) {
+      throw new Error('Signature r and s must be in [1, n-1]');
+    }
+    return new secp256k1.Signature(rValue, sValue);
+  }
+
+  private static toBigInt(bytes: Uint8Array): bigint {
+    if (bytes.length === 0 || bytes.length > 32) {
+      throw new Error(`Signature scalar must be 1-32 bytes, got ${bytes.length}`);
+    }
+    return bytes.reduce((value, byte) => (value << 8n) | BigInt(byte), 0n);
+  }
+}
@@ -1,5 +1,12 @@
-import { ProtocolMessage, GroupInfo } from '../types';
+import { ProtocolMessage, GroupInfo, ProcessorCheckpoint, SessionType, MissingParty, RoundTimeoutInfo, ProgressEvent, ProgressStage, MisbehaviorReason, MisbehaviorReport, ErrorType } from '../types';
 import { EventEmitter } from '../events';
+import { DeFiShArdError } from '../errors';
+import { validateCbor } from '../utils/cbor';
+import { sha256Hex } from '../utils/message-id';
+
+export const DEFAULT_ROUND_TIMEOUT_MS = 60000;
+export const DEFAULT_SESSION_TIMEOUT_MS = 300000;
+export const MAX_PAYLOAD_BYTES = 1024 * 1024; // Largest accepted WASM message payload
 
 export interface BaseProcessorConfig {
   groupInfo: GroupInfo;
@@ -8,10 +15,15 @@ export interface BaseProcessorConfig {
   groupId: string;
   debug?: boolean;
   apiKey?: string; // API key for the group
+  roundTimeoutMs?: number; // Max wait for the messages of one round (0 disables)
+  sessionTimeoutMs?: number; // Max duration of the whole session after START (0 disables)
 }
 
 export interface BaseProcessorEvents {
   'round-complete': (round: number, messages: ProtocolMessage[]) => void;
+  'round-timeout': (info: RoundTimeoutInfo) => void;
+  'progress': (progress: ProgressEvent) => void;
+  'party-misbehaved': (report: MisbehaviorReport) => void;
   'error': (error: Error) => void;
 }
 
@@ -29,8 +41,13 @@ export abstract class BaseProcessor extends EventEmitter {
   protected currentRound = 0;
   protected isComplete = false;
   protected roundStates: Map<number, RoundState> = new Map();
-  protected receivedMessageHashes: Set<number> = new Set();
+  protected receivedMessageHashes: Set<string> = new Set();
   protected debug: boolean;
+  private roundTimer: ReturnType<typeof setTimeout> | null = null;
+  private sessionTimer: ReturnType<typeof setTimeout> | null = null;
+  private timedRound = -1;
+  private startedAt: number | null = null;
+  protected misbehaviorReports: MisbehaviorReport[] = [];
 
   constructor(config: BaseProcessorConfig) {
     super();
@@ -52,8 +69,17 @@ export abstract class BaseProcessor extends EventEmitter {
     try {
       // Handle START message
       if (message.round === 0 && (message.content === 'start' || message.content === 'START')) {
+        // A resumed session is already past round 0, the relay may send START again on reconnect
+        if (this.currentRound > 0) {
+          return [];
+        }
         // Start message received
-        return await this.startRound(0);
+        this.startedAt = Date.now();
+        this.startSessionTimer();
+        this.emitProgress('start', 0);
+        const responses = await this.startRound(0);
+        this.armRoundTimer();
+        return responses;
       }
 
       // Handle END message from server (new format with status codes)
@@ -103,12 +129,37 @@ export abstract class BaseProcessor extends EventEmitter {
       }
       this.receivedMessageHashes.add(messageHash);
 
+      // Point-to-point messages for other parties are not ours to judge
+      if (message.to_id !== '0' && message.to_id !== this.config.partyId) {
+        return [];
+      }
+
+      // Reject malformed messages individually and blame the sender
+      const rejection = this.validateMessage(message);
+      if (rejection) {
+        this.reportMisbehavior(message.from_id, message.round, rejection.reason, rejection.detail);
+        return [];
+      }
+
       // Store message for the message's round
       const messageRound = message.round;
       if (!this.roundStates.has(messageRound)) {
         this.roundStates.set(messageRound, { messages: [], processed: false, emitted: false });
       }
-      this.roundStates.get(messageRound)!.messages.push(message);
+      const storedRound = this.roundStates.get(messageRound)!;
+
+      // Late copies for a finished round (e.g. resent after a reconnect) are harmless
+      if (storedRound.processed) {
+        return [];
+      }
+
+      // A second, different message for the same round is equivocation
+      if (storedRound.messages.some(msg => msg.from_id === message.from_id && msg.to_id === message.to_id)) {
+        this.reportMisbehavior(message.from_id, messageRound, 'equivocation', `Sent conflicting messages for round ${messageRound}`);
+        return [];
+      }
+      storedRound.messages.push(message);
+      this.emitProgress('message', messageRound, message.from_id);
 
 
 
@@ -120,7 +171,10 @@ export abstract class BaseProcessor extends EventEmitter {
           // Set processed flag to prevent race conditions
           roundState.processed = true;
           try {
-            return await this.processRound(messageRound, roundState.messages);
+            const responses = await this.processRound(messageRound, roundState.messages);
+            this.emitProgress('round', messageRound);
+            this.armRoundTimer();
+            return responses;
           } catch (error) {
             // Reset processed flag on error so we can retry
             roundState.processed = false;
@@ -131,11 +185,101 @@ export abstract class BaseProcessor extends EventEmitter {
 
       return [];
     } catch (error) {
-      this.emit('error', new Error(`Failed to process message: ${error}`));
+      this.emit('error', error instanceof DeFiShArdError ? error : new Error(`Failed to process message: ${error}`));
       throw error;
     }
   }
 
+  /**
+   * Check a peer message before it is stored for its round
+   */
+  protected validateMessage(message: ProtocolMessage): { reason: MisbehaviorReason; detail: string } | null {
+    const senderIndex = this.config.groupInfo.members.findIndex(member => member.partyId === message.from_id);
+    if (senderIndex === -1) {
+      return { reason: 'unknown-sender', detail: `Sender ${message.from_id} is not a member of group ${this.config.groupId}` };
+    }
+
+    // Peers can be at most one round ahead of us, they need our message to get further
+    const aheadLimit = Math.max(this.currentRound, 0) + 1;
+    if (!Number.isInteger(message.round) || message.round < 1 || message.round > this.getTotalRounds() || message.round > aheadLimit) {
+      return { reason: 'invalid-round', detail: `Round ${message.round} is not expected while in round ${this.currentRound}` };
+    }
+
+    if (typeof message.content !== 'string' || !/^[A-Za-z0-9+/]*={0,2}$/.test(message.content) || message.content.length % 4 !== 0) {
+      return { reason: 'invalid-encoding', detail: 'Content is not valid base64' };
+    }
+
+    let payload: Uint8Array;
+    try {
+      payload = this.base64ToBytes(message.content);
+    } catch (error) {
+      return { reason: 'invalid-encoding', detail: `Content is not valid base64: ${error}` };
+    }
+
+    if (payload.length === 0 || payload.length > MAX_PAYLOAD_BYTES) {
+      return { reason: 'payload-size', detail: `Payload of ${payload.length} bytes is outside 1..${MAX_PAYLOAD_BYTES}` };
+    }
+
+    try {
+      validateCbor(payload);
+    } catch (error) {
+      return { reason: 'malformed-payload', detail: `Payload does not decode: ${error instanceof Error ? error.message : error}` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Record and announce a party that sent an invalid message
+   */
+  protected reportMisbehavior(partyId: string, round: number, reason: MisbehaviorReason, detail: string): MisbehaviorReport {
+    const member = this.config.groupInfo.members.find(m => m.partyId === partyId);
+    const report: MisbehaviorReport = {
+      partyId,
+      index: member ? member.index : -1,
+      protocol: this.getProtocol(),
+      round,
+      reason,
+      detail,
+      timestamp: new Date().toISOString()
+    };
+    this.misbehaviorReports.push(report);
+
+    if (this.debug) {
+      console.warn(`[${this.getProcessorName()}] 🚫 Party ${partyId.substring(0, 8)} misbehaved in round ${round}: ${reason} (${detail})`);
+    }
+
+    this.emit('party-misbehaved', report);
+    return report;
+  }
+
+  /**
+   * Get all misbehavior reports of this session
+   */
+  getMisbehaviorReports(): MisbehaviorReport[] {
+    return [...this.misbehaviorReports];
+  }
+
+  /**
+   * Turn a WASM round failure into a typed error, blaming the party the WASM session names if any
+   */
+  protected createRoundFailure(round: number, error: unknown): DeFiShArdError {
+    const banParty = (error as { banParty?: number } | null)?.banParty;
+    const culprit = typeof banParty === 'number' ? this.config.groupInfo.members[banParty] : undefined;
+    if (culprit) {
+      this.reportMisbehavior(culprit.partyId, round, 'protocol-abort', `WASM session aborted: ${error}`);
+    }
+
+    const blamed = Array.from(new Set(this.misbehaviorReports.map(report => `#${report.index} ${report.partyId}`)));
+    const suffix = blamed.length > 0 ? ` (misbehaving: ${blamed.join(', ')})` : '';
+    return new DeFiShArdError(
+      ErrorType.PROTOCOL_ERROR,
+      `WASM processing failed in round ${round}: ${error}${suffix}`,
+      culprit ? 'PARTY_MISBEHAVED' : 'WASM_ROUND_FAILED',
+      { round, misbehavior: this.getMisbehaviorReports(), cause: error }
+    );
+  }
+
   /**
    * Start a new round
    */
@@ -154,6 +298,147 @@ export abstract class BaseProcessor extends EventEmitter {
     return [];
   }
 
+  /**
+   * Members expected to deliver a message in the given round (everyone but us by default)
+   */
+  protected getExpectedSenders(_round: number): string[] {
+    return this.config.groupInfo.members
+      .map(member => member.partyId)
+      .filter(partyId => partyId !== this.config.partyId);
+  }
+
+  /**
+   * Members that have not yet delivered their message for a round
+   */
+  getMissingParties(round: number): MissingParty[] {
+    const delivered = new Set((this.roundStates.get(round)?.messages ?? []).map(msg => msg.from_id));
+    const expected = new Set(this.getExpectedSenders(round));
+    return this.config.groupInfo.members
+      .filter(member => expected.has(member.partyId) && !delivered.has(member.partyId))
+      .map(member => ({ partyId: member.partyId, index: member.index }));
+  }
+
+  /**
+   * Report where the session stands
+   */
+  protected emitProgress(stage: ProgressStage, round: number, fromId?: string): void {
+    const senders = (this.roundStates.get(round)?.messages ?? []).map(msg => msg.from_id);
+    const sender = fromId ? this.config.groupInfo.members.find(member => member.partyId === fromId) : undefined;
+
+    this.emit('progress', {
+      protocol: this.getProtocol(),
+      stage,
+      round,
+      totalRounds: this.getTotalRounds(),
+      received: senders.length,
+      expected: this.getExpectedMessageCount(round),
+      from: fromId ? { partyId: fromId, index: sender ? sender.index : -1 } : undefined,
+      senders,
+      elapsedMs: this.startedAt === null ? 0 : Date.now() - this.startedAt
+    });
+  }
+
+  /**
+   * Start the deadline for the whole session
+   */
+  protected startSessionTimer(): void {
+    const timeoutMs = this.config.sessionTimeoutMs ?? DEFAULT_SESSION_TIMEOUT_MS;
+    if (this.sessionTimer || timeoutMs <= 0) {
+      return;
+    }
+    this.sessionTimer = setTimeout(() => {
+      this.sessionTimer = null;
+      this.handleTimeout('session', timeoutMs);
+    }, timeoutMs);
+  }
+
+  /**
+   * (Re)start the deadline for the round we are currently waiting on
+   */
+  protected armRoundTimer(): void {
+    if (this.isComplete) {
+      this.clearTimers();
+      return;
+    }
+    // Once the last round is processed only the server END is outstanding, the session deadline covers it
+    const processed = this.roundStates.get(this.currentRound)?.processed ?? false;
+
+    if (this.roundTimer) {
+      if (this.timedRound === this.currentRound && !processed) {
+        return;
+      }
+      clearTimeout(this.roundTimer);
+      this.roundTimer = null;
+    }
+    this.timedRound = this.currentRound;
+
+    const timeoutMs = this.config.roundTimeoutMs ?? DEFAULT_ROUND_TIMEOUT_MS;
+    if (timeoutMs <= 0 || processed || this.getExpectedMessageCount(this.currentRound) === 0) {
+      return;
+    }
+    this.roundTimer = setTimeout(() => {
+      this.roundTimer = null;
+      this.handleTimeout('round', timeoutMs);
+    }, timeoutMs);
+  }
+
+  /**
+   * Stop all deadlines
+   */
+  protected clearTimers(): void {
+    if (this.roundTimer) {
+      clearTimeout(this.roundTimer);
+      this.roundTimer = null;
+    }
+    if (this.sessionTimer) {
+      clearTimeout(this.sessionTimer);
+      this.sessionTimer = null;
+    }
+    this.timedRound = -1;
+  }
+
+  /**
+   * Report who stalled and fail the session
+   */
+  private handleTimeout(reason: 'round' | 'session', timeoutMs: number): void {
+    if (this.isComplete) {
+      return;
+    }
+
+    const round = this.currentRound;
+    const info: RoundTimeoutInfo = {
+      protocol: this.getProtocol(),
+      round,
+      received: this.roundStates.get(round)?.messages.length ?? 0,
+      expected: this.getExpectedMessageCount(round),
+      missing: this.getMissingParties(round),
+      timeoutMs,
+      reason,
+      misbehavior: this.getMisbehaviorReports()
+    };
+
+    if (this.debug) {
+      console.log(`[${this.getProcessorName()}] ⏰ ${reason} timeout in round ${round}, missing: ${info.missing.map(p => p.partyId.substring(0, 8)).join(', ')}`);
+    }
+
+    // Nothing else may run on this session
+    this.isComplete = true;
+    this.clearTimers();
+
+    this.emit('round-timeout', info);
+    const stalled = info.missing.length > 0 ? info.missing.map(p => `#${p.index} ${p.partyId}`).join(', ') : 'none';
+    const what = reason === 'round' ? `Round ${round}` : `Session (round ${round})`;
+    const blamed = info.misbehavior.length > 0
+      ? `; rejected messages from: ${Array.from(new Set(info.misbehavior.map(r => `#${r.index} ${r.partyId} (${r.reason})`))).join(', ')}`
+      : '';
+    this.emit('error', new DeFiShArdError(
+      ErrorType.TIMEOUT,
+      `${what} of ${this.getProcessName()} timed out after ${timeoutMs}ms waiting for: ${stalled}${blamed}`,
+      reason === 'round' ? 'ROUND_TIMEOUT' : 'SESSION_TIMEOUT',
+      info
+    ));
+  }
+
   /**
    * Filter messages (exclude messages from self)
    */
@@ -225,22 +510,21 @@ export abstract class BaseProcessor extends EventEmitter {
   /**
    * Hash message for deduplication
    */
-  protected hashMessage(message: ProtocolMessage): number {
-    let hash = 0;
-    const str = `${message.from_id}:${message.to_id}:${message.round}:${message.content}`;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return hash;
+  protected hashMessage(message: ProtocolMessage): string {
+    // Independent of the sequence number, so a resent copy of the same payload is still a duplicate
+    return sha256Hex(`${message.from_id}:${message.to_id}:${message.round}:${message.content}`);
   }
 
   /**
    * Utility functions
    */
   protected bytesToBase64(bytes: Uint8Array): string {
-    return btoa(String.fromCharCode(...bytes));
+    let binary = '';
+    const chunkSize = 0x8000; // 32KB chunks to avoid stack overflow on large session state
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
   }
 
   protected base64ToBytes(base64: string): Uint8Array {
@@ -263,14 +547,49 @@ export abstract class BaseProcessor extends EventEmitter {
     return this.isComplete;
   }
 
+  /**
+   * Snapshot round state so the session can be resumed after a restart
+   * Subclasses add their WASM session bytes and processor-specific fields
+   */
+  createCheckpoint(): ProcessorCheckpoint {
+    return {
+      currentRound: this.currentRound,
+      roundStates: Array.from(this.roundStates.entries()).map(([round, state]) => [
+        round,
+        { messages: [...state.messages], processed: state.processed, emitted: state.emitted }
+      ]),
+      receivedMessageHashes: Array.from(this.receivedMessageHashes)
+    };
+  }
+
+  /**
+   * Restore round state from a checkpoint
+   */
+  protected restoreCheckpoint(checkpoint: ProcessorCheckpoint): void {
+    this.currentRound = checkpoint.currentRound;
+    this.roundStates = new Map(checkpoint.roundStates.map(([round, state]) => [
+      round,
+      { messages: [...state.messages], processed: state.processed, emitted: state.emitted }
+    ]));
+    this.receivedMessageHashes = new Set(checkpoint.receivedMessageHashes);
+
+    // A resumed session gets fresh deadlines
+    this.startedAt = Date.now();
+    this.startSessionTimer();
+    this.armRoundTimer();
+  }
+
   /**
    * Clean up resources
    */
   destroy(): void {
     if (this.debug) console.log(`[${this.getProcessorName()}] 🧹 Cleaning up ${this.getProcessName()} processor`);
     
+    this.clearTimers();
+
     // Clear data structures
     this.roundStates.clear();
+    this.misbehaviorReports = [];
     this.receivedMessageHashes.clear();
     
     // Remove all event listeners
@@ -280,6 +599,8 @@ export abstract class BaseProcessor extends EventEmitter {
   // Abstract methods that must be implemented by subclasses
   protected abstract getProcessorName(): string;
   protected abstract getProcessName(): string;
+  protected abstract getProtocol(): SessionType;
+  protected abstract getTotalRounds(): number;
   protected abstract getWasmMessageClass(): any;
   protected abstract getExpectedMessageCount(round: number): number;
   protected abstract handleStartRound(): Promise<ProtocolMessage[]>;
@@ -1,17 +1,21 @@
 import { KeygenSession, Message, Keyshare } from '../../pkg/dkls_wasm_ll.js';
-import { ProtocolMessage, GroupInfo, KeyShare } from '../types';
+import { ProtocolMessage, GroupInfo, SessionType, KeyShare, ProcessorCheckpoint, ErrorType } from '../types';
 import { BaseProcessor, BaseProcessorConfig } from './base-processor';
+import { DeFiShArdError } from '../errors';
 import { StorageInterface } from '../storage/interface';
+import { bytesToHex } from '../utils/hex';
 
 export interface KeygenProcessorConfig extends BaseProcessorConfig {
   distributed: boolean;
   secret?: string;
   storage?: StorageInterface; // Optional storage implementation
+  lostShares?: number[]; // Party indices whose shares are recovered (recovery modes only)
+  publicKey?: Uint8Array; // Group public key, required to recover a lost share without an old keyshare
 }
 
 export interface KeygenProcessorEvents {
   'round-complete': (round: number, messages: ProtocolMessage[]) => void;
-  'keygen-complete': (keyShare: KeyShare) => void;
+  'keygen-complete': (wasmKeyshare: Keyshare, keyShare: KeyShare) => void;
   'error': (error: Error) => void;
 }
 
@@ -31,15 +35,41 @@ export class KeygenProcessor extends BaseProcessor {
 
   /**
    * Initialize the keygen session
+   * - no keyshare, no lostShares: regular DKG
+   * - oldKeyshare: key rotation
+   * - oldKeyshare + lostShares: key refresh that restores the lost parties' shares
+   * - publicKey + lostShares: the party that lost its share joins the recovery
    */
   async initialize(oldKeyshare?: Keyshare): Promise<void> {
+    const { lostShares, publicKey, distributed } = this.keygenConfig;
+
     try {
-      if (oldKeyshare) {
+      if (oldKeyshare && lostShares) {
+        // Surviving party in a lost-share recovery
+        this.session = KeygenSession.initKeyRecovery(
+          oldKeyshare,
+          new Uint8Array(lostShares),
+          undefined, // seed
+          distributed
+        );
+      } else if (oldKeyshare) {
         // Key rotation initialization
         this.session = KeygenSession.initKeyRotation(
           oldKeyshare,
           undefined, // seed
-          this.keygenConfig.distributed
+          distributed
+        );
+      } else if (lostShares && publicKey) {
+        // Party that lost its share, rebuilt under the existing public key
+        this.session = KeygenSession.initLostShareRecovery(
+          this.config.groupInfo.totalParties,
+          this.config.groupInfo.threshold,
+          this.config.partyIndex,
+          this.hexToBytes(this.config.groupId),
+          publicKey,
+          new Uint8Array(lostShares),
+          undefined, // seed
+          distributed
         );
       } else {
         // Regular DKG initialization
@@ -49,16 +79,59 @@ export class KeygenProcessor extends BaseProcessor {
           this.config.partyIndex,
           this.hexToBytes(this.config.groupId),
           undefined, // seed
-          this.keygenConfig.distributed
+          distributed
         );
       }
       this.currentRound = -1;
     } catch (error) {
-      this.emit('error', new Error(`Failed to initialize ${oldKeyshare ? 'key rotation' : 'keygen'}: ${error}`));
+      this.emit('error', new Error(`Failed to initialize ${this.getOperationName(!!oldKeyshare)}: ${error}`));
+      throw error;
+    }
+  }
+
+  /**
+   * Describe the keygen variant for error messages
+   */
+  private getOperationName(hasOldKeyshare: boolean): string {
+    if (this.keygenConfig.lostShares) {
+      return hasOldKeyshare ? 'key recovery' : 'lost share recovery';
+    }
+    return hasOldKeyshare ? 'key rotation' : 'keygen';
+  }
+
+  /**
+   * Restore a keygen session from a checkpoint instead of calling initialize()
+   */
+  async restore(checkpoint: ProcessorCheckpoint): Promise<void> {
+    try {
+      if (checkpoint.keyshare) {
+        // Round 4 already consumed the session, only the keyshare awaiting END remains
+        this.generatedKeyshare = Keyshare.fromBytes(this.base64ToBytes(checkpoint.keyshare));
+      } else if (checkpoint.session) {
+        this.session = KeygenSession.fromBytes(this.base64ToBytes(checkpoint.session));
+      } else {
+        throw new Error('Checkpoint contains neither session nor keyshare');
+      }
+      this.restoreCheckpoint(checkpoint);
+    } catch (error) {
+      this.emit('error', new Error(`Failed to restore keygen session: ${error}`));
       throw error;
     }
   }
 
+  /**
+   * Checkpoint round state together with the WASM session bytes
+   */
+  override createCheckpoint(): ProcessorCheckpoint {
+    const checkpoint = super.createCheckpoint();
+    if (this.generatedKeyshare) {
+      checkpoint.keyshare = this.bytesToBase64(this.generatedKeyshare.toBytes());
+    } else if (this.session) {
+      checkpoint.session = this.bytesToBase64(this.session.toBytes());
+    }
+    return checkpoint;
+  }
+
   /**
    * Handle start round (round 0)
    */
@@ -127,9 +200,7 @@ export class KeygenProcessor extends BaseProcessor {
       try {
         responseMessages = this.session.handleMessages(wasmMessages);
       } catch (error) {
-        const errorMessage = `WASM processing failed in round ${round}: ${error}`;
-        this.emit('error', new Error(errorMessage));
-        throw error;
+        throw this.createRoundFailure(round, error);
       }
 
       if (this.debug) {
@@ -151,6 +222,20 @@ export class KeygenProcessor extends BaseProcessor {
         
         try {
           const keyShare = this.session.keyshare();
+
+          // Recovery must reproduce the existing group key, anything else means a broken ceremony
+          if (this.keygenConfig.publicKey) {
+            const expected = Array.from(this.keygenConfig.publicKey);
+            const actual = Array.from(keyShare.publicKey as Uint8Array);
+            if (expected.length !== actual.length || expected.some((byte, i) => byte !== actual[i])) {
+              throw new DeFiShArdError(
+                ErrorType.PROTOCOL_ERROR,
+                'Recovered keyshare does not match the group public key',
+                'RECOVERY_KEY_MISMATCH',
+                { round, expected: bytesToHex(this.keygenConfig.publicKey), actual: bytesToHex(keyShare.publicKey) }
+              );
+            }
+          }
           
           // Save keyshare using storage interface asynchronously (don't block)
           this.saveKeyshare(keyShare).catch((error: unknown) => {
@@ -183,6 +268,9 @@ export class KeygenProcessor extends BaseProcessor {
           
           return [doneMessage];
         } catch (error) {
+          if (error instanceof DeFiShArdError) {
+            throw error;
+          }
           const errorMessage = `Failed to complete keygen in round ${round}: ${error}`;
           this.emit('error', new Error(errorMessage));
           throw error;
@@ -212,6 +300,10 @@ export class KeygenProcessor extends BaseProcessor {
       return protocolResponses;
 
     } catch (error) {
+      // Typed failures are reported once by BaseProcessor.processMessage
+      if (error instanceof DeFiShArdError) {
+        throw error;
+      }
       const errorMessage = `Failed to process round ${round}: ${error}`;
       this.emit('error', new Error(errorMessage));
       throw error;
@@ -274,6 +366,20 @@ export class KeygenProcessor extends BaseProcessor {
     return 'keygen';
   }
 
+  /**
+   * Number of message rounds before the DONE/END handshake
+   */
+  protected getTotalRounds(): number {
+    return 4;
+  }
+
+  /**
+   * Get protocol type for events
+   */
+  protected getProtocol(): SessionType {
+    return 'keygen';
+  }
+
   /**
    * Get WASM message class
    */
@@ -288,6 +394,24 @@ export class KeygenProcessor extends BaseProcessor {
     return this.isComplete;
   }
 
+  /**
+   * Convert WASM keyshare to our KeyShare format
+   */
+  toKeyShareData(keyShare: any): KeyShare {
+    return {
+      serialized: Array.from(keyShare.toBytes()), // Convert to regular array
+      publicKey: Array.from(keyShare.publicKey as Uint8Array).map(b => b.toString(16).padStart(2, '0')).join(''), // Convert to hex string
+      participants: keyShare.participants,
+      threshold: keyShare.threshold,
+      partyId: this.config.partyId, // Use config party ID (string), not WASM party ID (number)
+      partyIndex: this.config.partyIndex,
+      groupId: this.config.groupId,
+      totalParties: this.config.groupInfo.totalParties,
+      timestamp: new Date().toISOString(),
+      apiKey: this.config.apiKey // Store API key for later use in rotation/signing
+    };
+  }
+
   /**
    * Save keyshare using storage interface
    */
@@ -304,19 +428,7 @@ export class KeygenProcessor extends BaseProcessor {
         return;
       }
 
-      // Convert WASM keyshare to our KeyShare format
-      const keyshareData: KeyShare = {
-        serialized: Array.from(keyShare.toBytes()), // Convert to regular array
-        publicKey: Array.from(keyShare.publicKey as Uint8Array).map(b => b.toString(16).padStart(2, '0')).join(''), // Convert to hex string
-        participants: keyShare.participants,
-        threshold: keyShare.threshold,
-        partyId: this.config.partyId, // Use config party ID (string), not WASM party ID (number)
-        partyIndex: this.config.partyIndex,
-        groupId: this.config.groupId,
-        totalParties: this.config.groupInfo.totalParties,
-        timestamp: new Date().toISOString(),
-        apiKey: this.config.apiKey // Store API key for later use in rotation/signing
-      };
+      const keyshareData = this.toKeyShareData(keyShare);
 
       const storageKey = `keyshare_${this.config.groupId}_${this.config.partyIndex}`;
       
@@ -391,10 +503,11 @@ export class KeygenProcessor extends BaseProcessor {
         
         // Mark as complete regardless of status
         this.isComplete = true;
+        this.clearTimers();
         
         // Emit keygen-complete when server confirms completion
         if (this.generatedKeyshare) {
-          this.emit('keygen-complete', this.generatedKeyshare);
+          this.emit('keygen-complete', this.generatedKeyshare, this.toKeyShareData(this.generatedKeyshare));
           this.generatedKeyshare = null; // Clear it after emission
         }
         
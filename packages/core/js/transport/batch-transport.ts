@@ -0,0 +1,281 @@
+/**
+ * Batch Transport for DeFiShard SDK
+ *
+ * Base of the transports for devices without a relay in between. Each party
+ * hands its peers a batch: every message it sent that a recipient has not
+ * acknowledged yet, plus the keys of the messages it already received. How a
+ * batch travels (animated QR code, file, clipboard) is up to the subclass.
+ *
+ * The relay's part is played locally: START is issued on connect, and
+ * END:SUCCESS once this party reported DONE and its messages were flushed
+ * (by default: acknowledged by every recipient). Without a relay the group
+ * info must come from an apiClient that knows the members, the transport only
+ * moves messages.
+ */
+
+import { ProtocolMessage } from '../types';
+import { BaseTransport } from './base-transport';
+import { sha256Hex } from '../utils/message-id';
+
+export const MESSAGE_BATCH_VERSION = 1;
+
+/**
+ * Messages one party hands to its peers in one go
+ */
+export interface MessageBatch {
+  v: number;
+  from: string;                // Party that built the batch
+  ack: string[];               // Keys of the messages this party received
+  messages: ProtocolMessage[]; // Sent messages some recipient has not acknowledged
+}
+
+export interface BatchTransportOptions {
+  participants: string[];      // Party IDs of the session, in group order
+  debug?: boolean;
+}
+
+// Payload of the 'batch-received' event
+export interface BatchReceivedEvent {
+  from: string;
+  messages: number;            // Messages in the batch new to this party
+}
+
+interface OutboxEntry {
+  message: ProtocolMessage;
+  pending: Set<string>;        // Recipients that have not acknowledged it
+}
+
+/**
+ * Transport that exchanges batches of protocol messages by hand
+ */
+export abstract class BatchTransport extends BaseTransport {
+  protected participants: string[];
+  protected outbox: Map<string, OutboxEntry> = new Map();
+  protected received: Set<string> = new Set();
+  private connected = false;
+  private doneSent = false;
+  private ended = false;
+  private changeTimer: ReturnType<typeof setTimeout> | null = null;
+
+  constructor(options: BatchTransportOptions) {
+    super(options.debug ?? false);
+    if (options.participants.length < 2) {
+      throw new Error(`A ${this.getTransportName()} session needs at least two participants`);
+    }
+    this.participants = [...options.participants];
+  }
+
+  /**
+   * Start a session: there is no channel to join, START is issued locally
+   */
+  async connect(groupId: string, protocol: string, _apiKey: string): Promise<void> {
+    if (this.connected) {
+      return;
+    }
+    if (!this.ownPartyId || !this.participants.includes(this.ownPartyId)) {
+      throw new Error(`Failed to connect ${this.getTransportName()} transport: own party is not a session participant`);
+    }
+
+    this.connected = true;
+    this.groupId = groupId;
+    this.doneSent = false;
+    this.ended = false;
+    this.outbox.clear();
+    this.received.clear();
+    this.resetBatches();
+    if (this.debug) {
+      console.log(`[${this.getTransportName()}] 🔌 Started ${groupId}/${protocol} with ${this.participants.length} parties`);
+    }
+    this.emit('connected');
+    this.dispatchLocal({ ...this.serverMessage('0', 'START'), participants: [...this.participants] });
+  }
+
+  /**
+   * Stop accepting batches; a pending batch change is applied first so the last acknowledgements can still be handed over
+   */
+  async disconnect(): Promise<void> {
+    if (this.changeTimer) {
+      clearTimeout(this.changeTimer);
+      this.changeTimer = null;
+      this.batchChanged();
+    }
+    this.connected = false;
+    this.groupId = null;
+  }
+
+  /**
+   * Check if connected
+   */
+  isConnected(): boolean {
+    return this.connected;
+  }
+
+  /**
+   * Messages of this party that some recipient has not acknowledged yet
+   */
+  getPendingCount(): number {
+    return this.outbox.size;
+  }
+
+  /**
+   * Queue a prepared message for the next batch
+   */
+  protected async deliver(message: ProtocolMessage): Promise<void> {
+    if (message.to_id === this.SERVER_ID) {
+      if (message.content === 'DONE') {
+        this.doneSent = true;
+        this.checkEnd();
+      }
+      return;
+    }
+
+    const recipients = message.to_id === '0'
+      ? this.participants.filter(partyId => partyId !== this.ownPartyId)
+      : this.participants.filter(partyId => partyId === message.to_id);
+    if (recipients.length === 0) {
+      console.warn(`[${this.getTransportName()}] Dropping message to ${message.to_id.substring(0, 8)}: not a session participant`);
+      return;
+    }
+    this.outbox.set(this.messageKey(message), { message, pending: new Set(recipients) });
+    this.scheduleChange();
+  }
+
+  /**
+   * Current batch of this party
+   */
+  protected buildBatch(): MessageBatch {
+    return {
+      v: MESSAGE_BATCH_VERSION,
+      from: this.ownPartyId!,
+      ack: Array.from(this.received),
+      messages: Array.from(this.outbox.values(), entry => entry.message)
+    };
+  }
+
+  /**
+   * Apply a peer's batch: drop acknowledged messages from ours, receive the new ones
+   *
+   * @returns Number of messages new to this party, -1 if the batch was ignored
+   */
+  protected async applyBatch(batch: MessageBatch): Promise<number> {
+    if (!this.connected) {
+      return -1;
+    }
+    if (batch.v !== MESSAGE_BATCH_VERSION || !Array.isArray(batch.ack) || !Array.isArray(batch.messages)) {
+      console.warn(`[${this.getTransportName()}] Ignoring batch of unsupported version ${batch.v}`);
+      return -1;
+    }
+    if (batch.from === this.ownPartyId || !this.participants.includes(batch.from)) {
+      return -1;
+    }
+
+    // Acknowledgements: a message leaves the batch once all its recipients have it
+    let changed = false;
+    for (const key of batch.ack) {
+      const entry = this.outbox.get(key);
+      if (entry && entry.pending.delete(batch.from)) {
+        changed = true;
+        if (entry.pending.size === 0) {
+          this.outbox.delete(key);
+        }
+      }
+    }
+
+    let fresh = 0;
+    for (const message of batch.messages) {
+      if (message.to_id !== '0' && message.to_id !== this.ownPartyId) {
+        continue;
+      }
+      const key = this.messageKey(message);
+      if (this.received.has(key)) {
+        continue;
+      }
+      this.received.add(key);
+      fresh++;
+      // receive() decrypts in place, hand it a copy
+      await this.receive(JSON.parse(JSON.stringify(message)));
+    }
+
+    if (this.debug) {
+      console.log(`[${this.getTransportName()}] 📥 Batch from ${batch.from.substring(0, 8)}: ${fresh} new messages, ${batch.ack.length} acks`);
+    }
+    this.emit('batch-received', { from: batch.from, messages: fresh } as BatchReceivedEvent);
+
+    // Hand the new acknowledgements on
+    if (fresh > 0 || changed) {
+      this.scheduleChange();
+    }
+    this.checkEnd();
+    return fresh;
+  }
+
+  /**
+   * Called once a burst of sends or acknowledgements changed the batch
+   */
+  protected abstract batchChanged(): void;
+
+  /**
+   * Forget per-session batch state on connect
+   */
+  protected resetBatches(): void {}
+
+  /**
+   * Whether everything this party sent has been handed over, checked after DONE
+   */
+  protected isFlushed(): boolean {
+    return this.outbox.size === 0;
+  }
+
+  /**
+   * Finish like the relay would: after DONE, once nothing is left to hand over
+   */
+  protected checkEnd(): void {
+    if (this.ended || !this.doneSent || !this.isFlushed()) {
+      return;
+    }
+    this.ended = true;
+    this.dispatchLocal(this.serverMessage(this.ownPartyId!, 'END:SUCCESS'));
+  }
+
+  /**
+   * Rebuild the batch once the current burst of changes is over
+   */
+  private scheduleChange(): void {
+    if (this.changeTimer) {
+      return;
+    }
+    this.changeTimer = setTimeout(() => {
+      this.changeTimer = null;
+      this.batchChanged();
+    }, 0);
+  }
+
+  private dispatchLocal(message: ProtocolMessage): void {
+    setTimeout(() => {
+      if (!this.connected) {
+        return;
+      }
+      this.receive(message).catch(error => {
+        console.error('Failed to handle message:', error);
+      });
+    }, 0);
+  }
+
+  /**
+   * Acknowledgement key of a message, its message id within a session
+   */
+  private messageKey(message: ProtocolMessage): string {
+    return message.message_id ?? sha256Hex(JSON.stringify(message)).substring(0, 32);
+  }
+
+  private serverMessage(toId: string, content: string): ProtocolMessage {
+    return {
+      group_id: this.groupId!,
+      from_id: this.SERVER_ID,
+      to_id: toId,
+      content,
+      round: 0,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * QR Transport for DeFiShard SDK
+ *
+ * Runs a ceremony between devices that only see each other's screens. Each
+ * party shows its batch (see batch-transport) as an animated QR code. The
+ * batch is fountain coded (see utils/fountain), so a scanner can start
+ * anywhere in the animation and miss frames.
+ */
+
+import { BatchTransport, BatchTransportOptions, MessageBatch } from './batch-transport';
+import { FountainEncoder, FountainDecoder, encodeFrame, decodeFrame, DEFAULT_MAX_FRAGMENT_LENGTH } from '../utils/fountain';
+
+// Decoders kept for batches that are still being scanned
+const MAX_PENDING_BATCHES = 8;
+
+export interface QRTransportOptions extends BatchTransportOptions {
+  maxFragmentLength?: number;  // Bytes of batch data per frame
+}
+
+// Payload of the 'batch-updated' event
+export interface QRBatchUpdatedEvent {
+  frames: number;              // Frames of one pass over the batch (seqLen)
+  messages: number;            // Messages still awaiting acknowledgement
+}
+
+/**
+ * Transport that exchanges batches of protocol messages as animated QR codes
+ *
+ * Show the frames returned by nextFrame() in turn (a few per second) and feed
+ * every frame the camera decodes to scanFrame().
+ */
+export class QRTransport extends BatchTransport {
+  private maxFragmentLength: number;
+  private encoder: FountainEncoder | null = null;
+  private decoders: Map<number, FountainDecoder> = new Map(); // By batch checksum
+  private completed: Set<number> = new Set(); // Checksums of batches already applied
+
+  constructor(options: QRTransportOptions) {
+    super(options);
+    this.maxFragmentLength = options.maxFragmentLength ?? DEFAULT_MAX_FRAGMENT_LENGTH;
+  }
+
+  /**
+   * Stop scanning; the last batch stays on screen so peers can still read its acknowledgements
+   */
+  async disconnect(): Promise<void> {
+    await super.disconnect();
+    this.decoders.clear();
+  }
+
+  /**
+   * Text of the next frame to show, null while there is nothing to show
+   */
+  nextFrame(): string | null {
+    return this.encoder ? encodeFrame(this.encoder.nextPart()) : null;
+  }
+
+  /**
+   * Feed the text of a scanned frame
+   *
+   * @returns Share of the scanned batch recovered so far, between 0 and 1
+   * @throws Error if the text is not a valid frame
+   */
+  async scanFrame(text: string): Promise<number> {
+    const part = decodeFrame(text);
+    if (!this.isConnected() || this.completed.has(part.checksum)) {
+      return 1;
+    }
+
+    let decoder = this.decoders.get(part.checksum);
+    if (!decoder) {
+      decoder = new FountainDecoder();
+      this.decoders.set(part.checksum, decoder);
+      if (this.decoders.size > MAX_PENDING_BATCHES) {
+        this.decoders.delete(this.decoders.keys().next().value!);
+      }
+    }
+    if (!decoder.receivePart(part)) {
+      return decoder.getProgress();
+    }
+
+    this.decoders.delete(part.checksum);
+    this.completed.add(part.checksum);
+
+    let batch: MessageBatch;
+    try {
+      batch = JSON.parse(new TextDecoder().decode(decoder.getResult()!));
+    } catch {
+      console.warn('[QR] Ignoring batch that is not valid JSON');
+      return 1;
+    }
+    await this.applyBatch(batch);
+    return 1;
+  }
+
+  /**
+   * Name used in log lines
+   */
+  protected getTransportName(): string {
+    return 'QR';
+  }
+
+  protected batchChanged(): void {
+    const batch = this.buildBatch();
+    this.encoder = new FountainEncoder(new TextEncoder().encode(JSON.stringify(batch)), this.maxFragmentLength);
+    this.emit('batch-updated', { frames: this.encoder.seqLen, messages: batch.messages.length } as QRBatchUpdatedEvent);
+  }
+
+  protected resetBatches(): void {
+    this.encoder = null;
+    this.decoders.clear();
+    this.completed.clear();
+  }
+}
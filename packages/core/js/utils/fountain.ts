@@ -0,0 +1,377 @@
+// Fountain codes for animated QR codes (in the style of BC-UR)
+// A message is cut into equal fragments; frame n <= seqLen carries fragment n,
+// later frames carry the XOR of a pseudo-random set of fragments chosen from
+// the frame number and the message checksum. A scanner can start at any frame
+// and skip any frames: once it holds enough independent frames it peels the
+// fragments back out and checks the whole message against its CRC32.
+
+import { sha256 } from '@noble/hashes/sha2';
+import { encodeCbor, decodeCbor } from './cbor';
+
+export const DEFAULT_MAX_FRAGMENT_LENGTH = 200;
+export const QR_FRAME_TYPE = 'DEFISHARD-BATCH';
+export const MAX_MESSAGE_LENGTH = 4 * 1024 * 1024; // Largest message a scanner rebuilds
+
+const MIN_FRAGMENT_LENGTH = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * One frame of a fountain-coded message
+ */
+export interface FountainPart {
+  seqNum: number;        // Frame number, from 1
+  seqLen: number;        // Number of fragments of the message
+  messageLength: number; // Message length before padding
+  checksum: number;      // CRC32 of the whole message
+  data: Uint8Array;      // One fragment, or the XOR of several
+}
+
+/**
+ * Produces an endless sequence of parts for one message
+ */
+export class FountainEncoder {
+  private fragments: Uint8Array[];
+  private seqNum = 0;
+  readonly checksum: number;
+
+  constructor(private message: Uint8Array, maxFragmentLength: number = DEFAULT_MAX_FRAGMENT_LENGTH) {
+    if (maxFragmentLength < MIN_FRAGMENT_LENGTH) {
+      throw new Error(`Fragments must hold at least ${MIN_FRAGMENT_LENGTH} bytes`);
+    }
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      throw new Error(`Message of ${message.length} bytes exceeds ${MAX_MESSAGE_LENGTH}, scanners would refuse it`);
+    }
+    const count = Math.max(1, Math.ceil(message.length / maxFragmentLength));
+    const fragmentLength = Math.max(1, Math.ceil(message.length / count));
+    this.fragments = Array.from({ length: count }, (_, i) => {
+      const fragment = new Uint8Array(fragmentLength);
+      fragment.set(message.subarray(i * fragmentLength, (i + 1) * fragmentLength));
+      return fragment;
+    });
+    this.checksum = crc32(message);
+  }
+
+  /**
+   * Number of fragments; a scanner needs at least this many frames
+   */
+  get seqLen(): number {
+    return this.fragments.length;
+  }
+
+  /**
+   * Whether one frame carries the whole message, so the QR code need not animate
+   */
+  isSinglePart(): boolean {
+    return this.fragments.length === 1;
+  }
+
+  /**
+   * Next part: the plain fragments first, then mixed ones for as long as needed
+   */
+  nextPart(): FountainPart {
+    this.seqNum++;
+    const indexes = chooseFragments(this.seqNum, this.seqLen, this.checksum);
+    const data = new Uint8Array(this.fragments[0].length);
+    for (const index of indexes) {
+      xorInto(data, this.fragments[index]);
+    }
+    return {
+      seqNum: this.seqNum,
+      seqLen: this.seqLen,
+      messageLength: this.message.length,
+      checksum: this.checksum,
+      data
+    };
+  }
+}
+
+/**
+ * Collects parts of one message in any order until it can be rebuilt
+ */
+export class FountainDecoder {
+  private expected: Omit<FountainPart, 'seqNum' | 'data'> & { fragmentLength: number } | null = null;
+  private simple: Map<number, Uint8Array> = new Map();
+  private mixed: Map<string, { indexes: number[]; data: Uint8Array }> = new Map();
+  private seen: Set<number> = new Set();
+  private result: Uint8Array | null = null;
+
+  /**
+   * Add a part
+   *
+   * @returns True once the message is complete
+   * @throws Error if the part belongs to another message or the rebuilt message fails its checksum
+   */
+  receivePart(part: FountainPart): boolean {
+    if (this.result) {
+      return true;
+    }
+    if (!this.expected) {
+      this.expected = {
+        seqLen: part.seqLen,
+        messageLength: part.messageLength,
+        checksum: part.checksum,
+        fragmentLength: part.data.length
+      };
+    } else if (!this.belongsHere(part)) {
+      throw new Error(`Part ${part.seqNum} belongs to another message`);
+    }
+    if (this.seen.has(part.seqNum)) {
+      return false;
+    }
+    this.seen.add(part.seqNum);
+
+    this.addPart(chooseFragments(part.seqNum, part.seqLen, part.checksum), part.data.slice());
+
+    if (this.simple.size === this.expected.seqLen) {
+      const joined = new Uint8Array(this.expected.seqLen * this.expected.fragmentLength);
+      for (let i = 0; i < this.expected.seqLen; i++) {
+        joined.set(this.simple.get(i)!, i * this.expected.fragmentLength);
+      }
+      const message = joined.slice(0, this.expected.messageLength);
+      if (crc32(message) !== this.expected.checksum) {
+        throw new Error('Reassembled message does not match its checksum');
+      }
+      this.result = message;
+    }
+    return this.result !== null;
+  }
+
+  /**
+   * Whether a part has the same message parameters as the parts received so far
+   */
+  belongsHere(part: FountainPart): boolean {
+    return !this.expected || (
+      part.seqLen === this.expected.seqLen &&
+      part.messageLength === this.expected.messageLength &&
+      part.checksum === this.expected.checksum &&
+      part.data.length === this.expected.fragmentLength
+    );
+  }
+
+  isComplete(): boolean {
+    return this.result !== null;
+  }
+
+  /**
+   * The rebuilt message, null until complete
+   */
+  getResult(): Uint8Array | null {
+    return this.result;
+  }
+
+  /**
+   * Share of fragments recovered so far, between 0 and 1
+   */
+  getProgress(): number {
+    if (!this.expected) {
+      return 0;
+    }
+    return this.result ? 1 : this.simple.size / this.expected.seqLen;
+  }
+
+  /**
+   * Number of distinct frames scanned
+   */
+  getReceivedCount(): number {
+    return this.seen.size;
+  }
+
+  private addPart(indexes: number[], data: Uint8Array): void {
+    // Strip the fragments already known
+    const remaining = indexes.filter(index => {
+      const known = this.simple.get(index);
+      if (known) {
+        xorInto(data, known);
+        return false;
+      }
+      return true;
+    });
+
+    if (remaining.length === 0) {
+      return;
+    }
+    if (remaining.length > 1) {
+      const key = remaining.join(',');
+      if (!this.mixed.has(key)) {
+        this.mixed.set(key, { indexes: remaining, data });
+      }
+      return;
+    }
+
+    // A new fragment: peel it out of every mixed part that contains it
+    const index = remaining[0];
+    this.simple.set(index, data);
+    for (const [key, part] of Array.from(this.mixed)) {
+      if (part.indexes.includes(index)) {
+        this.mixed.delete(key);
+        xorInto(part.data, data);
+        this.addPart(part.indexes.filter(other => other !== index), part.data);
+      }
+    }
+  }
+}
+
+/**
+ * Text of a part for a QR code: `UR:DEFISHARD-BATCH/<seqNum>-<seqLen>/<base32>`
+ * Upper case base32 keeps the frame within the QR alphanumeric mode; the body is
+ * CBOR [seqNum, seqLen, messageLength, checksum, data] followed by its CRC32
+ */
+export function encodeFrame(part: FountainPart, type: string = QR_FRAME_TYPE): string {
+  const body = encodeCbor([part.seqNum, part.seqLen, part.messageLength, part.checksum, part.data]);
+  const framed = new Uint8Array(body.length + 4);
+  framed.set(body);
+  new DataView(framed.buffer).setUint32(body.length, crc32(body));
+  return `UR:${type}/${part.seqNum}-${part.seqLen}/${toBase32(framed)}`;
+}
+
+/**
+ * Parse the text of a scanned frame
+ *
+ * @throws Error if the text is not a frame of this type, fails its CRC32 or announces
+ * a message its fragments cannot hold (seqLen and messageLength size the decoder's buffers)
+ */
+export function decodeFrame(text: string, type: string = QR_FRAME_TYPE): FountainPart {
+  const match = /^UR:([A-Z0-9-]+)\/(\d+)-(\d+)\/([A-Z2-7]+)$/.exec(text.trim().toUpperCase());
+  if (!match || match[1] !== type) {
+    throw new Error(`Not a ${type} frame`);
+  }
+  const framed = fromBase32(match[4]);
+  if (framed.length < 5) {
+    throw new Error('Frame is too short');
+  }
+  const body = framed.subarray(0, framed.length - 4);
+  if (new DataView(framed.buffer, framed.byteOffset).getUint32(body.length) !== crc32(body)) {
+    throw new Error('Frame fails its checksum');
+  }
+
+  const fields = decodeCbor(body);
+  if (!Array.isArray(fields) || fields.length !== 5 || !(fields[4] instanceof Uint8Array) ||
+      !fields.slice(0, 4).every(field => Number.isSafeInteger(field) && (field as number) >= 0)) {
+    throw new Error('Frame body is malformed');
+  }
+  const [seqNum, seqLen, messageLength, checksum] = fields as number[];
+  if (seqNum < 1 || seqLen < 1 || seqNum !== Number(match[2]) || seqLen !== Number(match[3])) {
+    throw new Error('Frame header does not match its body');
+  }
+  const data = fields[4] as Uint8Array;
+  if (messageLength > MAX_MESSAGE_LENGTH) {
+    throw new Error(`Frame announces a message of ${messageLength} bytes, more than ${MAX_MESSAGE_LENGTH}`);
+  }
+  // Every fragment holds at least one byte, and together they hold the whole message
+  if (seqLen > Math.max(1, messageLength) || seqLen * data.length < messageLength) {
+    throw new Error(`Frame announces ${seqLen} fragments of ${data.length} bytes for a message of ${messageLength} bytes`);
+  }
+  return { seqNum, seqLen, messageLength, checksum, data };
+}
+
+/**
+ * Fragment indexes mixed into a frame, identical for encoder and decoder
+ */
+export function chooseFragments(seqNum: number, seqLen: number, checksum: number): number[] {
+  if (seqNum <= seqLen) {
+    return [seqNum - 1];
+  }
+
+  const seed = new Uint8Array(8);
+  const view = new DataView(seed.buffer);
+  view.setUint32(0, seqNum);
+  view.setUint32(4, checksum);
+  const random = xoshiro128(sha256(seed));
+
+  // Degree d is drawn with weight 1/d, so most frames mix only a few fragments
+  let total = 0;
+  for (let d = 1; d <= seqLen; d++) {
+    total += 1 / d;
+  }
+  let target = random() * total;
+  let degree = 1;
+  while (degree < seqLen && target >= 1 / degree) {
+    target -= 1 / degree;
+    degree++;
+  }
+
+  const indexes = Array.from({ length: seqLen }, (_, i) => i);
+  for (let i = seqLen - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+  }
+  return indexes.slice(0, degree).sort((a, b) => a - b);
+}
+
+/**
+ * CRC-32 (IEEE 802.3) of bytes
+ */
+export function crc32(bytes: Uint8Array): number {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * xoshiro128** seeded from the first 16 bytes of a hash, returns floats in [0, 1)
+ */
+function xoshiro128(seed: Uint8Array): () => number {
+  const view = new DataView(seed.buffer, seed.byteOffset);
+  const s = [view.getUint32(0), view.getUint32(4), view.getUint32(8), view.getUint32(12)];
+  const rotl = (x: number, k: number) => (x << k) | (x >>> (32 - k));
+  return () => {
+    const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+    const t = s[1] << 9;
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotl(s[3], 11);
+    return result / 0x100000000;
+  };
+}
+
+function xorInto(target: Uint8Array, source: Uint8Array): void {
+  for (let i = 0; i < target.length; i++) {
+    target[i] ^= source[i];
+  }
+}
+
+function toBase32(bytes: Uint8Array): string {
+  let bits = 0;
+  let value = 0;
+  let text = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      text += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    text += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return text;
+}
+
+function fromBase32(text: string): Uint8Array {
+  const bytes: number[] = [];
+  let bits = 0;
+  let value = 0;
+  for (const char of text) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Uint8Array.from(bytes);
+}
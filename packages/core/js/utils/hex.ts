@@ -0,0 +1,19 @@
+// Hex and byte helpers shared by the crypto and encoding modules
+// bytesToHex and concatBytes come from @noble/hashes; hexToBytes also takes a 0x prefix.
+
+import { bytesToHex, concatBytes, hexToBytes as hexDigitsToBytes } from '@noble/hashes/utils';
+
+export { bytesToHex, concatBytes };
+
+/**
+ * Bytes of a hex string, with or without a 0x prefix
+ *
+ * @throws Error if the digits are not valid hex of whole bytes
+ */
+export function hexToBytes(hex: string): Uint8Array {
+  const digits = hex.startsWith('0x') ? hex.slice(2) : hex;
+  if (!/^([0-9a-fA-F]{2})*$/.test(digits)) {
+    throw new Error('Invalid hex string');
+  }
+  return hexDigitsToBytes(digits);
+}
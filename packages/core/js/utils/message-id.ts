@@ -0,0 +1,89 @@
+// Message identity utilities for DeFiShArd SDK
+// Session ids and message ids are SHA-256 based so they can be bound into
+// encrypted payloads and used for deduplication without collisions; the
+// signature payload ties a message to its sender's identity key
+
+import { hmac } from '@noble/hashes/hmac';
+import { sha256 } from '@noble/hashes/sha2';
+import { ProtocolMessage, SessionType } from '../types';
+import { bytesToHex } from './hex';
+
+const SESSION_DOMAIN = 'defishard/session/v1';
+const MESSAGE_DOMAIN = 'defishard/message/v1';
+const SIGNATURE_DOMAIN = 'defishard/message-signature/v1';
+
+/**
+ * Fields of a message that are bound into its encrypted payload
+ */
+export interface MessageBinding {
+  group_id: string;
+  session_id: string;
+  from_id: string;
+  to_id: string;
+  round: number;
+  seq: number;
+}
+
+/**
+ * SHA-256 of a UTF-8 string or bytes, hex encoded
+ */
+export function sha256Hex(data: string | Uint8Array): string {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  return bytesToHex(sha256(bytes));
+}
+
+/**
+ * Derive the id every party computes for the same protocol run
+ * The nonce (fresh per invitation and run) makes the id differ between runs of the same group
+ * and message, so no message recorded in one run is accepted by another; without a nonce
+ * only group, protocol, context and session key tell sessions apart
+ *
+ * @param groupId - Group running the protocol
+ * @param protocol - 'keygen' or 'sign'
+ * @param context - Extra input all parties agree on (e.g. the hex message hash)
+ * @param sessionKey - Shared pairing secret or transport key of this session
+ * @param nonce - Fresh value all parties agree on, e.g. the invitation nonce and run number
+ */
+export function deriveSessionId(
+  groupId: string,
+  protocol: SessionType,
+  context: string = '',
+  sessionKey?: Uint8Array,
+  nonce: string = ''
+): string {
+  const input = new TextEncoder().encode([SESSION_DOMAIN, groupId, protocol, context, nonce].join('\0'));
+  return bytesToHex(sessionKey ? hmac(sha256, sessionKey, input) : sha256(input));
+}
+
+/**
+ * Compute the id of a message from its bound fields and plaintext content
+ */
+export function computeMessageId(message: ProtocolMessage & Pick<MessageBinding, 'session_id' | 'seq'>): string {
+  return sha256Hex(JSON.stringify([
+    MESSAGE_DOMAIN,
+    message.session_id,
+    message.group_id,
+    message.from_id,
+    message.to_id,
+    message.round,
+    message.seq,
+    message.content
+  ]));
+}
+
+/**
+ * Bytes the sender signs with its identity key
+ * Covers group, session, sender, recipient, round, sequence number and the plaintext content hash
+ */
+export function messageSignaturePayload(message: ProtocolMessage): Uint8Array {
+  return new TextEncoder().encode(JSON.stringify([
+    SIGNATURE_DOMAIN,
+    message.group_id,
+    message.session_id ?? '',
+    message.from_id,
+    message.to_id,
+    message.round,
+    message.seq ?? 0,
+    sha256Hex(message.content)
+  ]));
+}
@@ -1,23 +1,65 @@
 // QR Code utilities for DeFiShArd SDK
-// Handles generation and parsing of QR codes with AES encryption keys
+// Handles generation and parsing of QR codes with short-lived pairing secrets
+// The QR code carries no transport key: parties derive the session keys with a
+// handshake authenticated by the pairing secret (see crypto/pairing)
+// The QR code also announces the message envelope version, so a client that
+// cannot read the session's messages refuses to join instead of stalling
+// Every QR code is an invitation signed by the creator's identity key, with an
+// explicit expiry and a one-time nonce the joiner records when it accepts it
+
+import { ENVELOPE_VERSION } from '../crypto/envelope';
+import { PairingUtils, PAIRING_SECRET_TTL_MS } from '../crypto/pairing';
+import { IdentityUtils, PartyIdentity } from '../crypto/identity';
+import { DeFiShArdError } from '../errors';
+import { ErrorType } from '../types';
+
+export const QR_CODE_VERSION = '4.0';
+export const INVITATION_CLOCK_SKEW_MS = 2 * 60 * 1000; // Default tolerated clock difference with the creator
+export const USED_INVITATIONS_STORAGE_KEY = 'used_invitations';
+export const INVITATION_SESSIONS_STORAGE_KEY = 'invitation_sessions'; // Nonces a session was started under, creator side included
+
+const INVITATION_DOMAIN = 'defishard/invitation/v1';
+const NONCE_BYTES = 16;
 
 export interface QRCodeData {
   type: 'keygen' | 'sign' | 'rotation';
-  aesKey: string;  // base64 encoded AES key
+  pairingSecret: string; // base64 pairing secret, authenticates the session handshake
   groupId: string;
   threshold: number;
   totalParties: number;
   timeout?: number;
   messageHash?: string;  // for sign
+  txId?: string;         // for sign
+  description?: string;  // for sign
   rotationType?: string; // for rotation
+  metadata?: Record<string, unknown>; // App data, covered by the signature
   timestamp: number;
+  expiresAt: number;     // Milliseconds since epoch, the invitation is refused afterwards
   version: string;
+  envelope: number;      // Message envelope version all parties must use
+  creator: string;       // Party ID of the creator, whose identity key signed the invitation
+  nonce: string;         // Hex one-time nonce, consumed when the invitation is accepted
+  signature: string;     // Hex compact signature over every other field
+}
+
+// Fields the creator of an invitation chooses
+export type InvitationFields = Pick<QRCodeData, 'type' | 'groupId' | 'threshold' | 'totalParties'> &
+  Partial<Pick<QRCodeData, 'timeout' | 'messageHash' | 'txId' | 'description' | 'rotationType' | 'metadata'>>;
+
+export interface InvitationVerifyOptions {
+  clockSkewMs?: number;                  // Tolerated clock difference with the creator, default 2 minutes
+  now?: number;                          // Current time, defaults to Date.now()
+  expectedCreator?: string;              // Party ID the invitation must come from
+  isNonceUsed?: (nonce: string) => boolean; // Nonces of invitations already accepted on this device
 }
 
 export interface QRCodeParseResult {
   type: string;
   groupId: string;
-  aesKey: string;
+  pairingSecret: string;
+  expiresAt: number;
+  creator: string;
+  nonce: string;
   groupInfo: {
     groupId: string;
     totalParties: number;
@@ -32,162 +74,265 @@ export interface QRCodeParseResult {
   rotationInfo?: {
     rotationType: string;
   };
+  metadata?: Record<string, unknown>;
 }
 
 /**
- * Generate AES key for QR code
+ * Create a signed invitation for a session
+ *
+ * @param identity - Identity of the creator
+ * @param fields - Session the invitation is for
+ * @param ttlMs - Validity of the invitation and its pairing secret
  */
-function generateAESKey(): { key: Uint8Array; base64: string } {
-  const key = crypto.getRandomValues(new Uint8Array(32)); // 256-bit key
-  const base64 = btoa(String.fromCharCode(...key));
-  return { key, base64 };
+export function createInvitation(
+  identity: PartyIdentity,
+  fields: InvitationFields,
+  ttlMs: number = PAIRING_SECRET_TTL_MS
+): { qrData: string; pairingSecret: string; nonce: string; expiresAt: number } {
+  const pairingSecret = PairingUtils.generatePairingSecret();
+  const nonce = Array.from(crypto.getRandomValues(new Uint8Array(NONCE_BYTES)), b => b.toString(16).padStart(2, '0')).join('');
+  const timestamp = Date.now();
+
+  const unsigned: Omit<QRCodeData, 'signature'> = {
+    ...fields,
+    pairingSecret,
+    timestamp,
+    expiresAt: timestamp + ttlMs,
+    version: QR_CODE_VERSION,
+    envelope: ENVELOPE_VERSION,
+    creator: identity.partyId,
+    nonce
+  };
+  const qrData: QRCodeData = {
+    ...unsigned,
+    signature: IdentityUtils.sign(identity, invitationSigningPayload(unsigned))
+  };
+
+  return {
+    qrData: JSON.stringify(qrData),
+    pairingSecret,
+    nonce,
+    expiresAt: qrData.expiresAt
+  };
 }
 
 /**
  * Generate QR code data for keygen session
  */
 export function generateKeygenQRCode(
+  identity: PartyIdentity,
   groupId: string,
   threshold: number,
   totalParties: number,
   timeout: number = 60
-): { qrData: string; aesKey: string } {
-  const { base64: aesKey } = generateAESKey();
-  
-  const qrData: QRCodeData = {
+): { qrData: string; pairingSecret: string } {
+  const { qrData, pairingSecret } = createInvitation(identity, {
     type: 'keygen',
-    aesKey,
     groupId,
     threshold,
     totalParties,
-    timeout,
-    timestamp: Date.now(),
-    version: '1.0'
-  };
-  
-  return {
-    qrData: JSON.stringify(qrData),
-    aesKey
-  };
+    timeout
+  });
+  return { qrData, pairingSecret };
 }
 
 /**
  * Generate QR code data for signing session
  */
 export function generateSignQRCode(
+  identity: PartyIdentity,
   groupId: string,
   messageHash: string,
   threshold: number,
   totalParties: number,
   txId?: string,
   description?: string
-): { qrData: string; aesKey: string } {
-  const { base64: aesKey } = generateAESKey();
-  
-  const qrData: QRCodeData = {
+): { qrData: string; pairingSecret: string } {
+  const { qrData, pairingSecret } = createInvitation(identity, {
     type: 'sign',
-    aesKey,
     groupId,
     threshold,
     totalParties,
     messageHash,
-    timestamp: Date.now(),
-    version: '1.0'
-  };
-  
-  return {
-    qrData: JSON.stringify(qrData),
-    aesKey
-  };
+    txId,
+    description
+  });
+  return { qrData, pairingSecret };
 }
 
 /**
  * Generate QR code data for key rotation session
  */
 export function generateRotationQRCode(
+  identity: PartyIdentity,
   groupId: string,
   rotationType: string,
   threshold: number,
   totalParties: number,
   timeout: number = 60
-): { qrData: string; aesKey: string } {
-  const { base64: aesKey } = generateAESKey();
-  
-  const qrData: QRCodeData = {
+): { qrData: string; pairingSecret: string } {
+  const { qrData, pairingSecret } = createInvitation(identity, {
     type: 'rotation',
-    aesKey,
     groupId,
     threshold,
     totalParties,
     timeout,
-    rotationType,
-    timestamp: Date.now(),
-    version: '1.0'
-  };
-  
-  return {
-    qrData: JSON.stringify(qrData),
-    aesKey
-  };
+    rotationType
+  });
+  return { qrData, pairingSecret };
 }
 
 /**
- * Parse QR code data
+ * Parse QR code data and verify the invitation
+ *
+ * @throws DeFiShArdError with code INVITATION_MALFORMED, INVITATION_OUTDATED, INVITATION_UNSIGNED,
+ *   INVITATION_SIGNATURE, INVITATION_CREATOR, INVITATION_NOT_YET_VALID, INVITATION_EXPIRED or INVITATION_REUSED
  */
-export function parseQRCode(qrDataString: string): QRCodeParseResult {
-  const qrData: QRCodeData = JSON.parse(qrDataString);
-  
-  // Validate required fields
-  if (!qrData.type || !qrData.aesKey || !qrData.groupId || !qrData.threshold || !qrData.totalParties) {
-    throw new Error('Invalid QR code data: missing required fields');
+export function parseQRCode(qrDataString: string, options: InvitationVerifyOptions = {}): QRCodeParseResult {
+  let qrData: QRCodeData;
+  try {
+    qrData = JSON.parse(qrDataString);
+  } catch {
+    throw invitationError('QR code data is not valid JSON', 'INVITATION_MALFORMED');
   }
-  
-  // Validate timestamp (not too old)
-  const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-  if (Date.now() - qrData.timestamp > maxAge) {
-    throw new Error('QR code has expired');
-  }
-  
+  verifyInvitation(qrData, options);
+
   const result: QRCodeParseResult = {
     type: qrData.type,
     groupId: qrData.groupId,
-    aesKey: qrData.aesKey,
+    pairingSecret: qrData.pairingSecret,
+    expiresAt: qrData.expiresAt,
+    creator: qrData.creator,
+    nonce: qrData.nonce,
     groupInfo: {
       groupId: qrData.groupId,
       totalParties: qrData.totalParties,
       threshold: qrData.threshold,
       timeout: qrData.timeout
-    }
+    },
+    metadata: qrData.metadata
   };
-  
+
   // Add protocol-specific info
   if (qrData.type === 'sign' && qrData.messageHash) {
     result.transactionInfo = {
-      messageHash: qrData.messageHash
+      messageHash: qrData.messageHash,
+      txId: qrData.txId,
+      description: qrData.description
     };
   }
-  
+
   if (qrData.type === 'rotation' && qrData.rotationType) {
     result.rotationInfo = {
       rotationType: qrData.rotationType
     };
   }
-  
+
   return result;
 }
 
+/**
+ * Verify an invitation: format, creator signature, validity window and nonce
+ *
+ * @throws DeFiShArdError, see parseQRCode
+ */
+export function verifyInvitation(qrData: QRCodeData, options: InvitationVerifyOptions = {}): void {
+  const now = options.now ?? Date.now();
+  const clockSkewMs = options.clockSkewMs ?? INVITATION_CLOCK_SKEW_MS;
+
+  if (!qrData || typeof qrData !== 'object') {
+    throw invitationError('QR code data is not an invitation', 'INVITATION_MALFORMED');
+  }
+
+  // Codes from clients that put the transport key itself in the QR code
+  if (!qrData.pairingSecret && (qrData as { aesKey?: string }).aesKey) {
+    throw invitationError(
+      `QR code (version ${qrData.version ?? 'unknown'}) carries a raw transport key instead of a pairing secret; ` +
+      'update the client that created the session',
+      'INVITATION_OUTDATED'
+    );
+  }
+
+  // Validate required fields
+  if (!qrData.type || !qrData.pairingSecret || !qrData.groupId || !qrData.threshold || !qrData.totalParties ||
+      typeof qrData.timestamp !== 'number' || typeof qrData.expiresAt !== 'number') {
+    throw invitationError('Invalid QR code data: missing required fields', 'INVITATION_MALFORMED');
+  }
+
+  // Refuse sessions whose messages this client cannot read
+  if (qrData.envelope !== ENVELOPE_VERSION) {
+    throw invitationError(
+      `QR code (version ${qrData.version ?? 'unknown'}) uses message envelope ${qrData.envelope ?? 'none'}, ` +
+      `this client supports ${ENVELOPE_VERSION}; update the client that created the session`,
+      'INVITATION_OUTDATED'
+    );
+  }
+
+  if (!qrData.signature || !qrData.creator || !qrData.nonce) {
+    throw invitationError(
+      `QR code (version ${qrData.version ?? 'unknown'}) is not a signed invitation; update the client that created the session`,
+      'INVITATION_UNSIGNED'
+    );
+  }
+  const { signature, ...unsigned } = qrData;
+  if (!IdentityUtils.verify(qrData.creator, invitationSigningPayload(unsigned), signature)) {
+    throw invitationError(
+      `Invitation signature does not verify against creator ${qrData.creator.substring(0, 8)}; it was altered or forged`,
+      'INVITATION_SIGNATURE'
+    );
+  }
+  if (options.expectedCreator && options.expectedCreator.toLowerCase() !== qrData.creator.toLowerCase()) {
+    throw invitationError(
+      `Invitation was created by ${qrData.creator.substring(0, 8)}, expected ${options.expectedCreator.substring(0, 8)}`,
+      'INVITATION_CREATOR'
+    );
+  }
+
+  if (qrData.expiresAt <= qrData.timestamp) {
+    throw invitationError('Invitation expires before it was created', 'INVITATION_MALFORMED');
+  }
+  if (qrData.timestamp - clockSkewMs > now) {
+    throw invitationError(
+      `Invitation is dated ${new Date(qrData.timestamp).toISOString()}, ahead of this device's clock by more than ${clockSkewMs}ms`,
+      'INVITATION_NOT_YET_VALID'
+    );
+  }
+  if (now - clockSkewMs > qrData.expiresAt) {
+    throw invitationError(
+      `Invitation expired at ${new Date(qrData.expiresAt).toISOString()}, ask for a new one`,
+      'INVITATION_EXPIRED'
+    );
+  }
+
+  if (options.isNonceUsed?.(qrData.nonce)) {
+    throw invitationError('Invitation was already used on this device, ask for a new one', 'INVITATION_REUSED');
+  }
+}
+
+/**
+ * Bytes the creator signs: every field but the signature, with keys in a fixed order
+ */
+export function invitationSigningPayload(qrData: Omit<QRCodeData, 'signature'>): Uint8Array {
+  return new TextEncoder().encode(JSON.stringify([INVITATION_DOMAIN, canonicalize(qrData)]));
+}
+
 /**
  * Validate QR code data structure
  */
 export function validateQRCodeData(qrData: QRCodeData): boolean {
   return !!(
     qrData.type &&
-    qrData.aesKey &&
+    qrData.pairingSecret &&
     qrData.groupId &&
     qrData.threshold &&
     qrData.totalParties &&
     qrData.timestamp &&
-    qrData.version
+    qrData.expiresAt &&
+    qrData.version &&
+    qrData.envelope === ENVELOPE_VERSION &&
+    qrData.creator &&
+    qrData.nonce &&
+    qrData.signature
   );
 }
 
@@ -196,5 +341,29 @@ export function validateQRCodeData(qrData: QRCodeData): boolean {
  */
 export function isQRCodeExpired(qrData: QRCodeData, maxAgeMinutes: number = 60): boolean {
   const maxAge = maxAgeMinutes * 60 * 1000;
-  return Date.now() - qrData.timestamp > maxAge;
+  return Date.now() > qrData.expiresAt || Date.now() - qrData.timestamp > maxAge;
+}
+
+/**
+ * Copy of a JSON value with object keys sorted and undefined fields dropped
+ */
+function canonicalize(value: unknown): unknown {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    const sorted: Record<string, unknown> = {};
+    for (const key of Object.keys(value).sort()) {
+      const field = (value as Record<string, unknown>)[key];
+      if (field !== undefined) {
+        sorted[key] = canonicalize(field);
+      }
+    }
+    return sorted;
+  }
+  return value;
+}
+
+function invitationError(message: string, code: string): DeFiShArdError {
+  return new DeFiShArdError(ErrorType.VALIDATION_ERROR, message, code);
 }
@@ -0,0 +1,165 @@
+// RLP (Recursive Length Prefix) utilities for DeFiShArd SDK
+// The serialization of Ethereum transactions: a value is a byte string or a
+// list of values. Integers are encoded as their big-endian bytes without
+// leading zeros, so 0 is the empty string.
+
+import { hexToBytes } from './hex';
+
+const MAX_NESTING_DEPTH = 64;
+
+// Byte strings and nested lists; integers and text are converted on encoding
+export type RlpInput = Uint8Array | string | number | bigint | RlpInput[];
+
+// What decodeRlp returns: only byte strings and lists
+export type RlpValue = Uint8Array | RlpValue[];
+
+/**
+ * Encode a value as RLP
+ * Strings starting with 0x are hex bytes, other strings are UTF-8; numbers and bigints must be non-negative integers
+ */
+export function encodeRlp(value: RlpInput): Uint8Array {
+  const out: number[] = [];
+  writeItem(out, value, 0);
+  return new Uint8Array(out);
+}
+
+/**
+ * Decode one RLP item that spans all of the bytes
+ *
+ * @throws Error if the bytes are not canonical RLP or have trailing data
+ */
+export function decodeRlp(bytes: Uint8Array): RlpValue {
+  const [value, end] = readItem(bytes, 0, 0);
+  if (end !== bytes.length) {
+    throw new Error(`RLP: ${bytes.length - end} trailing bytes after the item`);
+  }
+  return value;
+}
+
+/**
+ * Minimal big-endian bytes of a non-negative integer, empty for 0
+ */
+export function integerToBytes(value: number | bigint): Uint8Array {
+  if (typeof value === 'number' && !Number.isSafeInteger(value)) {
+    throw new Error(`RLP: ${value} is not a safe integer, pass a bigint`);
+  }
+  const integer = BigInt(value);
+  if (integer < 0n) {
+    throw new Error(`RLP: negative integer ${integer}`);
+  }
+  if (integer === 0n) {
+    return new Uint8Array(0);
+  }
+  const hex = integer.toString(16);
+  return hexToBytes(hex.length % 2 ? `0${hex}` : hex);
+}
+
+function toBytes(value: Uint8Array | string | number | bigint): Uint8Array {
+  if (value instanceof Uint8Array) {
+    return value;
+  }
+  if (typeof value === 'string') {
+    return value.startsWith('0x') ? hexToBytes(value) : new TextEncoder().encode(value);
+  }
+  return integerToBytes(value);
+}
+
+function writeLength(out: number[], length: number, offset: number): void {
+  if (length < 56) {
+    out.push(offset + length);
+    return;
+  }
+  const lengthBytes = integerToBytes(length);
+  out.push(offset + 55 + lengthBytes.length, ...lengthBytes);
+}
+
+function writeItem(out: number[], value: RlpInput, depth: number): void {
+  if (depth > MAX_NESTING_DEPTH) {
+    throw new Error(`RLP: nesting deeper than ${MAX_NESTING_DEPTH}`);
+  }
+  if (Array.isArray(value)) {
+    const payload: number[] = [];
+    for (const item of value) {
+      writeItem(payload, item, depth + 1);
+    }
+    writeLength(out, payload.length, 0xc0);
+    out.push(...payload);
+    return;
+  }
+
+  const bytes = toBytes(value);
+  if (bytes.length === 1 && bytes[0] < 0x80) {
+    out.push(bytes[0]);
+    return;
+  }
+  writeLength(out, bytes.length, 0x80);
+  out.push(...bytes);
+}
+
+/**
+ * Read the payload length after a long-form prefix, returns [length, payloadOffset]
+ */
+function readLongLength(bytes: Uint8Array, offset: number, lengthOfLength: number): [number, number] {
+  if (offset + lengthOfLength > bytes.length) {
+    throw new Error(`RLP: truncated length at byte ${offset - 1}`);
+  }
+  if (bytes[offset] === 0) {
+    throw new Error(`RLP: length with leading zero at byte ${offset - 1}`);
+  }
+  let length = 0;
+  for (let i = 0; i < lengthOfLength; i++) {
+    length = length * 256 + bytes[offset + i];
+  }
+  if (length < 56) {
+    throw new Error(`RLP: long form used for a length of ${length} at byte ${offset - 1}`);
+  }
+  return [length, offset + lengthOfLength];
+}
+
+function readItem(bytes: Uint8Array, offset: number, depth: number): [RlpValue, number] {
+  if (depth > MAX_NESTING_DEPTH) {
+    throw new Error(`RLP: nesting deeper than ${MAX_NESTING_DEPTH}`);
+  }
+  if (offset >= bytes.length) {
+    throw new Error(`RLP: unexpected end of input at byte ${offset}`);
+  }
+
+  const prefix = bytes[offset];
+  if (prefix < 0x80) {
+    return [bytes.slice(offset, offset + 1), offset + 1];
+  }
+
+  let length: number;
+  let start: number;
+  const isList = prefix >= 0xc0;
+  const base = isList ? 0xc0 : 0x80;
+  if (prefix - base < 56) {
+    length = prefix - base;
+    start = offset + 1;
+  } else {
+    [length, start] = readLongLength(bytes, offset + 1, prefix - base - 55);
+  }
+  const end = start + length;
+  if (end > bytes.length) {
+    throw new Error(`RLP: item at byte ${offset} runs past the end of input`);
+  }
+
+  if (!isList) {
+    if (length === 1 && bytes[start] < 0x80) {
+      throw new Error(`RLP: single byte below 0x80 encoded as a string at byte ${offset}`);
+    }
+    return [bytes.slice(start, end), end];
+  }
+
+  const items: RlpValue[] = [];
+  let position = start;
+  while (position < end) {
+    const [item, next] = readItem(bytes, position, depth + 1);
+    if (next > end) {
+      throw new Error(`RLP: list item at byte ${position} runs past its list`);
+    }
+    items.push(item);
+    position = next;
+  }
+  return [items, end];
+}
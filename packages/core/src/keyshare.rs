@@ -57,6 +57,12 @@ impl Keyshare {
         Uint8Array::from(bytes.as_ref())
     }
 
+    /// Root chain code used for BIP32 non-hardened derivation.
+    #[wasm_bindgen(js_name = rootChainCode, getter)]
+    pub fn root_chain_code(&self) -> Uint8Array {
+        Uint8Array::from(self.inner.root_chain_code.as_ref())
+    }
+
     #[wasm_bindgen(js_name = participants, getter)]
     pub fn participants(&self) -> u8 {
         self.inner.rank_list.len() as u8
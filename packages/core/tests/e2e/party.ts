@@ -1,6 +1,7 @@
 // Unified Party Script - Run keygen, sign, rotation, or clear storage
 import { DeFiShArdSDK, LocalStorageAdapter } from '../../js/index.ts';
-import { generateKeygenQRCode, generateRotationQRCode, parseQRCode } from '../../js/utils/qrcode.ts';
+import { generateKeygenQRCode } from '../../js/utils/qrcode.ts';
+import { IdentityUtils } from '../../js/crypto/identity.ts';
 
 // @ts-ignore - Deno global is available at runtime
 declare const Deno: any;
@@ -83,27 +84,29 @@ async function runSetup() {
     console.log('🧹 Cleaning up previous test data...');
     await cleanupStorage();
     
-    console.log('📋 Generating QR code with encryption key...');
+    console.log('📋 Generating QR code with pairing secret...');
     const threshold = setupThreshold;
     const groupSize = setupParties;
     console.log(`📋 Configuration: ${threshold}-of-${groupSize} threshold scheme`);
     
     const tempGroupId = 'temp-group-id';
+    // Placeholder invitation, the creator signs the real one once the group exists
     const qrCodeResult = generateKeygenQRCode(
+      IdentityUtils.generate(),
       tempGroupId,
       threshold,
       groupSize,
       60
     );
     
-    console.log('✅ Generated QR code with embedded AES key');
-    console.log(`\n🔐 ENCRYPTION KEY (base64): ${qrCodeResult.aesKey}`);
+    console.log('✅ Generated QR code with embedded pairing secret');
+    console.log(`\n🔐 PAIRING SECRET (base64): ${qrCodeResult.pairingSecret}`);
 
     const setupData = {
       groupId: tempGroupId,
       threshold,
       groupSize,
-      aesKey: qrCodeResult.aesKey,
+      pairingSecret: qrCodeResult.pairingSecret,
       qrData: qrCodeResult.qrData
     };
 
@@ -140,10 +143,14 @@ async function runKeygen(role: string) {
 
       // Update setup data with real group ID
       updatedSetupData.groupId = group.group.groupId;
-      const qrData = JSON.parse(updatedSetupData.qrData);
-      qrData.groupId = group.group.groupId;
-      qrData.timestamp = Date.now();
-      updatedSetupData.qrData = JSON.stringify(qrData);
+      updatedSetupData.qrData = await sdk.createInvitation({
+        type: 'keygen',
+        groupId: group.group.groupId,
+        threshold: setupData.threshold,
+        totalParties: setupData.groupSize,
+        timeout: 60
+      });
+      updatedSetupData.pairingSecret = JSON.parse(updatedSetupData.qrData).pairingSecret;
       
       await Deno.writeTextFile('tests/e2e/setup-data.json', JSON.stringify(updatedSetupData, null, 2));
       console.log('✅ Updated setup data with real group ID');
@@ -152,7 +159,7 @@ async function runKeygen(role: string) {
       await waitForParties(sdk, group.group.groupId, setupData.groupSize, 'Creator');
     } else {
       // Joiner joins group
-      const parsedQR = parseQRCode(updatedSetupData.qrData);
+      const parsedQR = await sdk.acceptInvitation(updatedSetupData.qrData);
       console.log('\n📋 Joining group...');
       await sdk.joinGroup(parsedQR.groupId);
       console.log(`✅ ${partyName} joined group`);
@@ -268,10 +275,9 @@ async function runSigning(role: string, index: number) {
     (sdk as any).apiClient.updateConfig((sdk as any).config);
     (sdk as any).protocolManager.updateConfig((sdk as any).config);
 
-    // Set encryption key
-    const aesKeyBytes = Uint8Array.from(atob(setupData.aesKey), c => c.charCodeAt(0));
-    await sdk.setEncryptionKey(aesKeyBytes);
-    console.log('✅ Encryption key set');
+    // Set pairing secret
+    sdk.setPairingSecret(setupData.pairingSecret);
+    console.log('✅ Pairing secret set');
     
     // Set up signing event listener
     sdk.on('sign-complete', async (signature: any) => {
@@ -388,10 +394,9 @@ async function runRotation(role: string, index: number) {
     (sdk as any).apiClient.updateConfig((sdk as any).config);
     (sdk as any).protocolManager.updateConfig((sdk as any).config);
 
-    // Set encryption key
-    const aesKeyBytes = Uint8Array.from(atob(setupData.aesKey), c => c.charCodeAt(0));
-    await sdk.setEncryptionKey(aesKeyBytes);
-    console.log('✅ Encryption key set');
+    // Set pairing secret
+    sdk.setPairingSecret(setupData.pairingSecret);
+    console.log('✅ Pairing secret set');
 
     // Set up rotation event listener
     sdk.on('keygen-complete', async (newKeyShare: any) => {
@@ -457,10 +462,9 @@ async function initializeSDK(partyName: string, setupData: any, shouldJoinGroup
   const result = await sdk.register();
   console.log(`✅ ${partyName} registered: ${result.partyId}`);
 
-  // Set encryption key
-  const aesKeyBytes = Uint8Array.from(atob(setupData.aesKey), c => c.charCodeAt(0));
-  await sdk.setEncryptionKey(aesKeyBytes);
-  console.log('✅ Encryption key set');
+  // Set pairing secret
+  sdk.setPairingSecret(setupData.pairingSecret);
+  console.log('✅ Pairing secret set');
 
   return { sdk, setupData };
 }
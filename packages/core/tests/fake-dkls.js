@@ -0,0 +1,294 @@
+/**
+ * Stand-in for pkg/dkls_wasm_ll.js in unit tests
+ *
+ * Runs the message pattern of the real sessions (keygen: broadcast, two
+ * point-to-point rounds, broadcast; signing: broadcast, two point-to-point
+ * rounds, partial signatures) with distinct CBOR payloads per recipient, but
+ * is not a threshold scheme: round 1 reveals every party's key contribution
+ * and each keyshare holds the whole private key. Never use it outside tests.
+ */
+
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { sha256, sha512 } = require('@noble/hashes/sha2');
+const { hmac } = require('@noble/hashes/hmac');
+const { encodeCbor, decodeCbor } = require('../js/utils/cbor.ts');
+
+const toHex = bytes => Buffer.from(bytes).toString('hex');
+const fromHex = hex => Uint8Array.from(Buffer.from(hex, 'hex'));
+const toJsonBytes = value => new Uint8Array(Buffer.from(JSON.stringify(value)));
+const fromJsonBytes = bytes => JSON.parse(Buffer.from(bytes).toString());
+
+// CBOR maps decode to Map
+function readPayload(message) {
+  const decoded = decodeCbor(message.payload);
+  return decoded instanceof Map ? Object.fromEntries(decoded) : decoded;
+}
+
+class Message {
+  constructor(payload, from, to) {
+    this.payload = payload;
+    this.from_id = from;
+    this.to_id = to;
+  }
+
+  clone() {
+    return new Message(this.payload, this.from_id, this.to_id);
+  }
+
+  free() {}
+}
+
+class Keyshare {
+  constructor(data) {
+    this.data = data; // { privateKey, chainCode, participants, threshold, partyId }
+  }
+
+  static fromBytes(bytes) {
+    return new Keyshare(fromJsonBytes(bytes));
+  }
+
+  toBytes() {
+    return toJsonBytes(this.data);
+  }
+
+  get publicKey() {
+    return secp256k1.getPublicKey(fromHex(this.data.privateKey), true);
+  }
+
+  get rootChainCode() {
+    return fromHex(this.data.chainCode);
+  }
+
+  get participants() {
+    return this.data.participants;
+  }
+
+  get threshold() {
+    return this.data.threshold;
+  }
+
+  get partyId() {
+    return this.data.partyId;
+  }
+
+  finishKeyRotation() {}
+  free() {}
+}
+
+class KeygenSession {
+  constructor(participants, threshold, partyId, groupId, seed, distributed = true) {
+    this.state = {
+      mode: 'keygen',
+      participants,
+      threshold,
+      partyId,
+      distributed,
+      round: 0,
+      contribution: toHex(secp256k1.utils.randomPrivateKey()),
+      contributions: {},
+      privateKey: null, // Known up front when refreshing an existing key
+      chainCode: null,
+      publicKey: null,
+      lostShares: []
+    };
+  }
+
+  static initKeyRotation(oldshare, seed, distributed) {
+    return KeygenSession.refresh('rotation', oldshare, [], distributed);
+  }
+
+  static initKeyRecovery(oldshare, lostShares, seed, distributed) {
+    return KeygenSession.refresh('recovery', oldshare, Array.from(lostShares), distributed);
+  }
+
+  static initLostShareRecovery(participants, threshold, partyId, groupId, publicKey, lostShares, seed, distributed) {
+    const session = new KeygenSession(participants, threshold, partyId, groupId, seed, distributed);
+    session.state.mode = 'lost-share-recovery';
+    session.state.publicKey = toHex(publicKey);
+    session.state.lostShares = Array.from(lostShares);
+    return session;
+  }
+
+  static refresh(mode, oldshare, lostShares, distributed) {
+    const session = new KeygenSession(oldshare.participants, oldshare.threshold, oldshare.partyId, undefined, undefined, distributed);
+    session.state.mode = mode;
+    session.state.privateKey = oldshare.data.privateKey;
+    session.state.chainCode = oldshare.data.chainCode;
+    session.state.lostShares = lostShares;
+    return session;
+  }
+
+  static fromBytes(bytes) {
+    const session = Object.create(KeygenSession.prototype);
+    session.state = fromJsonBytes(bytes);
+    return session;
+  }
+
+  toBytes() {
+    return toJsonBytes(this.state);
+  }
+
+  error() {
+    return undefined;
+  }
+
+  createFirstMessage() {
+    const { partyId, contribution, privateKey, chainCode } = this.state;
+    this.state.round = 1;
+    const payload = { round: 1, contribution };
+    if (privateKey) {
+      payload.key = privateKey;
+      payload.chainCode = chainCode;
+    }
+    return new Message(encodeCbor(payload), partyId);
+  }
+
+  handleMessages(messages) {
+    const { round, participants, partyId } = this.state;
+    for (const message of messages) {
+      const payload = readPayload(message);
+      if (payload.round !== round) {
+        throw new Error(`Expected round ${round} messages, got round ${payload.round} from party ${message.from_id}`);
+      }
+      if (round === 1) {
+        this.state.contributions[message.from_id] = payload.contribution;
+        if (payload.key && !this.state.privateKey) {
+          this.state.privateKey = payload.key;
+          this.state.chainCode = payload.chainCode;
+        }
+      }
+    }
+    if (messages.length !== participants - 1) {
+      throw new Error(`Round ${round} needs ${participants - 1} messages, got ${messages.length}`);
+    }
+
+    this.state.round = round + 1;
+    if (round === 1 || round === 2) {
+      const responses = [];
+      for (let to = 0; to < participants; to++) {
+        if (to !== partyId) {
+          responses.push(new Message(encodeCbor({ round: round + 1, to }), partyId, to));
+        }
+      }
+      return responses;
+    }
+    if (round === 3) {
+      return [new Message(encodeCbor({ round: 4 }), partyId)];
+    }
+    return [];
+  }
+
+  keyshare() {
+    const { round, participants, threshold, partyId, contribution, contributions } = this.state;
+    if (round !== 5) {
+      throw new Error('Keygen is not finished');
+    }
+    let { privateKey, chainCode } = this.state;
+    if (!privateKey) {
+      const all = [contribution, ...Object.values(contributions)].sort();
+      const sum = all.reduce((total, hex) => (total + BigInt(`0x${hex}`)) % secp256k1.CURVE.n, 0n);
+      privateKey = sum.toString(16).padStart(64, '0');
+      chainCode = toHex(sha256(new TextEncoder().encode(all.join(''))));
+    }
+    return new Keyshare({ privateKey, chainCode, participants, threshold, partyId });
+  }
+
+  calculateChainCodeCommitment() {
+    return new Uint8Array(32);
+  }
+
+  free() {}
+}
+
+class SignSession {
+  constructor(keyshare, chainPath) {
+    this.state = {
+      keyshare: keyshare.data,
+      privateKey: deriveChildPrivateKey(keyshare.data, chainPath),
+      round: 0,
+      signers: [],
+      signature: null // Computed by lastMessage(), returned by combine()
+    };
+  }
+
+  static fromBytes(bytes) {
+    const session = Object.create(SignSession.prototype);
+    session.state = fromJsonBytes(bytes);
+    return session;
+  }
+
+  toBytes() {
+    return toJsonBytes(this.state);
+  }
+
+  error() {
+    return undefined;
+  }
+
+  createFirstMessage() {
+    this.state.round = 1;
+    return new Message(encodeCbor({ round: 1 }), this.state.keyshare.partyId);
+  }
+
+  handleMessages(messages) {
+    const { round, keyshare } = this.state;
+    for (const message of messages) {
+      if (readPayload(message).round !== round) {
+        throw new Error(`Expected round ${round} messages from party ${message.from_id}`);
+      }
+    }
+    if (round === 1) {
+      this.state.signers = messages.map(message => message.from_id);
+    }
+    if (messages.length !== keyshare.threshold - 1) {
+      throw new Error(`Round ${round} needs ${keyshare.threshold - 1} messages, got ${messages.length}`);
+    }
+
+    this.state.round = round + 1;
+    if (round === 3) {
+      return [];
+    }
+    return this.state.signers.map(to => new Message(encodeCbor({ round: round + 1, to }), keyshare.partyId, to));
+  }
+
+  lastMessage(messageHash) {
+    const signature = secp256k1.sign(messageHash, fromHex(this.state.privateKey), { lowS: true });
+    this.state.signature = signature.toCompactHex();
+    this.state.round = 4;
+    return new Message(encodeCbor({ round: 4 }), this.state.keyshare.partyId);
+  }
+
+  combine(messages) {
+    if (messages.length !== this.state.keyshare.threshold - 1) {
+      throw new Error(`Combining needs ${this.state.keyshare.threshold - 1} partial signatures, got ${messages.length}`);
+    }
+    const compact = fromHex(this.state.signature);
+    return [compact.slice(0, 32), compact.slice(32)];
+  }
+
+  free() {}
+}
+
+// BIP32 CKDpriv for non-hardened paths, matching Bip32Utils.deriveChildPublicKey
+function deriveChildPrivateKey(keyshare, path) {
+  let key = BigInt(`0x${keyshare.privateKey}`);
+  let chainCode = fromHex(keyshare.chainCode);
+  for (const segment of path.split('/').slice(1)) {
+    const data = new Uint8Array(37);
+    data.set(secp256k1.getPublicKey(fromHex(key.toString(16).padStart(64, '0')), true), 0);
+    new DataView(data.buffer).setUint32(33, Number(segment), false);
+    const I = hmac(sha512, chainCode, data);
+    key = (key + BigInt(`0x${toHex(I.slice(0, 32))}`)) % secp256k1.CURVE.n;
+    chainCode = I.slice(32);
+  }
+  return key.toString(16).padStart(64, '0');
+}
+
+module.exports = {
+  __esModule: true,
+  default: async () => undefined,
+  Message,
+  Keyshare,
+  KeygenSession,
+  SignSession
+};
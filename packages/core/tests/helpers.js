@@ -0,0 +1,207 @@
+/**
+ * Shared helpers of the unit tests
+ * Requiring this file lets a test require the TypeScript sources in js/ directly
+ */
+
+const fs = require('fs');
+const ts = require('typescript');
+
+// Load the TypeScript sources directly
+if (!require.extensions['.ts']) {
+  require.extensions['.ts'] = (module, filename) => {
+    const output = ts.transpileModule(fs.readFileSync(filename, 'utf8'), {
+      compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2020 }
+    }).outputText;
+    module._compile(output, filename);
+  };
+}
+
+/**
+ * Runs the tests of one suite and prints the summary test-runner.js parses
+ */
+class UnitTestRunner {
+  constructor(title) {
+    this.title = title;
+    this.results = [];
+    this.totalTests = 0;
+    this.passedTests = 0;
+  }
+
+  async runTest(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      this.passedTests++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+    this.totalTests++;
+  }
+
+  printSummary() {
+    console.log(`\n📊 ${this.title} Test Summary:`);
+    console.log(`Total Tests: ${this.totalTests}`);
+    console.log(`Passed: ${this.passedTests}`);
+    console.log(`Failed: ${this.totalTests - this.passedTests}`);
+
+    if (this.totalTests > 0) {
+      const successRate = ((this.passedTests / this.totalTests) * 100).toFixed(1);
+      console.log(`Success Rate: ${successRate}%`);
+    }
+  }
+}
+
+const toHex = bytes => Buffer.from(bytes).toString('hex');
+const fromHex = hex => Uint8Array.from(Buffer.from(hex.replace(/^0x/, ''), 'hex'));
+const tick = (ms = 5) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Expect fn to throw an error whose message matches pattern
+function expectThrow(fn, pattern) {
+  try {
+    fn();
+  } catch (error) {
+    if (pattern && !pattern.test(error.message)) {
+      throw new Error(`Unexpected error: ${error.message}`);
+    }
+    return;
+  }
+  throw new Error('Expected an error, nothing was thrown');
+}
+
+// Expect fn to reject with an error whose message matches pattern
+async function expectRejection(fn, pattern) {
+  try {
+    await fn();
+  } catch (error) {
+    if (!pattern.test(error.message)) {
+      throw new Error(`Unexpected error: ${error.message}`);
+    }
+    return;
+  }
+  throw new Error('Expected a rejection, nothing was thrown');
+}
+
+// Expect fn to throw or reject with a DeFiShArdError of the given code
+async function expectCode(fn, code) {
+  try {
+    await fn();
+  } catch (error) {
+    if (error.code !== code) {
+      throw new Error(`Expected ${code}, got ${error.code}: ${error.message}`);
+    }
+    return;
+  }
+  throw new Error(`Expected ${code}, nothing was thrown`);
+}
+
+// Load tests/fake-dkls.js wherever the sources import the WASM build, which unit tests run without
+function useFakeDkls() {
+  const Module = require('module');
+  if (Module._resolveFilename.usesFakeDkls) {
+    return;
+  }
+  const resolveFilename = Module._resolveFilename;
+  const fake = require.resolve('./fake-dkls');
+  Module._resolveFilename = function (request, ...rest) {
+    return /pkg\/dkls_wasm_ll(\.js)?$/.test(request) ? fake : resolveFilename.call(this, request, ...rest);
+  };
+  Module._resolveFilename.usesFakeDkls = true;
+}
+
+// SDK registered with a LoopbackHub, storing in memory and running the fake WASM build
+async function createLoopbackSdk(hub, config = {}) {
+  useFakeDkls();
+  const { DeFiShArdSDK } = require('../js/core/SDK.ts');
+  const { MemoryStorageAdapter } = require('../js/storage/memory-storage.ts');
+  const sdk = new DeFiShArdSDK({
+    relayerUrl: 'loopback://',
+    websocketUrl: 'loopback://',
+    storage: new MemoryStorageAdapter(),
+    transport: hub.createTransport(),
+    apiClient: hub.createApiClient(),
+    ...config
+  });
+  sdk.on('error', () => undefined); // Tests look at rejected promises instead
+  await sdk.initialize();
+  await sdk.register();
+  return sdk;
+}
+
+// Transport that keeps what it sends instead of delivering it
+function createCaptureTransport() {
+  const { BaseTransport } = require('../js/transport/base-transport.ts');
+  class CaptureTransport extends BaseTransport {
+    constructor() {
+      super(false);
+      this.sent = [];
+    }
+
+    async connect() {}
+    async disconnect() {}
+    isConnected() {
+      return true;
+    }
+
+    async deliver(message) {
+      this.sent.push(message);
+    }
+  }
+  return new CaptureTransport();
+}
+
+// Stop an SDK for good right after it writes its next session checkpoint, resolves with the storage key and data
+function crashAfterCheckpoint(sdk) {
+  const storage = sdk.getStorage();
+  const save = storage.save.bind(storage);
+  return new Promise(resolve => {
+    storage.save = async (key, data) => {
+      await save(key, data);
+      if (key.startsWith('session_')) {
+        storage.save = save;
+        sdk.transport.connect = async () => undefined; // A crashed process never comes back
+        await sdk.disconnect();
+        resolve([key, data]);
+      }
+    };
+  });
+}
+
+// Decrypt a session checkpoint an SDK wrote
+async function decryptCheckpoint(sdk, data) {
+  const { IdentityUtils } = require('../js/crypto/identity.ts');
+  const { AESUtils } = require('../js/crypto/aes.ts');
+  const rawKey = IdentityUtils.deriveStorageKey(sdk.identity, 'checkpoint');
+  const key = await crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['decrypt']);
+  return JSON.parse(await AESUtils.decryptToString(JSON.parse(data), key));
+}
+
+// Hub and SDKs of a fresh t-of-n group, the first SDK created the group
+async function createLoopbackGroup(threshold, totalParties, config = {}) {
+  const { LoopbackHub } = require('../js/transport/in-memory.ts');
+  const hub = new LoopbackHub();
+  const sdks = [];
+  for (let i = 0; i < totalParties; i++) {
+    sdks.push(await createLoopbackSdk(hub, config));
+  }
+  const { group } = await sdks[0].createGroup(threshold, totalParties);
+  for (const sdk of sdks.slice(1)) {
+    await sdk.joinGroup(group.groupId);
+  }
+  return { hub, sdks, groupId: group.groupId };
+}
+
+module.exports = {
+  UnitTestRunner,
+  toHex,
+  fromHex,
+  tick,
+  expectThrow,
+  expectRejection,
+  expectCode,
+  useFakeDkls,
+  createLoopbackSdk,
+  createLoopbackGroup,
+  createCaptureTransport,
+  crashAfterCheckpoint,
+  decryptCheckpoint
+};
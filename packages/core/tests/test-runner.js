@@ -84,6 +84,27 @@ async function runAllTests() {
   await runner.runTestSuite('Unit Tests - Storage', 'unit/storage.test.js');
   await runner.runTestSuite('Unit Tests - KeygenProcessor', 'unit/keygen-processor.test.js');
   await runner.runTestSuite('Unit Tests - SignProcessor', 'unit/sign-processor.test.js');
+  await runner.runTestSuite('Unit Tests - QRTransport', 'unit/qr-transport.test.js');
+  await runner.runTestSuite('Unit Tests - BundleTransport', 'unit/bundle-transport.test.js');
+  await runner.runTestSuite('Unit Tests - Signature', 'unit/signature.test.js');
+  await runner.runTestSuite('Unit Tests - Ethereum', 'unit/ethereum.test.js');
+  await runner.runTestSuite('Unit Tests - Ethereum Transactions', 'unit/ethereum-transaction.test.js');
+  await runner.runTestSuite('Unit Tests - Bitcoin', 'unit/bitcoin.test.js');
+  await runner.runTestSuite('Unit Tests - Message Binding', 'unit/message-binding.test.js');
+  await runner.runTestSuite('Unit Tests - Invitation', 'unit/invitation.test.js');
+  await runner.runTestSuite('Unit Tests - Pairing', 'unit/pairing.test.js');
+  await runner.runTestSuite('Unit Tests - Checkpoint', 'unit/checkpoint.test.js');
+  await runner.runTestSuite('Unit Tests - Recovery', 'unit/recovery.test.js');
+  await runner.runTestSuite('Unit Tests - In-Memory Transport', 'unit/in-memory-transport.test.js');
+  await runner.runTestSuite('Unit Tests - Protocol API', 'unit/protocol-api.test.js');
+  await runner.runTestSuite('Unit Tests - BIP32', 'unit/bip32.test.js');
+  await runner.runTestSuite('Unit Tests - WebSocket', 'unit/websocket.test.js');
+  await runner.runTestSuite('Unit Tests - Identity', 'unit/identity.test.js');
+  await runner.runTestSuite('Unit Tests - Encryption', 'unit/encryption.test.js');
+  await runner.runTestSuite('Unit Tests - Invitation Link', 'unit/invitation-link.test.js');
+  await runner.runTestSuite('Unit Tests - Timeouts', 'unit/timeouts.test.js');
+  await runner.runTestSuite('Unit Tests - Progress', 'unit/progress.test.js');
+  await runner.runTestSuite('Unit Tests - Validation', 'unit/validation.test.js');
   
   // Run integration tests (if they exist)
   const fs = require('fs');
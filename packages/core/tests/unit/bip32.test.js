@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for BIP32 public derivation (CKDpub)
+ * Vectors are the extended public keys of BIP32 test vector 1, seed 000102030405060708090a0b0c0d0e0f
+ */
+
+const { UnitTestRunner, toHex, fromHex, expectThrow } = require('../helpers');
+const { Bip32Utils } = require('../../js/crypto/bip32.ts');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+
+// Public key and chain code of each extended public key, by its path from the master key
+const VECTOR_1 = {
+  'm/0H': {
+    publicKey: '035a784662a4a20a65bf6aab9ae98a6c068a81c52e4b032c0fb5400c706cfccc56',
+    chainCode: '47fdacbd0f1097043b78c63c20c34ef4ed9a111d980047ad16282c7ae6236141'
+  },
+  'm/0H/1': {
+    publicKey: '03501e454bf00751f24b1b489aa925215d66af2234e3891c3b21a52bedb3cd711c',
+    chainCode: '2a7857631386ba23dacac34180dd1983734e444fdbf774041578e9b6adb37c19'
+  },
+  'm/0H/1/2H': {
+    publicKey: '0357bfe1e341d01c69fe5654309956cbea516822fba8a601743a012a7896ee8dc2',
+    chainCode: '04466b9cc8e161e966409ca52986c584f07e9dc81f735db683c3ff6ec7b1503f'
+  },
+  'm/0H/1/2H/2/1000000000': {
+    publicKey: '022a471424da5e657499d1ff51cb43c47481a03b1e77f951fe64cec9f5a48f7011',
+    chainCode: 'c783e67b921d2beb8f6b389cc646d7263b4145701dadd2161548a8b078e65e9e'
+  }
+};
+
+function derive(parent, path) {
+  const { publicKey, chainCode } = VECTOR_1[parent];
+  return Bip32Utils.deriveChildPublicKey(fromHex(publicKey), fromHex(chainCode), path);
+}
+
+function expectKey(derived, expected) {
+  if (toHex(derived.publicKey) !== expected.publicKey || toHex(derived.chainCode) !== expected.chainCode) {
+    throw new Error(`Expected ${expected.publicKey}, got ${toHex(derived.publicKey)}`);
+  }
+}
+
+async function runBip32Tests() {
+  const runner = new UnitTestRunner('BIP32');
+
+  console.log('🧪 Running BIP32 Tests...\n');
+
+  // Test 1: Single step
+  await runner.runTest('CKDpub - m/0H/1 from the m/0H extended public key', async () => {
+    expectKey(derive('m/0H', 'm/1'), VECTOR_1['m/0H/1']);
+  });
+
+  // Test 2: Several steps
+  await runner.runTest('CKDpub - m/0H/1/2H/2/1000000000 from the m/0H/1/2H extended public key', async () => {
+    expectKey(derive('m/0H/1/2H', 'm/2/1000000000'), VECTOR_1['m/0H/1/2H/2/1000000000']);
+  });
+
+  // Test 3: Parent key encodings
+  await runner.runTest('CKDpub - an uncompressed parent key and the path "m" derive as expected', async () => {
+    const { publicKey, chainCode } = VECTOR_1['m/0H'];
+    const uncompressed = secp256k1.ProjectivePoint.fromHex(publicKey).toRawBytes(false);
+    expectKey(Bip32Utils.deriveChildPublicKey(uncompressed, fromHex(chainCode), 'm/1'), VECTOR_1['m/0H/1']);
+    expectKey(derive('m/0H', 'm'), VECTOR_1['m/0H']);
+  });
+
+  // Test 4: Paths threshold keys cannot derive
+  await runner.runTest('Path - rejects hardened, out of range and malformed paths', async () => {
+    expectThrow(() => Bip32Utils.parsePath("m/0'"), /hardened index/);
+    expectThrow(() => Bip32Utils.parsePath('m/0H'), /hardened index/);
+    expectThrow(() => Bip32Utils.parsePath('m/2147483648'), /out of the non-hardened range/);
+    expectThrow(() => Bip32Utils.parsePath('0/1'), /must start with "m"/);
+    expectThrow(() => Bip32Utils.parsePath('m/1/x'), /not a valid index/);
+    expectThrow(() => derive('m/0H', 'm/0H'), /hardened index/);
+    if (Bip32Utils.parsePath('m/0/2147483647').join() !== '0,2147483647' || Bip32Utils.isValidPath("m/1'")) {
+      throw new Error('Non-hardened indices were not parsed as expected');
+    }
+  });
+
+  // Test 5: Chain codes
+  await runner.runTest('CKDpub - rejects a chain code that is not 32 bytes', async () => {
+    const { publicKey } = VECTOR_1['m/0H'];
+    expectThrow(() => Bip32Utils.deriveChildPublicKey(fromHex(publicKey), new Uint8Array(31), 'm/1'), /Chain code must be 32 bytes/);
+  });
+
+  runner.printSummary();
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runBip32Tests().catch(error => {
+    console.error('BIP32 tests failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for Bitcoin addresses, BIP-143 sighashes, PSBTs and BIP-137 messages
+ * Vectors are taken from BIP-173, BIP-49 and the BIP-143 examples
+ */
+
+const { UnitTestRunner, toHex, fromHex, expectThrow, createLoopbackGroup } = require('../helpers');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { BitcoinUtils } = require('../../js/crypto/bitcoin.ts');
+const { PsbtUtils, SIGHASH_ALL, SIGHASH_NONE, SIGHASH_SINGLE, SIGHASH_ANYONECANPAY } = require('../../js/crypto/bitcoin-psbt.ts');
+const { SignatureUtils } = require('../../js/crypto/signature.ts');
+
+// BIP-143 native P2WPKH example: input 1 spends 6 BTC from the P2WPKH output of this key
+const P2WPKH_TX = '0100000002fff7f7881a8099afa6940d42d1e7f6362bec38171ea3edf433541db4e4ad969f0000000000eeffffff' +
+  'ef51e1b804cc89d182d279655c3aa89e815b1b309fe287d9b2b55d57b90ec68a0100000000ffffffff02202cb206000000001976a914' +
+  '8280b37df378db99f66f85c95a783a76ac7a6d5988ac9093510d000000001976a9143bde42dbee7e4dbe6a21b2d50ce2f0167faa8159' +
+  '88ac11000000';
+const P2WPKH_KEY = fromHex('619c335025c7f4012e556c2a58b2506e30b8511b53ade95ea316fd8c3286feb9');
+
+// BIP-143 P2SH-P2WPKH example: the only input spends 10 BTC
+const P2SH_P2WPKH_TX = '0100000001db6b1b20aa0fd7b23880be2ecbd4a98130974cf4748fb66092ac4d3ceb1a54770100000000feffffff' +
+  '02b8b4eb0b000000001976a914a457b684d7f0d539a46a45bbc043f35b59d0d96388ac0008af2f000000001976a914fd270b1ee6abcaea' +
+  '97fea7ad0402e8bd8ad6d77c88ac92040000';
+const P2SH_P2WPKH_KEY = fromHex('eb696a065ef48a2192da5b28b694f87544b30fae8327c4510137a922f32c6dcf');
+
+// Stands in for the ceremony: sign() results are low-S with DER and recovery id
+function mpcSign(messageHash, privateKey) {
+  const publicKey = secp256k1.getPublicKey(privateKey, true);
+  const compact = secp256k1.sign(messageHash, privateKey).toCompactRawBytes();
+  return { ...SignatureUtils.format([compact.slice(0, 32), compact.slice(32)], messageHash, publicKey), publicKey };
+}
+
+function keyHashOf(privateKey) {
+  return BitcoinUtils.hash160(secp256k1.getPublicKey(privateKey, true));
+}
+
+async function runBitcoinTests() {
+  const runner = new UnitTestRunner('Bitcoin');
+
+  console.log('🧪 Running Bitcoin Tests...\n');
+
+  // Test 1: Addresses
+  await runner.runTest('BitcoinUtils - P2WPKH, P2SH-P2WPKH and P2PKH addresses', async () => {
+    const generator = '0279BE667EF9DCBBAC55A06295CE870B07029BFCDB2DCE28D959F2815B16F81798';
+    const vectors = [
+      [generator, 'p2wpkh', 'mainnet', 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4'],
+      [generator, 'p2wpkh', 'testnet', 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx'],
+      [generator, 'p2pkh', 'mainnet', '1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH'],
+      ['03a1af804ac108a8a51782198c2d034b28bf90c8803f5a53f76276fa69a4eae77f', 'p2sh-p2wpkh', 'testnet', '2Mww8dCYPUpKHofjgcXcBCEGmniw9CoaiD2']
+    ];
+    for (const [publicKey, type, network, expected] of vectors) {
+      const address = BitcoinUtils.getAddress(publicKey, type, network);
+      if (address !== expected) {
+        throw new Error(`${type} on ${network} gave ${address}, expected ${expected}`);
+      }
+    }
+    // Uncompressed keys are compressed first, as segwit requires
+    const uncompressed = secp256k1.ProjectivePoint.fromHex(generator).toRawBytes(false);
+    if (BitcoinUtils.getAddress(uncompressed) !== vectors[0][3]) {
+      throw new Error('Uncompressed key should give the same segwit address');
+    }
+    if (!BitcoinUtils.getAddress(generator, 'p2wpkh', 'regtest').startsWith('bcrt1q')) {
+      throw new Error('Regtest addresses should use the bcrt prefix');
+    }
+    expectThrow(() => BitcoinUtils.getAddress(generator, 'p2wpkh', 'signet'), /Unknown Bitcoin network/);
+  });
+
+  // Test 2: BIP-143 native P2WPKH sighash
+  await runner.runTest('PsbtUtils - BIP-143 P2WPKH sighash and signature', async () => {
+    const tx = PsbtUtils.parseTransaction(fromHex(P2WPKH_TX));
+    if (toHex(PsbtUtils.serializeTransaction(tx)) !== P2WPKH_TX) {
+      throw new Error('Transaction should round trip');
+    }
+    const scriptCode = BitcoinUtils.p2pkhScript(keyHashOf(P2WPKH_KEY));
+    const sighash = PsbtUtils.segwitSighash(tx, 1, scriptCode, 600000000n, SIGHASH_ALL);
+    if (toHex(sighash) !== 'c37af31116d1b27caf68aae9e3ac82f1477929014d5b917657d0eb49478cb670') {
+      throw new Error(`Unexpected sighash ${toHex(sighash)}`);
+    }
+    const { der } = mpcSign(sighash, P2WPKH_KEY);
+    const expected = '304402203609e17b84f6a7d30c80bfa610b5b4542f32a8a0d5447a12fb1366d7f01cc44a' +
+      '0220573a954c4518331561406f90300e8f3358f51928d43c212a8caed02de67eebee';
+    if (toHex(der) !== expected) {
+      throw new Error(`Unexpected signature ${toHex(der)}`);
+    }
+
+    // Other sighash types commit to less of the transaction
+    const hashes = [SIGHASH_NONE, SIGHASH_SINGLE, SIGHASH_ALL | SIGHASH_ANYONECANPAY]
+      .map(type => toHex(PsbtUtils.segwitSighash(tx, 1, scriptCode, 600000000n, type)));
+    if (new Set([toHex(sighash), ...hashes]).size !== 4) {
+      throw new Error('Sighash types should give distinct hashes');
+    }
+    expectThrow(() => PsbtUtils.segwitSighash(tx, 1, scriptCode, 600000000n, 0x04), /Unsupported sighash type/);
+  });
+
+  // Test 3: Full PSBT flow for P2SH-P2WPKH
+  await runner.runTest('PsbtUtils - signs and finalizes the BIP-143 P2SH-P2WPKH example', async () => {
+    const publicKey = secp256k1.getPublicKey(P2SH_P2WPKH_KEY, true);
+    const redeemScript = BitcoinUtils.p2wpkhScript(keyHashOf(P2SH_P2WPKH_KEY));
+    const psbt = PsbtUtils.fromTransaction(PsbtUtils.parseTransaction(fromHex(P2SH_P2WPKH_TX)));
+    psbt.inputs[0].witnessUtxo = { amount: 1000000000n, script: BitcoinUtils.p2shScript(redeemScript) };
+
+    const request = PsbtUtils.getSigningRequest(PsbtUtils.decode(PsbtUtils.encode(psbt)), 0, publicKey);
+    if (!request || request.type !== 'p2sh-p2wpkh') {
+      throw new Error('Input should be recognized as P2SH-P2WPKH of the key');
+    }
+    if (toHex(request.sighash) !== '64f3b0f4dd2bb3aa1ce8566d220cc74dda9df97d8490cc81d89d735c92e59fb6') {
+      throw new Error(`Unexpected sighash ${toHex(request.sighash)}`);
+    }
+
+    const { der } = mpcSign(request.sighash, P2SH_P2WPKH_KEY);
+    PsbtUtils.addSignature(psbt, request, publicKey, der);
+    PsbtUtils.finalizeInput(psbt, 0);
+    const finalized = PsbtUtils.decode(PsbtUtils.encode(psbt));
+    if (finalized.inputs[0].partialSigs.length !== 0 || finalized.inputs[0].redeemScript) {
+      throw new Error('Finalizing should drop the partial signature and redeem script');
+    }
+
+    const transaction = PsbtUtils.extractTransaction(finalized);
+    const expected = '01000000000101db6b1b20aa0fd7b23880be2ecbd4a98130974cf4748fb66092ac4d3ceb1a5477010000001716001479091972186c449eb1ded22b78e40d009bdf0089feffffff' +
+      '02b8b4eb0b000000001976a914a457b684d7f0d539a46a45bbc043f35b59d0d96388ac0008af2f000000001976a914fd270b1ee6abcaea97fea7ad0402e8bd8ad6d77c88ac' +
+      '02473044022047ac8e878352d3ebbde1c94ce3a10d057c24175747116f8288e5d794d12d482f0220217f36a485cae903c713331d877c1f64677e3622ad4010726870540656fe9dcb01' +
+      '2103ad1d8e89212f0b92c74d23bb710c00662ad1470198ac48c43f7d6f93a2a2687392040000';
+    if (transaction !== expected) {
+      throw new Error(`Unexpected signed transaction ${transaction}`);
+    }
+    if (PsbtUtils.getTxid(transaction) === PsbtUtils.getTxid(psbt.tx)) {
+      throw new Error('The txid should commit to the P2SH scriptSig');
+    }
+  });
+
+  // Test 4: Owned inputs only
+  await runner.runTest('PsbtUtils - signs only inputs paying to the key and stays incomplete', async () => {
+    const publicKey = secp256k1.getPublicKey(P2WPKH_KEY, true);
+    const psbt = PsbtUtils.fromTransaction(PsbtUtils.parseTransaction(fromHex(P2WPKH_TX)));
+    // Input 0 is a P2PK output of another key
+    psbt.inputs[0].witnessUtxo = {
+      amount: 625000000n,
+      script: fromHex('2103c9f4836b9a4f77fc0d81f7bcb01b7f1b35916864b9476c241ce9fc198bd25432ac')
+    };
+    psbt.inputs[1].witnessUtxo = { amount: 600000000n, script: BitcoinUtils.p2wpkhScript(keyHashOf(P2WPKH_KEY)) };
+
+    if (PsbtUtils.getSigningRequest(psbt, 0, publicKey) !== null) {
+      throw new Error('Input 0 does not pay to the key');
+    }
+    if (PsbtUtils.getSigningRequest(psbt, 1, secp256k1.getPublicKey(P2SH_P2WPKH_KEY, true)) !== null) {
+      throw new Error('Input 1 does not pay to another key');
+    }
+
+    const request = PsbtUtils.getSigningRequest(psbt, 1, publicKey);
+    PsbtUtils.addSignature(psbt, request, publicKey, mpcSign(request.sighash, P2WPKH_KEY).der);
+    PsbtUtils.finalizeInput(psbt, 1);
+    const witness = psbt.inputs[1].finalScriptWitness.map(toHex);
+    if (witness.length !== 2 || !witness[0].endsWith('eebee01') || witness[1] !== toHex(publicKey) || psbt.inputs[1].finalScriptSig) {
+      throw new Error('P2WPKH witness should be [signature || SIGHASH_ALL, public key] with no scriptSig');
+    }
+    if (PsbtUtils.getSigningRequest(psbt, 1, publicKey) !== null) {
+      throw new Error('Finalized inputs should not be signed again');
+    }
+    expectThrow(() => PsbtUtils.extractTransaction(psbt), /Input 0 is not finalized/);
+    expectThrow(() => PsbtUtils.finalizeInput(psbt, 0), /no signature/);
+  });
+
+  // Test 5: Encoding
+  await runner.runTest('PsbtUtils - encodes, decodes and rejects malformed PSBTs', async () => {
+    const previous = PsbtUtils.parseTransaction(fromHex(P2SH_P2WPKH_TX));
+    const spend = {
+      version: 2,
+      inputs: [{ txid: PsbtUtils.getTxid(previous), vout: 1, scriptSig: new Uint8Array(0), sequence: 0xfffffffd, witness: [] }],
+      outputs: [{ amount: 799990000n, script: BitcoinUtils.p2wpkhScript(keyHashOf(P2WPKH_KEY)) }],
+      locktime: 0
+    };
+    const psbt = PsbtUtils.fromTransaction(spend);
+    psbt.inputs[0].nonWitnessUtxo = fromHex(P2SH_P2WPKH_TX);
+    psbt.inputs[0].sighashType = SIGHASH_ALL;
+    psbt.inputs[0].bip32Derivation.push({ pubkey: secp256k1.getPublicKey(P2WPKH_KEY, true), fingerprint: 0xd90c6a4f, path: [0x80000054, 0, 7] });
+    psbt.inputs[0].unknown.push({ key: fromHex('fc0101'), value: fromHex('beef') });
+    psbt.outputs[0].bip32Derivation.push({ pubkey: secp256k1.getPublicKey(P2WPKH_KEY, true), fingerprint: 1, path: [1, 2] });
+    psbt.unknown.push({ key: fromHex('fb'), value: fromHex('00000000') });
+
+    const encoded = PsbtUtils.encode(psbt);
+    const hex = toHex(PsbtUtils.toBytes(psbt));
+    for (const input of [encoded, hex, fromHex(hex)]) {
+      if (PsbtUtils.encode(PsbtUtils.decode(input)) !== encoded) {
+        throw new Error('PSBT should round trip from base64, hex and bytes');
+      }
+    }
+    const decoded = PsbtUtils.decode(encoded);
+    const derivation = decoded.inputs[0].bip32Derivation[0];
+    if (derivation.fingerprint !== 0xd90c6a4f || derivation.path.join() !== [0x80000054, 0, 7].join()) {
+      throw new Error('BIP32 derivation should decode');
+    }
+    if (PsbtUtils.getInputUtxo(decoded, 0).amount !== 800000000n) {
+      throw new Error('UTXO should come from the previous transaction');
+    }
+
+    decoded.tx.inputs[0].vout = 0;
+    decoded.tx.inputs[0].txid = '00'.repeat(32);
+    expectThrow(() => PsbtUtils.getInputUtxo(decoded, 0), /does not match its outpoint/);
+    expectThrow(() => PsbtUtils.decode(hex.replace(/^70736274ff/, '70736274fe')), /bad magic/);
+    expectThrow(() => PsbtUtils.decode(fromHex(hex + '00')), /trailing data/);
+    const duplicate = hex.replace('01fb0400000000', '01fb040000000001fb0400000000');
+    expectThrow(() => PsbtUtils.decode(duplicate), /duplicate key/);
+  });
+
+  // Test 6: Sighash types
+  await runner.runTest('PsbtUtils - signs other sighash types only when allowed', async () => {
+    const publicKey = secp256k1.getPublicKey(P2WPKH_KEY, true);
+    const psbt = PsbtUtils.fromTransaction(PsbtUtils.parseTransaction(fromHex(P2WPKH_TX)));
+    psbt.inputs[1].witnessUtxo = { amount: 600000000n, script: BitcoinUtils.p2wpkhScript(keyHashOf(P2WPKH_KEY)) };
+
+    for (const sighashType of [SIGHASH_NONE, SIGHASH_SINGLE, SIGHASH_ALL | SIGHASH_ANYONECANPAY]) {
+      psbt.inputs[1].sighashType = sighashType;
+      expectThrow(() => PsbtUtils.getSigningRequest(psbt, 1, publicKey), /not allowed/);
+    }
+
+    psbt.inputs[1].sighashType = SIGHASH_NONE;
+    const request = PsbtUtils.getSigningRequest(psbt, 1, publicKey, [SIGHASH_ALL, SIGHASH_NONE]);
+    if (request.sighashType !== SIGHASH_NONE) {
+      throw new Error('An allowed sighash type should be signed');
+    }
+  });
+
+  // Test 7: BIP-137 messages
+  await runner.runTest('BitcoinUtils - BIP-137 signed messages verify against each address type', async () => {
+    const publicKey = secp256k1.getPublicKey(P2WPKH_KEY, true);
+    const message = 'DeFiShArd proof of reserves';
+    const signature = mpcSign(BitcoinUtils.hashMessage(message), P2WPKH_KEY);
+
+    for (const [type, base] of [['p2pkh', 31], ['p2sh-p2wpkh', 35], ['p2wpkh', 39]]) {
+      const encoded = BitcoinUtils.encodeMessageSignature(signature, type);
+      const bytes = Buffer.from(encoded, 'base64');
+      if (bytes.length !== 65 || bytes[0] !== base + signature.recoveryId) {
+        throw new Error(`Unexpected ${type} header ${bytes[0]}`);
+      }
+      for (const network of ['mainnet', 'testnet']) {
+        if (!BitcoinUtils.verifyMessage(message, BitcoinUtils.getAddress(publicKey, type, network), encoded)) {
+          throw new Error(`${type} signature should verify on ${network}`);
+        }
+      }
+    }
+
+    const segwit = BitcoinUtils.encodeMessageSignature(signature, 'p2wpkh');
+    const address = BitcoinUtils.getAddress(publicKey);
+    if (BitcoinUtils.verifyMessage(message + '!', address, segwit)) {
+      throw new Error('A changed message should not verify');
+    }
+    if (BitcoinUtils.verifyMessage(message, BitcoinUtils.getAddress(publicKey, 'p2pkh'), segwit)) {
+      throw new Error('A P2WPKH header should not verify against a P2PKH address');
+    }
+    if (BitcoinUtils.verifyMessage(message, 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4', segwit)) {
+      throw new Error('Another address should not verify');
+    }
+    if (BitcoinUtils.verifyMessage(message, address, 'not base64!')) {
+      throw new Error('Malformed signatures should not verify');
+    }
+  });
+
+  // Test 8: Signing ceremonies
+  await runner.runTest('signPsbt - a 2-of-2 group signs both inputs in the same ceremonies and extracts the transaction', async () => {
+    const { sdks, groupId } = await createLoopbackGroup(2, 2);
+    const [creator, joiner] = sdks;
+    const pair = async type => joiner.acceptInvitation(await creator.createInvitation({ type, groupId, threshold: 2, totalParties: 2 }));
+    await pair('keygen');
+    const keyshares = await Promise.all(sdks.map(sdk => sdk.keygen({ timeoutMs: 10000 })));
+
+    // Input 0 pays to m/0/5, named by its BIP32 derivation; input 1 pays to the root key
+    const rootKey = await creator.deriveChildPublicKey(keyshares[0], 'm');
+    const childKey = await creator.deriveChildPublicKey(keyshares[0], 'm/0/5');
+    const keys = [childKey, rootKey];
+    const amounts = [150000n, 250000n];
+    const psbt = PsbtUtils.fromTransaction({
+      version: 2,
+      inputs: [0, 1].map(vout => ({ txid: toHex(crypto.getRandomValues(new Uint8Array(32))), vout, scriptSig: new Uint8Array(0), sequence: 0xfffffffd, witness: [] })),
+      outputs: [{ amount: 390000n, script: BitcoinUtils.p2wpkhScript(keyHashOf(P2WPKH_KEY)) }],
+      locktime: 0
+    });
+    keys.forEach((key, i) => {
+      psbt.inputs[i].witnessUtxo = { amount: amounts[i], script: BitcoinUtils.p2wpkhScript(BitcoinUtils.hash160(key)) };
+    });
+    psbt.inputs[0].bip32Derivation.push({ pubkey: childKey, fingerprint: BitcoinUtils.fingerprint(rootKey), path: [0, 5] });
+    const unsigned = PsbtUtils.encode(psbt);
+    const sighashes = keys.map((key, i) => toHex(PsbtUtils.getSigningRequest(psbt, i, key).sighash));
+
+    // Every sign() call is one ceremony
+    const ceremonies = sdks.map(sdk => {
+      const calls = [];
+      const sign = sdk.sign.bind(sdk);
+      sdk.sign = (messageHash, keyshare, options) => {
+        calls.push(`${options.derivationPath} ${toHex(messageHash)}`);
+        return sign(messageHash, keyshare, options);
+      };
+      return calls;
+    });
+    await pair('sign');
+    const results = await Promise.all(sdks.map((sdk, i) => sdk.signPsbt(unsigned, keyshares[i], { timeoutMs: 10000 })));
+
+    const expected = [`m/0/5 ${sighashes[0]}`, `m ${sighashes[1]}`].join();
+    if (ceremonies.some(calls => calls.join() !== expected)) {
+      throw new Error(`Parties ran ceremonies ${ceremonies.map(calls => calls.join())}`);
+    }
+    const [result] = results;
+    if (results[1].psbt !== result.psbt || results[1].transaction !== result.transaction) {
+      throw new Error('Parties signed different PSBTs');
+    }
+    if (result.signedInputs.join() !== '0,1' || !result.complete || !PsbtUtils.decode(result.psbt).inputs.every(input => PsbtUtils.isInputFinalized(input))) {
+      throw new Error(`Signed inputs ${result.signedInputs}, complete ${result.complete}`);
+    }
+
+    // Native segwit: the txid is the unsigned one, each witness holds a valid signature of its key
+    const transaction = PsbtUtils.parseTransaction(fromHex(result.transaction));
+    if (result.txid !== PsbtUtils.getTxid(transaction) || result.txid !== PsbtUtils.getTxid(psbt.tx)) {
+      throw new Error(`Unexpected txid ${result.txid}`);
+    }
+    transaction.inputs.forEach(({ witness }, i) => {
+      const [signature, publicKey] = witness;
+      if (witness.length !== 2 || toHex(publicKey) !== toHex(keys[i]) || signature[signature.length - 1] !== SIGHASH_ALL ||
+          !secp256k1.verify(secp256k1.Signature.fromDER(signature.slice(0, -1)), sighashes[i], publicKey)) {
+        throw new Error(`Witness of input ${i} does not hold a valid signature of its key`);
+      }
+    });
+  });
+
+  runner.printSummary();
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runBitcoinTests().catch(error => {
+    console.error('Bitcoin tests failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the file/clipboard bundle transport
+ * Bundles are handed over as the exported text, as a USB stick or the clipboard would
+ */
+
+const { UnitTestRunner, tick, expectCode } = require('../helpers');
+const { BundleTransport } = require('../../js/transport/bundle-transport.ts');
+const { IdentityUtils } = require('../../js/crypto/identity.ts');
+
+const SERVER_ID = '00000000000000000000000000000000000000000000000000000000000000000000';
+
+// Two parties of one session, connected and past START
+async function createSession(options = {}) {
+  const identities = [IdentityUtils.generate(), IdentityUtils.generate()];
+  const participants = identities.map(identity => identity.partyId);
+  const groupKey = crypto.getRandomValues(new Uint8Array(32));
+  const parties = [];
+  for (const identity of identities) {
+    const transport = new BundleTransport({ participants, ...options });
+    transport.setOwnPartyId(identity.partyId);
+    transport.setIdentity(identity);
+    transport.setSession('bundle-test-session', 0, participants);
+    await transport.setEncryptionKey(groupKey);
+    const party = { identity, transport, received: [], ready: [] };
+    transport.onMessage(message => party.received.push(message));
+    transport.on('bundle-ready', event => party.ready.push(event));
+    await transport.connect('bundle-test-group', 'sign', '');
+    parties.push(party);
+  }
+  await tick();
+  return parties;
+}
+
+function send(party, toId, content, round) {
+  return party.transport.send({
+    group_id: 'bundle-test-group',
+    from_id: party.identity.partyId,
+    to_id: toId,
+    content,
+    round,
+    timestamp: new Date().toISOString()
+  });
+}
+
+async function runBundleTransportTests() {
+  const runner = new UnitTestRunner('Bundle Transport');
+
+  console.log('🧪 Running Bundle Transport Tests...\n');
+
+  // Test 1: Round trip
+  await runner.runTest('BundleTransport - imports the messages of an exported bundle', async () => {
+    const [hot, cold] = await createSession();
+    await send(hot, '0', 'hot round 1 broadcast', 1);
+    await send(hot, cold.identity.partyId, 'hot round 1 to cold', 1);
+    await tick();
+
+    const result = await cold.transport.importBundle(hot.transport.exportBundle());
+    if (result.from !== hot.identity.partyId || result.messages !== 2) {
+      throw new Error(`Unexpected import result ${JSON.stringify(result)}`);
+    }
+    const contents = cold.received.slice(1).map(message => message.content).sort();
+    if (JSON.stringify(contents) !== JSON.stringify(['hot round 1 broadcast', 'hot round 1 to cold'])) {
+      throw new Error(`Cold received ${JSON.stringify(contents)}`);
+    }
+
+    // Importing the same bundle again delivers nothing twice
+    const again = await cold.transport.importBundle(hot.transport.exportBundle());
+    if (again.messages !== 0 || cold.received.length !== 3) {
+      throw new Error('Messages were received twice');
+    }
+  });
+
+  // Test 2: Acknowledgements
+  await runner.runTest('BundleTransport - acknowledgements empty the next bundle', async () => {
+    const [hot, cold] = await createSession();
+    await send(hot, '0', 'hot round 1', 1);
+    await tick();
+    await cold.transport.importBundle(hot.transport.exportBundle());
+    await send(cold, '0', 'cold round 1', 1);
+    await tick();
+
+    await hot.transport.importBundle(cold.transport.exportBundle());
+    if (hot.transport.getPendingCount() !== 0) {
+      throw new Error('Cold\'s acknowledgement should clear hot\'s pending messages');
+    }
+    if (JSON.parse(hot.transport.exportBundle()).batch.messages.length !== 0) {
+      throw new Error('Acknowledged messages should not be exported again');
+    }
+  });
+
+  // Test 3: Tampering
+  await runner.runTest('BundleTransport - rejects a tampered bundle', async () => {
+    const [hot, cold] = await createSession();
+    await send(hot, '0', 'hot round 1', 1);
+    await tick();
+    const bundle = JSON.parse(hot.transport.exportBundle());
+    bundle.batch.ack.push('forged');
+    await expectCode(() => cold.transport.importBundle(JSON.stringify(bundle)), 'BUNDLE_SIGNATURE');
+    if (cold.received.length !== 1) {
+      throw new Error('Nothing of a tampered bundle should be received');
+    }
+  });
+
+  // Test 4: Wrong bundles
+  await runner.runTest('BundleTransport - rejects own, foreign and malformed bundles', async () => {
+    const [hot, cold] = await createSession();
+    const [other] = await createSession();
+    await expectCode(() => hot.transport.importBundle(hot.transport.exportBundle()), 'BUNDLE_FOREIGN');
+    await expectCode(() => cold.transport.importBundle(other.transport.exportBundle()), 'BUNDLE_FOREIGN');
+    await expectCode(() => cold.transport.importBundle('not a bundle'), 'BUNDLE_MALFORMED');
+    const future = JSON.parse(hot.transport.exportBundle());
+    future.v = 2;
+    await expectCode(() => cold.transport.importBundle(JSON.stringify(future)), 'BUNDLE_OUTDATED');
+  });
+
+  // Test 5: One announcement per round
+  await runner.runTest('BundleTransport - announces a bundle after every round', async () => {
+    const [hot, cold] = await createSession();
+    await send(hot, '0', 'hot round 1', 1);
+    await tick();
+    await send(hot, cold.identity.partyId, 'hot round 2', 2);
+    await tick();
+    if (hot.ready.length !== 2 || JSON.stringify(hot.ready[1].rounds) !== '[1,2]') {
+      throw new Error(`Unexpected announcements ${JSON.stringify(hot.ready)}`);
+    }
+  });
+
+  // Test 6: Batch mode
+  await runner.runTest('BundleTransport - batches rounds until idle', async () => {
+    const [hot, cold] = await createSession({ batchRounds: true, idleMs: 30 });
+    await send(hot, '0', 'hot round 1', 1);
+    await tick();
+    await send(hot, cold.identity.partyId, 'hot round 2', 2);
+    await tick();
+    if (hot.ready.length !== 0) {
+      throw new Error('No bundle should be announced while rounds are still produced');
+    }
+    await tick(60);
+    if (hot.ready.length !== 1 || JSON.stringify(hot.ready[0].rounds) !== '[1,2]' || hot.ready[0].messages !== 2) {
+      throw new Error(`Unexpected announcements ${JSON.stringify(hot.ready)}`);
+    }
+  });
+
+  // Test 7: End of the session
+  await runner.runTest('BundleTransport - ends once DONE was sent and the last bundle exported', async () => {
+    const [hot, cold] = await createSession();
+    await send(hot, '0', 'hot round 4', 4);
+    await send(hot, SERVER_ID, 'DONE', 5);
+    await tick();
+    if (hot.received.some(message => message.content === 'END:SUCCESS')) {
+      throw new Error('Session should not end before the last bundle was exported');
+    }
+    await cold.transport.importBundle(hot.transport.exportBundle());
+    await tick();
+    if (hot.received[hot.received.length - 1].content !== 'END:SUCCESS') {
+      throw new Error('Session should end after the export');
+    }
+  });
+
+  runner.printSummary();
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runBundleTransportTests().catch(error => {
+    console.error('Bundle transport tests failed:', error);
+    process.exit(1);
+  });
+}
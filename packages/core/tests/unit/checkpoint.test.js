@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for session checkpoints
+ * Ceremonies run over a LoopbackHub; every checkpoint a party writes is recorded from its storage
+ */
+
+const { UnitTestRunner, toHex, expectRejection, createLoopbackGroup, createLoopbackSdk, crashAfterCheckpoint, decryptCheckpoint } = require('../helpers');
+
+const CHECKPOINT_PREFIX = 'session_';
+
+// Keep every checkpoint the SDK writes, by storage key
+function recordCheckpoints(sdk) {
+  const saved = new Map();
+  const storage = sdk.getStorage();
+  const save = storage.save.bind(storage);
+  storage.save = async (key, data) => {
+    if (key.startsWith(CHECKPOINT_PREFIX)) {
+      saved.set(key, data);
+    }
+    return save(key, data);
+  };
+  return saved;
+}
+
+// Session ids of the messages an SDK receives while fn runs
+async function recordSessionIds(sdk, fn) {
+  const seen = new Set();
+  const record = message => message.session_id && seen.add(message.session_id);
+  sdk.transport.on('message', record);
+  try {
+    await fn();
+  } finally {
+    sdk.transport.off('message', record);
+  }
+  return [...seen];
+}
+
+async function runCheckpointTests() {
+  const runner = new UnitTestRunner('Checkpoint');
+
+  console.log('🧪 Running Checkpoint Tests...\n');
+
+  const { hub, sdks, groupId } = await createLoopbackGroup(2, 2);
+  const [creator, joiner] = sdks;
+  const saved = recordCheckpoints(creator);
+  let keyshares;
+
+  // Test 1: Encrypted checkpoints
+  await runner.runTest('Storage - checkpoints are encrypted and leave out the API key', async () => {
+    await joiner.acceptInvitation(await creator.createInvitation({ type: 'keygen', groupId, threshold: 2, totalParties: 2 }));
+    const [sessionId] = await recordSessionIds(creator, async () => {
+      keyshares = await Promise.all(sdks.map(sdk => sdk.keygen({ timeoutMs: 10000 })));
+    });
+
+    const data = saved.get(`${CHECKPOINT_PREFIX}${sessionId}`);
+    if (!data || saved.size !== 1) {
+      throw new Error(`Expected checkpoints under the message session id only, got ${[...saved.keys()]}`);
+    }
+    const record = JSON.parse(data);
+    if (!record.encryptedData || record.metadata.type !== 'keygen' || record.metadata.groupId !== groupId) {
+      throw new Error(`Unexpected checkpoint record ${Object.keys(record)}`);
+    }
+    if (data.includes(creator.config.apiKey) || data.includes('"processor"')) {
+      throw new Error('Checkpoint record is readable without its key');
+    }
+
+    const checkpoint = await decryptCheckpoint(creator, data);
+    if (checkpoint.sessionId !== sessionId || 'apiKey' in checkpoint || !checkpoint.processor) {
+      throw new Error(`Unexpected checkpoint ${Object.keys(checkpoint)}`);
+    }
+  });
+
+  // Test 2: One checkpoint per ceremony
+  await runner.runTest('Storage - two signings in one group keep separate checkpoints', async () => {
+    saved.clear();
+    await joiner.acceptInvitation(await creator.createInvitation({ type: 'sign', groupId, threshold: 2, totalParties: 2 }));
+    for (const fill of [1, 2]) {
+      const messageHash = new Uint8Array(32).fill(fill);
+      await Promise.all(sdks.map((sdk, i) => sdk.sign(messageHash, keyshares[i], { timeoutMs: 10000 })));
+    }
+    if (saved.size !== 2) {
+      throw new Error(`Expected two checkpoint keys, got ${[...saved.keys()]}`);
+    }
+  });
+
+  // Test 3: Checkpoints moved to another key
+  await runner.runTest('Resume - a checkpoint stored under another session id is refused', async () => {
+    const [first, second] = [...saved.keys()];
+    await creator.getStorage().save(second, saved.get(first));
+    await expectRejection(
+      () => creator.resumeSession(second.substring(CHECKPOINT_PREFIX.length)),
+      /belongs to session/
+    );
+    await creator.getStorage().remove(second);
+  });
+
+  // Test 4: Checkpoints of another identity
+  await runner.runTest('Resume - a checkpoint does not decrypt with another identity', async () => {
+    const [key] = [...saved.keys()];
+    const other = await createLoopbackSdk(hub);
+    await other.getStorage().save(key, saved.get(key));
+    await expectRejection(
+      () => other.resumeSession(key.substring(CHECKPOINT_PREFIX.length)),
+      /cannot be decrypted/
+    );
+  });
+
+  // Test 5: Resuming a paired session
+  await runner.runTest('Resume - a resumed party rekeys the session and the keygen completes', async () => {
+    const group = await createLoopbackGroup(2, 2);
+    const [first, second] = group.sdks;
+    await second.acceptInvitation(await first.createInvitation({ type: 'keygen', groupId: group.groupId, threshold: 2, totalParties: 2 }));
+
+    // The second party's process dies right after its first checkpoint
+    const crash = crashAfterCheckpoint(second);
+    const keygen = first.keygen({ timeoutMs: 10000 });
+    second.keygen().catch(() => undefined);
+    const [key, data] = await crash;
+
+    if (/pairwiseKeys|encryptionKey|groupKey/.test(JSON.stringify(await decryptCheckpoint(second, data)))) {
+      throw new Error('Checkpoint of a paired session holds transport keys');
+    }
+
+    // A new process with the same storage picks the session up from its checkpoint
+    const restarted = await createLoopbackSdk(group.hub, { storage: second.getStorage() });
+    const resumedCheckpoints = recordCheckpoints(restarted);
+    const resumedShare = new Promise(resolve => restarted.once('keygen-complete', (_keyShare, keyShare) => resolve(keyShare)));
+    await restarted.resumeSession(key.substring(CHECKPOINT_PREFIX.length));
+    const [firstShare, secondShare] = await Promise.all([keygen, resumedShare]);
+    if (firstShare.publicKey !== secondShare.publicKey) {
+      throw new Error('The parties finished with different public keys');
+    }
+    const resumed = await decryptCheckpoint(restarted, resumedCheckpoints.get(key));
+    if (resumed.epoch !== 1) {
+      throw new Error(`Expected the resumed session at epoch 1, got ${resumed.epoch}`);
+    }
+  });
+
+  // Test 6: Resuming a signing session
+  await runner.runTest('Resume - a resumed signing session completes with the same signature', async () => {
+    await joiner.acceptInvitation(await creator.createInvitation({ type: 'sign', groupId, threshold: 2, totalParties: 2 }));
+    await joiner.protocolManager.checkpointWrites; // Writes of the earlier signings must not count
+    const messageHash = new Uint8Array(32).fill(3);
+    const crash = crashAfterCheckpoint(joiner);
+    const signing = creator.sign(messageHash, keyshares[0], { timeoutMs: 10000 });
+    joiner.sign(messageHash, keyshares[1]).catch(() => undefined);
+    const [key, data] = await crash;
+
+    const { sign } = await decryptCheckpoint(joiner, data);
+    if (!sign || sign.messageHash.join() !== Array.from(messageHash).join()) {
+      throw new Error('Signing checkpoint lost its message hash');
+    }
+
+    const restarted = await createLoopbackSdk(hub, { storage: joiner.getStorage() });
+    const resumed = new Promise(resolve => restarted.once('sign-complete', signature => resolve(signature)));
+    await restarted.resumeSession(key.substring(CHECKPOINT_PREFIX.length));
+    const [result, signature] = await Promise.all([signing, resumed]);
+    if (result.signature.some((part, i) => toHex(part) !== toHex(signature[i]))) {
+      throw new Error('The resumed party combined a different signature');
+    }
+  });
+
+  runner.printSummary();
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runCheckpointTests().catch(error => {
+    console.error('Checkpoint tests failed:', error);
+    process.exit(1);
+  });
+}
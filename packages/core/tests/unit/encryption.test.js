@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for message content encryption
+ * Broadcasts use the session key, point-to-point messages a key only their two parties can derive;
+ * either way the content travels in an envelope bound to the message it was sealed for
+ */
+
+const { UnitTestRunner, toHex, tick, expectCode, createCaptureTransport } = require('../helpers');
+const { IdentityUtils } = require('../../js/crypto/identity.ts');
+const { EnvelopeUtils } = require('../../js/crypto/envelope.ts');
+
+const GROUP_ID = 'encryption-test-group';
+const SESSION_ID = 'encryption-test-session';
+
+// Parties of one encrypted session, all holding the same session key
+async function createParties(count) {
+  const identities = Array.from({ length: count }, () => IdentityUtils.generate());
+  const members = identities.map(identity => identity.partyId);
+  const groupKey = crypto.getRandomValues(new Uint8Array(32));
+  const parties = [];
+  for (const identity of identities) {
+    const transport = createCaptureTransport();
+    transport.setOwnPartyId(identity.partyId);
+    transport.setIdentity(identity);
+    transport.setSession(SESSION_ID, 0, members);
+    await transport.setEncryptionKey(groupKey);
+    const party = { identity, transport, received: [] };
+    transport.onMessage(message => party.received.push(message));
+    parties.push(party);
+  }
+  return parties;
+}
+
+// Send a message and return it as it went out on the wire
+async function send(party, toId, content, round = 1) {
+  await party.transport.send({
+    group_id: GROUP_ID,
+    from_id: party.identity.partyId,
+    to_id: toId,
+    content,
+    round,
+    timestamp: new Date().toISOString()
+  });
+  return JSON.parse(JSON.stringify(party.transport.sent[party.transport.sent.length - 1]));
+}
+
+async function deliver(party, message) {
+  await party.transport.receive(JSON.parse(JSON.stringify(message)));
+  await tick(0);
+}
+
+// Session key of the envelope tests, with its key id
+async function createEnvelopeKey() {
+  const rawKey = crypto.getRandomValues(new Uint8Array(32));
+  const key = await crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+  return { key, keyId: EnvelopeUtils.computeKeyId(rawKey) };
+}
+
+// Envelope with one byte changed
+function flipByte(envelope, index) {
+  const bytes = Buffer.from(envelope, 'base64');
+  bytes[index] ^= 1;
+  return bytes.toString('base64');
+}
+
+async function runEncryptionTests() {
+  const runner = new UnitTestRunner('Encryption');
+
+  console.log('🧪 Running Encryption Tests...\n');
+
+  // Test 1: Pairwise key derivation
+  await runner.runTest('Pairwise - both parties derive one key, other pairs and sessions get their own', async () => {
+    const [alice, bob, carol] = [IdentityUtils.generate(), IdentityUtils.generate(), IdentityUtils.generate()];
+    const key = toHex(IdentityUtils.derivePairwiseKey(alice, bob.partyId, SESSION_ID));
+    if (toHex(IdentityUtils.derivePairwiseKey(bob, alice.partyId, SESSION_ID)) !== key) {
+      throw new Error('Alice and Bob derived different keys');
+    }
+    const others = [
+      IdentityUtils.derivePairwiseKey(alice, carol.partyId, SESSION_ID),
+      IdentityUtils.derivePairwiseKey(bob, carol.partyId, SESSION_ID),
+      IdentityUtils.derivePairwiseKey(alice, bob.partyId, `${SESSION_ID}-2`)
+    ].map(toHex);
+    if (others.includes(key)) {
+      throw new Error(`Key reused by case ${others.indexOf(key) + 1}`);
+    }
+  });
+
+  // Test 2: Point-to-point messages
+  await runner.runTest('Pairwise - a point-to-point message opens for its recipient only', async () => {
+    const [alice, bob, carol] = await createParties(3);
+    const direct = await send(alice, bob.identity.partyId, 'for bob');
+    if (direct.content.includes('for bob')) {
+      throw new Error('Point-to-point content went out in the clear');
+    }
+
+    // Carol holds the session key, but the message is not encrypted with it
+    await deliver(carol, direct);
+    await deliver(bob, direct);
+    if (carol.received.length !== 0) {
+      throw new Error('A third party opened a point-to-point message');
+    }
+    if (bob.received.map(message => message.content).join() !== 'for bob') {
+      throw new Error(`Bob received ${bob.received.map(message => message.content)}`);
+    }
+  });
+
+  // Test 3: Broadcasts
+  await runner.runTest('Pairwise - broadcasts stay on the session key every party holds', async () => {
+    const [alice, bob, carol] = await createParties(3);
+    const broadcast = await send(alice, '0', 'for everyone');
+    await deliver(bob, broadcast);
+    await deliver(carol, broadcast);
+    if ([bob, carol].some(party => party.received.map(message => message.content).join() !== 'for everyone')) {
+      throw new Error('A party of the session could not open a broadcast');
+    }
+  });
+
+  // Test 4: Envelopes moved to another message
+  await runner.runTest('Envelope - opens only in the message it was sealed for', async () => {
+    const { key, keyId } = await createEnvelopeKey();
+    const context = { group_id: GROUP_ID, from_id: IdentityUtils.generate().partyId, to_id: '0', round: 2 };
+    const envelope = await EnvelopeUtils.seal('round 2 content', key, keyId, context);
+    if (await EnvelopeUtils.open(envelope, key, keyId, context) !== 'round 2 content') {
+      throw new Error('Envelope did not open in its own message');
+    }
+
+    const moved = [
+      { ...context, group_id: 'another-group' },
+      { ...context, from_id: IdentityUtils.generate().partyId },
+      { ...context, to_id: IdentityUtils.generate().partyId },
+      { ...context, round: 3 }
+    ];
+    for (const other of moved) {
+      await expectCode(() => EnvelopeUtils.open(envelope, key, keyId, other), 'ENVELOPE_AUTH');
+    }
+  });
+
+  // Test 5: Tampered envelopes
+  await runner.runTest('Envelope - a changed header, ciphertext or length fails with its own code', async () => {
+    const { key, keyId } = await createEnvelopeKey();
+    const context = { group_id: GROUP_ID, from_id: IdentityUtils.generate().partyId, to_id: '0', round: 1 };
+    const envelope = await EnvelopeUtils.seal('content', key, keyId, context);
+    const open = tampered => () => EnvelopeUtils.open(tampered, key, keyId, context);
+
+    await expectCode(open(flipByte(envelope, 0)), 'ENVELOPE_VERSION');
+    await expectCode(open(flipByte(envelope, 1)), 'ENVELOPE_ALGORITHM');
+    await expectCode(open(flipByte(envelope, 2)), 'ENVELOPE_KEY');
+    await expectCode(open(flipByte(envelope, 10)), 'ENVELOPE_AUTH'); // IV
+    await expectCode(open(flipByte(envelope, Buffer.from(envelope, 'base64').length - 1)), 'ENVELOPE_AUTH'); // GCM tag
+    await expectCode(open(Buffer.from(envelope, 'base64').subarray(0, 30).toString('base64')), 'ENVELOPE_MALFORMED');
+    await expectCode(open('not base64!'), 'ENVELOPE_MALFORMED');
+  });
+
+  // Test 6: Tampering on the wire
+  await runner.runTest('Envelope - the transport rejects content cut from another message or sealed by another version', async () => {
+    const [alice, bob] = await createParties(2);
+    const rejected = [];
+    bob.transport.on('message-rejected', event => rejected.push(event.reason));
+    const first = await send(alice, '0', 'round 1', 1);
+    const second = await send(alice, '0', 'round 2', 2);
+
+    await deliver(bob, { ...second, content: first.content });
+    await deliver(bob, { ...second, content: flipByte(second.content, 0) });
+    if (bob.received.length !== 0 || rejected.join() !== 'undecryptable,unsupported-envelope') {
+      throw new Error(`Bob accepted ${bob.received.length} message(s) and rejected ${rejected}`);
+    }
+    await deliver(bob, second);
+    if (bob.received.map(message => message.content).join() !== 'round 2') {
+      throw new Error('The untouched message was not accepted');
+    }
+  });
+
+  runner.printSummary();
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runEncryptionTests().catch(error => {
+    console.error('Encryption tests failed:', error);
+    process.exit(1);
+  });
+}
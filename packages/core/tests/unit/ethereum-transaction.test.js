@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for RLP and Ethereum transaction serialization
+ * Vectors are taken from the Ethereum wiki RLP page and EIP-155
+ */
+
+const { UnitTestRunner, toHex, fromHex, expectThrow, createLoopbackGroup } = require('../helpers');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { encodeRlp, decodeRlp } = require('../../js/utils/rlp.ts');
+const { EthereumTransactionUtils } = require('../../js/crypto/ethereum-transaction.ts');
+const { EthereumUtils } = require('../../js/crypto/ethereum.ts');
+const { SignatureUtils } = require('../../js/crypto/signature.ts');
+
+const CURVE_ORDER = secp256k1.CURVE.n;
+
+// EIP-155 example key and its address
+const EIP155_KEY = fromHex('4646464646464646464646464646464646464646464646464646464646464646');
+const EIP155_ADDRESS = '0x9d8A62f656a8d1615C1294fd71e9CFb3E4855A4F';
+
+// The example transaction of EIP-155
+const EIP155_TRANSACTION = {
+  nonce: 9,
+  gasPrice: 20000000000n,
+  gasLimit: 21000,
+  to: '0x3535353535353535353535353535353535353535',
+  value: 1000000000000000000n,
+  data: '0x',
+  chainId: 1
+};
+
+// Stands in for the ceremony: sign() results are low-S with their recovery id
+function mpcSign(messageHash, privateKey) {
+  const publicKey = secp256k1.getPublicKey(privateKey, true);
+  const sig = secp256k1.sign(messageHash, privateKey);
+  const raw = [sig.toCompactRawBytes().slice(0, 32), sig.toCompactRawBytes().slice(32)];
+  return SignatureUtils.format(raw, messageHash, publicKey);
+}
+
+// Sender of a signed typed transaction, recovered from nothing but its raw bytes
+function recoverSender(rawTransaction) {
+  const raw = fromHex(rawTransaction);
+  const fields = decodeRlp(raw.slice(1));
+  const [yParity, r, s] = fields.slice(-3);
+  const hash = EthereumUtils.keccak256(new Uint8Array([raw[0], ...encodeRlp(fields.slice(0, -3))]));
+  const pad = bytes => toHex(bytes).padStart(64, '0');
+  const recoveryId = yParity.length === 0 ? 0 : yParity[0];
+  return EthereumUtils.publicKeyToAddress(SignatureUtils.recoverPublicKey(hash, { r: pad(r), s: pad(s), recoveryId }));
+}
+
+async function runEthereumTransactionTests() {
+  const runner = new UnitTestRunner('Ethereum Transaction');
+
+  console.log('🧪 Running Ethereum Transaction Tests...\n');
+
+  // Test 1: RLP vectors
+  await runner.runTest('RLP - encodes the reference vectors', async () => {
+    const lorem = 'Lorem ipsum dolor sit amet, consectetur adipisicing elit';
+    const vectors = [
+      ['dog', '83646f67'],
+      [['cat', 'dog'], 'c88363617483646f67'],
+      ['', '80'],
+      [[], 'c0'],
+      [0, '80'],
+      [new Uint8Array([0]), '00'],
+      [15, '0f'],
+      [1024, '820400'],
+      [[[], [[]], [[], [[]]]], 'c7c0c1c0c3c0c1c0'],
+      [lorem, 'b838' + toHex(new TextEncoder().encode(lorem))]
+    ];
+    for (const [value, expected] of vectors) {
+      const encoded = toHex(encodeRlp(value));
+      if (encoded !== expected) {
+        throw new Error(`${JSON.stringify(value)} encoded as ${encoded}, expected ${expected}`);
+      }
+    }
+  });
+
+  // Test 2: RLP decoding
+  await runner.runTest('RLP - decodes and rejects non-canonical input', async () => {
+    const decoded = decodeRlp(fromHex('c88363617483646f67'));
+    if (!Array.isArray(decoded) || new TextDecoder().decode(decoded[1]) !== 'dog') {
+      throw new Error('Unexpected decoding of ["cat", "dog"]');
+    }
+    const long = new Uint8Array(1000).fill(7);
+    if (toHex(decodeRlp(encodeRlp([long]))[0]) !== toHex(long)) {
+      throw new Error('Long string should round trip');
+    }
+    expectThrow(() => decodeRlp(fromHex('8100')), /single byte/);
+    expectThrow(() => decodeRlp(fromHex('b80100')), /long form/);
+    expectThrow(() => decodeRlp(fromHex('83646f')), /past the end/);
+    expectThrow(() => decodeRlp(fromHex('8080')), /trailing/);
+  });
+
+  // Test 3: EIP-155 signing data
+  await runner.runTest('EthereumTransactionUtils - EIP-155 signing data and hash', async () => {
+    const unsigned = toHex(EthereumTransactionUtils.serializeUnsigned(EIP155_TRANSACTION));
+    if (unsigned !== 'ec098504a817c800825208943535353535353535353535353535353535353535880de0b6b3a764000080018080') {
+      throw new Error(`Unexpected signing data ${unsigned}`);
+    }
+    const hash = toHex(EthereumTransactionUtils.signingHash(EIP155_TRANSACTION));
+    if (hash !== 'daf5a779ae972f972197303d7b574746c7ef83eadac0f2791ad23db92e4c8e53') {
+      throw new Error(`Unexpected signing hash ${hash}`);
+    }
+  });
+
+  // Test 4: EIP-155 signed transaction
+  await runner.runTest('EthereumTransactionUtils - EIP-155 signed transaction', async () => {
+    const signature = mpcSign(EthereumTransactionUtils.signingHash(EIP155_TRANSACTION), EIP155_KEY);
+    const raw = EthereumTransactionUtils.serializeSigned(EIP155_TRANSACTION, signature);
+    const expected = '0xf86c098504a817c800825208943535353535353535353535353535353535353535880de0b6b3a76400008025' +
+      'a028ef61340bd939bc2195fe537567866003e1a15d3c71ff63e1590620aa636276' +
+      'a067cbe9d8997f761aecb703304b3800ccf555c9f3dc64214b297fb1966a3b6d83';
+    if (raw !== expected) {
+      throw new Error(`Unexpected signed transaction ${raw}`);
+    }
+    // JSON-RPC field names and hex quantities give the same transaction
+    const rpcRaw = EthereumTransactionUtils.serializeSigned({
+      nonce: '0x9',
+      gasPrice: '0x4a817c800',
+      gas: '0x5208',
+      to: EIP155_TRANSACTION.to,
+      value: '0xde0b6b3a7640000',
+      input: '0x',
+      chainId: '0x1'
+    }, signature);
+    if (rpcRaw !== expected) {
+      throw new Error('JSON-RPC form should serialize identically');
+    }
+  });
+
+  // Test 5: Typed transactions
+  await runner.runTest('EthereumTransactionUtils - EIP-2930 and EIP-1559 transactions recover their sender', async () => {
+    const accessList = [{
+      address: '0x3535353535353535353535353535353535353535',
+      storageKeys: ['0x' + '00'.repeat(31) + '01']
+    }];
+    const transactions = [
+      { chainId: 1, nonce: 0, gasPrice: '0x3b9aca00', gasLimit: 30000, to: '0x3535353535353535353535353535353535353535', value: 0, data: '0x1234', accessList },
+      { chainId: 8453, nonce: 7, maxPriorityFeePerGas: 1000000n, maxFeePerGas: '100000000', gasLimit: 21000, to: EIP155_ADDRESS, value: '1000' },
+      { type: '0x2', chainId: 1, nonce: 1, maxPriorityFeePerGas: 1, maxFeePerGas: 2, gas: 100000, data: '0x6000' } // Contract creation
+    ];
+    for (const [index, transaction] of transactions.entries()) {
+      const type = index === 0 ? 1 : 2;
+      const hash = EthereumTransactionUtils.signingHash(transaction);
+      const signature = mpcSign(hash, EIP155_KEY);
+      const raw = fromHex(EthereumTransactionUtils.serializeSigned(transaction, signature));
+      if (raw[0] !== type || EthereumTransactionUtils.getType(transaction) !== type) {
+        throw new Error(`Transaction ${index} should be type ${type}`);
+      }
+
+      const fields = decodeRlp(raw.slice(1));
+      const unsignedFields = fields.slice(0, -3);
+      const [yParity, r, s] = fields.slice(-3);
+      const expectedHash = EthereumUtils.keccak256(new Uint8Array([type, ...encodeRlp(unsignedFields)]));
+      if (toHex(expectedHash) !== toHex(hash)) {
+        throw new Error(`Signing hash of transaction ${index} does not match its serialization`);
+      }
+      const recoveryId = yParity.length === 0 ? 0 : yParity[0];
+      const pad = bytes => toHex(bytes).padStart(64, '0');
+      const signer = EthereumUtils.publicKeyToAddress(SignatureUtils.recoverPublicKey(hash, { r: pad(r), s: pad(s), recoveryId }));
+      if (signer !== EIP155_ADDRESS) {
+        throw new Error(`Transaction ${index} recovers ${signer}`);
+      }
+      if (transaction.to === undefined && fields[type === 1 ? 4 : 5].length !== 0) {
+        throw new Error('Contract creation should have an empty to');
+      }
+    }
+  });
+
+  // Test 6: Legacy transaction without chain id
+  await runner.runTest('EthereumTransactionUtils - pre-EIP-155 legacy transaction uses v = 27 or 28', async () => {
+    const { chainId, ...transaction } = EIP155_TRANSACTION;
+    const signature = mpcSign(EthereumTransactionUtils.signingHash(transaction), EIP155_KEY);
+    const fields = decodeRlp(fromHex(EthereumTransactionUtils.serializeSigned(transaction, signature)));
+    if (fields.length !== 9 || fields[6][0] !== 27 + signature.recoveryId) {
+      throw new Error('Unexpected v');
+    }
+  });
+
+  // Test 7: Invalid transactions and signatures
+  await runner.runTest('EthereumTransactionUtils - rejects invalid fields and high-S signatures', async () => {
+    expectThrow(() => EthereumTransactionUtils.signingHash({ ...EIP155_TRANSACTION, nonce: undefined }), /nonce is missing/);
+    expectThrow(() => EthereumTransactionUtils.signingHash({ ...EIP155_TRANSACTION, to: '0x1234' }), /not a valid address/);
+    expectThrow(() => EthereumTransactionUtils.signingHash({ ...EIP155_TRANSACTION, value: -1 }), /not a valid quantity|out of range/);
+    expectThrow(() => EthereumTransactionUtils.signingHash({ ...EIP155_TRANSACTION, data: 'abc' }), /0x hex/);
+    expectThrow(() => EthereumTransactionUtils.signingHash({ ...EIP155_TRANSACTION, type: 3 }), /Unsupported transaction type/);
+    expectThrow(() => EthereumTransactionUtils.signingHash({ nonce: 0, maxFeePerGas: 1, maxPriorityFeePerGas: 1, gasLimit: 21000 }), /chainId is missing/);
+
+    const signature = mpcSign(EthereumTransactionUtils.signingHash(EIP155_TRANSACTION), EIP155_KEY);
+    const highS = fromHex((CURVE_ORDER - BigInt('0x' + toHex(signature.s))).toString(16).padStart(64, '0'));
+    expectThrow(() => EthereumTransactionUtils.serializeSigned(EIP155_TRANSACTION, { ...signature, s: highS }), /low-S/);
+  });
+
+  // Test 8: Signing ceremony
+  await runner.runTest('signTransaction - an EIP-1559 transaction signed by a 2-of-2 group is sent from the keyshare address', async () => {
+    const { sdks, groupId } = await createLoopbackGroup(2, 2);
+    const [creator, joiner] = sdks;
+    const pair = async type => joiner.acceptInvitation(await creator.createInvitation({ type, groupId, threshold: 2, totalParties: 2 }));
+    await pair('keygen');
+    const keyshares = await Promise.all(sdks.map(sdk => sdk.keygen({ timeoutMs: 10000 })));
+    const address = await creator.getEthereumAddress(keyshares[0]);
+
+    const transaction = { chainId: 1, nonce: 3, maxPriorityFeePerGas: 1500000000n, maxFeePerGas: 30000000000n, gasLimit: 21000, to: EIP155_ADDRESS, value: 10n ** 16n };
+    await pair('sign');
+    const results = await Promise.all(sdks.map((sdk, i) => sdk.signTransaction(transaction, keyshares[i], { timeoutMs: 10000 })));
+
+    const [result] = results;
+    if (results[1].rawTransaction !== result.rawTransaction || !result.rawTransaction.startsWith('0x02')) {
+      throw new Error(`Parties serialized ${results.map(({ rawTransaction }) => rawTransaction)}`);
+    }
+    const sender = recoverSender(result.rawTransaction);
+    if (sender !== address || result.address !== address) {
+      throw new Error(`Transaction of ${address} recovers ${sender}, result names ${result.address}`);
+    }
+    if (result.transactionHash !== '0x' + toHex(EthereumUtils.keccak256(fromHex(result.rawTransaction))) ||
+        toHex(result.messageHash) !== toHex(EthereumTransactionUtils.signingHash(transaction))) {
+      throw new Error('Transaction or signing hash does not match the signed transaction');
+    }
+  });
+
+  runner.printSummary();
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runEthereumTransactionTests().catch(error => {
+    console.error('Ethereum transaction tests failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for Ethereum address derivation and EIP-191 / EIP-712 hashing
+ * Vectors are taken from EIP-55, EIP-155, EIP-712 and the ethers documentation
+ */
+
+const { UnitTestRunner, toHex, fromHex, expectThrow } = require('../helpers');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { EthereumUtils } = require('../../js/crypto/ethereum.ts');
+const { SignatureUtils } = require('../../js/crypto/signature.ts');
+
+const CURVE_ORDER = secp256k1.CURVE.n;
+
+// The Mail example of EIP-712
+const MAIL_TYPED_DATA = {
+  types: {
+    EIP712Domain: [
+      { name: 'name', type: 'string' },
+      { name: 'version', type: 'string' },
+      { name: 'chainId', type: 'uint256' },
+      { name: 'verifyingContract', type: 'address' }
+    ],
+    Person: [
+      { name: 'name', type: 'string' },
+      { name: 'wallet', type: 'address' }
+    ],
+    Mail: [
+      { name: 'from', type: 'Person' },
+      { name: 'to', type: 'Person' },
+      { name: 'contents', type: 'string' }
+    ]
+  },
+  primaryType: 'Mail',
+  domain: {
+    name: 'Ether Mail',
+    version: '1',
+    chainId: 1,
+    verifyingContract: '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC'
+  },
+  message: {
+    from: { name: 'Cow', wallet: '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826' },
+    to: { name: 'Bob', wallet: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB' },
+    contents: 'Hello, Bob!'
+  }
+};
+
+// A ceremony's raw output as SignSession.combine() may return it: [r, s] with s high
+function combinedSignature(messageHash, privateKey) {
+  const sig = secp256k1.sign(messageHash, privateKey);
+  const highS = CURVE_ORDER - sig.s;
+  return [sig.toCompactRawBytes().slice(0, 32), fromHex(highS.toString(16).padStart(64, '0'))];
+}
+
+async function runEthereumTests() {
+  const runner = new UnitTestRunner('Ethereum');
+
+  console.log('🧪 Running Ethereum Tests...\n');
+
+  // Test 1: Keccak-256
+  await runner.runTest('EthereumUtils - keccak256 of the empty string', async () => {
+    const hash = toHex(EthereumUtils.keccak256(''));
+    if (hash !== 'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470') {
+      throw new Error(`Unexpected hash ${hash}`);
+    }
+  });
+
+  // Test 2: EIP-55 checksums
+  await runner.runTest('EthereumUtils - EIP-55 checksums', async () => {
+    const vectors = [
+      '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+      '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+      '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+      '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb'
+    ];
+    for (const address of vectors) {
+      if (EthereumUtils.toChecksumAddress(address.toLowerCase()) !== address || !EthereumUtils.isValidAddress(address)) {
+        throw new Error(`Checksum of ${address} does not match`);
+      }
+    }
+    if (EthereumUtils.isValidAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD')) {
+      throw new Error('Address with a broken checksum should be invalid');
+    }
+    if (!EthereumUtils.isValidAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed')) {
+      throw new Error('All lowercase address should be valid');
+    }
+  });
+
+  // Test 3: Known addresses
+  await runner.runTest('EthereumUtils - derives known addresses from public keys', async () => {
+    const vectors = [
+      // EIP-155 example key
+      ['4646464646464646464646464646464646464646464646464646464646464646', '0x9d8A62f656a8d1615C1294fd71e9CFb3E4855A4F'],
+      // EIP-712 example key, keccak256("cow")
+      [toHex(EthereumUtils.keccak256('cow')), '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826']
+    ];
+    for (const [privateKey, address] of vectors) {
+      const compressed = secp256k1.getPublicKey(fromHex(privateKey), true);
+      const uncompressed = secp256k1.getPublicKey(fromHex(privateKey), false);
+      if (EthereumUtils.publicKeyToAddress(compressed) !== address ||
+          EthereumUtils.publicKeyToAddress(toHex(uncompressed)) !== address) {
+        throw new Error(`Expected ${address}, got ${EthereumUtils.publicKeyToAddress(compressed)}`);
+      }
+    }
+  });
+
+  // Test 4: EIP-191
+  await runner.runTest('EthereumUtils - personal_sign hash and signature', async () => {
+    const hash = EthereumUtils.hashPersonalMessage('Hello World');
+    if (toHex(hash) !== 'a1de988600a42c4b4ab089b619297c17d53cffae5d5120d82d8a92d0bb3b78f2') {
+      throw new Error(`Unexpected hash ${toHex(hash)}`);
+    }
+    if (toHex(EthereumUtils.hashPersonalMessage(new TextEncoder().encode('Hello World'))) !== toHex(hash)) {
+      throw new Error('Bytes and text of the same message should hash alike');
+    }
+
+    const privateKey = fromHex('0123456789012345678901234567890123456789012345678901234567890123');
+    const publicKey = secp256k1.getPublicKey(privateKey, true);
+    if (EthereumUtils.publicKeyToAddress(publicKey) !== '0x14791697260E4c9A71f18484C9f997B308e59325') {
+      throw new Error('Unexpected signer address');
+    }
+    const formatted = SignatureUtils.format(combinedSignature(hash, privateKey), hash, publicKey);
+    const rpcSignature = EthereumUtils.toRpcSignature(formatted);
+    if (!/^0x[0-9a-f]{128}(1b|1c)$/.test(rpcSignature) || SignatureUtils.hasHighS(fromHex(rpcSignature).slice(0, 64))) {
+      throw new Error(`Signature ${rpcSignature} is not a low-S r || s || v`);
+    }
+    const signer = EthereumUtils.publicKeyToAddress(SignatureUtils.recoverPublicKey(hash, rpcSignature));
+    if (signer !== '0x14791697260E4c9A71f18484C9f997B308e59325') {
+      throw new Error(`Signature recovers ${signer}`);
+    }
+  });
+
+  // Test 5: EIP-712 hashing
+  await runner.runTest('EthereumUtils - EIP-712 Mail example hashes', async () => {
+    const encodedType = EthereumUtils.encodeType('Mail', MAIL_TYPED_DATA.types);
+    if (encodedType !== 'Mail(Person from,Person to,string contents)Person(string name,address wallet)') {
+      throw new Error(`Unexpected encodeType ${encodedType}`);
+    }
+    const checks = [
+      [EthereumUtils.keccak256(encodedType), 'a0cedeb2dc280ba39b857546d74f5549c3a1d7bdc2dd96bf881f76108e23dac2'],
+      [EthereumUtils.hashDomain(MAIL_TYPED_DATA), 'f2cee375fa42b42143804025fc449deafd50cc031ca257e0b194a650a912090f'],
+      [EthereumUtils.hashStruct('Mail', MAIL_TYPED_DATA.message, MAIL_TYPED_DATA.types), 'c52c0ee5d84264471806290a3f2c4cecfc5490626bf912d01f240d7a274b371e'],
+      [EthereumUtils.hashTypedData(MAIL_TYPED_DATA), 'be609aee343fb3c4b28e1df9e632fca64fcfaede20f02e86244efddf30957bd2']
+    ];
+    for (const [actual, expected] of checks) {
+      if (toHex(actual) !== expected) {
+        throw new Error(`Expected ${expected}, got ${toHex(actual)}`);
+      }
+    }
+
+    // The domain type is inferred when left out
+    const { EIP712Domain, ...types } = MAIL_TYPED_DATA.types;
+    if (toHex(EthereumUtils.hashTypedData({ ...MAIL_TYPED_DATA, types })) !== checks[3][1]) {
+      throw new Error('Inferred domain type should give the same hash');
+    }
+  });
+
+  // Test 6: EIP-712 signature
+  await runner.runTest('EthereumUtils - EIP-712 Mail example signature', async () => {
+    const privateKey = EthereumUtils.keccak256('cow');
+    const publicKey = secp256k1.getPublicKey(privateKey, true);
+    const hash = EthereumUtils.hashTypedData(MAIL_TYPED_DATA);
+    const rpcSignature = EthereumUtils.toRpcSignature(SignatureUtils.format(combinedSignature(hash, privateKey), hash, publicKey));
+    const expected = '0x' +
+      '4355c47d63924e8a72e509b65029052eb6c299d53a04e167c5775fd466751c9d' +
+      '07299936d304c153f6443dfa05f40ff007d72911b6f72307f996231605b91562' +
+      '1c';
+    if (rpcSignature !== expected) {
+      throw new Error(`Unexpected signature ${rpcSignature}`);
+    }
+    const signer = EthereumUtils.publicKeyToAddress(SignatureUtils.recoverPublicKey(hash, rpcSignature));
+    if (signer !== MAIL_TYPED_DATA.message.from.wallet) {
+      throw new Error(`Signature recovers ${signer}`);
+    }
+  });
+
+  // Test 7: EIP-712 arrays, integers and fixed bytes
+  await runner.runTest('EthereumUtils - EIP-712 arrays, integers and fixed bytes', async () => {
+    const types = {
+      Order: [
+        { name: 'items', type: 'Item[]' },
+        { name: 'delta', type: 'int8' },
+        { name: 'tag', type: 'bytes4' }
+      ],
+      Item: [
+        { name: 'id', type: 'uint256' },
+        { name: 'flags', type: 'bool[2]' }
+      ]
+    };
+    const order = { items: [{ id: '0x10', flags: [true, false] }], delta: -1, tag: '0xdeadbeef' };
+    const encodedType = EthereumUtils.encodeType('Order', types);
+    if (encodedType !== 'Order(Item[] items,int8 delta,bytes4 tag)Item(uint256 id,bool[2] flags)') {
+      throw new Error(`Unexpected encodeType ${encodedType}`);
+    }
+
+    const itemHash = EthereumUtils.keccak256(Buffer.concat([
+      EthereumUtils.keccak256('Item(uint256 id,bool[2] flags)'),
+      fromHex('10'.padStart(64, '0')),
+      EthereumUtils.keccak256(Buffer.concat([fromHex('1'.padStart(64, '0')), new Uint8Array(32)]))
+    ]));
+    const expected = EthereumUtils.keccak256(Buffer.concat([
+      EthereumUtils.keccak256(encodedType),
+      EthereumUtils.keccak256(itemHash),
+      fromHex('ff'.repeat(32)),
+      fromHex('deadbeef'.padEnd(64, '0'))
+    ]));
+    if (toHex(EthereumUtils.hashStruct('Order', order, types)) !== toHex(expected)) {
+      throw new Error('Unexpected hashStruct of Order');
+    }
+  });
+
+  // Test 8: Invalid typed data
+  await runner.runTest('EthereumUtils - rejects invalid typed data', async () => {
+    const types = { Value: [{ name: 'amount', type: 'uint8' }, { name: 'to', type: 'address' }] };
+    const to = '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB';
+    expectThrow(() => EthereumUtils.hashStruct('Value', { amount: 256, to }, types), /out of range/);
+    expectThrow(() => EthereumUtils.hashStruct('Value', { amount: -1, to }, types), /out of range/);
+    expectThrow(() => EthereumUtils.hashStruct('Value', { amount: 1 }, types), /missing/);
+    expectThrow(() => EthereumUtils.hashStruct('Value', { amount: 1, to: '0x1234' }, types), /address/);
+    expectThrow(() => EthereumUtils.hashStruct('Other', {}, types), /Unknown EIP-712 type/);
+    expectThrow(() => EthereumUtils.hashStruct('Bad', { x: 1 }, { Bad: [{ name: 'x', type: 'uint7' }] }), /Unknown EIP-712 type/);
+    expectThrow(() => EthereumUtils.toChecksumAddress('0x1234'), /20 bytes/);
+  });
+
+  runner.printSummary();
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runEthereumTests().catch(error => {
+    console.error('Ethereum tests failed:', error);
+    process.exit(1);
+  });
+}
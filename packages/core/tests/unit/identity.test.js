@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for party identity keys
+ * Covers the party ID, identity signatures, registration proofs and the identity an SDK keeps in storage
+ */
+
+const { UnitTestRunner, expectThrow, expectRejection, createLoopbackSdk } = require('../helpers');
+const { IdentityUtils } = require('../../js/crypto/identity.ts');
+const { LoopbackHub } = require('../../js/transport/in-memory.ts');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+
+const MESSAGE = new TextEncoder().encode('identity test message');
+
+// Hex signature with one nibble changed
+const tamper = hex => (hex[0] === '0' ? '1' : '0') + hex.slice(1);
+
+async function runIdentityTests() {
+  const runner = new UnitTestRunner('Identity');
+
+  console.log('🧪 Running Identity Tests...\n');
+
+  // Test 1: Party ID
+  await runner.runTest('Identity - the party ID is the compressed public key and survives storage', async () => {
+    const identity = IdentityUtils.generate();
+    const expected = Buffer.from(secp256k1.getPublicKey(identity.privateKey, true)).toString('hex');
+    if (identity.partyId !== expected || !IdentityUtils.isValidPartyId(identity.partyId)) {
+      throw new Error(`Party ID ${identity.partyId} is not the public key ${expected}`);
+    }
+    const restored = IdentityUtils.deserialize(IdentityUtils.serialize(identity));
+    if (restored.partyId !== identity.partyId || restored.createdAt !== identity.createdAt) {
+      throw new Error('Identity changed on its way through storage');
+    }
+
+    const stored = JSON.parse(IdentityUtils.serialize(identity));
+    stored.partyId = IdentityUtils.generate().partyId;
+    expectThrow(() => IdentityUtils.deserialize(JSON.stringify(stored)), /does not match its private key/);
+    if (IdentityUtils.isValidPartyId('04' + identity.partyId.slice(2)) || IdentityUtils.isValidPartyId('02' + 'f'.repeat(64))) {
+      throw new Error('Accepted a party ID that is not a compressed point');
+    }
+  });
+
+  // Test 2: Signatures
+  await runner.runTest('Signature - verifies for the signer only and not after any change', async () => {
+    const [alice, bob] = [IdentityUtils.generate(), IdentityUtils.generate()];
+    const signature = IdentityUtils.sign(alice, MESSAGE);
+    if (!IdentityUtils.verify(alice.partyId, MESSAGE, signature)) {
+      throw new Error('Valid signature was rejected');
+    }
+
+    const changed = Uint8Array.from(MESSAGE);
+    changed[0] ^= 1;
+    const rejected = [
+      IdentityUtils.verify(bob.partyId, MESSAGE, signature),
+      IdentityUtils.verify(alice.partyId, changed, signature),
+      IdentityUtils.verify(alice.partyId, MESSAGE, tamper(signature)),
+      IdentityUtils.verify(alice.partyId, MESSAGE, signature.slice(2)),
+      IdentityUtils.verify('not-a-party-id', MESSAGE, signature)
+    ];
+    if (rejected.some(Boolean)) {
+      throw new Error(`Accepted a bad signature (case ${rejected.indexOf(true) + 1})`);
+    }
+  });
+
+  // Test 3: Registration proofs
+  await runner.runTest('Registration - a proof only verifies fresh and for its own party ID', async () => {
+    const [alice, bob] = [IdentityUtils.generate(), IdentityUtils.generate()];
+    const proof = IdentityUtils.createRegistrationProof(alice);
+    if (!IdentityUtils.verifyRegistrationProof(proof)) {
+      throw new Error('Valid registration proof was rejected');
+    }
+
+    const rejected = [
+      { ...proof, partyId: bob.partyId },
+      { ...proof, timestamp: proof.timestamp + 1 },
+      { ...proof, signature: tamper(proof.signature) },
+      IdentityUtils.createRegistrationProof(alice, Date.now() - 10 * 60 * 1000)
+    ];
+    const accepted = rejected.findIndex(forged => IdentityUtils.verifyRegistrationProof(forged));
+    if (accepted !== -1) {
+      throw new Error(`Accepted a bad registration proof (case ${accepted + 1})`);
+    }
+    expectThrow(() => new LoopbackHub().registerParty({ ...proof, partyId: bob.partyId }), /Invalid registration proof/);
+  });
+
+  // Test 4: SDK identity
+  await runner.runTest('SDK - keeps its identity across restarts and registers with a proof', async () => {
+    const hub = new LoopbackHub();
+    const sdk = await createLoopbackSdk(hub);
+    const restarted = await createLoopbackSdk(hub, { storage: sdk.getStorage() });
+    const { partyId } = await sdk.getIdentity();
+    if ((await restarted.getIdentity()).partyId !== partyId || hub.getParty(restarted.config.apiKey).partyId !== partyId) {
+      throw new Error('A restarted SDK registered under another party ID');
+    }
+
+    // The relay rejects a party whose proof does not verify
+    const apiClient = hub.createApiClient();
+    const forged = { ...IdentityUtils.createRegistrationProof(IdentityUtils.generate()), partyId };
+    await expectRejection(() => apiClient.register(forged), /Invalid registration proof/);
+  });
+
+  runner.printSummary();
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runIdentityTests().catch(error => {
+    console.error('Identity tests failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the LoopbackHub and its in-memory transports
+ * Three registered parties of a 2-of-3 group talk through bare transports, without an SDK on top
+ */
+
+const { UnitTestRunner, tick, createLoopbackGroup } = require('../helpers');
+
+const SERVER_ID = '0'.repeat(68);
+
+// Fresh transport of a registered party that records what the hub delivers to it
+function createParty(hub, sdk) {
+  const transport = hub.createTransport();
+  const partyId = sdk.identity.partyId;
+  transport.setOwnPartyId(partyId);
+  const received = [];
+  transport.on('message', message => received.push(message));
+  return { partyId, apiKey: sdk.config.apiKey, transport, received };
+}
+
+function message(groupId, from, to, content, round = 1) {
+  return { group_id: groupId, from_id: from.partyId, to_id: to, content, round, timestamp: new Date().toISOString() };
+}
+
+const contents = party => party.received.map(received => received.content);
+
+async function runInMemoryTransportTests() {
+  const runner = new UnitTestRunner('In-Memory Transport');
+
+  console.log('🧪 Running In-Memory Transport Tests...\n');
+
+  const { hub, sdks, groupId } = await createLoopbackGroup(2, 3);
+  const connectAll = async (parties, protocol) => {
+    for (const party of parties) {
+      await party.transport.connect(groupId, protocol, party.apiKey);
+    }
+    await tick();
+  };
+
+  // Test 1: Keygen START
+  const keygen = sdks.map(sdk => createParty(hub, sdk));
+  await runner.runTest('START - keygen starts once every party joined and lists all of them', async () => {
+    await connectAll(keygen.slice(0, 2), 'keygen');
+    if (keygen.some(party => party.received.length > 0)) {
+      throw new Error('START was sent before every party joined');
+    }
+
+    await connectAll(keygen.slice(2), 'keygen');
+    const everyone = keygen.map(party => party.partyId).sort().join();
+    for (const party of keygen) {
+      const [start] = party.received;
+      if (party.received.length !== 1 || start.content !== 'START' || start.from_id !== SERVER_ID) {
+        throw new Error(`Expected a single START, got ${contents(party)}`);
+      }
+      if ([...start.participants].sort().join() !== everyone) {
+        throw new Error(`START lists ${start.participants}`);
+      }
+    }
+  });
+
+  // Test 2: Routing
+  await runner.runTest('Routing - broadcasts reach every other participant, direct messages only their recipient', async () => {
+    const [alice, bob, carol] = keygen;
+    keygen.forEach(party => party.received.splice(0));
+
+    await alice.transport.send(message(groupId, alice, '0', 'broadcast'));
+    await alice.transport.send(message(groupId, alice, carol.partyId, 'direct'));
+    await tick();
+
+    if (contents(alice).length !== 0) {
+      throw new Error(`Sender got its own messages back: ${contents(alice)}`);
+    }
+    if (contents(bob).join() !== 'broadcast') {
+      throw new Error(`Bob got ${contents(bob)}`);
+    }
+    if (contents(carol).join() !== 'broadcast,direct') {
+      throw new Error(`Carol got ${contents(carol)}`);
+    }
+  });
+
+  // Test 3: END:SUCCESS
+  await runner.runTest('END - END:SUCCESS goes out once every participant reported DONE', async () => {
+    const report = party => party.transport.send(message(groupId, party, SERVER_ID, 'DONE', 0));
+    keygen.forEach(party => party.received.splice(0));
+
+    await report(keygen[0]);
+    await report(keygen[1]);
+    await tick();
+    if (keygen.some(party => party.received.length > 0)) {
+      throw new Error('END was sent before every participant was done');
+    }
+
+    await report(keygen[2]);
+    await tick();
+    for (const party of keygen) {
+      if (contents(party).join() !== 'END:SUCCESS') {
+        throw new Error(`Expected END:SUCCESS, got ${contents(party)}`);
+      }
+    }
+  });
+
+  // Test 4: Signing START
+  await runner.runTest('START - signing starts with the first threshold parties, later ones stay outside', async () => {
+    const sign = sdks.map(sdk => createParty(hub, sdk));
+    const [alice, bob, carol] = sign;
+    await connectAll([alice, bob], 'sign');
+    const quorum = [alice.partyId, bob.partyId].sort().join();
+    for (const party of [alice, bob]) {
+      const [start] = party.received;
+      if (start?.content !== 'START' || [...start.participants].sort().join() !== quorum) {
+        throw new Error(`Expected START for Alice and Bob, got ${contents(party)}`);
+      }
+    }
+
+    await connectAll([carol], 'sign');
+    await carol.transport.send(message(groupId, carol, '0', 'outsider'));
+    await tick();
+    if (carol.received.length !== 0 || contents(alice).includes('outsider') || contents(bob).includes('outsider')) {
+      throw new Error('A party outside the signing session took part in it');
+    }
+  });
+
+  runner.printSummary();
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runInMemoryTransportTests().catch(error => {
+    console.error('In-Memory Transport tests failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for deep-link invitations
+ * A link must decode to the exact QR code data it was built from, or the creator's signature no longer verifies
+ */
+
+const { UnitTestRunner, expectThrow, expectCode, createLoopbackGroup } = require('../helpers');
+const { encodeInvitationLink, decodeInvitationLink, isInvitationLink, toInvitationData } = require('../../js/utils/invitation-link.ts');
+
+// Link with its `i` parameter replaced
+const withPayload = (link, payload) => link.replace(/i=[^&]*/, `i=${payload}`);
+
+async function runInvitationLinkTests() {
+  const runner = new UnitTestRunner('Invitation Link');
+
+  console.log('🧪 Running Invitation Link Tests...\n');
+
+  const { sdks, groupId } = await createLoopbackGroup(2, 2);
+  const [creator, joiner] = sdks;
+  const fields = { type: 'keygen', groupId, threshold: 2, totalParties: 2 };
+
+  // Test 1: QR code to link and back
+  await runner.runTest('Round trip - a link decodes to the exact QR code data, custom scheme or https', async () => {
+    const qrData = await creator.createInvitation(fields);
+    const links = [
+      creator.encodeInvitationLink(qrData),
+      creator.encodeInvitationLink(qrData, 'https://app.example.com/join'),
+      creator.encodeInvitationLink(qrData, 'https://app.example.com/join?lang=en')
+    ];
+    if (!links[0].startsWith('defishard://join?v=1&i=') || !links[2].startsWith('https://app.example.com/join?lang=en&v=1&i=')) {
+      throw new Error(`Unexpected links ${links}`);
+    }
+    for (const link of links) {
+      if (!isInvitationLink(link) || joiner.decodeInvitationLink(link) !== qrData || toInvitationData(link) !== qrData) {
+        throw new Error(`${link} did not decode to the QR code data`);
+      }
+    }
+    if (links[0].length >= `defishard://join?v=1&i=${btoa(qrData)}`.length) {
+      throw new Error('Link is not shorter than the QR code data in base64');
+    }
+  });
+
+  // Test 2: Every field, packed or not
+  await runner.runTest('Round trip - signing fields, metadata and fields the link does not know survive', async () => {
+    const qrData = JSON.stringify({
+      ...JSON.parse(await creator.createInvitation({
+        ...fields,
+        type: 'sign',
+        timeout: 300,
+        messageHash: 'ab'.repeat(32),
+        txId: 'tx-1',
+        description: 'Pay 0.1 BTC',
+        metadata: { chain: 'bitcoin', outputs: [1, 2], note: null }
+      })),
+      futureField: 'kept as is'
+    });
+    const decoded = decodeInvitationLink(encodeInvitationLink(qrData));
+    if (decoded !== qrData) {
+      throw new Error(`Decoded ${decoded}`);
+    }
+
+    // Values that only look like the packed encoding stay text
+    const odd = JSON.stringify({ type: 'custom', messageHash: 'ABCD', pairingSecret: 'not base64!' });
+    if (decodeInvitationLink(encodeInvitationLink(odd)) !== odd) {
+      throw new Error('Fields that cannot be packed did not survive');
+    }
+  });
+
+  // Test 3: Accepting a link
+  await runner.runTest('Accept - a scanned link verifies like its QR code and starts the session', async () => {
+    const link = creator.encodeInvitationLink(await creator.createInvitation(fields), 'https://app.example.com/join');
+    const accepted = await joiner.acceptInvitation(link);
+    if (accepted.groupId !== groupId || accepted.creator !== (await creator.getIdentity()).partyId) {
+      throw new Error(`Unexpected invitation ${JSON.stringify(accepted)}`);
+    }
+    await Promise.all(sdks.map(sdk => sdk.keygen({ timeoutMs: 10000 })));
+    await expectCode(() => joiner.acceptInvitation(link), 'INVITATION_REUSED');
+  });
+
+  // Test 4: Links this client cannot read
+  await runner.runTest('Errors - other versions, damaged payloads and plain URLs are rejected', async () => {
+    const link = encodeInvitationLink(await creator.createInvitation(fields));
+    const failures = [
+      [link.replace('v=1', 'v=2'), 'INVITATION_OUTDATED'],
+      [withPayload(link, '!!!'), 'INVITATION_MALFORMED'],
+      [withPayload(link, link.split('i=')[1].slice(0, 20)), 'INVITATION_MALFORMED'],
+      [withPayload(link, 'AQ'), 'INVITATION_MALFORMED'], // The number 1, not a map
+      ['https://app.example.com/join?v=1', 'INVITATION_MALFORMED']
+    ];
+    for (const [bad, code] of failures) {
+      await expectCode(() => decodeInvitationLink(bad), code);
+    }
+    expectThrow(() => encodeInvitationLink('not json'), /not valid JSON/);
+
+    // QR code JSON is passed through, never mistaken for a link
+    const qrData = await creator.createInvitation(fields);
+    if (isInvitationLink(qrData) || toInvitationData(qrData) !== qrData) {
+      throw new Error('QR code data was taken for a link');
+    }
+  });
+
+  runner.printSummary();
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runInvitationLinkTests().catch(error => {
+    console.error('Invitation Link tests failed:', error);
+    process.exit(1);
+  });
+}
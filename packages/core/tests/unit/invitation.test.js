@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for signed session invitations
+ * SDKs share a LoopbackHub, so accepting an invitation looks its group up like on the relay
+ */
+
+const { UnitTestRunner, expectCode, createLoopbackGroup, createLoopbackSdk } = require('../helpers');
+const { USED_INVITATIONS_STORAGE_KEY, INVITATION_SESSIONS_STORAGE_KEY, INVITATION_CLOCK_SKEW_MS } = require('../../js/utils/qrcode.ts');
+
+// QR code data with some fields replaced
+const alter = (qrData, fields) => JSON.stringify({ ...JSON.parse(qrData), ...fields });
+
+async function runInvitationTests() {
+  const runner = new UnitTestRunner('Invitation');
+
+  console.log('🧪 Running Invitation Tests...\n');
+
+  const { hub, sdks, groupId } = await createLoopbackGroup(2, 3);
+  const [creator, joiner] = sdks;
+  const fields = { type: 'keygen', groupId, threshold: 2, totalParties: 3 };
+
+  // Test 1: Invitations of group members
+  await runner.runTest('Creator - accepts an invitation created by a member of the group', async () => {
+    const invitation = await creator.acceptInvitation(await joiner.createInvitation(fields));
+    const { partyId } = await joiner.getIdentity();
+    if (invitation.creator !== partyId || invitation.groupId !== groupId) {
+      throw new Error(`Unexpected invitation ${JSON.stringify(invitation)}`);
+    }
+  });
+
+  // Test 2: Invitations signed by anyone else
+  await runner.runTest('Creator - rejects an invitation signed by a party outside the group', async () => {
+    const outsider = await createLoopbackSdk(hub);
+    const qrData = await outsider.createInvitation(fields);
+
+    await expectCode(() => joiner.acceptInvitation(qrData), 'INVITATION_CREATOR');
+    const used = await joiner.getStorage().get(USED_INVITATIONS_STORAGE_KEY);
+    if (used && JSON.parse(qrData).nonce in JSON.parse(used)) {
+      throw new Error('A rejected invitation should not consume its nonce');
+    }
+  });
+
+  // Test 3: Nonce reuse after the invitation's session ran
+  await runner.runTest('Nonce - the creator refuses a second session under its invitation', async () => {
+    const qrData = await creator.createInvitation(fields);
+    for (const sdk of sdks.slice(1)) {
+      await sdk.acceptInvitation(qrData);
+    }
+    await Promise.all(sdks.map(sdk => sdk.keygen({ timeoutMs: 10000 })));
+
+    // The code leaks and is scanned again, e.g. by another device of a member
+    const { pairingSecret, nonce, expiresAt } = JSON.parse(qrData);
+    const { partyId } = await creator.getIdentity();
+    creator.setPairingSecret(pairingSecret, { nonce, creator: partyId, expiresAt });
+    await expectCode(() => creator.keygen({ timeoutMs: 10000 }), 'INVITATION_REUSED');
+    const claimed = JSON.parse(await creator.getStorage().get(INVITATION_SESSIONS_STORAGE_KEY));
+    if (!(nonce in claimed)) {
+      throw new Error('The creator did not record the nonce of its invitation');
+    }
+  });
+
+  // Test 4: Altered invitations
+  await runner.runTest('Signature - rejects an invitation changed after signing or carrying no signature', async () => {
+    const qrData = await creator.createInvitation(fields);
+    const { partyId } = await joiner.getIdentity();
+
+    await expectCode(() => joiner.acceptInvitation(alter(qrData, { threshold: 3 })), 'INVITATION_SIGNATURE');
+    await expectCode(() => joiner.acceptInvitation(alter(qrData, { pairingSecret: btoa('another secret') })), 'INVITATION_SIGNATURE');
+    // Claiming another member made it does not help, the signature is checked against the claimed creator
+    await expectCode(() => joiner.acceptInvitation(alter(qrData, { creator: partyId })), 'INVITATION_SIGNATURE');
+    await expectCode(() => joiner.acceptInvitation(alter(qrData, { signature: undefined })), 'INVITATION_UNSIGNED');
+
+    // None of them used up the nonce of the real invitation
+    await joiner.acceptInvitation(qrData);
+  });
+
+  // Test 5: Validity window
+  await runner.runTest('Expiry - rejects an invitation outside its validity window, allowing for clock skew', async () => {
+    const qrData = await creator.createInvitation(fields);
+    const { timestamp, expiresAt } = JSON.parse(qrData);
+
+    await expectCode(() => joiner.acceptInvitation(qrData, { now: expiresAt + INVITATION_CLOCK_SKEW_MS + 1 }), 'INVITATION_EXPIRED');
+    await expectCode(() => joiner.acceptInvitation(qrData, { now: timestamp - INVITATION_CLOCK_SKEW_MS - 1 }), 'INVITATION_NOT_YET_VALID');
+    await joiner.acceptInvitation(qrData, { now: expiresAt + INVITATION_CLOCK_SKEW_MS - 1 });
+  });
+
+  // Test 6: Invitations that expire before their session starts
+  await runner.runTest('Expiry - an invitation accepted in time cannot start a session after it expired', async () => {
+    const { partyId } = await creator.getIdentity();
+    const { pairingSecret, nonce } = JSON.parse(await creator.createInvitation(fields));
+    joiner.setPairingSecret(pairingSecret, { nonce, creator: partyId, expiresAt: Date.now() - INVITATION_CLOCK_SKEW_MS - 1 });
+    await expectCode(() => joiner.keygen({ timeoutMs: 10000 }), 'INVITATION_EXPIRED');
+    const claimed = await joiner.getStorage().get(INVITATION_SESSIONS_STORAGE_KEY);
+    if (claimed && nonce in JSON.parse(claimed)) {
+      throw new Error('An expired invitation claimed its nonce');
+    }
+  });
+
+  // Test 7: Scanning an invitation twice
+  await runner.runTest('Nonce - a device accepts an invitation only once', async () => {
+    const qrData = await creator.createInvitation(fields);
+    await joiner.acceptInvitation(qrData);
+    await expectCode(() => joiner.acceptInvitation(qrData), 'INVITATION_REUSED');
+
+    // The nonce is only remembered on the device that accepted it
+    await sdks[2].acceptInvitation(qrData);
+  });
+
+  runner.printSummary();
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runInvitationTests().catch(error => {
+    console.error('Invitation tests failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the session binding of the transport pipeline
+ * Messages are sent by one party's transport and handed to another's as the relay would
+ */
+
+const { UnitTestRunner, tick, createLoopbackGroup, createCaptureTransport } = require('../helpers');
+const { IdentityUtils } = require('../../js/crypto/identity.ts');
+const { deriveSessionId } = require('../../js/utils/message-id.ts');
+
+const GROUP_ID = 'binding-test-group';
+const SESSION_ID = 'binding-test-session';
+
+// Two parties of one session, optionally encrypted with a group key
+async function createParties(encrypted = false, sessionId = SESSION_ID) {
+  const identities = [IdentityUtils.generate(), IdentityUtils.generate()];
+  const members = identities.map(identity => identity.partyId);
+  const groupKey = crypto.getRandomValues(new Uint8Array(32));
+  const parties = [];
+  for (const identity of identities) {
+    const transport = createCaptureTransport();
+    transport.setOwnPartyId(identity.partyId);
+    transport.setIdentity(identity);
+    transport.setSession(sessionId, 0, members);
+    if (encrypted) {
+      await transport.setEncryptionKey(groupKey);
+    }
+    const party = { identity, transport, received: [], rejected: [] };
+    transport.onMessage(message => party.received.push(message));
+    transport.on('message-rejected', event => party.rejected.push(event));
+    parties.push(party);
+  }
+  return parties;
+}
+
+// Send a broadcast and return it as it went out on the wire
+async function send(party, content, round = 1) {
+  await party.transport.send({
+    group_id: GROUP_ID,
+    from_id: party.identity.partyId,
+    to_id: '0',
+    content,
+    round,
+    timestamp: new Date().toISOString()
+  });
+  return JSON.parse(JSON.stringify(party.transport.sent[party.transport.sent.length - 1]));
+}
+
+async function deliver(party, message) {
+  await party.transport.receive(JSON.parse(JSON.stringify(message)));
+  await tick(0);
+}
+
+async function runMessageBindingTests() {
+  const runner = new UnitTestRunner('Message Binding');
+
+  console.log('🧪 Running Message Binding Tests...\n');
+
+  // Test 1: Replays within the session
+  await runner.runTest('Sequence - drops replayed and older messages of a sender', async () => {
+    const [alice, bob] = await createParties(true);
+    const first = await send(alice, 'round 1');
+    const second = await send(alice, 'round 2', 2);
+
+    await deliver(bob, second);
+    await deliver(bob, second);
+    await deliver(bob, first);
+    if (bob.received.length !== 1 || bob.received[0].content !== 'round 2' || bob.received[0].seq !== 2) {
+      throw new Error(`Bob received ${JSON.stringify(bob.received.map(message => message.content))}`);
+    }
+  });
+
+  // Test 2: Forged sequence numbers
+  await runner.runTest('Sequence - a forged high sequence number does not block the real sender', async () => {
+    const [alice, bob] = await createParties();
+    const genuine = await send(alice, 'round 1');
+
+    // Anyone can put Alice's from_id and a high seq on a message, but not her signature
+    const forged = { ...genuine, content: 'forged', seq: 1000 };
+    delete forged.message_id;
+    await deliver(bob, forged);
+    if (bob.rejected.length !== 1 || bob.rejected[0].reason !== 'invalid-signature') {
+      throw new Error(`Forgery should be rejected, got ${JSON.stringify(bob.rejected)}`);
+    }
+
+    await deliver(bob, genuine);
+    if (bob.received.length !== 1 || bob.received[0].content !== 'round 1') {
+      throw new Error('The genuine message should still be accepted');
+    }
+  });
+
+  // Test 3: Session ids of invitation runs
+  await runner.runTest('Session - every run of an invitation gets its own session id', async () => {
+    const key = new Uint8Array(32).fill(1);
+    const ids = [
+      deriveSessionId(GROUP_ID, 'sign', 'aa', key, 'nonce-a/0'),
+      deriveSessionId(GROUP_ID, 'sign', 'aa', key, 'nonce-a/1'),
+      deriveSessionId(GROUP_ID, 'sign', 'aa', key, 'nonce-b/0'),
+      deriveSessionId(GROUP_ID, 'sign', 'aa', key)
+    ];
+    if (new Set(ids).size !== ids.length) {
+      throw new Error(`Session ids collide: ${ids.join(', ')}`);
+    }
+    if (deriveSessionId(GROUP_ID, 'sign', 'aa', key, 'nonce-a/0') !== ids[0]) {
+      throw new Error('All parties must derive the same id for the same run');
+    }
+  });
+
+  // Test 4: Replays across sessions
+  await runner.runTest('Session - a message recorded in one run is dropped by the next', async () => {
+    const key = new Uint8Array(32).fill(2);
+    const firstRun = deriveSessionId(GROUP_ID, 'sign', 'aa', key, 'nonce/0');
+    const nextRun = deriveSessionId(GROUP_ID, 'sign', 'aa', key, 'nonce/1');
+    const [alice, bob] = await createParties(true, firstRun);
+    const recorded = await send(alice, 'first run');
+
+    const members = [alice, bob].map(party => party.identity.partyId);
+    alice.transport.setSession(nextRun, 0, members);
+    bob.transport.setSession(nextRun, 0, members);
+    await deliver(bob, recorded);
+    if (bob.received.length !== 0) {
+      throw new Error('A message of the previous run was accepted');
+    }
+
+    await deliver(bob, await send(alice, 'next run'));
+    if (bob.received.length !== 1 || bob.received[0].content !== 'next run') {
+      throw new Error('The message of the running session should be accepted');
+    }
+  });
+
+  // Test 5: Ceremonies of one invitation through the SDK
+  await runner.runTest('Session - each ceremony of one invitation runs under its own session id', async () => {
+    const { sdks, groupId } = await createLoopbackGroup(2, 2);
+    const [creator, joiner] = sdks;
+    await joiner.acceptInvitation(await creator.createInvitation({ type: 'keygen', groupId, threshold: 2, totalParties: 2 }));
+    const keyshares = await Promise.all(sdks.map(sdk => sdk.keygen({ timeoutMs: 10000 })));
+
+    const messageHash = new Uint8Array(32).fill(9);
+    await joiner.acceptInvitation(await creator.createInvitation({ type: 'sign', groupId, threshold: 2, totalParties: 2 }));
+    const sessionIds = [];
+    // The second and third ceremony share transport key and message, only the run number tells them apart
+    for (let run = 0; run < 3; run++) {
+      const seen = new Set();
+      const record = message => message.session_id && seen.add(message.session_id);
+      joiner.transport.on('message', record);
+      await Promise.all(sdks.map((sdk, i) => sdk.sign(messageHash, keyshares[i], { timeoutMs: 10000 })));
+      joiner.transport.off('message', record);
+      sessionIds.push(...seen);
+    }
+    if (sessionIds.length !== 3 || new Set(sessionIds).size !== 3) {
+      throw new Error(`Expected one distinct session id per ceremony, got ${JSON.stringify(sessionIds)}`);
+    }
+  });
+
+  runner.printSummary();
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runMessageBindingTests().catch(error => {
+    console.error('Message binding tests failed:', error);
+    process.exit(1);
+  });
+}
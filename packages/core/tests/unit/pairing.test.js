@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the pairing handshake run between START and round 1
+ * Handshakes exchange their round 0 messages over an in-process bus, the SDK tests run over a LoopbackHub
+ */
+
+const { UnitTestRunner, toHex, tick, expectThrow, expectCode, createLoopbackGroup } = require('../helpers');
+const { SessionHandshake } = require('../../js/core/SessionHandshake.ts');
+const { PairingUtils } = require('../../js/crypto/pairing.ts');
+
+const GROUP_ID = 'pairing-test-group';
+const SESSION_ID = 'pairing-test-session';
+
+const randomId = () => toHex(crypto.getRandomValues(new Uint8Array(32)));
+
+// Transport stand-in: broadcasts round 0 messages to the other handshakes and keeps the installed keys
+class BusTransport {
+  constructor(bus) {
+    this.bus = bus;
+    this.groupKey = null;
+    this.pairwiseKeys = null;
+  }
+
+  async send(message) {
+    for (const [partyId, handshake] of this.bus) {
+      if (partyId !== message.from_id) {
+        setTimeout(() => handshake.handleMessage({ ...message }), 0);
+      }
+    }
+  }
+
+  async setEncryptionKey(key) {
+    this.groupKey = toHex(key);
+  }
+
+  async setPairwiseKeys(keys) {
+    this.pairwiseKeys = Object.fromEntries(Object.entries(keys).map(([peerId, key]) => [peerId, toHex(key)]));
+  }
+}
+
+// One handshake per member, each with its own copy of the pairing secret (handshakes wipe it)
+function createHandshakes(members, secret) {
+  const bus = new Map();
+  const parties = {};
+  for (const partyId of members) {
+    const transport = new BusTransport(bus);
+    const handshake = new SessionHandshake({
+      transport,
+      groupId: GROUP_ID,
+      partyId,
+      members,
+      pairingSecret: Uint8Array.from(secret),
+      sessionId: SESSION_ID,
+      timeoutMs: 0
+    });
+    bus.set(partyId, handshake);
+    parties[partyId] = { handshake, transport };
+  }
+  return parties;
+}
+
+async function runPairingTests() {
+  const runner = new UnitTestRunner('Pairing');
+
+  console.log('🧪 Running Pairing Tests...\n');
+
+  // Test 1: Quorum named by START
+  await runner.runTest('Quorum - peers are the participants START named, not the first hellos', async () => {
+    const [alice, bob, carol] = [randomId(), randomId(), randomId()];
+    const parties = createHandshakes([alice, bob, carol], crypto.getRandomValues(new Uint8Array(32)));
+
+    // Carol holds the secret and says hello first, but START put Alice and Bob in the session
+    parties[carol].handshake.start([alice, bob, carol]);
+    await tick();
+    await Promise.all([alice, bob].map(partyId => parties[partyId].handshake.start([alice, bob])));
+    parties[carol].handshake.destroy();
+
+    const quorum = [alice, bob].sort().join();
+    for (const partyId of [alice, bob]) {
+      const { handshake, transport } = parties[partyId];
+      if (handshake.getParticipants().join() !== quorum) {
+        throw new Error(`Unexpected participants ${handshake.getParticipants()}`);
+      }
+      if (Object.keys(transport.pairwiseKeys).join() !== (partyId === alice ? bob : alice)) {
+        throw new Error(`Unexpected pairwise keys for ${Object.keys(transport.pairwiseKeys)}`);
+      }
+    }
+    if (parties[alice].transport.groupKey !== parties[bob].transport.groupKey) {
+      throw new Error('Alice and Bob derived different session keys');
+    }
+  });
+
+  // Test 2: START without a signing quorum
+  await runner.runTest('Quorum - a signing START that does not name its parties fails the session', async () => {
+    const { sdks, groupId } = await createLoopbackGroup(2, 2);
+    const [creator, joiner] = sdks;
+    await joiner.acceptInvitation(await creator.createInvitation({ type: 'keygen', groupId, threshold: 2, totalParties: 2 }));
+    const keyshares = await Promise.all(sdks.map(sdk => sdk.keygen({ timeoutMs: 10000 })));
+
+    // Only the creator connects, so the relay's START never comes; hand it one without participants
+    await creator.createInvitation({ type: 'sign', groupId, threshold: 2, totalParties: 2 });
+    const signing = creator.sign(new Uint8Array(32).fill(7), keyshares[0], { timeoutMs: 10000 });
+    await tick();
+    creator.transport.dispatch({
+      group_id: groupId,
+      from_id: creator.transport.SERVER_ID,
+      to_id: '0',
+      content: 'START',
+      round: 0,
+      timestamp: new Date().toISOString()
+    });
+    await expectCode(() => signing, 'PAIRING_PARTICIPANTS');
+  });
+
+  // Test 3: Sessions without the invitation creator
+  await runner.runTest('Creator - a session that leaves out the invitation creator fails', async () => {
+    const [alice, bob, carol] = [randomId(), randomId(), randomId()];
+    const handshake = new SessionHandshake({
+      transport: new BusTransport(new Map()),
+      groupId: GROUP_ID,
+      partyId: bob,
+      members: [alice, bob, carol],
+      creator: alice,
+      pairingSecret: crypto.getRandomValues(new Uint8Array(32)),
+      sessionId: SESSION_ID,
+      timeoutMs: 0
+    });
+    await expectCode(() => handshake.start([bob, carol]), 'PAIRING_CREATOR');
+  });
+
+  // Test 4: Fingerprint inputs
+  await runner.runTest('Fingerprint - the same for every party, another one for any other group, quorum or key', async () => {
+    const [alice, bob, carol] = [randomId(), randomId(), randomId()];
+    const key = crypto.getRandomValues(new Uint8Array(32));
+    const fingerprint = PairingUtils.computeSessionFingerprint(GROUP_ID, [alice, bob], key);
+    const reordered = PairingUtils.computeSessionFingerprint(GROUP_ID, [bob.toUpperCase(), alice], key);
+    if (reordered.digits !== fingerprint.digits || reordered.emoji.join() !== fingerprint.emoji.join()) {
+      throw new Error('Participant order or case changed the fingerprint');
+    }
+    if (!/^\d{6}$/.test(fingerprint.digits) || fingerprint.emoji.length !== 4) {
+      throw new Error(`Malformed fingerprint ${fingerprint.digits} ${fingerprint.emoji}`);
+    }
+
+    const others = [
+      PairingUtils.computeSessionFingerprint('another-group', [alice, bob], key),
+      PairingUtils.computeSessionFingerprint(GROUP_ID, [alice, carol], key),
+      PairingUtils.computeSessionFingerprint(GROUP_ID, [alice, bob], crypto.getRandomValues(new Uint8Array(32)))
+    ];
+    const same = others.findIndex(other => other.keyCommitment === fingerprint.keyCommitment && other.digits === fingerprint.digits);
+    if (same !== -1) {
+      throw new Error(`Fingerprint repeated by case ${same + 1}`);
+    }
+  });
+
+  // Test 5: Fingerprint confirmation
+  await runner.runTest('Fingerprint - a keygen waits for confirmation and fails when it is rejected', async () => {
+    const { sdks, groupId } = await createLoopbackGroup(2, 2, { confirmSessionFingerprint: true });
+    const [creator, joiner] = sdks;
+    const pair = async () => joiner.acceptInvitation(await creator.createInvitation({ type: 'keygen', groupId, threshold: 2, totalParties: 2 }));
+
+    // Devices show the code first; the user answers later
+    const answer = matches => {
+      const shown = [];
+      for (const sdk of sdks) {
+        sdk.removeAllListeners('session-fingerprint');
+        sdk.on('session-fingerprint', fingerprint => {
+          shown.push(fingerprint.digits);
+          setTimeout(() => sdk.confirmSessionFingerprint(matches), 0);
+        });
+      }
+      return shown;
+    };
+
+    await pair();
+    const confirmed = answer(true);
+    await Promise.all(sdks.map(sdk => sdk.keygen({ timeoutMs: 10000 })));
+    if (confirmed.length !== 2 || confirmed[0] !== confirmed[1] || creator.getSessionFingerprint() !== null) {
+      throw new Error(`Parties were shown ${confirmed}`);
+    }
+
+    await pair();
+    const rejected = answer(false);
+    await Promise.all(sdks.map(sdk => expectCode(() => sdk.keygen({ timeoutMs: 10000 }), 'FINGERPRINT_MISMATCH')));
+    if (rejected.length !== 2 || rejected[0] !== rejected[1]) {
+      throw new Error(`Parties were shown ${rejected}`);
+    }
+    expectThrow(() => creator.confirmSessionFingerprint(true), /No session fingerprint is awaiting confirmation/);
+  });
+
+  // Test 6: Keys arriving while ours are still being sent
+  await runner.runTest('Keys - the session keys are installed only once our own contribution went out', async () => {
+    const [alice, bob] = [randomId(), randomId()];
+    const parties = createHandshakes([alice, bob], crypto.getRandomValues(new Uint8Array(32)));
+
+    // Alice's contribution reaches Bob at once, but her send only returns after Bob's arrived
+    const { transport } = parties[alice];
+    const send = transport.send.bind(transport);
+    let delivered = false;
+    transport.send = async message => {
+      await send(message);
+      if (message.content.includes('"pairing-keys"')) {
+        await tick(50);
+        delivered = true;
+      }
+    };
+
+    const installed = [alice, bob].map(partyId => parties[partyId].handshake.start([alice, bob]));
+    await installed[0];
+    if (!delivered) {
+      throw new Error('Session keys were installed while our contribution was still being sent');
+    }
+    await installed[1];
+    if (!transport.groupKey || transport.groupKey !== parties[bob].transport.groupKey) {
+      throw new Error('Alice and Bob derived different session keys');
+    }
+  });
+
+  runner.printSummary();
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runPairingTests().catch(error => {
+    console.error('Pairing tests failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the progress event of keygen and signing
+ * Ceremonies run over a LoopbackHub; events are collected on the SDK and on its ProtocolManager
+ */
+
+const { UnitTestRunner, createLoopbackGroup } = require('../helpers');
+
+// Progress events an SDK and its ProtocolManager emit, in order, until stop() is called
+function collectProgress(sdk) {
+  const events = { sdk: [], manager: [] };
+  const onSdk = event => events.sdk.push(event);
+  const onManager = event => events.manager.push(event);
+  sdk.on('progress', onSdk);
+  sdk.protocolManager.on('progress', onManager);
+  events.stop = () => {
+    sdk.off('progress', onSdk);
+    sdk.protocolManager.off('progress', onManager);
+  };
+  return events;
+}
+
+/**
+ * Check the events of one finished ceremony: START, then per round one event for each
+ * message received and one once the round was processed
+ *
+ * @param peers - Members the party expects a message from in every round, as { partyId, index }
+ */
+function checkSequence(events, protocol, peers) {
+  const [start, ...rest] = events;
+  if (start?.stage !== 'start' || start.round !== 0 || start.received !== 0) {
+    throw new Error(`Expected START first, got ${JSON.stringify(start)}`);
+  }
+
+  let elapsedMs = 0;
+  for (const event of events) {
+    if (event.protocol !== protocol || event.totalRounds !== 4 || event.elapsedMs < elapsedMs) {
+      throw new Error(`Unexpected event ${JSON.stringify(event)}`);
+    }
+    elapsedMs = event.elapsedMs;
+  }
+
+  const finished = rest.filter(event => event.stage === 'round').map(event => event.round);
+  if (finished.join() !== '1,2,3,4') {
+    throw new Error(`Rounds finished in order ${finished}`);
+  }
+
+  for (let round = 1; round <= 4; round++) {
+    const ofRound = rest.filter(event => event.round === round);
+    const messages = ofRound.filter(event => event.stage === 'message');
+    if (ofRound.length !== peers.length + 1 || ofRound[ofRound.length - 1].stage !== 'round') {
+      throw new Error(`Round ${round} reported ${ofRound.map(event => event.stage)}`);
+    }
+    messages.forEach((event, i) => {
+      const peer = peers.find(member => member.partyId === event.from?.partyId);
+      if (!peer || event.from.index !== peer.index || event.received !== i + 1 || event.expected !== peers.length ||
+          event.senders.length !== i + 1 || event.senders[i] !== peer.partyId) {
+        throw new Error(`Round ${round} message event ${JSON.stringify(event)}`);
+      }
+    });
+    if (new Set(messages.map(event => event.from.partyId)).size !== peers.length) {
+      throw new Error(`Round ${round} did not report a message from every peer`);
+    }
+    const { received, expected, from } = ofRound[ofRound.length - 1];
+    if (received !== peers.length || expected !== peers.length || from !== undefined) {
+      throw new Error(`Round ${round} finished with ${received}/${expected} messages`);
+    }
+  }
+}
+
+function checkForwarded(events) {
+  if (events.sdk.length !== events.manager.length || events.sdk.some((event, i) => event !== events.manager[i])) {
+    throw new Error(`SDK forwarded ${events.sdk.length} of ${events.manager.length} progress events`);
+  }
+}
+
+async function runProgressTests() {
+  const runner = new UnitTestRunner('Progress');
+
+  console.log('🧪 Running Progress Tests...\n');
+
+  const { sdks, groupId } = await createLoopbackGroup(2, 3);
+  const pair = async (type, parties) => {
+    const invitation = await sdks[0].createInvitation({ type, groupId, threshold: 2, totalParties: 3 });
+    for (const sdk of parties.slice(1)) {
+      await sdk.acceptInvitation(invitation);
+    }
+  };
+  // Parties joined the group in order, so a member's index is its position in sdks
+  const members = async parties => Promise.all(parties.map(async sdk => ({
+    partyId: (await sdk.getIdentity()).partyId,
+    index: sdks.indexOf(sdk)
+  })));
+  let keyshares;
+
+  // Test 1: Keygen
+  await runner.runTest('Keygen - reports START, every message and every finished round', async () => {
+    await pair('keygen', sdks);
+    const events = sdks.map(collectProgress);
+    const keygens = sdks.map(sdk => sdk.keygen({ timeoutMs: 10000 }));
+    const parties = await members(sdks);
+    keyshares = await Promise.all(keygens);
+
+    events.forEach((collected, i) => {
+      collected.stop();
+      checkSequence(collected.manager, 'keygen', parties.filter((_party, j) => j !== i));
+      checkForwarded(collected);
+    });
+  });
+
+  // Test 2: Signing
+  await runner.runTest('Sign - reports the messages of the signing parties only', async () => {
+    const signers = [sdks[0], sdks[2]];
+    await pair('sign', signers);
+    const events = signers.map(collectProgress);
+    const messageHash = new Uint8Array(32).fill(3);
+    const signing = signers.map(sdk => sdk.sign(messageHash, keyshares[sdks.indexOf(sdk)], { timeoutMs: 10000 }));
+    const parties = await members(signers);
+    await Promise.all(signing);
+
+    events.forEach((collected, i) => {
+      collected.stop();
+      checkSequence(collected.manager, 'sign', parties.filter((_party, j) => j !== i));
+      checkForwarded(collected);
+    });
+  });
+
+  runner.printSummary();
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runProgressTests().catch(error => {
+    console.error('Progress tests failed:', error);
+    process.exit(1);
+  });
+}
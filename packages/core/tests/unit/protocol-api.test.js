@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the promise API of keygen() and sign()
+ * Ceremonies run over a LoopbackHub; parties that never join keep a ceremony from finishing
+ */
+
+const { UnitTestRunner, tick, expectCode, createLoopbackGroup } = require('../helpers');
+const { DeFiShArdError } = require('../../js/errors.ts');
+const { ErrorType } = require('../../js/types.ts');
+
+// Check that a rejected ceremony left no session behind
+async function expectTornDown(sdk) {
+  if (sdk.transport.isConnected() || sdk.getActiveSessionId() !== null) {
+    throw new Error('Session is still running');
+  }
+  const resumable = await sdk.getResumableSessions();
+  if (resumable.length > 0) {
+    throw new Error(`Checkpoints left behind: ${resumable}`);
+  }
+}
+
+async function runProtocolApiTests() {
+  const runner = new UnitTestRunner('Protocol API');
+
+  console.log('🧪 Running Protocol API Tests...\n');
+
+  const { sdks, groupId } = await createLoopbackGroup(2, 2);
+  const [creator, joiner] = sdks;
+  const pair = async type => joiner.acceptInvitation(await creator.createInvitation({ type, groupId, threshold: 2, totalParties: 2 }));
+
+  // Test 1: Aborted before the start
+  await runner.runTest('Abort - a signal aborted beforehand rejects without connecting', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expectCode(() => creator.keygen({ signal: controller.signal }), 'ABORTED');
+    await expectTornDown(creator);
+  });
+
+  // Test 2: Aborted while running
+  await runner.runTest('Abort - aborting a running keygen tears its session down', async () => {
+    await pair('keygen');
+    const controller = new AbortController();
+    const keygen = creator.keygen({ signal: controller.signal });
+    await tick();
+    controller.abort();
+    await expectCode(() => keygen, 'ABORTED');
+    await creator.protocolManager.checkpointWrites;
+    await expectTornDown(creator);
+  });
+
+  // Test 3: Deadline
+  await runner.runTest('Deadline - a keygen that cannot finish in time rejects with DEADLINE_EXCEEDED', async () => {
+    await pair('keygen');
+    try {
+      await creator.keygen({ timeoutMs: 50 });
+    } catch (error) {
+      if (error.code !== 'DEADLINE_EXCEEDED' || error.details?.timeoutMs !== 50) {
+        throw new Error(`Expected DEADLINE_EXCEEDED after 50ms, got ${error.code}: ${error.message}`);
+      }
+      await creator.protocolManager.checkpointWrites;
+      await expectTornDown(creator);
+      return;
+    }
+    throw new Error('Keygen finished without the other party');
+  });
+
+  // Test 4: Ceremonies after an abort
+  await runner.runTest('Abort - an aborted signing does not keep the next one from completing', async () => {
+    await pair('keygen');
+    const keyshares = await Promise.all(sdks.map(sdk => sdk.keygen({ timeoutMs: 10000 })));
+    const messageHash = new Uint8Array(32).fill(5);
+
+    await pair('sign');
+    const controller = new AbortController();
+    const aborted = creator.sign(messageHash, keyshares[0], { signal: controller.signal });
+    await tick();
+    controller.abort();
+    await expectCode(() => aborted, 'ABORTED');
+
+    await pair('sign');
+    const results = await Promise.all(sdks.map((sdk, i) => sdk.sign(messageHash, keyshares[i], { timeoutMs: 10000 })));
+    if (results[0].der.join() !== results[1].der.join()) {
+      throw new Error('The parties combined different signatures');
+    }
+  });
+
+  // Test 5: Failures inside the session
+  await runner.runTest('Failure - a session that fails on its own is torn down like an aborted one', async () => {
+    await pair('keygen');
+    const keygen = creator.keygen({ timeoutMs: 10000 });
+    await tick();
+    const manager = creator.protocolManager;
+    manager.keygenProcessor.emit('error', new DeFiShArdError(ErrorType.WASM_ERROR, 'WASM session failed', 'WASM_ROUND_FAILED'));
+
+    await expectCode(() => keygen, 'WASM_ROUND_FAILED');
+    await manager.checkpointWrites;
+    await expectTornDown(creator);
+    if (manager.keygenProcessor || manager.handshake || manager.outgoingQueue.length > 0) {
+      throw new Error('The failed session left its processor, handshake or queued messages behind');
+    }
+  });
+
+  // Test 6: Relay connection lost for good
+  await runner.runTest('Failure - a relay connection that gave up rejects a keygen still waiting for START', async () => {
+    await pair('keygen');
+    const forwarded = new Promise(resolve => creator.once('gave-up', resolve));
+    const keygen = creator.keygen({ timeoutMs: 10000 });
+    await tick();
+    creator.transport.emit('gave-up', { attempt: 3, error: 'connection refused' });
+
+    await expectCode(() => keygen, 'CONNECTION_LOST');
+    const error = await keygen.catch(rejection => rejection);
+    if (error.type !== ErrorType.NETWORK_ERROR || error.details?.attempt !== 3 || (await forwarded).attempt !== 3) {
+      throw new Error(`Rejected with ${error.type}, details ${JSON.stringify(error.details)}`);
+    }
+    await creator.protocolManager.checkpointWrites;
+    await expectTornDown(creator);
+
+    // Without a session there is nothing to fail
+    creator.transport.emit('gave-up', { attempt: 3 });
+    await tick();
+  });
+
+  runner.printSummary();
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runProtocolApiTests().catch(error => {
+    console.error('Protocol API tests failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the fountain-coded QR transport
+ * Frames are fed as the text a QR scanner reads off each still of the animation
+ */
+
+const { UnitTestRunner } = require('../helpers');
+const { FountainEncoder, FountainDecoder, encodeFrame, decodeFrame, MAX_MESSAGE_LENGTH } = require('../../js/utils/fountain.ts');
+const { QRTransport } = require('../../js/transport/qr-transport.ts');
+const { IdentityUtils } = require('../../js/crypto/identity.ts');
+
+// Stills of a 52 byte message cut into 20 byte fragments: frames 1-3 are plain, later ones mixed
+const TEST_MESSAGE = 'DeFiShArd animated QR test vector: round 1 broadcast';
+const TEST_FRAMES = [
+  'UR:DEFISHARD-BATCH/1-3/QUAQGGBUDK736AUWKJCGKRTJKNUEC4TEEBQW42LNMF2GKZGZNJOVY',
+  'UR:DEFISHARD-BATCH/2-3/QUBAGGBUDK736AUWKIQFCURAORSXG5BAOZSWG5DPOI5CA4X353RUG',
+  'UR:DEFISHARD-BATCH/3-3/QUBQGGBUDK736AUWKJXXK3TEEAYSAYTSN5QWIY3BON2AAAFTGYSTO',
+  'UR:DEFISHARD-BATCH/4-3/QUCAGGBUDK736AUWKIQFCURAORSXG5BAOZSWG5DPOI5CA4X6KLWQ2',
+  'UR:DEFISHARD-BATCH/5-3/QUCQGGBUDK736AUWKIQFCURAORSXG5BAOZSWG5DPOI5CA4X744IBA',
+  'UR:DEFISHARD-BATCH/6-3/QUDAGGBUDK736AUWKIFUC6RNA46BEZBWHFSWS7TDMA5EKFUUB2KWM',
+  'UR:DEFISHARD-BATCH/7-3/QUDQGGBUDK736AUWKIFUC6RNA46BEZBWHFSWS7TDMA5EKFUVXNUHW',
+  'UR:DEFISHARD-BATCH/8-3/QUEAGGBUDK736AUWKIVRAKANONMWCEAWJ4AAUCQMCIAGKZEQYPNEK'
+];
+
+function decodeStills(frames) {
+  const decoder = new FountainDecoder();
+  for (const frame of frames) {
+    if (decoder.receivePart(decodeFrame(frame))) {
+      break;
+    }
+  }
+  return decoder;
+}
+
+function createParty() {
+  return { identity: IdentityUtils.generate(), transport: null };
+}
+
+// Show the frames of one screen to another until its batch is read
+async function showScreen(from, to, maxFrames = 100) {
+  for (let i = 0; i < maxFrames; i++) {
+    const frame = from.nextFrame();
+    if (!frame) {
+      return;
+    }
+    if (await to.scanFrame(frame) === 1) {
+      return;
+    }
+  }
+  throw new Error('Batch was not read within the frame budget');
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+async function runQRTransportTests() {
+  const runner = new UnitTestRunner('QR Transport');
+
+  console.log('🧪 Running QR Transport Tests...\n');
+
+  // Test 1: Encoder output is stable
+  await runner.runTest('Fountain - encoder reproduces the recorded stills', async () => {
+    const encoder = new FountainEncoder(new TextEncoder().encode(TEST_MESSAGE), 20);
+    for (const expected of TEST_FRAMES) {
+      const frame = encodeFrame(encoder.nextPart());
+      if (frame !== expected) {
+        throw new Error(`Expected ${expected}, got ${frame}`);
+      }
+    }
+  });
+
+  // Test 2: Plain frames in any order
+  await runner.runTest('Fountain - decodes plain stills in any order', async () => {
+    const decoder = decodeStills([TEST_FRAMES[2], TEST_FRAMES[0], TEST_FRAMES[1]]);
+    if (new TextDecoder().decode(decoder.getResult()) !== TEST_MESSAGE) {
+      throw new Error('Message was not reassembled');
+    }
+  });
+
+  // Test 3: Missed frames are made up by mixed ones
+  await runner.runTest('Fountain - recovers a missed fragment from mixed stills', async () => {
+    // Frame 1 is never seen: frame 8 carries fragments 0 and 2, frame 3 gives fragment 2 back
+    const decoder = decodeStills([TEST_FRAMES[7], TEST_FRAMES[2], TEST_FRAMES[4]]);
+    if (new TextDecoder().decode(decoder.getResult()) !== TEST_MESSAGE) {
+      throw new Error('Message was not reassembled');
+    }
+  });
+
+  // Test 4: Progress before completion
+  await runner.runTest('Fountain - reports partial progress', async () => {
+    const decoder = decodeStills([TEST_FRAMES[1], TEST_FRAMES[3]]);
+    if (decoder.isComplete() || decoder.getProgress() !== 1 / 3 || decoder.getReceivedCount() !== 2) {
+      throw new Error(`Unexpected progress ${decoder.getProgress()}`);
+    }
+  });
+
+  // Test 5: Misread frames are rejected
+  await runner.runTest('Fountain - rejects a misread still', async () => {
+    const frame = TEST_FRAMES[0];
+    const misread = frame.slice(0, 40) + (frame[40] === 'A' ? 'B' : 'A') + frame.slice(41);
+    let rejected = false;
+    try {
+      decodeFrame(misread);
+    } catch {
+      rejected = true;
+    }
+    if (!rejected) {
+      throw new Error('Corrupted frame should be rejected');
+    }
+  });
+
+  // Test 6: Frames of another message
+  await runner.runTest('Fountain - refuses a still of another message', async () => {
+    const decoder = decodeStills([TEST_FRAMES[0]]);
+    const other = new FountainEncoder(new TextEncoder().encode(TEST_MESSAGE.toUpperCase()), 20).nextPart();
+    let rejected = false;
+    try {
+      decoder.receivePart(other);
+    } catch {
+      rejected = true;
+    }
+    if (!rejected) {
+      throw new Error('Part of another message should be rejected');
+    }
+  });
+
+  // Test 7: Larger messages
+  await runner.runTest('Fountain - round trip of a large message with lost frames', async () => {
+    const message = new Uint8Array(5000).map((_, i) => (i * 31 + 7) & 0xff);
+    const encoder = new FountainEncoder(message);
+    const decoder = new FountainDecoder();
+    let shown = 0;
+    while (!decoder.isComplete() && shown < 500) {
+      const frame = encodeFrame(encoder.nextPart());
+      shown++;
+      if (shown % 3 !== 0) { // Every third frame is missed
+        decoder.receivePart(decodeFrame(frame));
+      }
+    }
+    const result = decoder.getResult();
+    if (!result || result.length !== message.length || result.some((byte, i) => byte !== message[i])) {
+      throw new Error(`Message not recovered after ${shown} frames`);
+    }
+  });
+
+  // Test 8: Session between two screens
+  await runner.runTest('QRTransport - exchanges messages and acknowledgements until END', async () => {
+    const alice = createParty();
+    const bob = createParty();
+    const participants = [alice.identity.partyId, bob.identity.partyId];
+    const groupKey = crypto.getRandomValues(new Uint8Array(32));
+    const received = { alice: [], bob: [] };
+
+    for (const [name, party] of [['alice', alice], ['bob', bob]]) {
+      party.transport = new QRTransport({ participants, maxFragmentLength: 120 });
+      party.transport.setOwnPartyId(party.identity.partyId);
+      party.transport.setIdentity(party.identity);
+      party.transport.setSession('qr-test-session', 0, participants);
+      await party.transport.setEncryptionKey(groupKey);
+      party.transport.onMessage(message => received[name].push(message));
+      await party.transport.connect('qr-test-group', 'keygen', '');
+    }
+    await tick();
+
+    for (const name of ['alice', 'bob']) {
+      if (received[name][0]?.content !== 'START') {
+        throw new Error(`${name} did not get START`);
+      }
+      if (received[name][0].participants?.join() !== participants.join()) {
+        throw new Error(`START of ${name} does not list the participants`);
+      }
+    }
+
+    const send = (party, toId, content) => party.transport.send({
+      group_id: 'qr-test-group',
+      from_id: party.identity.partyId,
+      to_id: toId,
+      content,
+      round: 1,
+      timestamp: new Date().toISOString()
+    });
+    await send(alice, '0', 'alice round 1 broadcast');
+    await send(alice, bob.identity.partyId, 'alice round 1 to bob');
+    await send(bob, '0', 'bob round 1 broadcast');
+    await tick();
+
+    await showScreen(alice.transport, bob.transport);
+    await tick(); // Bob's screen now acknowledges Alice's messages
+    await showScreen(bob.transport, alice.transport);
+    await tick();
+
+    const contents = name => received[name].slice(1).map(message => message.content).sort();
+    if (JSON.stringify(contents('bob')) !== JSON.stringify(['alice round 1 broadcast', 'alice round 1 to bob'])) {
+      throw new Error(`Bob received ${JSON.stringify(contents('bob'))}`);
+    }
+    if (JSON.stringify(contents('alice')) !== JSON.stringify(['bob round 1 broadcast'])) {
+      throw new Error(`Alice received ${JSON.stringify(contents('alice'))}`);
+    }
+    if (alice.transport.getPendingCount() !== 0) {
+      throw new Error('Bob\'s acknowledgements should empty Alice\'s batch');
+    }
+
+    // Alice is done once her messages are acknowledged; Bob once he has read Alice's acknowledgement
+    for (const party of [alice, bob]) {
+      await party.transport.send({
+        group_id: 'qr-test-group',
+        from_id: party.identity.partyId,
+        to_id: '00000000000000000000000000000000000000000000000000000000000000000000',
+        content: 'DONE',
+        round: 5,
+        timestamp: new Date().toISOString()
+      });
+    }
+    await tick();
+    if (received.alice[received.alice.length - 1].content !== 'END:SUCCESS') {
+      throw new Error('Alice should have ended');
+    }
+    if (received.bob.some(message => message.content === 'END:SUCCESS')) {
+      throw new Error('Bob cannot end before Alice acknowledged his broadcast');
+    }
+
+    await showScreen(alice.transport, bob.transport);
+    await tick();
+    if (received.bob[received.bob.length - 1].content !== 'END:SUCCESS') {
+      throw new Error('Bob should have ended');
+    }
+  });
+
+  // Test 9: Connect checks
+  await runner.runTest('QRTransport - refuses a party outside the session', async () => {
+    const outsider = createParty();
+    const transport = new QRTransport({ participants: [IdentityUtils.generate().partyId, IdentityUtils.generate().partyId] });
+    transport.setOwnPartyId(outsider.identity.partyId);
+    let rejected = false;
+    try {
+      await transport.connect('qr-test-group', 'keygen', '');
+    } catch {
+      rejected = true;
+    }
+    if (!rejected || transport.isConnected()) {
+      throw new Error('Connect should fail for a non-participant');
+    }
+  });
+
+  // Test 10: Headers no real message has
+  await runner.runTest('Fountain - rejects stills whose header the fragments cannot back', async () => {
+    const part = { seqNum: 1, seqLen: 3, messageLength: 52, checksum: 1, data: new Uint8Array(20) };
+    const forged = [
+      { ...part, seqLen: 1000000 },                                  // More fragments than message bytes
+      { ...part, seqLen: 2 },                                        // Fragments too small for the message
+      { ...part, messageLength: 1000, data: new Uint8Array(300) },   // Same, with a longer message
+      { ...part, seqLen: 1, messageLength: MAX_MESSAGE_LENGTH + 1, data: new Uint8Array(MAX_MESSAGE_LENGTH + 1) }
+    ];
+    for (const header of forged) {
+      let rejected = false;
+      try {
+        decodeFrame(encodeFrame(header));
+      } catch {
+        rejected = true;
+      }
+      if (!rejected) {
+        throw new Error(`Still with seqLen ${header.seqLen} for ${header.messageLength} bytes should be rejected`);
+      }
+    }
+
+    // The largest and smallest headers an encoder produces still pass
+    decodeFrame(encodeFrame(part));
+    decodeFrame(encodeFrame({ ...part, seqLen: 1, messageLength: 0, data: new Uint8Array(1) }));
+    let refused = false;
+    try {
+      new FountainEncoder(new Uint8Array(MAX_MESSAGE_LENGTH + 1));
+    } catch {
+      refused = true;
+    }
+    if (!refused) {
+      throw new Error('Encoder should refuse a message scanners would reject');
+    }
+  });
+
+  runner.printSummary();
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runQRTransportTests().catch(error => {
+    console.error('QR transport tests failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for key recovery
+ * Surviving parties refresh their shares and restore the lost ones over a LoopbackHub
+ */
+
+const { UnitTestRunner, toHex, tick, expectRejection, createLoopbackGroup, createLoopbackSdk, crashAfterCheckpoint, decryptCheckpoint } = require('../helpers');
+
+const { IdentityUtils } = require('../../js/crypto/identity.ts');
+
+const CHECKPOINT_PREFIX = 'session_';
+
+// Keygen result of the next ceremony an SDK completes
+function nextKeyShare(sdk) {
+  return new Promise(resolve => sdk.once('keygen-complete', (_keyShare, keyShare) => resolve(keyShare)));
+}
+
+async function runRecoveryTests() {
+  const runner = new UnitTestRunner('Recovery');
+
+  console.log('🧪 Running Recovery Tests...\n');
+
+  const { hub, sdks, groupId } = await createLoopbackGroup(2, 3);
+  const pair = async type => {
+    const invitation = await sdks[0].createInvitation({ type, groupId, threshold: 2, totalParties: 3 });
+    for (const sdk of sdks.slice(1)) {
+      await sdk.acceptInvitation(invitation);
+    }
+  };
+  await pair('keygen');
+  let keyshares = await Promise.all(sdks.map(sdk => sdk.keygen({ timeoutMs: 10000 })));
+  const { publicKey } = keyshares[0];
+
+  // Test 1: Recovery arguments
+  await runner.runTest('Recovery - rejects lost shares it cannot restore and the wrong party index', async () => {
+    const [first, second, third] = sdks;
+    await expectRejection(() => first.startKeyRecovery(keyshares[0], [keyshares[0].partyIndex]), /use startLostShareRecovery/);
+    await expectRejection(() => first.startKeyRecovery(keyshares[0], [1, 2]), /at least 2 parties must still hold their share/);
+    await expectRejection(() => second.startKeyRecovery(keyshares[1], [0, 0]), /must be unique/);
+    await expectRejection(() => third.startLostShareRecovery(publicKey, 0), /lost share belongs to index 0/);
+  });
+
+  // Test 2: Resuming the party that lost its share
+  await runner.runTest('Resume - a resumed lost share recovery keeps its lost shares and group key', async () => {
+    const [survivorA, survivorB, lost] = sdks;
+    const lostIndex = keyshares[2].partyIndex;
+
+    await pair('keygen');
+    await lost.protocolManager.checkpointWrites; // The keygen's last checkpoint writes must not count
+    const crash = crashAfterCheckpoint(lost);
+    const recovered = [survivorA, survivorB].map(nextKeyShare);
+    await survivorA.startKeyRecovery(keyshares[0], [lostIndex]);
+    await survivorB.startKeyRecovery(keyshares[1], [lostIndex]);
+    await lost.startLostShareRecovery(publicKey, lostIndex);
+    const [key, data] = await crash;
+
+    const { keygen } = await decryptCheckpoint(lost, data);
+    if (keygen.lostShares?.join() !== String(lostIndex) || keygen.publicKey !== publicKey) {
+      throw new Error(`Checkpoint lost the recovery context: ${JSON.stringify(keygen)}`);
+    }
+
+    // A new process with the same storage finishes the recovery from the checkpoint
+    const restarted = await createLoopbackSdk(hub, { storage: lost.getStorage() });
+    sdks[2] = restarted; // Registering again replaced the API key of the crashed SDK
+    const restored = nextKeyShare(restarted);
+    await restarted.resumeSession(key.substring(CHECKPOINT_PREFIX.length));
+    const { keygenConfig } = restarted.protocolManager.keygenProcessor;
+    if (keygenConfig.lostShares?.join() !== String(lostIndex) || !keygenConfig.publicKey) {
+      throw new Error('Resumed processor is not a lost share recovery');
+    }
+
+    keyshares = await Promise.all([...recovered, restored]);
+    if (keyshares.some(keyShare => keyShare.publicKey !== publicKey)) {
+      throw new Error('Recovery changed the group public key');
+    }
+  });
+
+  // Test 3: Key refresh with recovery
+  await runner.runTest('Recovery - a restored share signs with a survivor under the group key', async () => {
+    const [lost, survivorA, survivorB] = sdks;
+    const lostIndex = keyshares[0].partyIndex;
+
+    await pair('keygen');
+    const restored = [lost, survivorA, survivorB].map(nextKeyShare);
+    await survivorA.startKeyRecovery(keyshares[1], [lostIndex]);
+    await survivorB.startKeyRecovery(keyshares[2], [lostIndex]);
+    await lost.startLostShareRecovery(publicKey, lostIndex);
+    keyshares = await Promise.all(restored);
+    if (keyshares[0].partyIndex !== lostIndex || keyshares[0].publicKey !== publicKey) {
+      throw new Error(`Unexpected restored share at index ${keyshares[0].partyIndex}`);
+    }
+
+    // The restored party and one survivor make the signing quorum
+    await pair('sign');
+    const messageHash = new Uint8Array(32).fill(9);
+    const results = await Promise.all([lost, survivorB].map(sdk => sdk.sign(messageHash, keyshares[sdks.indexOf(sdk)], { timeoutMs: 10000 })));
+    if (results.some(result => toHex(result.publicKey) !== publicKey)) {
+      throw new Error('Signature does not verify against the group public key');
+    }
+  });
+
+  // Test 4: Recoveries that end under another key
+  await runner.runTest('Recovery - a restored share under another group key fails once with RECOVERY_KEY_MISMATCH', async () => {
+    const [lost, survivorA, survivorB] = sdks;
+    const lostIndex = keyshares[0].partyIndex;
+    const manager = lost.protocolManager;
+    const handled = [];
+    const handleProcessorError = manager.handleProcessorError.bind(manager);
+    manager.handleProcessorError = (error, type) => {
+      handled.push(error);
+      handleProcessorError(error, type);
+    };
+
+    try {
+      // The lost party was handed the wrong group key, e.g. of another wallet
+      await pair('keygen');
+      const failed = new Promise(resolve => manager.once('error', resolve));
+      await survivorA.startKeyRecovery(keyshares[1], [lostIndex]);
+      await survivorB.startKeyRecovery(keyshares[2], [lostIndex]);
+      await lost.startLostShareRecovery(IdentityUtils.generate().partyId, lostIndex);
+      const error = await failed;
+      await tick(20);
+
+      if (error.code !== 'RECOVERY_KEY_MISMATCH' || handled.length !== 1) {
+        throw new Error(`Expected one RECOVERY_KEY_MISMATCH, handled ${handled.map(e => e.code ?? e.message)}`);
+      }
+      if (error.details.actual !== publicKey || error.details.expected === publicKey || manager.keygenProcessor !== null) {
+        throw new Error('The failed recovery did not end with the real group key on its hands');
+      }
+    } finally {
+      delete manager.handleProcessorError;
+      [survivorA, survivorB].forEach(sdk => sdk.protocolManager.abortSession());
+    }
+  });
+
+  runner.printSummary();
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runRecoveryTests().catch(error => {
+    console.error('Recovery tests failed:', error);
+    process.exit(1);
+  });
+}
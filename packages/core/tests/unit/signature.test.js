@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for signature encodings
+ * Raw [r, s] pairs stand in for SignSession.combine() output
+ */
+
+const { UnitTestRunner, toHex } = require('../helpers');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { sha256 } = require('@noble/hashes/sha2');
+const { SignatureUtils } = require('../../js/crypto/signature.ts');
+
+const CURVE_ORDER = secp256k1.CURVE.n;
+
+// A signature by a fixed key, as [r, s] with s forced high or low
+function createTestSignature(highS) {
+  const privateKey = sha256(new TextEncoder().encode('defishard signature test key'));
+  const publicKey = secp256k1.getPublicKey(privateKey, true);
+  const messageHash = sha256(new TextEncoder().encode('defishard signature test message'));
+  const sig = secp256k1.sign(messageHash, privateKey);
+  const s = highS ? CURVE_ORDER - sig.s : sig.s;
+  const r = sig.toCompactRawBytes().slice(0, 32);
+  const sBytes = Uint8Array.from(Buffer.from(s.toString(16).padStart(64, '0'), 'hex'));
+  return { privateKey, publicKey, messageHash, raw: [r, sBytes], lowS: sig };
+}
+
+async function runSignatureTests() {
+  const runner = new UnitTestRunner('Signature');
+
+  console.log('🧪 Running Signature Tests...\n');
+
+  // Test 1: Low-S normalization
+  await runner.runTest('SignatureUtils - normalizes a high-S signature', async () => {
+    const { raw, messageHash, publicKey, lowS } = createTestSignature(true);
+    const formatted = SignatureUtils.format(raw, messageHash, publicKey);
+    if (!formatted.normalized || toHex(formatted.compact) !== toHex(lowS.toCompactRawBytes())) {
+      throw new Error('High S should be replaced by n - s');
+    }
+    if (SignatureUtils.hasHighS(formatted.compact)) {
+      throw new Error('Formatted signature should be low-S');
+    }
+  });
+
+  // Test 2: Already low-S
+  await runner.runTest('SignatureUtils - keeps a low-S signature', async () => {
+    const { raw, messageHash, publicKey } = createTestSignature(false);
+    const formatted = SignatureUtils.format(raw, messageHash, publicKey);
+    if (formatted.normalized || toHex(formatted.r) !== toHex(raw[0]) || toHex(formatted.s) !== toHex(raw[1])) {
+      throw new Error('Low-S signature should be unchanged');
+    }
+  });
+
+  // Test 3: Encodings
+  await runner.runTest('SignatureUtils - compact and DER encodings agree', async () => {
+    const { raw, messageHash, publicKey, lowS } = createTestSignature(true);
+    const formatted = SignatureUtils.format(raw, messageHash, publicKey);
+    if (toHex(formatted.der) !== toHex(lowS.toDERRawBytes())) {
+      throw new Error('DER encoding mismatch');
+    }
+    if (toHex(SignatureUtils.derToCompact(formatted.der)) !== toHex(formatted.compact)) {
+      throw new Error('DER should decode to the compact form');
+    }
+    if (!secp256k1.verify(formatted.compact, messageHash, publicKey)) {
+      throw new Error('Compact signature should verify');
+    }
+  });
+
+  // Test 4: Fixed DER vector
+  await runner.runTest('SignatureUtils - DER of r = s = 1', async () => {
+    const compact = new Uint8Array(64);
+    compact[31] = 1;
+    compact[63] = 1;
+    if (toHex(SignatureUtils.compactToDER(compact)) !== '3006020101020101') {
+      throw new Error(`Unexpected DER ${toHex(SignatureUtils.compactToDER(compact))}`);
+    }
+  });
+
+  // Test 5: Recovery id
+  await runner.runTest('SignatureUtils - recovery id matches the key after normalization', async () => {
+    const { raw, messageHash, publicKey, lowS } = createTestSignature(true);
+    const formatted = SignatureUtils.format(raw, messageHash, publicKey);
+    if (formatted.recoveryId !== lowS.recovery) {
+      throw new Error(`Expected recovery id ${lowS.recovery}, got ${formatted.recoveryId}`);
+    }
+  });
+
+  // Test 6: Recovery from every input form
+  await runner.runTest('SignatureUtils - recovers the public key', async () => {
+    const { raw, messageHash, publicKey, privateKey } = createTestSignature(false);
+    const formatted = SignatureUtils.format(raw, messageHash, publicKey);
+    const withV = new Uint8Array(65);
+    withV.set(formatted.compact);
+    withV[64] = 27 + formatted.recoveryId;
+    const inputs = [
+      withV,
+      '0x' + toHex(withV),
+      { r: formatted.r, s: toHex(formatted.s), recoveryId: formatted.recoveryId }
+    ];
+    for (const input of inputs) {
+      if (toHex(SignatureUtils.recoverPublicKey(messageHash, input)) !== toHex(publicKey)) {
+        throw new Error('Recovered key mismatch');
+      }
+    }
+    const uncompressed = SignatureUtils.recoverPublicKey(messageHash, withV, false);
+    if (toHex(uncompressed) !== toHex(secp256k1.getPublicKey(privateKey, false))) {
+      throw new Error('Uncompressed recovered key mismatch');
+    }
+  });
+
+  // Test 7: Wrong key
+  await runner.runTest('SignatureUtils - rejects a signature by another key', async () => {
+    const { raw, messageHash } = createTestSignature(false);
+    const otherKey = secp256k1.getPublicKey(secp256k1.utils.randomPrivateKey(), true);
+    let rejected = false;
+    try {
+      SignatureUtils.format(raw, messageHash, otherKey);
+    } catch {
+      rejected = true;
+    }
+    if (!rejected) {
+      throw new Error('Formatting should fail for another public key');
+    }
+  });
+
+  // Test 8: Malformed input
+  await runner.runTest('SignatureUtils - rejects malformed signatures', async () => {
+    const { messageHash } = createTestSignature(false);
+    const cases = [
+      () => SignatureUtils.recoverPublicKey(messageHash, new Uint8Array(64)),
+      () => SignatureUtils.recoverPublicKey(messageHash, { r: new Uint8Array(32), s: new Uint8Array(32), recoveryId: 0 }),
+      () => SignatureUtils.recoverPublicKey(messageHash, { r: new Uint8Array([1]), s: new Uint8Array([1]), recoveryId: 4 })
+    ];
+    for (const run of cases) {
+      let rejected = false;
+      try {
+        run();
+      } catch {
+        rejected = true;
+      }
+      if (!rejected) {
+        throw new Error('Malformed signature should be rejected');
+      }
+    }
+  });
+
+  // Test 9: Verification of every encoding
+  await runner.runTest('SignatureUtils - verifies raw, compact, recoverable and DER signatures', async () => {
+    const { raw, messageHash, publicKey } = createTestSignature(true);
+    const formatted = SignatureUtils.format(raw, messageHash, publicKey);
+    const recoverable = new Uint8Array([...formatted.compact, 27 + formatted.recoveryId]);
+    const uncompressed = secp256k1.ProjectivePoint.fromHex(publicKey).toRawBytes(false);
+    const forms = [
+      raw,
+      formatted.compact,
+      '0x' + toHex(formatted.compact),
+      recoverable,
+      formatted.der,
+      { r: toHex(formatted.r), s: formatted.s }
+    ];
+    for (const signature of forms) {
+      if (!SignatureUtils.verify(messageHash, signature, publicKey)) {
+        throw new Error(`Signature ${JSON.stringify(signature)} should verify`);
+      }
+    }
+    if (!SignatureUtils.verify(messageHash, formatted.compact, toHex(uncompressed))) {
+      throw new Error('Signature should verify against the uncompressed hex key');
+    }
+  });
+
+  // Test 10: Verification failures
+  await runner.runTest('SignatureUtils - does not verify a wrong key, hash or signature', async () => {
+    const { raw, messageHash, publicKey } = createTestSignature(false);
+    const otherKey = secp256k1.getPublicKey(sha256(new TextEncoder().encode('another key')), true);
+    const otherHash = sha256(new TextEncoder().encode('another message'));
+    const tampered = new Uint8Array(raw[1]);
+    tampered[31] ^= 1;
+    const cases = [
+      [messageHash, raw, otherKey],
+      [otherHash, raw, publicKey],
+      [messageHash, [raw[0], tampered], publicKey],
+      [messageHash, new Uint8Array(64), publicKey],
+      [messageHash, 'not hex', publicKey],
+      [messageHash, raw, new Uint8Array(33)]
+    ];
+    for (const [hash, signature, key] of cases) {
+      if (SignatureUtils.verify(hash, signature, key)) {
+        throw new Error('Signature should not verify');
+      }
+    }
+  });
+
+  runner.printSummary();
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runSignatureTests().catch(error => {
+    console.error('Signature tests failed:', error);
+    process.exit(1);
+  });
+}
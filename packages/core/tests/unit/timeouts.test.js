@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the round and session deadlines of protocol sessions
+ * Sessions run over a LoopbackHub; a silenced party pairs but never sends its round messages
+ */
+
+const { UnitTestRunner, tick, expectCode, createLoopbackGroup } = require('../helpers');
+
+// Let a party pair, then drop every protocol message it sends
+function silence(sdk) {
+  const sendMessage = sdk.transport.sendMessage.bind(sdk.transport);
+  sdk.transport.sendMessage = async message => (message.round >= 1 ? undefined : sendMessage(message));
+}
+
+async function startKeygen(threshold, totalParties, config) {
+  const { sdks, groupId } = await createLoopbackGroup(threshold, totalParties, config);
+  const invitation = await sdks[0].createInvitation({ type: 'keygen', groupId, threshold, totalParties });
+  for (const sdk of sdks.slice(1)) {
+    await sdk.acceptInvitation(invitation);
+  }
+  return sdks;
+}
+
+// Start the keygen of every party; tests await the ones whose outcome they check
+function runKeygens(sdks, options = {}) {
+  const keygens = sdks.map(sdk => sdk.keygen({ timeoutMs: 10000, ...options }));
+  keygens.forEach(keygen => keygen.catch(() => undefined));
+  return keygens;
+}
+
+function expectTimersCleared(processor) {
+  if (processor.roundTimer !== null || processor.sessionTimer !== null) {
+    throw new Error('Processor timers are still armed');
+  }
+}
+
+async function runTimeoutTests() {
+  const runner = new UnitTestRunner('Timeouts');
+
+  console.log('🧪 Running Timeout Tests...\n');
+
+  // Test 1: Round deadline
+  await runner.runTest('Round - a stalled round names the silent party and rejects with ROUND_TIMEOUT', async () => {
+    const sdks = await startKeygen(2, 3, { roundTimeoutMs: 300, sessionTimeoutMs: 0 });
+    const silent = sdks[2];
+    silence(silent);
+    const timeouts = sdks.map(sdk => new Promise(resolve => sdk.once('round-timeout', resolve)));
+    const keygens = runKeygens(sdks);
+
+    for (const i of [0, 1]) {
+      const info = await timeouts[i];
+      const { partyId } = await silent.getIdentity();
+      if (info.reason !== 'round' || info.protocol !== 'keygen' || info.round !== 1 || info.timeoutMs !== 300) {
+        throw new Error(`Unexpected timeout ${JSON.stringify(info)}`);
+      }
+      if (info.missing.map(party => party.partyId).join() !== partyId || info.received >= info.expected) {
+        throw new Error(`Party ${i} blamed ${info.missing.map(party => party.partyId)} instead of the silent party`);
+      }
+      await expectCode(() => keygens[i], 'ROUND_TIMEOUT');
+      const error = await keygens[i].catch(rejection => rejection);
+      if (error.type !== 'TIMEOUT' || error.details?.missing?.[0]?.partyId !== partyId) {
+        throw new Error(`Rejected with ${error.type}, details ${JSON.stringify(error.details)}`);
+      }
+    }
+    silent.protocolManager.abortSession();
+  });
+
+  // Test 2: Session deadline
+  await runner.runTest('Session - the session deadline fails a stalled keygen with no round deadline', async () => {
+    const sdks = await startKeygen(2, 2, { roundTimeoutMs: 0, sessionTimeoutMs: 300 });
+    silence(sdks[1]);
+    const timedOut = new Promise(resolve => sdks[0].once('round-timeout', resolve));
+    const startedAt = Date.now();
+    const keygens = runKeygens(sdks);
+
+    const info = await timedOut;
+    await expectCode(() => keygens[0], 'SESSION_TIMEOUT');
+    if (info.reason !== 'session' || info.timeoutMs !== 300 || Date.now() - startedAt < 300) {
+      throw new Error(`Unexpected timeout ${JSON.stringify(info)} after ${Date.now() - startedAt}ms`);
+    }
+    sdks[1].protocolManager.abortSession();
+  });
+
+  // Test 3: Completion
+  await runner.runTest('Completion - a finished keygen leaves no deadline running', async () => {
+    const sdks = await startKeygen(2, 2, { roundTimeoutMs: 300, sessionTimeoutMs: 600 });
+    const timeouts = [];
+    sdks.forEach(sdk => sdk.on('round-timeout', info => timeouts.push(info)));
+    const keygens = runKeygens(sdks);
+    await tick();
+    const processors = sdks.map(sdk => sdk.protocolManager.keygenProcessor);
+
+    await Promise.all(keygens);
+    processors.forEach(expectTimersCleared);
+    await tick(650);
+    if (timeouts.length > 0) {
+      throw new Error(`A deadline fired after completion: ${JSON.stringify(timeouts[0])}`);
+    }
+  });
+
+  // Test 4: Teardown
+  await runner.runTest('Destroy - tearing a session down clears its deadlines', async () => {
+    const sdks = await startKeygen(2, 2, { roundTimeoutMs: 300, sessionTimeoutMs: 600 });
+    silence(sdks[1]);
+    const timeouts = [];
+    sdks.forEach(sdk => sdk.on('round-timeout', info => timeouts.push(info)));
+    const started = new Promise(resolve => sdks[0].once('progress', resolve));
+    const controller = new AbortController();
+    const keygens = runKeygens(sdks, { signal: controller.signal });
+    await started;
+    await tick();
+    const processor = sdks[0].protocolManager.keygenProcessor;
+    if (processor.roundTimer === null || processor.sessionTimer === null) {
+      throw new Error('Deadlines were not armed after START');
+    }
+
+    controller.abort();
+    await expectCode(() => keygens[0], 'ABORTED');
+    expectTimersCleared(processor);
+    await tick(650);
+    if (timeouts.length > 0) {
+      throw new Error(`A deadline fired after teardown: ${JSON.stringify(timeouts[0])}`);
+    }
+  });
+
+  runner.printSummary();
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTimeoutTests().catch(error => {
+    console.error('Timeout tests failed:', error);
+    process.exit(1);
+  });
+}
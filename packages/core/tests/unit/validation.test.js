@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the validation of peer protocol messages
+ * A keygen processor of party 0 in a 2-of-3 group is fed crafted messages once START arrived
+ */
+
+const { UnitTestRunner, toHex, tick, expectThrow, useFakeDkls } = require('../helpers');
+const { encodeCbor, validateCbor, isWellFormedCbor } = require('../../js/utils/cbor.ts');
+
+useFakeDkls();
+const { KeygenProcessor } = require('../../js/protocols/keygen-processor.ts');
+const { MAX_PAYLOAD_BYTES } = require('../../js/protocols/base-processor.ts');
+
+const SERVER_ID = '0'.repeat(68);
+const GROUP_ID = toHex(crypto.getRandomValues(new Uint8Array(16)));
+
+const randomId = () => '02' + toHex(crypto.getRandomValues(new Uint8Array(32)));
+const base64 = bytes => Buffer.from(bytes).toString('base64');
+const payload = (round, value = toHex(crypto.getRandomValues(new Uint8Array(32)))) => base64(encodeCbor({ round, contribution: value }));
+
+// Keygen processor of party 0 that has received START, with everything it reported
+async function createProcessor(config = {}) {
+  const members = [0, 1, 2].map(index => ({ partyId: randomId(), index }));
+  const processor = new KeygenProcessor({
+    groupInfo: { groupId: GROUP_ID, threshold: 2, totalParties: 3, timeout: 0, members, status: 'active' },
+    partyId: members[0].partyId,
+    partyIndex: 0,
+    groupId: GROUP_ID,
+    distributed: true,
+    roundTimeoutMs: 0,
+    sessionTimeoutMs: 0,
+    ...config
+  });
+  const party = { processor, members, reports: [], errors: [], progress: [] };
+  processor.on('party-misbehaved', report => party.reports.push(report));
+  processor.on('error', error => party.errors.push(error));
+  processor.on('progress', event => party.progress.push(event));
+
+  await processor.initialize();
+  await processor.processMessage({ group_id: GROUP_ID, from_id: SERVER_ID, to_id: '0', content: 'START', round: 0, timestamp: new Date().toISOString() });
+  party.deliver = (fromId, round, content) => processor.processMessage({
+    group_id: GROUP_ID,
+    from_id: fromId,
+    to_id: '0',
+    content,
+    round,
+    timestamp: new Date().toISOString()
+  });
+  return party;
+}
+
+function expectReport(report, partyId, reason, round) {
+  if (!report || report.partyId !== partyId || report.reason !== reason || report.round !== round || report.protocol !== 'keygen') {
+    throw new Error(`Expected ${reason} from ${partyId.substring(0, 8)} in round ${round}, got ${JSON.stringify(report)}`);
+  }
+}
+
+async function runValidationTests() {
+  const runner = new UnitTestRunner('Validation');
+
+  console.log('🧪 Running Validation Tests...\n');
+
+  // Test 1: One rejected message per reason
+  await runner.runTest('Message - each malformed message is dropped and blamed on its sender', async () => {
+    const { processor, members, reports, progress, deliver } = await createProcessor();
+    const peer = members[1].partyId;
+    const outsider = randomId();
+    const cases = [
+      [outsider, 1, payload(1), 'unknown-sender'],
+      [peer, 3, payload(3), 'invalid-round'],
+      [peer, 1, 'not base64!', 'invalid-encoding'],
+      [peer, 1, '', 'payload-size'],
+      [peer, 1, base64(new Uint8Array(MAX_PAYLOAD_BYTES + 1)), 'payload-size'],
+      [peer, 1, base64([0x82, 0x01]), 'malformed-payload'] // Array of 2 items holding 1
+    ];
+
+    for (const [fromId, round, content, reason] of cases) {
+      await deliver(fromId, round, content);
+      expectReport(reports[reports.length - 1], fromId, reason, round);
+    }
+    if (reports.length !== cases.length || reports[0].index !== -1 || reports[1].index !== 1) {
+      throw new Error(`Reported ${reports.map(report => `${report.reason}#${report.index}`)}`);
+    }
+    if (progress.some(event => event.stage === 'message') || processor.getMisbehaviorReports().length !== cases.length) {
+      throw new Error('A rejected message was stored for its round');
+    }
+
+    // The same sender is still heard once it sends a valid message
+    await deliver(peer, 1, payload(1));
+    if (progress.filter(event => event.stage === 'message').length !== 1) {
+      throw new Error('A valid message after rejected ones was not stored');
+    }
+  });
+
+  // Test 2: Equivocation
+  await runner.runTest('Equivocation - a second, different message for a round is reported and dropped', async () => {
+    const { members, reports, progress, deliver } = await createProcessor();
+    const peer = members[2].partyId;
+    const first = payload(1);
+    await deliver(peer, 1, first);
+    await deliver(peer, 1, first); // An identical copy is a resend, not equivocation
+    await deliver(peer, 1, payload(1));
+
+    if (reports.length !== 1) {
+      throw new Error(`Reported ${reports.map(report => report.reason)}`);
+    }
+    expectReport(reports[0], peer, 'equivocation', 1);
+    const received = progress.filter(event => event.stage === 'message');
+    if (received.length !== 1 || received[0].from.partyId !== peer) {
+      throw new Error('The conflicting message replaced the first one');
+    }
+  });
+
+  // Test 3: Reports in a timeout
+  await runner.runTest('Failure - a round timeout carries the reports of the session', async () => {
+    const { members, reports, errors, deliver } = await createProcessor({ roundTimeoutMs: 50 });
+    const peer = members[1].partyId;
+    await deliver(peer, 1, base64([0xff]));
+    await tick(100);
+
+    const [error] = errors;
+    if (error?.code !== 'ROUND_TIMEOUT' || error.details.misbehavior.length !== 1 || !error.message.includes(`#1 ${peer} (malformed-payload)`)) {
+      throw new Error(`Unexpected failure ${error?.code}: ${error?.message}`);
+    }
+    expectReport(error.details.misbehavior[0], peer, 'malformed-payload', 1);
+    if (error.details.misbehavior[0].timestamp !== reports[0].timestamp) {
+      throw new Error('Timeout carried another report than the one emitted');
+    }
+  });
+
+  // Test 4: Reports in a WASM failure
+  await runner.runTest('Failure - a WASM abort blaming a party fails with PARTY_MISBEHAVED naming it', async () => {
+    const { processor, members, reports, errors, deliver } = await createProcessor();
+    const culprit = members[2].partyId;
+    processor.session.handleMessages = () => {
+      throw Object.assign(new Error('abort protocol'), { banParty: 2 });
+    };
+    await deliver(members[1].partyId, 1, payload(1));
+    await deliver(culprit, 1, payload(1)).catch(() => undefined);
+
+    const [error] = errors;
+    if (error?.code !== 'PARTY_MISBEHAVED' || !error.message.includes(`#2 ${culprit}`)) {
+      throw new Error(`Unexpected failure ${error?.code}: ${error?.message}`);
+    }
+    expectReport(reports[0], culprit, 'protocol-abort', 1);
+    expectReport(error.details.misbehavior[0], culprit, 'protocol-abort', 1);
+  });
+
+  // Test 5: CBOR well-formedness
+  await runner.runTest('CBOR - validateCbor accepts one whole data item and nothing else', async () => {
+    validateCbor(encodeCbor({ round: 1, payload: new Uint8Array([1, 2, 3]), list: [1, 'two', null] }));
+    validateCbor(new Uint8Array([0x5f, 0x41, 0x00, 0xff])); // Indefinite byte string with one chunk
+
+    expectThrow(() => validateCbor(new Uint8Array()), /empty input/);
+    expectThrow(() => validateCbor(new Uint8Array([0x01, 0x02])), /1 trailing bytes/);
+    expectThrow(() => validateCbor(new Uint8Array([0x43, 0x01])), /overruns input/);
+    expectThrow(() => validateCbor(new Uint8Array([0x1c])), /reserved additional info/);
+    expectThrow(() => validateCbor(new Uint8Array([0x5f, 0x41, 0x00])), /unterminated indefinite string/);
+    expectThrow(() => validateCbor(new Uint8Array([0xff])), /unexpected break/);
+    expectThrow(() => validateCbor(Uint8Array.from([...new Array(66).fill(0x81), 0x00])), /nesting deeper than 64/);
+    if (isWellFormedCbor(new Uint8Array([0x9b, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff])) || !isWellFormedCbor(new Uint8Array([0xf6]))) {
+      throw new Error('isWellFormedCbor disagrees with validateCbor');
+    }
+  });
+
+  runner.printSummary();
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runValidationTests().catch(error => {
+    console.error('Validation tests failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for WebSocket reconnection
+ * A scripted stand-in replaces the global WebSocket, so tests open, drop and refuse connections at will
+ */
+
+const { UnitTestRunner, tick } = require('../helpers');
+const { WebSocketManager } = require('../../js/websocket.ts');
+const { IdentityUtils } = require('../../js/crypto/identity.ts');
+
+const GROUP_ID = 'websocket-test-group';
+const SESSION_ID = 'websocket-test-session';
+const RECONNECT = { maxAttempts: 3, baseDelayMs: 10, maxDelayMs: 25 };
+
+// Socket the test drives by hand; every socket created is kept in order
+class ScriptedSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSED = 3;
+  static sockets = [];
+  static refuse = 0; // Number of upcoming sockets that close before opening
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = ScriptedSocket.CONNECTING;
+    this.sent = [];
+    ScriptedSocket.sockets.push(this);
+    setTimeout(() => {
+      if (ScriptedSocket.refuse > 0) {
+        ScriptedSocket.refuse--;
+        this.drop(1006);
+      } else {
+        this.readyState = ScriptedSocket.OPEN;
+        this.onopen?.();
+      }
+    }, 0);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = ScriptedSocket.CLOSED;
+  }
+
+  // The connection goes away without the client asking
+  drop(code) {
+    this.readyState = ScriptedSocket.CLOSED;
+    this.onclose?.({ code });
+  }
+}
+
+globalThis.WebSocket = ScriptedSocket;
+
+const lastSocket = () => ScriptedSocket.sockets[ScriptedSocket.sockets.length - 1];
+
+// Resolves with the payload of the next event of that name
+const nextEvent = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+function createManager(identity) {
+  const manager = new WebSocketManager('ws://relay.test', false, RECONNECT);
+  manager.on('error', () => undefined);
+  if (identity) {
+    manager.setIdentity(identity);
+    manager.setOwnPartyId(identity.partyId);
+  }
+  return manager;
+}
+
+function message(identity, round, content) {
+  return { group_id: GROUP_ID, from_id: identity.partyId, to_id: '0', content, round, timestamp: new Date().toISOString() };
+}
+
+async function runWebSocketTests() {
+  const runner = new UnitTestRunner('WebSocket');
+
+  console.log('🧪 Running WebSocket Tests...\n');
+
+  // Test 1: Backoff
+  await runner.runTest('Reconnect - retries a dropped connection with growing backoff', async () => {
+    const manager = createManager();
+    await manager.connect(GROUP_ID, 'keygen', 'api-key');
+    const attempts = [];
+    manager.on('reconnecting', event => attempts.push(event));
+
+    ScriptedSocket.refuse = 2;
+    const reconnected = nextEvent(manager, 'reconnected');
+    lastSocket().drop(1006);
+    const { attempt } = await reconnected;
+
+    if (attempt !== 3 || attempts.map(event => event.attempt).join() !== '1,2,3') {
+      throw new Error(`Unexpected attempts ${attempts.map(event => event.attempt)}, reconnected after ${attempt}`);
+    }
+    attempts.forEach(({ attempt, delayMs }) => {
+      const ceiling = Math.min(RECONNECT.maxDelayMs, RECONNECT.baseDelayMs * 2 ** (attempt - 1));
+      if (delayMs < ceiling / 2 || delayMs > ceiling) {
+        throw new Error(`Attempt ${attempt} waited ${delayMs}ms, expected ${ceiling / 2}-${ceiling}ms`);
+      }
+    });
+    if (!manager.isConnected()) {
+      throw new Error('Not connected after reconnecting');
+    }
+    await manager.disconnect();
+  });
+
+  // Test 2: Giving up
+  await runner.runTest('Reconnect - gives up after maxAttempts and never after a normal closure', async () => {
+    const manager = createManager();
+    let reconnecting = 0;
+    manager.on('reconnecting', () => reconnecting++);
+
+    await manager.connect(GROUP_ID, 'keygen', 'api-key');
+    lastSocket().drop(1000);
+    await tick(50);
+    if (reconnecting !== 0) {
+      throw new Error('Reconnected after a normal closure');
+    }
+
+    await manager.connect(GROUP_ID, 'keygen', 'api-key');
+    ScriptedSocket.refuse = RECONNECT.maxAttempts;
+    const gaveUp = nextEvent(manager, 'gave-up');
+    lastSocket().drop(1006);
+    const { attempt } = await gaveUp;
+    if (attempt !== RECONNECT.maxAttempts || reconnecting !== RECONNECT.maxAttempts || manager.isConnected()) {
+      throw new Error(`Gave up after ${attempt} attempt(s), ${reconnecting} scheduled`);
+    }
+    await manager.disconnect();
+  });
+
+  // Test 3: What goes out again
+  await runner.runTest('Resend - only the current round goes out again, each message once', async () => {
+    const identity = IdentityUtils.generate();
+    const manager = createManager(identity);
+    await manager.connect(GROUP_ID, 'keygen', 'api-key');
+
+    await manager.send(message(identity, 1, 'round-1'));
+    await manager.send(message(identity, 2, 'round-2-a'));
+    const dropped = lastSocket();
+    dropped.drop(1006);
+    // Sent while the connection is down: queued, and part of the current round
+    await manager.send(message(identity, 2, 'round-2-b'));
+
+    await nextEvent(manager, 'reconnected');
+    const resent = lastSocket().sent.map(sent => sent.content);
+    if (dropped.sent.map(sent => sent.content).join() !== 'round-1,round-2-a' || resent.join() !== 'round-2-a,round-2-b') {
+      throw new Error(`Sent ${dropped.sent.map(sent => sent.content)} before the drop and ${resent} after it`);
+    }
+    await manager.disconnect();
+  });
+
+  // Test 4: Copies at the receiving end
+  await runner.runTest('Resend - a peer that got a message before the drop hands it on once', async () => {
+    const [alice, bob] = [IdentityUtils.generate(), IdentityUtils.generate()];
+    const members = [alice.partyId, bob.partyId];
+    const sender = createManager(alice);
+    const receiver = createManager(bob);
+    sender.setSession(SESSION_ID, 0, members);
+    receiver.setSession(SESSION_ID, 0, members);
+    await sender.connect(GROUP_ID, 'keygen', 'api-key');
+    const senderSockets = [lastSocket()];
+    await receiver.connect(GROUP_ID, 'keygen', 'api-key');
+    const receiverSocket = lastSocket();
+
+    const received = [];
+    receiver.on('message', received.push.bind(received));
+    await sender.send(message(alice, 1, 'first'));
+    await sender.send(message(alice, 1, 'second'));
+    senderSockets[0].drop(1006);
+    await nextEvent(sender, 'reconnected');
+    senderSockets.push(lastSocket());
+
+    // The relay forwards every frame the sender wrote, copies included
+    for (const sent of senderSockets.flatMap(socket => socket.sent)) {
+      receiverSocket.onmessage({ data: JSON.stringify(sent) });
+    }
+    await tick();
+    if (senderSockets[1].sent.length !== 2 || received.map(handed => handed.content).join() !== 'first,second') {
+      throw new Error(`Receiver handed on ${received.map(handed => handed.content)}`);
+    }
+    await Promise.all([sender.disconnect(), receiver.disconnect()]);
+  });
+
+  runner.printSummary();
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runWebSocketTests().catch(error => {
+    console.error('WebSocket tests failed:', error);
+    process.exit(1);
+  });
+}
@@ -161,10 +161,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         console.log('Starting keygen process:', message.data);
         handleStartKeygen(message.data, sendResponse);
         return true;
-    } else if (message.type === 'SET_QR_ENCRYPTION_KEY') {
-        console.log('Setting QR encryption key on SDK...');
-        handleSetQREncryptionKey(message.data, sendResponse);
+    } else if (message.type === 'JOIN_INVITATION') {
+        console.log('Joining session from invitation...');
+        handleJoinInvitation(message.data, sendResponse);
+        return true;
+    } else if (message.type === 'CREATE_INVITATION') {
+        console.log('Creating signed session invitation...');
+        handleCreateInvitation(message.data, sendResponse);
         return true;        
+    } else if (message.type === 'CONFIRM_SESSION_FINGERPRINT') {
+        console.log('Answering session code:', message.data);
+        handleConfirmSessionFingerprint(message.data, sendResponse);
+        return true;
     } else {
         sendResponse({
             success: false,
@@ -268,7 +276,9 @@ async function ensureSDKInitialized() {
             relayerUrl: CONFIG.relayerUrl,
             websocketUrl: CONFIG.websocketUrl,
             storage: new ExtensionStorageAdapter(),
-            debug: CONFIG.debug || true
+            debug: CONFIG.debug || true,
+            // Hold round 1 until the user compared the session code on every device
+            confirmSessionFingerprint: true
         };
         
         console.log('🔧 Creating SDK with config:', sdkConfig);
@@ -330,12 +340,37 @@ async function ensureSDKInitialized() {
             console.error('❌ General SDK error:', error);
         });
         
-        realSDK.on('round-complete', (data) => {
-            console.log('🔄 Round completed:', data.round);
+        realSDK.on('progress', (data) => {
+            if (data.protocol !== 'keygen') return;
+            // Completed rounds plus the share of messages already in for the current one
+            const roundShare = data.expected > 0 ? data.received / data.expected : 1;
+            const completedRounds = data.stage === 'round' ? data.round : Math.max(0, data.round - 1) + roundShare;
             broadcastToPopup('KEYGEN_PROGRESS', {
-                progress: (data.round / 5) * 100, // Assuming 5 rounds
-                message: `Round ${data.round} completed`,
-                round: data.round
+                progress: Math.min(100, (completedRounds / data.totalRounds) * 100),
+                message: data.stage === 'round'
+                    ? `Round ${data.round}/${data.totalRounds} completed`
+                    : `Round ${data.round}/${data.totalRounds}: ${data.received}/${data.expected} messages received`,
+                round: data.round,
+                totalRounds: data.totalRounds,
+                received: data.received,
+                expected: data.expected,
+                from: data.from,
+                elapsedMs: data.elapsedMs
+            });
+        });
+
+        realSDK.on('session-fingerprint', (fingerprint) => {
+            console.log('🔐 Session code:', fingerprint.digits, fingerprint.emoji.join(' '));
+            broadcastToPopup('SESSION_FINGERPRINT', {
+                digits: fingerprint.digits,
+                emoji: fingerprint.emoji
+            });
+        });
+
+        realSDK.on('round-timeout', (data) => {
+            const missing = data.missing.map(p => `#${p.index}`).join(', ');
+            broadcastToPopup('KEYGEN_ERROR', {
+                error: `Round ${data.round} timed out waiting for parties: ${missing || 'none'}`
             });
         });
         
@@ -523,21 +558,25 @@ async function startKeygenProcess(groupInfo) {
         // Initialize the real SDK if not already done
         await ensureSDKInitialized();
         
-        // CRITICAL: Set the AES encryption key on the SDK before starting keygen
+        // CRITICAL: Set the pairing secret on the SDK before starting keygen
         const storedQRData = await chrome.storage.local.get(['currentQRData']);
         if (storedQRData.currentQRData) {
             try {
                 const qrData = JSON.parse(storedQRData.currentQRData);
-                if (qrData.aesKey) {
-                    console.log('🔐 Setting AES encryption key on SDK for secure WebSocket communication...');
-                    const aesKeyBytes = Uint8Array.from(atob(qrData.aesKey), c => c.charCodeAt(0));
-                    await realSDK.setEncryptionKey(aesKeyBytes);
-                    console.log('✅ AES encryption key set on SDK');
+                if (qrData.pairingSecret) {
+                    console.log('🔐 Setting pairing secret on SDK for the session handshake...');
+                    // Same invitation nonce as the other parties, it goes into the session id
+                    realSDK.setPairingSecret(qrData.pairingSecret, {
+                        nonce: qrData.nonce,
+                        creator: qrData.creator,
+                        expiresAt: qrData.expiresAt
+                    });
+                    console.log('✅ Pairing secret set on SDK');
                 } else {
-                    console.warn('⚠️ No AES key found in QR data');
+                    console.warn('⚠️ No pairing secret found in QR data');
                 }
             } catch (keyError) {
-                console.error('❌ Failed to set AES encryption key:', keyError);
+                console.error('❌ Failed to set pairing secret:', keyError);
             }
         } else {
             console.warn('⚠️ No QR data found in storage');
@@ -595,28 +634,120 @@ async function handleStartKeygen(data, sendResponse) {
     }
 }
 
-async function handleSetQREncryptionKey(data, sendResponse) {
+async function handleCreateInvitation(data, sendResponse) {
     try {
-        console.log('🔐 Setting AES encryption key on SDK from QR data...');
+        console.log('🔐 Creating session invitation signed with the party identity...');
         
         await ensureSDKInitialized();
         
-        if (!data.aesKey) {
-            throw new Error('No AES key provided in QR data');
+        if (!data.groupId) {
+            throw new Error('No group provided for the invitation');
         }
         
-        const aesKeyBytes = Uint8Array.from(atob(data.aesKey), c => c.charCodeAt(0));
-        await realSDK.setEncryptionKey(aesKeyBytes);
+        // Also sets the invitation's pairing secret on the SDK for the session handshake
+        const qrData = await realSDK.createInvitation(data);
+        
+        console.log('✅ Invitation created, pairing secret set on SDK');
+        
+        sendResponse({
+            success: true,
+            qrData
+        });
+        
+    } catch (error) {
+        console.error('❌ Failed to create invitation:', error);
+        sendResponse({
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+async function handleJoinInvitation(data, sendResponse) {
+    try {
+        console.log('🔗 Verifying invitation...');
+        
+        await ensureSDKInitialized();
+        
+        // Invitation links carry the same signed QR data
+        const input = (data.invitation || '').trim();
+        const qrData = input.startsWith('{') ? input : realSDK.decodeInvitationLink(input);
+        if (JSON.parse(qrData).type !== 'keygen') {
+            throw new Error('The extension can only join key generation sessions, open signing invitations in the web app');
+        }
         
-        console.log('✅ AES encryption key set on SDK for secure WebSocket communication');
+        if (!extensionState.isRegistered) {
+            const registration = await realSDK.register();
+            extensionState.partyId = registration.partyId;
+            extensionState.apiKey = registration.token;
+            extensionState.isRegistered = true;
+            console.log('✅ Party registered via REAL SDK:', extensionState.partyId);
+        }
+        
+        // Verifies the creator signature, membership and expiry, consumes the nonce and sets the pairing secret
+        const invitation = await realSDK.acceptInvitation(qrData);
+        await realSDK.joinGroup(invitation.groupId);
+        
+        // startKeygenProcess sets the pairing secret from the stored QR data again
+        await chrome.storage.local.set({ currentQRData: qrData });
+        await chrome.storage.local.remove(['pendingInvitation']);
+        chrome.action.setBadgeText({ text: '' });
+        
+        console.log('✅ Joined group from invitation:', invitation.groupId);
+        
+        sendResponse({
+            success: true,
+            group: {
+                groupId: invitation.groupId,
+                threshold: invitation.groupInfo.threshold,
+                totalParties: invitation.groupInfo.totalParties,
+                timeout: invitation.groupInfo.timeout,
+                creator: invitation.creator
+            }
+        });
+        
+    } catch (error) {
+        console.error('❌ Failed to join from invitation:', error);
+        sendResponse({
+            success: false,
+            error: error.message,
+            code: error.code
+        });
+    }
+}
+
+// Opening an https invitation link (`.../join?v=1&i=...`) keeps it for the popup's join flow;
+// the defishard:// scheme is handed to the OS and never reaches the extension
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (!changeInfo.url) {
+        return;
+    }
+    try {
+        const url = new URL(changeInfo.url);
+        if (url.protocol === 'https:' && url.pathname.endsWith('/join') && url.searchParams.has('i')) {
+            console.log('🔗 Invitation link opened, keeping it for the popup');
+            chrome.storage.local.set({ pendingInvitation: changeInfo.url });
+            chrome.action.setBadgeText({ text: '1' });
+        }
+    } catch (error) {
+        // Not a URL the extension cares about
+    }
+});
+
+function handleConfirmSessionFingerprint(data, sendResponse) {
+    try {
+        if (!realSDK) {
+            throw new Error('SDK not initialized');
+        }
+        realSDK.confirmSessionFingerprint(!!data.matches);
         
         sendResponse({
             success: true,
-            message: 'Encryption key set successfully'
+            message: data.matches ? 'Session code confirmed' : 'Session code rejected, session aborted'
         });
         
     } catch (error) {
-        console.error('❌ Failed to set encryption key:', error);
+        console.error('❌ Failed to answer session code:', error);
         sendResponse({
             success: false,
             error: error.message
@@ -16,6 +16,7 @@ class DeFiShardPopup {
         this.qrCodeData = null;
         this.keygenInProgress = false;
         this.groupCreationInProgress = false;
+        this.pendingInvitation = null;
         this.startTime = null;
         
         this.initialize();
@@ -92,6 +93,7 @@ class DeFiShardPopup {
         this.setupEventListeners();
         this.updateConnectionStatus();
         await this.checkExistingWallets();
+        await this.checkPendingInvitation();
         await this.testBackgroundConnection();
         this.setupBackgroundMessageListeners();
     }
@@ -122,7 +124,16 @@ class DeFiShardPopup {
             } else if (message.type === 'KEYGEN_STARTED') {
                 this.showKeygenProgressUI(message.data.message);
             } else if (message.type === 'KEYGEN_PROGRESS') {
-                this.showKeygenProgressUI(message.data.message, message.data.progress);
+                const { round, totalRounds, elapsedMs } = message.data;
+                if (typeof elapsedMs === 'number') {
+                    this.startTime = Date.now() - elapsedMs;
+                }
+                const text = totalRounds
+                    ? `${message.data.message} · ${this.getRoundDescription(round)}`
+                    : message.data.message;
+                this.showKeygenProgressUI(text, message.data.progress);
+            } else if (message.type === 'SESSION_FINGERPRINT') {
+                this.showSessionFingerprintUI(message.data);
             } else if (message.type === 'KEYGEN_COMPLETED') {
                 this.showKeygenCompleteUI(message.data.message, message.data.keyshare);
             } else if (message.type === 'KEYGEN_ERROR') {
@@ -161,6 +172,50 @@ class DeFiShardPopup {
         }
     }
 
+    showSessionFingerprintUI(fingerprint) {
+        console.log('🔐 Session code:', fingerprint.digits);
+        
+        // Show the code and wait for the user to compare it with the other devices
+        const container = document.querySelector('.qr-section');
+        if (container) {
+            container.innerHTML = `
+                <div class="session-fingerprint">
+                    <h3>🔐 Session Code</h3>
+                    <p class="fingerprint-digits">${fingerprint.digits.slice(0, 3)} ${fingerprint.digits.slice(3)}</p>
+                    <p class="fingerprint-emoji">${fingerprint.emoji.join(' ')}</p>
+                    <p class="progress-text">Check that every device shows the same code</p>
+                    <div class="fingerprint-actions">
+                        <button class="primary-btn" data-matches="true">Codes Match</button>
+                        <button class="secondary-btn" data-matches="false">Codes Differ</button>
+                    </div>
+                </div>
+            `;
+            container.querySelectorAll('.fingerprint-actions button').forEach(button => {
+                button.addEventListener('click', () => this.answerSessionFingerprint(button.dataset.matches === 'true'));
+            });
+        }
+    }
+
+    async answerSessionFingerprint(matches) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'CONFIRM_SESSION_FINGERPRINT',
+                data: { matches }
+            });
+            if (!response?.success) {
+                throw new Error(response?.error || 'No response from background');
+            }
+            if (matches) {
+                this.showKeygenProgressUI('Session code confirmed, generating keys...');
+            } else {
+                this.showKeygenErrorUI('Session codes differ: the session was aborted. Start again with a new QR code.');
+            }
+        } catch (error) {
+            console.error('❌ Failed to answer session code:', error);
+            this.showKeygenErrorUI('Failed to answer session code: ' + error.message);
+        }
+    }
+
     showKeygenCompleteUI(message, keyshare) {
         console.log('✅ Keygen complete:', message, keyshare);
         
@@ -286,6 +341,16 @@ class DeFiShardPopup {
             this.showWalletCreation();
         });
 
+        // Welcome screen: join a session from an invitation link or QR code data
+        document.getElementById('invitation-input').addEventListener('input', (e) => {
+            document.getElementById('join-invitation-btn').disabled = !e.target.value.trim();
+        });
+
+        document.getElementById('join-invitation-btn').addEventListener('click', () => {
+            this.pendingInvitation = document.getElementById('invitation-input').value.trim();
+            this.showWalletCreation();
+        });
+
         // Step 1: Configuration
         document.getElementById('wallet-name').addEventListener('input', (e) => {
             this.walletConfig.name = e.target.value;
@@ -359,8 +424,13 @@ class DeFiShardPopup {
         document.getElementById('step-2-content').classList.remove('hidden');
         // Step indicator removed
         this.currentStep = 2;
-        // Automatically start the background process: register party → create group → generate QR code
-        this.createGroupAndGenerateQR();
+        // Automatically start the background process: register party → create group → generate QR code,
+        // or verify the invitation and join its group
+        if (this.pendingInvitation) {
+            this.joinInvitationSession();
+        } else {
+            this.createGroupAndGenerateQR();
+        }
     }
 
     showStep3() {
@@ -480,26 +550,12 @@ class DeFiShardPopup {
             
             // Step 2: Generate QR code data with real group info
             console.log('Step 2: Generating QR code data...');
-            this.qrCodeData = this.createQRCodeData();
+            this.qrCodeData = await this.createQRCodeData();
             console.log('QR code data created:', this.qrCodeData);
             
-            // Store QR data for background script to access the AES key
+            // Store QR data for background script to access the pairing secret
             await chrome.storage.local.set({ currentQRData: this.qrCodeData });
-            console.log('✅ QR data stored for background script encryption');
-            
-            // Immediately set encryption key on SDK for secure WebSocket communication
-            const qrData = JSON.parse(this.qrCodeData);
-            if (qrData.aesKey) {
-                try {
-                    await chrome.runtime.sendMessage({
-                        type: 'SET_QR_ENCRYPTION_KEY',
-                        data: { aesKey: qrData.aesKey }
-                    });
-                    console.log('✅ Encryption key set on SDK');
-                } catch (keyError) {
-                    console.error('❌ Failed to set encryption key on SDK:', keyError);
-                }
-            }
+            console.log('✅ QR data stored for background script pairing');
             
             // Step 3: Generate QR code image
             console.log('Step 3: Generating QR code image...');
@@ -520,31 +576,76 @@ class DeFiShardPopup {
         }
     }
 
-    createQRCodeData() {
-        // Generate AES key for encryption (same as web app)
-        const aesKey = btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(32))));
-        
-        const qrData = {
-            type: 'keygen',
-            groupId: this.groupInfo.groupId,
-            threshold: this.groupInfo.threshold,
-            totalParties: this.groupInfo.totalParties,
-            timeout: 60,
-            timestamp: Date.now(),
-            version: '1.0',
-            aesKey: aesKey,
-            metadata: {
+    // Join the group of an invitation; keygen starts once every party joined, as for the creator
+    async joinInvitationSession() {
+        const qrContainer = document.getElementById('qr-container');
+        const text = qrContainer.querySelector('.qr-placeholder p');
+        if (text) {
+            text.textContent = 'Verifying invitation and joining group...';
+        }
+        
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'JOIN_INVITATION',
+                data: { invitation: this.pendingInvitation }
+            });
+            
+            if (!response?.success) {
+                throw new Error(response?.error || 'Failed to join from invitation');
+            }
+            
+            this.groupInfo = response.group;
+            this.walletConfig.threshold = response.group.threshold;
+            this.walletConfig.totalParties = response.group.totalParties;
+            this.pendingInvitation = null;
+            
+            if (text) {
+                text.textContent = `Joined group, invited by ${response.group.creator.substring(0, 10)}...`;
+            }
+            this.startGroupMonitoring();
+            
+        } catch (error) {
+            console.error('Joining from invitation failed:', error);
+            this.showError('Failed to join from invitation: ' + error.message);
+        }
+    }
+
+    // Invitation link opened in a tab while the popup was closed
+    async checkPendingInvitation() {
+        try {
+            const { pendingInvitation } = await chrome.storage.local.get(['pendingInvitation']);
+            if (pendingInvitation) {
+                document.getElementById('invitation-input').value = pendingInvitation;
+                document.getElementById('join-invitation-btn').disabled = false;
+            }
+        } catch (error) {
+            console.error('Failed to check pending invitation:', error);
+        }
+    }
+
+    async createQRCodeData() {
+        // The background SDK signs the invitation with the party identity and keeps its pairing secret
+        const response = await chrome.runtime.sendMessage({
+            type: 'CREATE_INVITATION',
+            data: {
+                type: 'keygen',
+                groupId: this.groupInfo.groupId,
                 threshold: this.groupInfo.threshold,
                 totalParties: this.groupInfo.totalParties,
                 timeout: 60,
-                sessionName: `Keygen Session ${new Date().toLocaleString()}`,
-                creator: this.groupInfo.creator?.partyId || 'extension',
-                walletName: this.walletConfig.name
+                metadata: {
+                    sessionName: `Keygen Session ${new Date().toLocaleString()}`,
+                    walletName: this.walletConfig.name
+                }
             }
-        };
+        });
+        
+        if (!response?.success) {
+            throw new Error(response?.error || 'Failed to create invitation');
+        }
         
-        console.log('QR code data structure:', qrData);
-        return JSON.stringify(qrData);
+        console.log('QR code data structure:', JSON.parse(response.qrData));
+        return response.qrData;
     }
 
     async generateQRCodeImage() {
@@ -986,9 +1087,9 @@ class DeFiShardPopup {
         progressText.textContent = text;
     }
 
-    updateKeygenStatus(round, connections, security) {
+    updateKeygenStatus(round, connections, security, totalRounds = 4) {
         document.getElementById('status-round').querySelector('.status-text').textContent = 
-            `Round ${round}/4: ${this.getRoundDescription(round)}`;
+            `Round ${round}/${totalRounds}: ${this.getRoundDescription(round)}`;
         
         document.getElementById('status-connections').querySelector('.status-text').textContent = 
             `${connections}/${this.walletConfig.totalParties} devices connected`;
@@ -1012,12 +1113,11 @@ class DeFiShardPopup {
     updateTimer() {
         if (!this.startTime) return;
         
+        // Elapsed session time, anchored to the SDK's START by progress events
         const elapsed = Date.now() - this.startTime;
-        const estimatedTotal = 60000; // 60 seconds
-        const remaining = Math.max(0, estimatedTotal - elapsed);
         
-        const minutes = Math.floor(remaining / 60000);
-        const seconds = Math.floor((remaining % 60000) / 1000);
+        const minutes = Math.floor(elapsed / 60000);
+        const seconds = Math.floor((elapsed % 60000) / 1000);
         
         document.getElementById('timer-value').textContent = 
             `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
@@ -1087,6 +1187,7 @@ class DeFiShardPopup {
         };
         this.groupInfo = null;
         this.qrCodeData = null;
+        this.pendingInvitation = null;
         this.keygenInProgress = false;
         this.startTime = null;
         
@@ -1287,7 +1388,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             window.defishardPopup.updateKeygenStatus(
                 message.round, 
                 message.connections, 
-                message.security
+                message.security,
+                message.totalRounds
             );
             break;
             
@@ -65,29 +65,40 @@ export class SigningController {
     }
     
     /**
-     * Sign a transaction (structured data)
-     * @param {Object} transaction - Transaction object
-     * @param {Object} options - Signing options
+     * Sign an Ethereum transaction
+     * @param {Object} transaction - Legacy, EIP-2930 or EIP-1559 transaction (type inferred from the fee fields)
+     * @param {Object} options - Signing options ({ derivationPath, timeoutMs })
+     * @returns {Promise<Object>} Result whose signedTransaction is the raw hex for eth_sendRawTransaction
      */
     async signTransaction(transaction, options = {}) {
         try {
-            // Convert transaction to signable message
-            const message = this.serializeTransaction(transaction);
+            const activeWallet = stateManager.getState('activeWallet');
+            if (!activeWallet) {
+                throw new Error('No active wallet selected');
+            }
             
-            const result = await this.signMessage(message, {
-                ...options,
-                type: 'transaction',
-                transaction
+            stateManager.batchUpdate({
+                loading: true,
+                error: null,
+                signingStatus: 'preparing'
             });
             
+            const result = await mpcService.signTransaction(transaction, activeWallet, options);
+            
+            stateManager.batchUpdate({ loading: false });
+            
             return {
                 ...result,
-                transaction,
-                signedTransaction: this.buildSignedTransaction(transaction, result.signature)
+                signedTransaction: result.rawTransaction
             };
             
         } catch (error) {
             console.error('Failed to sign transaction:', error);
+            stateManager.batchUpdate({
+                loading: false,
+                error: error.message,
+                signingStatus: 'failed'
+            });
             throw error;
         }
     }
@@ -208,16 +219,18 @@ export class SigningController {
     
     /**
      * Verify a signature
-     * @param {string} message - Original message
-     * @param {string} signature - Signature to verify
-     * @param {string} publicKey - Public key to verify against
-     * @returns {boolean} Verification result
+     * @param {string|Uint8Array} message - Original message (hashed with SHA-256) or its 32-byte hash
+     * @param {string|Uint8Array|Object} signature - Compact, recoverable or DER signature (bytes or hex), or { r, s }
+     * @param {string|Uint8Array|Object} publicKey - Public key to verify against, or the wallet keyshare
+     * @param {Object} options - { derivationPath, chainCode } when the signature is by a derived key
+     * @returns {Promise<boolean>} Verification result
      */
-    async verifySignature(message, signature, publicKey) {
+    async verifySignature(message, signature, publicKey, options = {}) {
         try {
-            // This would use your cryptographic library to verify
-            // Placeholder implementation
-            return true;
+            const messageHash = message instanceof Uint8Array
+                ? message
+                : new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(message)));
+            return await mpcService.verifySignature(messageHash, signature, publicKey, options);
         } catch (error) {
             console.error('Failed to verify signature:', error);
             return false;
@@ -266,20 +279,6 @@ export class SigningController {
         return wallet.threshold > 1;
     }
     
-    serializeTransaction(transaction) {
-        // Convert transaction object to canonical string format
-        // This depends on your transaction format
-        return JSON.stringify(transaction, null, 0);
-    }
-    
-    buildSignedTransaction(transaction, signature) {
-        // Build the signed transaction object
-        return {
-            ...transaction,
-            signature
-        };
-    }
-    
     setupEventListeners() {
         eventBus.on(EVENTS.SIGNING_PROGRESS, (progress) => {
             // Update UI with signing progress
@@ -233,6 +233,61 @@ export class MPCService {
         }
     }
     
+    /**
+     * Sign an Ethereum transaction with threshold signatures
+     * @param {Object} transaction - Legacy, EIP-2930 or EIP-1559 transaction fields (eth_sendTransaction names accepted)
+     * @param {Object} wallet - Wallet to sign with
+     * @param {Object} options - { derivationPath, timeoutMs, signal }
+     * @returns {Promise<Object>} Result with rawTransaction, transactionHash and the sender address
+     */
+    async signTransaction(transaction, wallet, options = {}) {
+        this.validateInitialized();
+        
+        if (this.currentOperation) {
+            throw new Error('Another MPC operation is already in progress');
+        }
+        
+        try {
+            this.currentOperation = 'signing';
+            stateManager.setState('signingStatus', 'in-progress');
+            eventBus.emit(EVENTS.SIGNING_STARTED, { transaction, walletId: wallet.id });
+            
+            await this.createSigningGroup(wallet);
+            
+            const signed = await this.sdk.signTransaction(transaction, wallet.keyshare, options);
+            
+            const result = {
+                transaction,
+                rawTransaction: signed.rawTransaction,
+                transactionHash: signed.transactionHash,
+                from: signed.address,
+                signature: signed,
+                publicKey: wallet.publicKey,
+                timestamp: new Date().toISOString()
+            };
+            
+            wallet.lastUsed = new Date().toISOString();
+            const wallets = stateManager.getState('wallets');
+            const updatedWallets = wallets.map(w => w.id === wallet.id ? wallet : w);
+            
+            stateManager.batchUpdate({
+                wallets: updatedWallets,
+                signingStatus: 'completed'
+            });
+            
+            eventBus.emit(EVENTS.SIGNING_COMPLETED, result);
+            
+            return result;
+            
+        } catch (error) {
+            stateManager.setState('signingStatus', 'failed');
+            eventBus.emit(EVENTS.SIGNING_FAILED, error);
+            throw error;
+        } finally {
+            this.currentOperation = null;
+        }
+    }
+    
     /**
      * Rotate keys for enhanced security
      * @param {Object} wallet - Wallet to rotate keys for
@@ -298,6 +353,19 @@ export class MPCService {
         }
     }
     
+    /**
+     * Verify an ECDSA signature against a public key or a wallet keyshare
+     * @param {Uint8Array} messageHash - 32-byte hash that was signed
+     * @param {string|Uint8Array|Object} signature - Compact, recoverable or DER signature (bytes or hex), or { r, s }
+     * @param {string|Uint8Array|Object} publicKey - Public key (bytes or hex) or keyshare
+     * @param {Object} options - { derivationPath, chainCode }
+     * @returns {Promise<boolean>} Whether the signature was made by the key
+     */
+    async verifySignature(messageHash, signature, publicKey, options = {}) {
+        this.validateInitialized();
+        return this.sdk.verifySignature(messageHash, signature, publicKey, options);
+    }
+    
     /**
      * Get current operation status
      * @returns {string|null} Current operation type or null
@@ -1,7 +1,8 @@
 import { Config, RegistrationResult, GroupResult, GroupInfo } from './types';
+import { RegistrationProof } from './crypto/identity';
 
 export class ApiClient {
-  private config: Config;
+  protected config: Config;
 
   constructor(private relayerUrl: string) {
     this.config = { relayerUrl, websocketUrl: '' };
@@ -17,18 +18,19 @@ export class ApiClient {
   /**
    * Register with the relay server
    * POST /party/register
+   *
+   * The party ID is the identity public key; the proof shows the caller holds its private key
    */
-  async register(): Promise<RegistrationResult> {
-    // Always generate a fresh party ID to avoid conflicts
-    const partyId = this.generatePartyId();
-    
+  async register(proof: RegistrationProof): Promise<RegistrationResult> {
     const response = await fetch(`${this.config.relayerUrl}/party/register`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
-        party_id: partyId
+        party_id: proof.partyId,
+        timestamp: proof.timestamp,
+        signature: proof.signature
       })
     });
 
@@ -230,25 +232,10 @@ export class ApiClient {
     return response.json();
   }
 
-  /**
-   * Generate a random party ID in compressed public key format
-   * Returns a 66-character hex string starting with "02" or "03"
-   */
-  private generatePartyId(): string {
-    const array = new Uint8Array(33);
-    crypto.getRandomValues(array);
-    
-    // Set the first byte to indicate compressed format (02 or 03)
-    // Use 02 for even y-coordinate, 03 for odd y-coordinate
-    array[0] = (array[1] % 2 === 0) ? 0x02 : 0x03;
-    
-    return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
-  }
-
   /**
    * Generate a random group ID
    */
-  private generateGroupId(): string {
+  protected generateGroupId(): string {
     const array = new Uint8Array(32);
     crypto.getRandomValues(array);
     return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
@@ -0,0 +1,404 @@
+import { BaseTransport } from '../transport/base-transport';
+import { EnvelopeUtils } from '../crypto/envelope';
+import { EphemeralKeyPair, LinkKeys, PairingUtils, PAIRING_SECRET_BYTES } from '../crypto/pairing';
+import { DeFiShArdError } from '../errors';
+import { ErrorType, ProtocolMessage } from '../types';
+
+const HANDSHAKE_VERSION = 1;
+const DEFAULT_HANDSHAKE_TIMEOUT_MS = 60000;
+
+export interface SessionHandshakeConfig {
+  transport: BaseTransport;
+  groupId: string;
+  partyId: string;
+  members: string[];      // Party IDs of the group members
+  creator?: string;       // Party ID of the invitation creator, which must take part
+  pairingSecret: Uint8Array;
+  sessionId: string;
+  epoch?: number;         // 0 for the handshake after START, higher for each rekey of a resumed session
+  timeoutMs?: number;     // Max duration of the handshake (0 disables)
+  debug?: boolean;
+}
+
+// Round 0 payloads exchanged by the handshake
+interface HelloPayload {
+  type: 'pairing-hello';
+  v: number;
+  epoch: number;
+  ephemeralKey: string;
+  mac: string;
+}
+
+interface KeysPayload {
+  type: 'pairing-keys';
+  v: number;
+  epoch: number;
+  keys: Record<string, string>; // Our contribution wrapped for each peer, by party ID
+}
+
+/**
+ * Pairing handshake run after START and before round 1
+ * Sends our hello, then our wrapped contribution once every peer's hello arrived,
+ * and installs the session keys on the transport once every peer's contribution arrived
+ * The peers are the participants START named, hellos of other members are ignored
+ * Messages the transport held meanwhile stay held until the caller completes the key exchange
+ * A resumed party runs it again under a higher epoch, so no session key ever needs to be stored
+ */
+export class SessionHandshake {
+  private config: SessionHandshakeConfig;
+  private ephemeral: EphemeralKeyPair | null = null;
+  private contribution: Uint8Array | null = null;
+  private peers: string[] = []; // Party IDs of the other participants, known once started
+  private ephemeralKeys: Map<string, string> = new Map(); // Ephemeral keys of members that said hello, by party ID
+  private linkKeys: Map<string, LinkKeys> = new Map();
+  private contributions: Map<string, Uint8Array> = new Map(); // Peer contributions by party ID
+  private pendingKeys: ProtocolMessage[] = []; // Wrapped contributions that arrived before the sender's hello
+  private started = false;
+  private keysSent = false;
+  private keysDelivered = false; // Our contribution went out; keys of peers may arrive before that
+  private finished = false;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private resolveDone!: () => void;
+  private rejectDone!: (error: Error) => void;
+  private done: Promise<void>;
+
+  constructor(config: SessionHandshakeConfig) {
+    this.config = config;
+    this.done = new Promise<void>((resolve, reject) => {
+      this.resolveDone = resolve;
+      this.rejectDone = reject;
+    });
+    // Failures are reported through start(), avoid an unhandled rejection before it is called
+    this.done.catch(() => undefined);
+  }
+
+  /**
+   * Check if a message belongs to the handshake
+   */
+  static isHandshakeMessage(message: ProtocolMessage): boolean {
+    return message.round === 0 && message.content.startsWith('{"type":"pairing-');
+  }
+
+  /**
+   * Epoch of a handshake message, -1 if it does not parse
+   */
+  static getEpoch(message: ProtocolMessage): number {
+    try {
+      const epoch = JSON.parse(message.content).epoch ?? 0;
+      return Number.isInteger(epoch) && epoch >= 0 ? epoch : -1;
+    } catch {
+      return -1;
+    }
+  }
+
+  /**
+   * Check if our hello was sent
+   */
+  isStarted(): boolean {
+    return this.started;
+  }
+
+  /**
+   * Party IDs taking part in the session (us and our peers), sorted
+   */
+  getParticipants(): string[] {
+    return [this.config.partyId, ...this.peers].sort();
+  }
+
+  /**
+   * Send our hello and wait until the session keys are installed
+   *
+   * @param participants - Party IDs START put in the session, us included
+   */
+  start(participants: string[]): Promise<void> {
+    if (this.started) {
+      return this.done;
+    }
+    this.started = true;
+    this.peers = participants.filter(partyId => partyId !== this.config.partyId);
+
+    // Only the creator refuses a second session under its invitation, a session without it could replay one
+    const { creator } = this.config;
+    if (creator && !participants.some(partyId => partyId.toLowerCase() === creator.toLowerCase())) {
+      this.fail(`Session does not include ${creator.substring(0, 8)}, which created its invitation`, 'PAIRING_CREATOR');
+      return this.done;
+    }
+
+    const timeoutMs = this.config.timeoutMs ?? DEFAULT_HANDSHAKE_TIMEOUT_MS;
+    if (timeoutMs > 0) {
+      this.timer = setTimeout(() => {
+        const missing = this.peers.filter(peerId => !this.ephemeralKeys.has(peerId) || !this.contributions.has(peerId));
+        this.fail(`Pairing handshake did not complete within ${timeoutMs}ms (${missing.length} peer(s) missing)`, 'PAIRING_TIMEOUT');
+      }, timeoutMs);
+    }
+
+    this.ephemeral = PairingUtils.generateEphemeral();
+    this.contribution = crypto.getRandomValues(new Uint8Array(PAIRING_SECRET_BYTES));
+
+    const hello: HelloPayload = {
+      type: 'pairing-hello',
+      v: HANDSHAKE_VERSION,
+      epoch: this.epoch,
+      ephemeralKey: this.ephemeral.publicKey,
+      mac: PairingUtils.computeHelloMac(this.config.pairingSecret, this.derivationId, this.config.partyId, this.ephemeral.publicKey)
+    };
+    this.send(hello)
+      .then(() => this.advance())
+      .catch(error => this.fail(`Failed to send pairing hello: ${error}`, 'PAIRING_FAILED'));
+
+    return this.done;
+  }
+
+  /**
+   * Handle a round 0 message from a peer
+   */
+  async handleMessage(message: ProtocolMessage): Promise<void> {
+    if (this.finished || message.from_id === this.config.partyId) {
+      return;
+    }
+
+    let payload: HelloPayload | KeysPayload;
+    try {
+      payload = JSON.parse(message.content);
+    } catch {
+      return;
+    }
+    if (payload.v !== HANDSHAKE_VERSION) {
+      this.fail(`Party ${message.from_id.substring(0, 8)} uses pairing handshake version ${payload.v}, expected ${HANDSHAKE_VERSION}`, 'PAIRING_VERSION');
+      return;
+    }
+    // Left over from an earlier handshake of the session, or for a later one
+    if ((payload.epoch ?? 0) !== this.epoch) {
+      return;
+    }
+
+    try {
+      if (payload.type === 'pairing-hello') {
+        this.handleHello(message.from_id, payload);
+      } else if (payload.type === 'pairing-keys') {
+        // Unwrapping needs our ephemeral key and the sender's hello
+        if (!this.ephemeral || !this.ephemeralKeys.has(message.from_id)) {
+          this.pendingKeys.push(message);
+          return;
+        }
+        if (!this.peers.includes(message.from_id)) {
+          return;
+        }
+        await this.handleKeys(message.from_id, payload);
+      }
+      await this.advance();
+    } catch (error) {
+      this.fail(error instanceof Error ? error.message : String(error), 'PAIRING_FAILED');
+    }
+  }
+
+  /**
+   * Stop the handshake and wipe its secrets
+   */
+  destroy(): void {
+    this.finished = true;
+    this.wipe();
+  }
+
+  /**
+   * Record a peer's ephemeral key after checking it knows the pairing secret
+   */
+  private handleHello(fromId: string, hello: HelloPayload): void {
+    if (this.ephemeralKeys.has(fromId)) {
+      return;
+    }
+    if (!this.config.members.includes(fromId)) {
+      throw new Error(`Pairing hello from ${fromId.substring(0, 8)}, which is not a member of group ${this.config.groupId}`);
+    }
+    // Members outside the quorum START named are not part of this session
+    if (this.started && !this.peers.includes(fromId)) {
+      return;
+    }
+    if (!PairingUtils.verifyHelloMac(this.config.pairingSecret, this.derivationId, fromId, hello.ephemeralKey, hello.mac)) {
+      throw new Error(`Party ${fromId.substring(0, 8)} does not hold the pairing secret of this session`);
+    }
+    this.ephemeralKeys.set(fromId, hello.ephemeralKey);
+  }
+
+  /**
+   * Unwrap the contribution a peer wrapped for us
+   */
+  private async handleKeys(fromId: string, payload: KeysPayload): Promise<void> {
+    if (this.contributions.has(fromId)) {
+      return;
+    }
+    const wrapped = payload.keys?.[this.config.partyId];
+    if (typeof wrapped !== 'string') {
+      throw new Error(`Party ${fromId.substring(0, 8)} did not include us in its pairing keys`);
+    }
+    const link = this.getLinkKeys(fromId);
+    const wrapKey = await this.importWrapKey(link.wrapKey);
+    const contribution = await EnvelopeUtils.open(wrapped, wrapKey, EnvelopeUtils.computeKeyId(link.wrapKey), {
+      group_id: this.config.groupId,
+      from_id: fromId,
+      to_id: this.config.partyId,
+      round: 0
+    });
+    const bytes = Uint8Array.from(atob(contribution), c => c.charCodeAt(0));
+    if (bytes.length !== PAIRING_SECRET_BYTES) {
+      throw new Error(`Party ${fromId.substring(0, 8)} sent a malformed pairing contribution`);
+    }
+    this.contributions.set(fromId, bytes);
+  }
+
+  /**
+   * Send our contribution once all hellos are in, install the keys once all contributions are in
+   * and our own send returned, since installing wipes the secrets that send still uses
+   */
+  private async advance(): Promise<void> {
+    if (this.finished || !this.started || this.peers.some(peerId => !this.ephemeralKeys.has(peerId))) {
+      return;
+    }
+
+    if (!this.keysSent) {
+      this.keysSent = true;
+      const keys: Record<string, string> = {};
+      const contribution = btoa(String.fromCharCode(...this.contribution!));
+      for (const peerId of this.peers) {
+        const link = this.getLinkKeys(peerId);
+        keys[peerId] = await EnvelopeUtils.seal(contribution, await this.importWrapKey(link.wrapKey), EnvelopeUtils.computeKeyId(link.wrapKey), {
+          group_id: this.config.groupId,
+          from_id: this.config.partyId,
+          to_id: peerId,
+          round: 0
+        });
+      }
+      await this.send({ type: 'pairing-keys', v: HANDSHAKE_VERSION, epoch: this.epoch, keys });
+
+      // Contributions that arrived before we knew their sender
+      const pending = this.pendingKeys.splice(0);
+      for (const message of pending) {
+        if (this.peers.includes(message.from_id) && this.ephemeralKeys.has(message.from_id)) {
+          await this.handleKeys(message.from_id, JSON.parse(message.content));
+        }
+      }
+      this.keysDelivered = true;
+    }
+
+    if (this.finished || !this.keysDelivered || this.peers.some(peerId => !this.contributions.has(peerId))) {
+      return;
+    }
+    await this.install();
+  }
+
+  /**
+   * Derive the broadcast key and hand all keys to the transport
+   */
+  private async install(): Promise<void> {
+    this.finished = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const { transport, partyId } = this.config;
+    const contributions = new Map(this.contributions);
+    contributions.set(partyId, this.contribution!);
+    const ephemeralKeys = new Map(this.peers.map(peerId => [peerId, this.ephemeralKeys.get(peerId)!]));
+    ephemeralKeys.set(partyId, this.ephemeral!.publicKey);
+
+    const groupKey = PairingUtils.deriveGroupKey(contributions, ephemeralKeys, this.derivationId);
+    const pairwise: Record<string, Uint8Array> = {};
+    for (const [peerId, link] of this.linkKeys) {
+      pairwise[peerId] = link.p2pKey;
+    }
+
+    try {
+      await transport.setEncryptionKey(groupKey);
+      await transport.setPairwiseKeys(pairwise);
+    } catch (error) {
+      this.rejectDone(new DeFiShArdError(ErrorType.AUTHENTICATION_ERROR, `Failed to install session keys: ${error}`, 'PAIRING_FAILED'));
+      this.wipe();
+      return;
+    } finally {
+      groupKey.fill(0);
+    }
+
+    if (this.config.debug) {
+      console.log(`[SessionHandshake] 🤝 Session keys established with ${this.linkKeys.size} peer(s)`);
+    }
+    this.wipe();
+    this.resolveDone();
+  }
+
+  /**
+   * Link keys with a peer, derived on first use
+   */
+  private getLinkKeys(peerId: string): LinkKeys {
+    let link = this.linkKeys.get(peerId);
+    if (!link) {
+      link = PairingUtils.deriveLinkKeys(
+        this.ephemeral!,
+        this.ephemeralKeys.get(peerId)!,
+        this.config.pairingSecret,
+        this.derivationId,
+        this.config.partyId,
+        peerId
+      );
+      this.linkKeys.set(peerId, link);
+    }
+    return link;
+  }
+
+  private get epoch(): number {
+    return this.config.epoch ?? 0;
+  }
+
+  // Session id the keys are derived for, a rekey gets keys of its own
+  private get derivationId(): string {
+    return this.epoch ? `${this.config.sessionId}:${this.epoch}` : this.config.sessionId;
+  }
+
+  private importWrapKey(keyBytes: Uint8Array): Promise<CryptoKey> {
+    return crypto.subtle.importKey('raw', keyBytes as unknown as ArrayBuffer, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+  }
+
+  private send(payload: HelloPayload | KeysPayload): Promise<void> {
+    return this.config.transport.send({
+      group_id: this.config.groupId,
+      from_id: this.config.partyId,
+      to_id: '0',
+      content: JSON.stringify(payload),
+      round: 0,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  private fail(reason: string, code: string): void {
+    if (this.finished) {
+      return;
+    }
+    this.finished = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.wipe();
+    this.rejectDone(new DeFiShArdError(ErrorType.AUTHENTICATION_ERROR, reason, code));
+  }
+
+  /**
+   * Forget ephemeral secrets; only the installed transport keys outlive the handshake
+   */
+  private wipe(): void {
+    this.config.pairingSecret.fill(0);
+    this.ephemeral?.privateKey.fill(0);
+    this.ephemeral = null;
+    this.contribution?.fill(0);
+    this.contribution = null;
+    for (const contribution of this.contributions.values()) {
+      contribution.fill(0);
+    }
+    this.contributions.clear();
+    for (const link of this.linkKeys.values()) {
+      link.wrapKey.fill(0);
+    }
+    this.linkKeys.clear();
+    this.pendingKeys = [];
+  }
+}
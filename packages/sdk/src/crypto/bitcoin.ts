@@ -0,0 +1,289 @@
+/**
+ * Bitcoin Address and Message Utilities
+ *
+ * The MPC public key pays to P2WPKH (native segwit, bech32 bc1q...) or to
+ * P2SH-P2WPKH (segwit wrapped in P2SH, base58 3...), both built on the
+ * HASH160 of the compressed key; legacy P2PKH is kept for signed messages.
+ * Signed messages follow BIP-137: a 65-byte header || r || s in base64 whose
+ * header encodes the recovery id and the address type.
+ */
+
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { sha256 } from '@noble/hashes/sha2';
+import { ripemd160 } from '@noble/hashes/legacy';
+import { BitcoinAddressType, BitcoinNetwork } from '../types';
+
+interface NetworkParams {
+  bech32: string;     // Human-readable part of segwit addresses
+  pubKeyHash: number; // Base58 version byte of P2PKH
+  scriptHash: number; // Base58 version byte of P2SH
+}
+
+export const BITCOIN_NETWORKS: Record<BitcoinNetwork, NetworkParams> = {
+  mainnet: { bech32: 'bc', pubKeyHash: 0x00, scriptHash: 0x05 },
+  testnet: { bech32: 'tb', pubKeyHash: 0x6f, scriptHash: 0xc4 },
+  regtest: { bech32: 'bcrt', pubKeyHash: 0x6f, scriptHash: 0xc4 }
+};
+
+const MESSAGE_MAGIC = 'Bitcoin Signed Message:\n';
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BECH32_ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+// BIP-137 header of recovery id 0, per address type
+const MESSAGE_HEADER_BASE: Record<BitcoinAddressType, number> = {
+  'p2pkh': 31,        // Compressed key; 27 marks an uncompressed one
+  'p2sh-p2wpkh': 35,
+  'p2wpkh': 39
+};
+
+/**
+ * Hashes, scripts, addresses and BIP-137 signed messages
+ */
+export class BitcoinUtils {
+  /**
+   * RIPEMD160(SHA256(data))
+   */
+  static hash160(data: Uint8Array): Uint8Array {
+    return ripemd160(sha256(data));
+  }
+
+  /**
+   * SHA256(SHA256(data)), the hash of transaction ids and sighashes
+   */
+  static sha256d(data: Uint8Array): Uint8Array {
+    return sha256(sha256(data));
+  }
+
+  /**
+   * BIP32 fingerprint of a key, the first 4 bytes of its HASH160 as PSBT derivations record it
+   */
+  static fingerprint(publicKey: Uint8Array | string): number {
+    const hash = BitcoinUtils.hash160(BitcoinUtils.compressPublicKey(publicKey));
+    return ((hash[0] << 24) | (hash[1] << 16) | (hash[2] << 8) | hash[3]) >>> 0;
+  }
+
+  /**
+   * Address of a public key
+   *
+   * @param publicKey - Compressed (or uncompressed, converted) public key, bytes or hex
+   */
+  static getAddress(publicKey: Uint8Array | string, type: BitcoinAddressType = 'p2wpkh', network: BitcoinNetwork = 'mainnet'): string {
+    const params = BitcoinUtils.networkParams(network);
+    const keyHash = BitcoinUtils.hash160(BitcoinUtils.compressPublicKey(publicKey));
+    switch (type) {
+      case 'p2wpkh':
+        return BitcoinUtils.encodeSegwitAddress(params.bech32, 0, keyHash);
+      case 'p2sh-p2wpkh':
+        return BitcoinUtils.encodeBase58Check(params.scriptHash, BitcoinUtils.hash160(BitcoinUtils.p2wpkhScript(keyHash)));
+      case 'p2pkh':
+        return BitcoinUtils.encodeBase58Check(params.pubKeyHash, keyHash);
+      default:
+        throw new Error(`Unsupported address type ${type}`);
+    }
+  }
+
+  /**
+   * Witness program script of P2WPKH, OP_0 <20-byte key hash>; also the redeem script of P2SH-P2WPKH
+   */
+  static p2wpkhScript(keyHash: Uint8Array): Uint8Array {
+    if (keyHash.length !== 20) {
+      throw new Error(`Key hash must be 20 bytes, got ${keyHash.length}`);
+    }
+    return new Uint8Array([0x00, 0x14, ...keyHash]);
+  }
+
+  /**
+   * Output script of P2SH, OP_HASH160 <20-byte script hash> OP_EQUAL
+   */
+  static p2shScript(redeemScript: Uint8Array): Uint8Array {
+    return new Uint8Array([0xa9, 0x14, ...BitcoinUtils.hash160(redeemScript), 0x87]);
+  }
+
+  /**
+   * Output script of P2PKH, the BIP-143 scriptCode of a P2WPKH input without its length
+   */
+  static p2pkhScript(keyHash: Uint8Array): Uint8Array {
+    return new Uint8Array([0x76, 0xa9, 0x14, ...keyHash, 0x88, 0xac]);
+  }
+
+  /**
+   * 33-byte compressed form of a public key; segwit only commits to compressed keys
+   */
+  static compressPublicKey(publicKey: Uint8Array | string): Uint8Array {
+    return secp256k1.ProjectivePoint.fromHex(publicKey).toRawBytes(true);
+  }
+
+  /**
+   * BIP-137 message hash: SHA256d of the magic prefix and the message, both length prefixed
+   *
+   * @param message - Text (hashed as UTF-8) or raw bytes
+   */
+  static hashMessage(message: string | Uint8Array): Uint8Array {
+    const magic = new TextEncoder().encode(MESSAGE_MAGIC);
+    const bytes = typeof message === 'string' ? new TextEncoder().encode(message) : message;
+    return BitcoinUtils.sha256d(new Uint8Array([
+      ...BitcoinUtils.encodeVarInt(magic.length),
+      ...magic,
+      ...BitcoinUtils.encodeVarInt(bytes.length),
+      ...bytes
+    ]));
+  }
+
+  /**
+   * Base64 BIP-137 signature of a message hash, for an address of the given type
+   *
+   * @param signature - Low-S r and s with their recovery id, e.g. a SignResult
+   */
+  static encodeMessageSignature(signature: { r: Uint8Array; s: Uint8Array; recoveryId: number }, type: BitcoinAddressType = 'p2wpkh'): string {
+    if (signature.r.length !== 32 || signature.s.length !== 32) {
+      throw new Error('Signature r and s must be 32 bytes each');
+    }
+    if (!Number.isInteger(signature.recoveryId) || signature.recoveryId < 0 || signature.recoveryId > 3) {
+      throw new Error(`Invalid recovery id ${signature.recoveryId}`);
+    }
+    const bytes = new Uint8Array([MESSAGE_HEADER_BASE[type] + signature.recoveryId, ...signature.r, ...signature.s]);
+    return btoa(String.fromCharCode(...bytes));
+  }
+
+  /**
+   * Check a BIP-137 signed message against an address
+   * Signatures with a compressed P2PKH header are also accepted for segwit addresses, as several wallets produce them
+   */
+  static verifyMessage(message: string | Uint8Array, address: string, signature: string): boolean {
+    try {
+      const bytes = Uint8Array.from(atob(signature), char => char.charCodeAt(0));
+      if (bytes.length !== 65 || bytes[0] < 27 || bytes[0] > 42) {
+        return false;
+      }
+      const header = bytes[0];
+      const recoveryId = (header - 27) % 4;
+      const compressed = header >= 31;
+      const publicKey = secp256k1.Signature.fromCompact(bytes.slice(1))
+        .addRecoveryBit(recoveryId)
+        .recoverPublicKey(BitcoinUtils.hashMessage(message))
+        .toRawBytes(compressed);
+
+      let types: BitcoinAddressType[];
+      if (header >= 39) {
+        types = ['p2wpkh'];
+      } else if (header >= 35) {
+        types = ['p2sh-p2wpkh'];
+      } else if (header >= 31) {
+        types = ['p2pkh', 'p2wpkh', 'p2sh-p2wpkh'];
+      } else {
+        // Uncompressed keys only have legacy addresses
+        const params = Object.values(BITCOIN_NETWORKS);
+        return params.some(network => BitcoinUtils.encodeBase58Check(network.pubKeyHash, BitcoinUtils.hash160(publicKey)) === address);
+      }
+
+      const networks = Object.keys(BITCOIN_NETWORKS) as BitcoinNetwork[];
+      return types.some(type => networks.some(network => BitcoinUtils.getAddress(publicKey, type, network) === address));
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Bitcoin CompactSize unsigned integer
+   */
+  static encodeVarInt(value: number): Uint8Array {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new Error(`Invalid varint ${value}`);
+    }
+    if (value < 0xfd) {
+      return new Uint8Array([value]);
+    }
+    if (value <= 0xffff) {
+      return new Uint8Array([0xfd, value & 0xff, value >> 8]);
+    }
+    const size = value <= 0xffffffff ? 4 : 8;
+    const bytes = new Uint8Array(size + 1);
+    bytes[0] = size === 4 ? 0xfe : 0xff;
+    let remaining = BigInt(value);
+    for (let i = 1; i <= size; i++) {
+      bytes[i] = Number(remaining & 0xffn);
+      remaining >>= 8n;
+    }
+    return bytes;
+  }
+
+  private static networkParams(network: BitcoinNetwork): NetworkParams {
+    const params = BITCOIN_NETWORKS[network];
+    if (!params) {
+      throw new Error(`Unknown Bitcoin network ${network}`);
+    }
+    return params;
+  }
+
+  private static encodeBase58Check(version: number, payload: Uint8Array): string {
+    const data = new Uint8Array([version, ...payload]);
+    const bytes = new Uint8Array([...data, ...BitcoinUtils.sha256d(data).slice(0, 4)]);
+
+    let value = bytes.reduce((acc, byte) => (acc << 8n) | BigInt(byte), 0n);
+    let encoded = '';
+    while (value > 0n) {
+      encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+      value /= 58n;
+    }
+    for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+      encoded = '1' + encoded;
+    }
+    return encoded;
+  }
+
+  /**
+   * BIP-173 bech32 address of a version 0 witness program
+   */
+  private static encodeSegwitAddress(hrp: string, version: number, program: Uint8Array): string {
+    const data = [version, ...BitcoinUtils.convertBits(program, 8, 5)];
+    const checksum = BitcoinUtils.bech32Checksum(hrp, data);
+    return `${hrp}1${[...data, ...checksum].map(value => BECH32_ALPHABET[value]).join('')}`;
+  }
+
+  private static bech32Checksum(hrp: string, data: number[]): number[] {
+    const values = [
+      ...Array.from(hrp, char => char.charCodeAt(0) >> 5),
+      0,
+      ...Array.from(hrp, char => char.charCodeAt(0) & 31),
+      ...data,
+      0, 0, 0, 0, 0, 0
+    ];
+    const polymod = BitcoinUtils.bech32Polymod(values) ^ 1;
+    return Array.from({ length: 6 }, (_, i) => (polymod >> (5 * (5 - i))) & 31);
+  }
+
+  private static bech32Polymod(values: number[]): number {
+    const generator = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+    let checksum = 1;
+    for (const value of values) {
+      const top = checksum >> 25;
+      checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+      for (let i = 0; i < 5; i++) {
+        if ((top >> i) & 1) {
+          checksum ^= generator[i];
+        }
+      }
+    }
+    return checksum;
+  }
+
+  private static convertBits(data: Uint8Array, from: number, to: number): number[] {
+    let accumulator = 0;
+    let bits = 0;
+    const result: number[] = [];
+    const mask = (1 << to) - 1;
+    const maxAccumulator = (1 << (from + to - 1)) - 1;
+    for (const value of data) {
+      accumulator = ((accumulator << from) | value) & maxAccumulator;
+      bits += from;
+      while (bits >= to) {
+        bits -= to;
+        result.push((accumulator >> bits) & mask);
+      }
+    }
+    if (bits > 0) {
+      result.push((accumulator << (to - bits)) & mask);
+    }
+    return result;
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * Message Envelope
+ *
+ * Encrypted message content travels as base64 of
+ *   version (1) | algorithm (1) | key id (8) | iv (12) | ciphertext with GCM tag
+ *
+ * The header and the routing fields of the message (group_id, from_id, to_id,
+ * round) are the AES-GCM associated data, so ciphertext cut from one message
+ * does not decrypt in another round, for another recipient or in another group.
+ * The version byte lets a receiver tell a legacy unversioned payload or a newer
+ * format apart from a corrupted one and fail with a clear error.
+ */
+
+import { sha256 } from '@noble/hashes/sha2';
+import { DeFiShArdError } from '../errors';
+import { ErrorType, ProtocolMessage } from '../types';
+import { hexToBytes, bytesToHex } from '../utils/hex';
+
+export const ENVELOPE_VERSION = 1;
+export const ENVELOPE_ALG_AES_256_GCM = 1;
+
+const KEY_ID_LENGTH = 8;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = 2 + KEY_ID_LENGTH;
+const KEY_ID_DOMAIN = 'defishard/key-id/v1';
+const AAD_DOMAIN = 'defishard/envelope/v1';
+
+// Message fields bound into the associated data
+export type EnvelopeContext = Pick<ProtocolMessage, 'group_id' | 'from_id' | 'to_id' | 'round'>;
+
+export interface EnvelopeHeader {
+  version: number;
+  algorithm: number;
+  keyId: string; // Hex key id of the key the content was encrypted with
+}
+
+/**
+ * Versioned AES-256-GCM envelopes for message content
+ */
+export class EnvelopeUtils {
+  /**
+   * Compute the id of a raw AES key (first 8 bytes of a domain-separated SHA-256)
+   * The id names the key without revealing it, so receivers can tell a wrong key from tampering
+   */
+  static computeKeyId(rawKey: Uint8Array): string {
+    const domain = new TextEncoder().encode(KEY_ID_DOMAIN);
+    const input = new Uint8Array(domain.length + rawKey.length);
+    input.set(domain, 0);
+    input.set(rawKey, domain.length);
+    return bytesToHex(sha256(input).subarray(0, KEY_ID_LENGTH));
+  }
+
+  /**
+   * Encrypt content into an envelope bound to the message it travels in
+   *
+   * @param content - Plaintext content
+   * @param key - AES-256-GCM key
+   * @param keyId - Id of the key (computeKeyId)
+   * @param context - Message the envelope belongs to
+   * @returns Base64 envelope
+   */
+  static async seal(content: string, key: CryptoKey, keyId: string, context: EnvelopeContext): Promise<string> {
+    const header = new Uint8Array(HEADER_LENGTH);
+    header[0] = ENVELOPE_VERSION;
+    header[1] = ENVELOPE_ALG_AES_256_GCM;
+    header.set(hexToBytes(keyId), 2);
+
+    const iv = (globalThis.crypto || crypto).getRandomValues(new Uint8Array(IV_LENGTH));
+    const encrypted = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: EnvelopeUtils.associatedData(header, context) as unknown as ArrayBuffer },
+      key,
+      new TextEncoder().encode(content)
+    );
+
+    const envelope = new Uint8Array(HEADER_LENGTH + IV_LENGTH + encrypted.byteLength);
+    envelope.set(header, 0);
+    envelope.set(iv, HEADER_LENGTH);
+    envelope.set(new Uint8Array(encrypted), HEADER_LENGTH + IV_LENGTH);
+    return EnvelopeUtils.toBase64(envelope);
+  }
+
+  /**
+   * Decrypt an envelope, checking version, algorithm, key id and the message it travels in
+   *
+   * @param envelope - Base64 envelope
+   * @param key - AES-256-GCM key expected for this message
+   * @param keyId - Id of that key
+   * @param context - Message the envelope arrived in
+   * @returns Plaintext content
+   * @throws DeFiShArdError with code ENVELOPE_MALFORMED, ENVELOPE_VERSION, ENVELOPE_ALGORITHM, ENVELOPE_KEY or ENVELOPE_AUTH
+   */
+  static async open(envelope: string, key: CryptoKey, keyId: string, context: EnvelopeContext): Promise<string> {
+    const bytes = EnvelopeUtils.decode(envelope);
+    const header = EnvelopeUtils.readHeader(bytes);
+
+    if (header.keyId !== keyId) {
+      throw new DeFiShArdError(
+        ErrorType.VALIDATION_ERROR,
+        `Content is encrypted with key ${header.keyId}, expected ${keyId}`,
+        'ENVELOPE_KEY',
+        { header }
+      );
+    }
+
+    let decrypted: ArrayBuffer;
+    try {
+      decrypted = await crypto.subtle.decrypt(
+        {
+          name: 'AES-GCM',
+          iv: bytes.subarray(HEADER_LENGTH, HEADER_LENGTH + IV_LENGTH) as unknown as ArrayBuffer,
+          additionalData: EnvelopeUtils.associatedData(bytes.subarray(0, HEADER_LENGTH), context) as unknown as ArrayBuffer
+        },
+        key,
+        bytes.subarray(HEADER_LENGTH + IV_LENGTH) as unknown as ArrayBuffer
+      );
+    } catch (error) {
+      throw new DeFiShArdError(
+        ErrorType.VALIDATION_ERROR,
+        `Content does not authenticate for group ${context.group_id}, sender ${context.from_id.substring(0, 8)}, recipient ${context.to_id.substring(0, 8)} and round ${context.round}`,
+        'ENVELOPE_AUTH',
+        { cause: error }
+      );
+    }
+    return new TextDecoder().decode(decrypted);
+  }
+
+  /**
+   * Read the header of an envelope without decrypting it
+   *
+   * @throws DeFiShArdError for payloads that are not a supported envelope
+   */
+  static readHeader(bytes: Uint8Array): EnvelopeHeader {
+    if (bytes.length < HEADER_LENGTH + IV_LENGTH + TAG_LENGTH) {
+      throw new DeFiShArdError(ErrorType.VALIDATION_ERROR, `Envelope of ${bytes.length} bytes is too short`, 'ENVELOPE_MALFORMED');
+    }
+    const header: EnvelopeHeader = {
+      version: bytes[0],
+      algorithm: bytes[1],
+      keyId: bytesToHex(bytes.subarray(2, HEADER_LENGTH))
+    };
+    if (header.version !== ENVELOPE_VERSION) {
+      throw new DeFiShArdError(
+        ErrorType.VALIDATION_ERROR,
+        `Unsupported envelope version ${header.version} (this client reads version ${ENVELOPE_VERSION}); ` +
+          'the sender runs an incompatible client, either without versioned envelopes or newer than this one',
+        'ENVELOPE_VERSION',
+        { header }
+      );
+    }
+    if (header.algorithm !== ENVELOPE_ALG_AES_256_GCM) {
+      throw new DeFiShArdError(
+        ErrorType.VALIDATION_ERROR,
+        `Unsupported envelope algorithm ${header.algorithm}`,
+        'ENVELOPE_ALGORITHM',
+        { header }
+      );
+    }
+    return header;
+  }
+
+  /**
+   * Associated data: the header followed by the routing fields of the message
+   */
+  private static associatedData(header: Uint8Array, context: EnvelopeContext): Uint8Array {
+    const fields = new TextEncoder().encode(JSON.stringify([
+      AAD_DOMAIN,
+      context.group_id,
+      context.from_id,
+      context.to_id,
+      context.round
+    ]));
+    const aad = new Uint8Array(header.length + fields.length);
+    aad.set(header, 0);
+    aad.set(fields, header.length);
+    return aad;
+  }
+
+  private static decode(envelope: string): Uint8Array {
+    try {
+      const binary = atob(envelope);
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+      return bytes;
+    } catch {
+      throw new DeFiShArdError(ErrorType.VALIDATION_ERROR, 'Envelope is not valid base64', 'ENVELOPE_MALFORMED');
+    }
+  }
+
+  private static toBase64(bytes: Uint8Array): string {
+    let binary = '';
+    const chunkSize = 0x8000; // 32KB chunks to avoid stack overflow
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * Ethereum Transaction Utilities
+ *
+ * Builds what a node accepts from eth_sendRawTransaction: the RLP list of a
+ * legacy transaction (with EIP-155 chain id replay protection), or the type
+ * byte followed by the RLP list of an EIP-2930 (type 1) or EIP-1559 (type 2)
+ * transaction. The MPC ceremony signs the keccak-256 hash of the unsigned
+ * serialization; the low-S r, s and recovery id of its result complete the
+ * signed transaction.
+ */
+
+import { encodeRlp, integerToBytes, RlpInput } from '../utils/rlp';
+import { EthereumUtils } from './ethereum';
+import { hexToBytes, bytesToHex } from '../utils/hex';
+
+// Quantities as JSON-RPC sends them (0x hex), as decimal strings, numbers or bigints
+export type TransactionNumeric = number | bigint | string;
+
+export interface AccessListEntry {
+  address: string;
+  storageKeys: string[];       // 32-byte hex slots
+}
+
+/**
+ * Transaction fields, named as in eth_sendTransaction (gas, input) or ethers (gasLimit, data)
+ */
+export interface EthereumTransaction {
+  type?: number | string;                     // 0 legacy, 1 EIP-2930, 2 EIP-1559; inferred from the fields when absent
+  chainId?: TransactionNumeric;               // Required for typed transactions, EIP-155 protection for legacy ones
+  nonce: TransactionNumeric;
+  gasPrice?: TransactionNumeric;              // Legacy and EIP-2930
+  maxPriorityFeePerGas?: TransactionNumeric;  // EIP-1559
+  maxFeePerGas?: TransactionNumeric;          // EIP-1559
+  gasLimit?: TransactionNumeric;
+  gas?: TransactionNumeric;                   // Alias of gasLimit
+  to?: string | null;                         // Absent or null to create a contract
+  value?: TransactionNumeric;
+  data?: string | Uint8Array;                 // 0x hex call data
+  input?: string | Uint8Array;                // Alias of data
+  accessList?: AccessListEntry[];
+}
+
+// Low-S signature of the signing hash, e.g. a SignResult
+export interface TransactionSignature {
+  r: Uint8Array;
+  s: Uint8Array;
+  recoveryId: number;
+}
+
+const CURVE_HALF_ORDER = 0x7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0n;
+
+/**
+ * Serialization, signing hash and signed encoding of Ethereum transactions
+ */
+export class EthereumTransactionUtils {
+  /**
+   * Transaction type: the explicit type, else 2 with EIP-1559 fees, 1 with an access list, 0 otherwise
+   *
+   * @throws Error for an unsupported type
+   */
+  static getType(transaction: EthereumTransaction): 0 | 1 | 2 {
+    if (transaction.type !== undefined && transaction.type !== null) {
+      const type = Number(transaction.type);
+      if (type !== 0 && type !== 1 && type !== 2) {
+        throw new Error(`Unsupported transaction type ${transaction.type}`);
+      }
+      return type;
+    }
+    if (transaction.maxFeePerGas !== undefined || transaction.maxPriorityFeePerGas !== undefined) {
+      return 2;
+    }
+    return transaction.accessList !== undefined ? 1 : 0;
+  }
+
+  /**
+   * Unsigned serialization whose keccak-256 hash is signed
+   * Legacy transactions with a chain id append [chainId, 0, 0] (EIP-155)
+   *
+   * @throws Error for missing or invalid fields
+   */
+  static serializeUnsigned(transaction: EthereumTransaction): Uint8Array {
+    const type = EthereumTransactionUtils.getType(transaction);
+    const fields = EthereumTransactionUtils.fields(transaction, type);
+    if (type !== 0) {
+      return EthereumTransactionUtils.typed(type, encodeRlp(fields));
+    }
+    if (transaction.chainId === undefined || transaction.chainId === null) {
+      return encodeRlp(fields);
+    }
+    return encodeRlp([...fields, EthereumTransactionUtils.quantity(transaction.chainId, 'chainId'), 0, 0]);
+  }
+
+  /**
+   * Hash the MPC ceremony signs for a transaction
+   */
+  static signingHash(transaction: EthereumTransaction): Uint8Array {
+    return EthereumUtils.keccak256(EthereumTransactionUtils.serializeUnsigned(transaction));
+  }
+
+  /**
+   * Signed transaction as 0x hex, ready for eth_sendRawTransaction
+   * Legacy v is 27 + recovery id, or recovery id + 35 + 2 * chainId with a chain id; typed transactions carry the recovery id as yParity
+   *
+   * @throws Error for invalid fields or a high-S signature (rejected by nodes since EIP-2)
+   */
+  static serializeSigned(transaction: EthereumTransaction, signature: TransactionSignature): string {
+    if (signature.r.length !== 32 || signature.s.length !== 32) {
+      throw new Error('Signature r and s must be 32 bytes each');
+    }
+    if (signature.recoveryId !== 0 && signature.recoveryId !== 1) {
+      throw new Error(`Recovery id ${signature.recoveryId} cannot be encoded in a transaction`);
+    }
+    if (EthereumTransactionUtils.toBigInt(signature.s) > CURVE_HALF_ORDER) {
+      throw new Error('Transaction signatures must be low-S (EIP-2)');
+    }
+
+    const type = EthereumTransactionUtils.getType(transaction);
+    const fields = EthereumTransactionUtils.fields(transaction, type);
+    const r = EthereumTransactionUtils.stripZeros(signature.r);
+    const s = EthereumTransactionUtils.stripZeros(signature.s);
+
+    if (type !== 0) {
+      return '0x' + bytesToHex(EthereumTransactionUtils.typed(type, encodeRlp([...fields, signature.recoveryId, r, s])));
+    }
+    const v = transaction.chainId === undefined || transaction.chainId === null
+      ? BigInt(27 + signature.recoveryId)
+      : BigInt(signature.recoveryId + 35) + 2n * EthereumTransactionUtils.quantity(transaction.chainId, 'chainId');
+    return '0x' + bytesToHex(encodeRlp([...fields, v, r, s]));
+  }
+
+  /**
+   * Transaction hash (the id explorers show) of a signed transaction
+   */
+  static transactionHash(rawTransaction: string | Uint8Array): string {
+    const bytes = typeof rawTransaction === 'string' ? hexToBytes(rawTransaction) : rawTransaction;
+    return '0x' + bytesToHex(EthereumUtils.keccak256(bytes));
+  }
+
+  /**
+   * RLP fields of a transaction without chain id suffix or signature
+   */
+  private static fields(transaction: EthereumTransaction, type: 0 | 1 | 2): RlpInput[] {
+    if (!transaction || typeof transaction !== 'object') {
+      throw new Error('Transaction must be an object');
+    }
+    const q = (value: TransactionNumeric | undefined, name: string) =>
+      EthereumTransactionUtils.quantity(EthereumTransactionUtils.required(value, name), name);
+    const gasLimit = q(transaction.gasLimit ?? transaction.gas, 'gasLimit');
+    const to = EthereumTransactionUtils.address(transaction.to);
+    const value = EthereumTransactionUtils.quantity(transaction.value ?? 0, 'value');
+    const data = EthereumTransactionUtils.data(transaction.data ?? transaction.input);
+    const nonce = q(transaction.nonce, 'nonce');
+
+    if (type === 0) {
+      return [nonce, q(transaction.gasPrice, 'gasPrice'), gasLimit, to, value, data];
+    }
+    const chainId = q(transaction.chainId, 'chainId');
+    const accessList = EthereumTransactionUtils.accessList(transaction.accessList ?? []);
+    if (type === 1) {
+      return [chainId, nonce, q(transaction.gasPrice, 'gasPrice'), gasLimit, to, value, data, accessList];
+    }
+    return [
+      chainId,
+      nonce,
+      q(transaction.maxPriorityFeePerGas, 'maxPriorityFeePerGas'),
+      q(transaction.maxFeePerGas, 'maxFeePerGas'),
+      gasLimit,
+      to,
+      value,
+      data,
+      accessList
+    ];
+  }
+
+  private static required<T>(value: T | undefined, name: string): T {
+    if (value === undefined || value === null) {
+      throw new Error(`Transaction ${name} is missing`);
+    }
+    return value;
+  }
+
+  private static quantity(value: TransactionNumeric, name: string): bigint {
+    let result: bigint;
+    if (typeof value === 'bigint') {
+      result = value;
+    } else if (typeof value === 'number' && Number.isSafeInteger(value)) {
+      result = BigInt(value);
+    } else if (typeof value === 'string' && /^(\d+|0x[0-9a-fA-F]*)$/.test(value)) {
+      result = value === '0x' ? 0n : BigInt(value);
+    } else {
+      throw new Error(`Transaction ${name} ${String(value)} is not a valid quantity`);
+    }
+    if (result < 0n || integerToBytes(result).length > 32) {
+      throw new Error(`Transaction ${name} ${result} is out of range`);
+    }
+    return result;
+  }
+
+  private static address(to: string | null | undefined): Uint8Array {
+    if (to === undefined || to === null || to === '') {
+      return new Uint8Array(0);
+    }
+    if (!EthereumUtils.isValidAddress(to)) {
+      throw new Error(`Transaction to ${to} is not a valid address`);
+    }
+    return hexToBytes(to);
+  }
+
+  private static data(data: string | Uint8Array | undefined): Uint8Array {
+    if (data === undefined || data === null) {
+      return new Uint8Array(0);
+    }
+    if (data instanceof Uint8Array) {
+      return data;
+    }
+    if (!/^0x([0-9a-fA-F]{2})*$/.test(data)) {
+      throw new Error('Transaction data must be 0x hex');
+    }
+    return hexToBytes(data);
+  }
+
+  private static accessList(entries: AccessListEntry[]): RlpInput[] {
+    if (!Array.isArray(entries)) {
+      throw new Error('Transaction accessList must be an array');
+    }
+    return entries.map(entry => {
+      if (!entry || !EthereumUtils.isValidAddress(entry.address) || !Array.isArray(entry.storageKeys)) {
+        throw new Error('Access list entries need an address and storageKeys');
+      }
+      const keys = entry.storageKeys.map(key => {
+        if (typeof key !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(key)) {
+          throw new Error(`Access list storage key ${key} must be 32 bytes of 0x hex`);
+        }
+        return hexToBytes(key);
+      });
+      return [hexToBytes(entry.address), keys];
+    });
+  }
+
+  private static typed(type: number, payload: Uint8Array): Uint8Array {
+    const bytes = new Uint8Array(payload.length + 1);
+    bytes[0] = type;
+    bytes.set(payload, 1);
+    return bytes;
+  }
+
+  private static stripZeros(bytes: Uint8Array): Uint8Array {
+    let start = 0;
+    while (start < bytes.length && bytes[start] === 0) {
+      start++;
+    }
+    return bytes.slice(start);
+  }
+
+  private static toBigInt(bytes: Uint8Array): bigint {
+    return bytes.reduce((value, byte) => (value << 8n) | BigInt(byte), 0n);
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * Pairing Utilities
+ *
+ * A session QR code carries a short-lived pairing secret instead of a transport
+ * key. Once the relay starts the session every party broadcasts an ephemeral
+ * secp256k1 key with a MAC under the pairing secret, proving it saw the QR code.
+ * Each pair of parties derives a link key from ECDH between their ephemeral keys;
+ * it encrypts their point-to-point messages and wraps a random contribution that
+ * every party sends to every other. The broadcast key is derived from all
+ * contributions, so the transport keys depend on ephemeral secrets that are
+ * discarded after the handshake: a QR code leaked later reveals nothing.
+ *
+ * The session fingerprint is a short authentication string over the group, its
+ * participants and a commitment to the broadcast key. Parties paired with a
+ * spoofed QR code or through a relay in the middle end up with different keys,
+ * so comparing the 6 digits (or 4 emoji) between devices catches it.
+ */
+
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { hkdf } from '@noble/hashes/hkdf';
+import { hmac } from '@noble/hashes/hmac';
+import { sha256 } from '@noble/hashes/sha2';
+import { SessionFingerprint } from '../types';
+import { hexToBytes, bytesToHex } from '../utils/hex';
+
+export const PAIRING_SECRET_BYTES = 32;
+export const PAIRING_SECRET_TTL_MS = 10 * 60 * 1000; // QR codes stop working after 10 minutes
+
+const MAC_DOMAIN = 'defishard/pairing/mac/v1';
+const LINK_DOMAIN = 'defishard/pairing/link/v1';
+const GROUP_DOMAIN = 'defishard/pairing/group/v1';
+const COMMITMENT_DOMAIN = 'defishard/pairing/key-commitment/v1';
+const FINGERPRINT_DOMAIN = 'defishard/pairing/fingerprint/v1';
+
+// 64 easily told apart emoji, one per 6 bits of the fingerprint
+const FINGERPRINT_EMOJI = [
+  '🐶', '🐱', '🦁', '🐴', '🦄', '🐷', '🐘', '🐰', '🐼', '🐓', '🐧', '🐢', '🐟', '🐙', '🦋', '🌷',
+  '🌳', '🌵', '🍄', '🌏', '🌙', '☁️', '🔥', '🍌', '🍎', '🍓', '🌽', '🍕', '🎂', '❤️', '😀', '🤖',
+  '🎩', '👓', '🔧', '🎅', '👍', '☂️', '⌛', '⏰', '🎁', '💡', '📕', '✏️', '📎', '✂️', '🔒', '🔑',
+  '🔨', '☎️', '🏁', '🚂', '🚲', '✈️', '🚀', '🏆', '⚽', '🎸', '🎺', '🔔', '⚓', '🎧', '📁', '📌'
+];
+
+export interface EphemeralKeyPair {
+  privateKey: Uint8Array;
+  publicKey: string; // Hex compressed public key
+}
+
+// Keys two parties share after the handshake
+export interface LinkKeys {
+  p2pKey: Uint8Array;  // Encrypts their point-to-point protocol messages
+  wrapKey: Uint8Array; // Wraps the group key contributions they exchange
+}
+
+/**
+ * Pairing secret and handshake key derivation
+ */
+export class PairingUtils {
+  /**
+   * Generate a pairing secret for a session QR code
+   *
+   * @returns Base64 encoded secret
+   */
+  static generatePairingSecret(): string {
+    const secret = crypto.getRandomValues(new Uint8Array(PAIRING_SECRET_BYTES));
+    return btoa(String.fromCharCode(...secret));
+  }
+
+  /**
+   * Decode a base64 pairing secret
+   */
+  static decodePairingSecret(secret: string | Uint8Array): Uint8Array {
+    const bytes = typeof secret === 'string' ? Uint8Array.from(atob(secret), c => c.charCodeAt(0)) : secret;
+    if (bytes.length !== PAIRING_SECRET_BYTES) {
+      throw new Error(`Pairing secret must be ${PAIRING_SECRET_BYTES} bytes`);
+    }
+    return bytes;
+  }
+
+  /**
+   * Generate the ephemeral key a party uses for one handshake
+   */
+  static generateEphemeral(): EphemeralKeyPair {
+    const privateKey = secp256k1.utils.randomPrivateKey();
+    return { privateKey, publicKey: bytesToHex(secp256k1.getPublicKey(privateKey, true)) };
+  }
+
+  /**
+   * MAC over a party's ephemeral key, showing it holds the pairing secret of this session
+   *
+   * @returns Hex HMAC-SHA256
+   */
+  static computeHelloMac(secret: Uint8Array, sessionId: string, partyId: string, ephemeralKey: string): string {
+    const macKey = hkdf(sha256, secret, PairingUtils.utf8(sessionId), PairingUtils.utf8(MAC_DOMAIN), 32);
+    const transcript = PairingUtils.utf8(JSON.stringify([MAC_DOMAIN, sessionId, partyId, ephemeralKey]));
+    return bytesToHex(hmac(sha256, macKey, transcript));
+  }
+
+  /**
+   * Check a hello MAC in constant time
+   */
+  static verifyHelloMac(secret: Uint8Array, sessionId: string, partyId: string, ephemeralKey: string, mac: string): boolean {
+    const expected = PairingUtils.computeHelloMac(secret, sessionId, partyId, ephemeralKey);
+    if (typeof mac !== 'string' || mac.length !== expected.length) {
+      return false;
+    }
+    let diff = 0;
+    for (let i = 0; i < expected.length; i++) {
+      diff |= expected.charCodeAt(i) ^ mac.charCodeAt(i);
+    }
+    return diff === 0;
+  }
+
+  /**
+   * Derive the keys two parties share from their ephemeral keys
+   * Both sides get the same keys: the party IDs are ordered and the pairing secret salts the HKDF
+   *
+   * @param ephemeral - Our ephemeral key pair
+   * @param peerEphemeralKey - Hex ephemeral public key of the peer
+   * @param secret - Pairing secret of the session
+   * @param sessionId - Session id both parties derived for the run
+   * @param partyId - Our party ID
+   * @param peerPartyId - Party ID of the peer
+   */
+  static deriveLinkKeys(
+    ephemeral: EphemeralKeyPair,
+    peerEphemeralKey: string,
+    secret: Uint8Array,
+    sessionId: string,
+    partyId: string,
+    peerPartyId: string
+  ): LinkKeys {
+    const sharedSecret = secp256k1.getSharedSecret(ephemeral.privateKey, hexToBytes(peerEphemeralKey), true).slice(1);
+    const salt = hmac(sha256, secret, PairingUtils.utf8(sessionId));
+    const [first, second] = [partyId, peerPartyId].sort();
+    const okm = hkdf(sha256, sharedSecret, salt, PairingUtils.utf8(`${LINK_DOMAIN}:${first}:${second}`), 64);
+    sharedSecret.fill(0);
+    return { p2pKey: okm.slice(0, 32), wrapKey: okm.slice(32, 64) };
+  }
+
+  /**
+   * Derive the broadcast key from every participant's contribution
+   *
+   * @param contributions - Random contribution of each participant, by party ID (including ours)
+   * @param ephemeralKeys - Ephemeral public key of each participant, by party ID (including ours)
+   * @param sessionId - Session id both parties derived for the run
+   */
+  static deriveGroupKey(
+    contributions: Map<string, Uint8Array>,
+    ephemeralKeys: Map<string, string>,
+    sessionId: string
+  ): Uint8Array {
+    const parties = Array.from(contributions.keys()).sort();
+    const ikm = new Uint8Array(parties.length * PAIRING_SECRET_BYTES);
+    parties.forEach((partyId, i) => ikm.set(contributions.get(partyId)!, i * PAIRING_SECRET_BYTES));
+    const transcript = JSON.stringify([GROUP_DOMAIN, parties.map(partyId => [partyId, ephemeralKeys.get(partyId)])]);
+    const key = hkdf(sha256, ikm, PairingUtils.utf8(sessionId), PairingUtils.utf8(transcript), 32);
+    ikm.fill(0);
+    return key;
+  }
+
+  /**
+   * Commit to a transport key without revealing it
+   *
+   * @returns Hex SHA-256 of the domain-separated key
+   */
+  static computeKeyCommitment(key: Uint8Array): string {
+    const domain = PairingUtils.utf8(COMMITMENT_DOMAIN);
+    const input = new Uint8Array(domain.length + key.length);
+    input.set(domain, 0);
+    input.set(key, domain.length);
+    return bytesToHex(sha256(input));
+  }
+
+  /**
+   * Compute the short authentication string of a session
+   * Every party of the same session gets the same value; a spoofed session gives another one
+   *
+   * @param groupId - Group of the session
+   * @param participants - Party IDs taking part (any order)
+   * @param key - Broadcast key of the session
+   */
+  static computeSessionFingerprint(groupId: string, participants: string[], key: Uint8Array): SessionFingerprint {
+    const sorted = participants.map(partyId => partyId.toLowerCase()).sort();
+    const keyCommitment = PairingUtils.computeKeyCommitment(key);
+    const digest = sha256(PairingUtils.utf8(JSON.stringify([FINGERPRINT_DOMAIN, groupId, sorted, keyCommitment])));
+
+    // 4 emoji of 6 bits each from the first 3 bytes, the digits from the next 4
+    const bits = (digest[0] << 16) | (digest[1] << 8) | digest[2];
+    const emoji = [18, 12, 6, 0].map(shift => FINGERPRINT_EMOJI[(bits >> shift) & 0x3f]);
+    const value = ((digest[3] << 24) | (digest[4] << 16) | (digest[5] << 8) | digest[6]) >>> 0;
+    const digits = (value % 1000000).toString().padStart(6, '0');
+
+    return { digits, emoji, groupId, participants: sorted, keyCommitment };
+  }
+
+  private static utf8(text: string): Uint8Array {
+    return new TextEncoder().encode(text);
+  }
+}
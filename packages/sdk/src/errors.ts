@@ -0,0 +1,29 @@
+import { ErrorType, SDKError } from './types';
+
+/**
+ * Typed error raised by the promise-based SDK API
+ */
+export class DeFiShArdError extends Error implements SDKError {
+  type: ErrorType;
+  code?: string;
+  details?: any;
+
+  constructor(type: ErrorType, message: string, code?: string, details?: any) {
+    super(message);
+    this.name = 'DeFiShArdError';
+    this.type = type;
+    this.code = code;
+    this.details = details;
+  }
+
+  /**
+   * Wrap an arbitrary error, passing DeFiShArdError instances through unchanged
+   */
+  static from(error: unknown, type: ErrorType, code?: string): DeFiShArdError {
+    if (error instanceof DeFiShArdError) {
+      return error;
+    }
+    const message = error instanceof Error ? error.message : String(error);
+    return new DeFiShArdError(type, message, code, { cause: error });
+  }
+}
@@ -5,6 +5,7 @@
 
 // Re-export the main SDK class
 export { DeFiShArdSDK } from './core/SDK';
+export { DeFiShArdError } from './errors';
 
 // Re-export types
 export type { 
@@ -12,16 +13,100 @@ export type {
   RegistrationResult, 
   GroupResult, 
   ProtocolMessage,
-  KeyShare 
+  KeyShare,
+  SessionCheckpoint,
+  KeygenOptions,
+  SignOptions,
+  SignResult,
+  EthereumSignResult,
+  EthereumTransactionSignResult,
+  BitcoinNetwork,
+  BitcoinAddressType,
+  BitcoinAddressOptions,
+  BitcoinMessageSignOptions,
+  BitcoinMessageSignResult,
+  PsbtSignOptions,
+  PsbtSignResult,
+  SigningOptions,
+  VerifySignatureOptions,
+  RoundTimeoutInfo,
+  MissingParty,
+  ProgressEvent,
+  MisbehaviorReport,
+  ReconnectOptions,
+  ReconnectEvent,
+  MessageRejectedEvent,
+  SessionFingerprint,
+  SessionInvitation,
+  MessageRejectionReason
 } from './types';
 
 // Re-export core components for advanced usage
 export { ApiClient } from './api';
 export { WebSocketManager } from './websocket';
+export { BaseTransport } from './transport/base-transport';
+export { LoopbackHub, InMemoryTransport, LoopbackApiClient } from './transport/in-memory';
+export { BatchTransport, MESSAGE_BATCH_VERSION } from './transport/batch-transport';
+export type { MessageBatch, BatchTransportOptions, BatchReceivedEvent } from './transport/batch-transport';
+export { QRTransport } from './transport/qr-transport';
+export type { QRTransportOptions, QRBatchUpdatedEvent } from './transport/qr-transport';
+export { BundleTransport, BUNDLE_FORMAT, BUNDLE_VERSION } from './transport/bundle-transport';
+export type { MessageBundle, BundleTransportOptions, BundleReadyEvent, BundleImportResult } from './transport/bundle-transport';
+export type { Transport } from './transport/interface';
 export { EventEmitter } from './events';
 export { KeygenProcessor } from './protocols/keygen-processor';
 export { SignProcessor } from './protocols/sign-processor';
 export { BaseProcessor } from './protocols/base-processor';
+export { Bip32Utils } from './crypto/bip32';
+export { IdentityUtils, IDENTITY_STORAGE_KEY } from './crypto/identity';
+export type { PartyIdentity, RegistrationProof } from './crypto/identity';
+export { EnvelopeUtils, ENVELOPE_VERSION } from './crypto/envelope';
+export type { EnvelopeHeader, EnvelopeContext } from './crypto/envelope';
+export { PairingUtils, PAIRING_SECRET_BYTES, PAIRING_SECRET_TTL_MS } from './crypto/pairing';
+export type { EphemeralKeyPair, LinkKeys } from './crypto/pairing';
+export { SignatureUtils } from './crypto/signature';
+export type { FormattedSignature, RecoverableSignature, VerifiableSignature } from './crypto/signature';
+export { EthereumUtils } from './crypto/ethereum';
+export type { TypedData, TypedDataField } from './crypto/ethereum';
+export { EthereumTransactionUtils } from './crypto/ethereum-transaction';
+export type { EthereumTransaction, TransactionNumeric, AccessListEntry, TransactionSignature } from './crypto/ethereum-transaction';
+export { BitcoinUtils, BITCOIN_NETWORKS } from './crypto/bitcoin';
+export { PsbtUtils, SIGHASH_ALL, SIGHASH_NONE, SIGHASH_SINGLE, SIGHASH_ANYONECANPAY } from './crypto/bitcoin-psbt';
+export type {
+  Psbt,
+  PsbtInput,
+  PsbtOutput,
+  PsbtSigningRequest,
+  PsbtBip32Derivation,
+  PsbtPartialSignature,
+  PsbtKeyValue,
+  BitcoinTransaction,
+  BitcoinTxInput,
+  BitcoinTxOutput
+} from './crypto/bitcoin-psbt';
+export {
+  createInvitation,
+  verifyInvitation,
+  parseQRCode,
+  QR_CODE_VERSION,
+  INVITATION_CLOCK_SKEW_MS,
+  USED_INVITATIONS_STORAGE_KEY,
+  INVITATION_SESSIONS_STORAGE_KEY
+} from './utils/qrcode';
+export type { QRCodeData, QRCodeParseResult, InvitationFields, InvitationVerifyOptions } from './utils/qrcode';
+export {
+  encodeInvitationLink,
+  decodeInvitationLink,
+  isInvitationLink,
+  INVITATION_LINK_SCHEME,
+  INVITATION_LINK_VERSION
+} from './utils/invitation-link';
+export { encodeCbor, decodeCbor } from './utils/cbor';
+export type { CborValue } from './utils/cbor';
+export { encodeRlp, decodeRlp } from './utils/rlp';
+export type { RlpInput, RlpValue } from './utils/rlp';
+export { FountainEncoder, FountainDecoder, encodeFrame, decodeFrame, crc32 } from './utils/fountain';
+export type { FountainPart } from './utils/fountain';
 
 // Re-export storage adapters
 export { 
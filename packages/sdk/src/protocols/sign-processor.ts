@@ -1,6 +1,9 @@
 import { SignSession, Message, Keyshare } from '../../pkg/dkls_wasm_ll.js';
-import { ProtocolMessage, GroupInfo } from '../types';
+import { ProtocolMessage, GroupInfo, SessionType, ProcessorCheckpoint, ErrorType } from '../types';
 import { BaseProcessor, BaseProcessorConfig } from './base-processor';
+import { DeFiShArdError } from '../errors';
+import { Bip32Utils } from '../crypto/bip32';
+import { SignatureUtils } from '../crypto/signature';
 
 export interface SignProcessorConfig extends BaseProcessorConfig {
   keyShare: Keyshare;
@@ -10,15 +13,21 @@ export interface SignProcessorConfig extends BaseProcessorConfig {
 
 export interface SignProcessorEvents {
   'round-complete': (round: number, messages: ProtocolMessage[]) => void;
-  'signing-complete': (signature: [Uint8Array, Uint8Array]) => void;
+  'signing-complete': (signature: [Uint8Array, Uint8Array], derivation: SignDerivation) => void;
   'error': (error: Error) => void;
 }
 
+export interface SignDerivation {
+  derivationPath: string;
+  publicKey: Uint8Array; // Compressed public key the signature verifies against
+}
+
 export class SignProcessor extends BaseProcessor {
   private session: SignSession | null = null;
   private partialSignature: Message | null = null;
   private finalSignature: [Uint8Array, Uint8Array] | null = null;
   private signConfig: SignProcessorConfig;
+  private derivation: SignDerivation | null = null;
 
   constructor(config: SignProcessorConfig) {
     super(config);
@@ -30,9 +39,11 @@ export class SignProcessor extends BaseProcessor {
    */
   async initialize(): Promise<void> {
     try {
+      // Derive before SignSession takes ownership of the keyshare
+      this.derivation = this.deriveSigningKey();
       this.session = new SignSession(
         this.signConfig.keyShare,
-        this.signConfig.derivationPath || 'm',
+        this.derivation.derivationPath,
         undefined
       );
       
@@ -43,6 +54,76 @@ export class SignProcessor extends BaseProcessor {
     }
   }
 
+  /**
+   * Restore a sign session from a checkpoint instead of calling initialize()
+   */
+  async restore(checkpoint: ProcessorCheckpoint): Promise<void> {
+    try {
+      this.derivation = this.deriveSigningKey();
+      if (checkpoint.finalSignature) {
+        // Signatures already combined, only waiting for END from the server
+        this.finalSignature = [
+          new Uint8Array(checkpoint.finalSignature[0]),
+          new Uint8Array(checkpoint.finalSignature[1])
+        ];
+      }
+      if (checkpoint.session) {
+        this.session = SignSession.fromBytes(this.base64ToBytes(checkpoint.session));
+      }
+      if (checkpoint.partialSignature) {
+        const { payload, from_id, to_id } = checkpoint.partialSignature;
+        this.partialSignature = new Message(this.base64ToBytes(payload), from_id, to_id);
+      }
+      if (!this.session && !this.finalSignature) {
+        throw new Error('Checkpoint contains neither session nor signature');
+      }
+      this.restoreCheckpoint(checkpoint);
+    } catch (error) {
+      this.emit('error', new Error(`Failed to restore signing session: ${error}`));
+      throw error;
+    }
+  }
+
+  /**
+   * Compute the child public key for the configured derivation path
+   */
+  private deriveSigningKey(): SignDerivation {
+    const derivationPath = this.signConfig.derivationPath || 'm';
+    const { publicKey } = Bip32Utils.deriveChildPublicKey(
+      this.signConfig.keyShare.publicKey,
+      this.signConfig.keyShare.rootChainCode,
+      derivationPath
+    );
+    return { derivationPath, publicKey };
+  }
+
+  /**
+   * Get the derivation path and derived public key of this signing session
+   */
+  getDerivation(): SignDerivation | null {
+    return this.derivation;
+  }
+
+  /**
+   * Checkpoint round state together with the WASM session bytes
+   */
+  override createCheckpoint(): ProcessorCheckpoint {
+    const checkpoint = super.createCheckpoint();
+    if (this.finalSignature) {
+      checkpoint.finalSignature = [Array.from(this.finalSignature[0]), Array.from(this.finalSignature[1])];
+    } else if (this.session) {
+      checkpoint.session = this.bytesToBase64(this.session.toBytes());
+    }
+    if (this.partialSignature) {
+      checkpoint.partialSignature = {
+        payload: this.bytesToBase64(this.partialSignature.payload),
+        from_id: this.partialSignature.from_id,
+        to_id: this.partialSignature.to_id
+      };
+    }
+    return checkpoint;
+  }
+
   /**
    * Handle start round (round 0)
    */
@@ -100,9 +181,7 @@ export class SignProcessor extends BaseProcessor {
         try {
           responseMessages = this.session.handleMessages(wasmMessages);
         } catch (error) {
-          const errorMessage = `WASM processing failed in round ${round}: ${error}`;
-          this.emit('error', new Error(errorMessage));
-          throw error;
+          throw this.createRoundFailure(round, error);
         }
       }
 
@@ -152,10 +231,20 @@ export class SignProcessor extends BaseProcessor {
           
           // All parties should combine signatures to get the final result
           // Our own partial signature is handled internally by the WASM session
-          const finalSignature = this.session.combine(otherPartialSignatures);
+          const finalSignature = this.session.combine(otherPartialSignatures) as [Uint8Array, Uint8Array];
+
+          // A combined signature that does not verify must never be reported as a success
+          if (!SignatureUtils.verify(this.signConfig.messageHash, finalSignature, this.derivation!.publicKey)) {
+            throw new DeFiShArdError(
+              ErrorType.PROTOCOL_ERROR,
+              `Combined signature does not verify against the public key of ${this.derivation!.derivationPath}`,
+              'SIGNATURE_INVALID',
+              { round, derivationPath: this.derivation!.derivationPath }
+            );
+          }
           
           // Store the final signature until END message is received from server
-          this.finalSignature = finalSignature as [Uint8Array, Uint8Array];
+          this.finalSignature = finalSignature;
           
           // Send DONE message to server (unencrypted status message)
           const doneMessage = {
@@ -180,9 +269,7 @@ export class SignProcessor extends BaseProcessor {
           
           return [doneMessage];
         } catch (error) {
-          const errorMessage = `Failed to complete signing in round ${round}: ${error}`;
-          this.emit('error', new Error(errorMessage));
-          throw error;
+          throw error instanceof DeFiShArdError ? error : this.createRoundFailure(round, error);
         }
       }
 
@@ -211,6 +298,10 @@ export class SignProcessor extends BaseProcessor {
       return protocolResponses;
 
     } catch (error) {
+      // Typed failures are reported once by BaseProcessor.processMessage
+      if (error instanceof DeFiShArdError) {
+        throw error;
+      }
       const errorMessage = `Failed to process round ${round}: ${error}`;
       this.emit('error', new Error(errorMessage));
       throw error;
@@ -261,6 +352,17 @@ export class SignProcessor extends BaseProcessor {
     }
   }
 
+  /**
+   * After round 1 only the parties that joined this signing are expected to deliver
+   */
+  protected override getExpectedSenders(round: number): string[] {
+    const firstRound = this.roundStates.get(1);
+    if (round > 1 && firstRound && firstRound.processed) {
+      return Array.from(new Set(firstRound.messages.map(msg => msg.from_id)));
+    }
+    return super.getExpectedSenders(round);
+  }
+
   /**
    * Get processor name for logging
    */
@@ -275,6 +377,20 @@ export class SignProcessor extends BaseProcessor {
     return 'signing';
   }
 
+  /**
+   * Number of message rounds before the signature is combined
+   */
+  protected getTotalRounds(): number {
+    return 4;
+  }
+
+  /**
+   * Get protocol type for events
+   */
+  protected getProtocol(): SessionType {
+    return 'sign';
+  }
+
   /**
    * Get WASM message class
    */
@@ -315,10 +431,11 @@ export class SignProcessor extends BaseProcessor {
         
         // Mark as complete regardless of status
         this.isComplete = true;
+        this.clearTimers();
         
         // Emit completion event with status
         if (this.finalSignature) {
-          this.emit('signing-complete', this.finalSignature);
+          this.emit('signing-complete', this.finalSignature, this.derivation);
           this.finalSignature = null; // Clear it after emission
         }
         
@@ -0,0 +1,589 @@
+/**
+ * Base Transport for DeFiShard SDK
+ *
+ * Implements the message pipeline shared by all transports: content encryption
+ * in versioned AES-256-GCM envelopes bound to the message, session binding with sequence numbers and
+ * message ids, sender signatures with the party identity key, loop prevention
+ * and message validation. Subclasses only move ProtocolMessages in and out of
+ * their channel.
+ *
+ * The shared AES key only keeps outsiders out: every party holding it could
+ * write any from_id. Within a session each peer message is therefore signed by
+ * its sender and verified against the group member list before it is emitted,
+ * and point-to-point messages are encrypted with a key only the two parties can
+ * derive (ECDH between their identity keys, or the link keys of a pairing
+ * handshake); the group key covers broadcasts. While a pairing handshake runs,
+ * peer messages of later rounds are held until its keys are installed.
+ */
+
+import { ProtocolMessage, MessageRejectedEvent, MessageRejectionReason } from '../types';
+import { EventEmitter } from '../events';
+import { MessageBinding, computeMessageId, messageSignaturePayload } from '../utils/message-id';
+import { IdentityUtils, PartyIdentity } from '../crypto/identity';
+import { EnvelopeUtils } from '../crypto/envelope';
+import { DeFiShArdError } from '../errors';
+import { Transport } from './interface';
+
+// An AES key with the id envelopes name it by
+interface ContentKey {
+  key: CryptoKey;
+  keyId: string;
+}
+
+export abstract class BaseTransport extends EventEmitter implements Transport {
+  protected debug: boolean;
+  protected ownPartyId: string | null = null; // Track our own party ID for loop prevention
+  protected groupId: string | null = null; // Group of the connected channel
+
+  // Encryption state
+  private cryptoKey: ContentKey | null = null; // Group key from the QR code, used for broadcasts
+  private rawKeyBase64: string | null = null; // Kept so session checkpoints can restore the key
+  private isEncrypting = false; // Guard against recursive encryption
+  protected readonly SERVER_ID = '00000000000000000000000000000000000000000000000000000000000000000000';
+
+  // Replay protection state of the active protocol session
+  private sessionId: string | null = null;
+  private sendSequence = 0; // Last sequence number we assigned
+  private lastSeenSequence: Map<string, number> = new Map(); // Highest sequence number seen per sender
+
+  // Sender authentication and pairwise encryption
+  protected identity: PartyIdentity | null = null; // Signs our messages
+  private groupMembers: Set<string> | null = null; // Party IDs allowed to send in the session
+  private pairwiseKeys: Map<string, Promise<ContentKey>> = new Map(); // Session keys shared with each peer
+  private heldMessages: ProtocolMessage[] | null = null; // Received while the session keys are being exchanged
+
+  constructor(debug: boolean = false) {
+    super();
+    this.debug = debug;
+  }
+
+  abstract connect(groupId: string, protocol: string, apiKey: string): Promise<void>;
+  abstract disconnect(): Promise<void>;
+  abstract isConnected(): boolean;
+
+  /**
+   * Hand a prepared (stamped and encrypted) message to the channel
+   */
+  protected abstract deliver(message: ProtocolMessage): Promise<void>;
+
+  /**
+   * Send a protocol message
+   */
+  async send(message: ProtocolMessage): Promise<void> {
+    // Create a copy of the message to avoid modifying the original
+    let messageToSend: ProtocolMessage = { ...message };
+
+    // Stamp our messages with the session binding
+    if (this.sessionId && messageToSend.from_id !== this.SERVER_ID) {
+      const bound = { ...messageToSend, session_id: this.sessionId, seq: ++this.sendSequence };
+      messageToSend = { ...bound, message_id: computeMessageId(bound) };
+    }
+
+    // Sign our messages with the identity key, within a session peers reject anything unsigned
+    if (messageToSend.from_id !== this.SERVER_ID) {
+      if (this.identity) {
+        if (messageToSend.from_id !== this.identity.partyId) {
+          throw new Error(`Cannot sign a message from ${messageToSend.from_id} with identity ${this.identity.partyId}`);
+        }
+        messageToSend.signature = IdentityUtils.sign(this.identity, messageSignaturePayload(messageToSend));
+      } else if (this.sessionId) {
+        throw new Error('No party identity set: register before running a protocol');
+      }
+    }
+
+    // Encrypt content if encryption is enabled
+    if (this.shouldEncryptMessage(messageToSend)) {
+      try {
+        const key = await this.getContentKey(messageToSend, messageToSend.to_id);
+        messageToSend.content = await this.encryptContent(this.sealContent(messageToSend), key, messageToSend);
+      } catch (error) {
+        console.error(`[${this.getTransportName()}] Failed to encrypt message:`, error);
+        throw error;
+      }
+    }
+
+    await this.deliver(messageToSend);
+  }
+
+  /**
+   * Send a protocol message (alias of send, kept for existing callers)
+   */
+  async sendMessage(message: ProtocolMessage): Promise<void> {
+    return this.send(message);
+  }
+
+  /**
+   * Register a handler for received protocol messages
+   */
+  onMessage(handler: (message: ProtocolMessage) => void): void {
+    this.on('message', handler);
+  }
+
+  /**
+   * Set own party ID for loop prevention
+   */
+  setOwnPartyId(partyId: string): void {
+    this.ownPartyId = partyId;
+    if (this.debug) {
+      console.log(`[${this.getTransportName()}] 🆔 Set own party ID: ${partyId}`);
+    }
+  }
+
+  /**
+   * Set the identity that signs our messages
+   */
+  setIdentity(identity: PartyIdentity): void {
+    this.identity = identity;
+    this.clearPairwiseKeys();
+  }
+
+  /**
+   * Start replay protection and sender authentication for a protocol session
+   * Messages we send carry the session id, increasing sequence numbers and our signature;
+   * received messages from other sessions, with a sequence number already seen, unsigned
+   * or signed by anyone but a group member are dropped
+   *
+   * @param sessionId - Session id every party derived for this run
+   * @param sequence - Last sequence number used, non-zero when resuming from a checkpoint
+   * @param members - Party IDs of the group members
+   */
+  setSession(sessionId: string, sequence: number = 0, members?: string[]): void {
+    this.sessionId = sessionId;
+    this.sendSequence = sequence;
+    this.lastSeenSequence.clear();
+    this.groupMembers = members ? new Set(members) : null;
+    this.clearPairwiseKeys();
+    if (this.debug) {
+      console.log(`[${this.getTransportName()}] 🧾 Session ${sessionId.substring(0, 16)} at sequence ${sequence}`);
+    }
+  }
+
+  /**
+   * End replay protection of the current session
+   */
+  clearSession(): void {
+    this.heldMessages = null;
+    this.sessionId = null;
+    this.sendSequence = 0;
+    this.lastSeenSequence.clear();
+    this.groupMembers = null;
+    this.clearPairwiseKeys();
+  }
+
+  /**
+   * Get the active session id, if any
+   */
+  getSessionId(): string | null {
+    return this.sessionId;
+  }
+
+  /**
+   * Get the last sequence number we assigned (for session checkpoints)
+   */
+  getSequence(): number {
+    return this.sendSequence;
+  }
+
+  /**
+   * Set encryption key for AES-256-GCM
+   */
+  async setEncryptionKey(rawKey: Uint8Array | string): Promise<void> {
+    let keyBytes: Uint8Array;
+
+    if (typeof rawKey === 'string') {
+      // Assume base64 encoded key
+      keyBytes = Uint8Array.from(atob(rawKey), c => c.charCodeAt(0));
+    } else {
+      keyBytes = rawKey;
+    }
+
+    if (keyBytes.byteLength !== 32) {
+      throw new Error('Encryption key must be 32 bytes for AES-256-GCM');
+    }
+
+    this.cryptoKey = await this.importContentKey(keyBytes);
+    this.rawKeyBase64 = this.toBase64(keyBytes);
+
+    if (this.debug) {
+      console.log(`[${this.getTransportName()}] 🔐 Encryption key set`);
+    }
+  }
+
+  /**
+   * Use handshake link keys for the point-to-point messages of the current session
+   * instead of keys derived from the identity keys
+   *
+   * @param keys - Raw 32-byte keys (bytes or base64) by peer party ID
+   */
+  async setPairwiseKeys(keys: Record<string, Uint8Array | string>): Promise<void> {
+    for (const [peerId, rawKey] of Object.entries(keys)) {
+      const keyBytes = typeof rawKey === 'string' ? this.fromBase64(rawKey) : rawKey;
+      if (keyBytes.byteLength !== 32) {
+        throw new Error('Pairwise key must be 32 bytes for AES-256-GCM');
+      }
+      this.pairwiseKeys.set(peerId, Promise.resolve(await this.importContentKey(keyBytes)));
+    }
+  }
+
+  /**
+   * Hold peer messages of protocol rounds until the session keys are exchanged
+   * Round 0 messages (the handshake itself) still go through
+   */
+  beginKeyExchange(): void {
+    this.heldMessages ??= [];
+  }
+
+  /**
+   * Release the messages held during the key exchange, now that the keys are installed
+   */
+  async completeKeyExchange(): Promise<void> {
+    const held = this.heldMessages ?? [];
+    this.heldMessages = null;
+    for (const message of held) {
+      await this.receive(message);
+    }
+  }
+
+  /**
+   * Export the current encryption key as base64 (for session checkpoints)
+   */
+  exportEncryptionKey(): string | null {
+    return this.rawKeyBase64;
+  }
+
+  /**
+   * Name used in log lines
+   */
+  protected getTransportName(): string {
+    return 'Transport';
+  }
+
+  /**
+   * Run a received message through validation, decryption and the session checks
+   * Accepted messages are emitted as 'message'
+   */
+  protected async receive(protocolMessage: ProtocolMessage): Promise<void> {
+    // Validate the message before processing
+    if (!this.validateProtocolMessage(protocolMessage)) {
+      console.error('Invalid ProtocolMessage received:', protocolMessage);
+      return;
+    }
+
+    // Loop prevention: ignore messages from our own party ID
+    if (this.ownPartyId && protocolMessage.from_id === this.ownPartyId) {
+      if (this.debug) {
+        console.log(`[${this.getTransportName()}] 🔄 Ignoring own message from ${this.ownPartyId} (loop prevention)`);
+      }
+      return;
+    }
+
+    // Without the session keys, messages of protocol rounds cannot be opened yet
+    if (this.heldMessages && protocolMessage.from_id !== this.SERVER_ID && protocolMessage.round !== 0) {
+      this.heldMessages.push(protocolMessage);
+      return;
+    }
+
+    // Log END messages specifically
+    if (protocolMessage.content.startsWith('END:')) {
+      console.log(`[${this.getTransportName()}] [${this.ownPartyId?.substring(0, 8) || 'unknown'}] 📨 Received END message: ${protocolMessage.content}`);
+    }
+
+    // Decrypt content if encryption is enabled
+    const encrypted = this.shouldEncryptMessage(protocolMessage);
+    if (encrypted) {
+      try {
+        const key = await this.getContentKey(protocolMessage, protocolMessage.from_id);
+        protocolMessage.content = await this.decryptContent(protocolMessage.content, key, protocolMessage);
+      } catch (error) {
+        console.error(`[${this.getTransportName()}] Failed to decrypt message:`, error);
+        // An incompatible envelope means the sender runs another client version, say so instead of stalling silently
+        if (error instanceof DeFiShArdError && (error.code === 'ENVELOPE_VERSION' || error.code === 'ENVELOPE_ALGORITHM')) {
+          this.emit('message-rejected', {
+            fromId: protocolMessage.from_id,
+            round: protocolMessage.round,
+            reason: 'unsupported-envelope',
+            detail: error.message
+          } as MessageRejectedEvent);
+        } else if (this.sessionId && protocolMessage.from_id !== this.SERVER_ID) {
+          this.emit('message-rejected', {
+            fromId: protocolMessage.from_id,
+            round: protocolMessage.round,
+            reason: 'undecryptable',
+            detail: error instanceof Error ? error.message : String(error)
+          } as MessageRejectedEvent);
+        }
+        return; // Don't emit invalid message
+      }
+    }
+
+    // Drop messages replayed from another session or group before they reach the processors
+    if (this.sessionId && protocolMessage.from_id !== this.SERVER_ID) {
+      const rejection = this.checkBinding(protocolMessage, encrypted);
+      if (rejection) {
+        // Copies re-sent after a reconnect are expected, only foreign or forged messages are worth a warning
+        if (!rejection.duplicate || this.debug) {
+          console.warn(`[${this.getTransportName()}] Rejected message from ${protocolMessage.from_id.substring(0, 8)} in round ${protocolMessage.round}: ${rejection.reason}`);
+        }
+        return;
+      }
+
+      const forgery = this.checkSender(protocolMessage);
+      if (forgery) {
+        console.warn(`[${this.getTransportName()}] Rejected message from ${protocolMessage.from_id.substring(0, 8)} in round ${protocolMessage.round}: ${forgery.detail}`);
+        this.emit('message-rejected', {
+          fromId: protocolMessage.from_id,
+          round: protocolMessage.round,
+          ...forgery
+        } as MessageRejectedEvent);
+        return;
+      }
+      // Only now, so that a forged message with a high sequence number cannot silence the real sender
+      this.lastSeenSequence.set(protocolMessage.from_id, protocolMessage.seq!);
+    }
+
+    this.emit('message', protocolMessage);
+  }
+
+  /**
+   * Check if encryption is enabled
+   */
+  private shouldEncryptMessage(message: ProtocolMessage): boolean {
+    // Don't encrypt server messages (from_id = all zeros)
+    // Don't encrypt DONE messages (status messages to server)
+    if (message.content === 'DONE' && message.to_id === this.SERVER_ID) {
+      return false;
+    }
+    // Don't encrypt round 0 peer messages (the pairing handshake, which runs before keys exist)
+    if (message.round === 0) {
+      return false;
+    }
+
+    return this.cryptoKey !== null && message.from_id !== this.SERVER_ID;
+  }
+
+  /**
+   * Pick the AES key for a message: the pairwise key shared with the peer for
+   * point-to-point messages within a session, the group key otherwise
+   *
+   * @param message - Message to encrypt or decrypt
+   * @param peerId - The other party: to_id when sending, from_id when receiving
+   */
+  private async getContentKey(message: ProtocolMessage, peerId: string): Promise<ContentKey> {
+    const pointToPoint = message.to_id !== '0' && message.to_id !== this.SERVER_ID;
+    if (!this.sessionId || !pointToPoint) {
+      return this.cryptoKey!;
+    }
+    if (!this.identity) {
+      throw new Error('No party identity set: pairwise keys need the identity key');
+    }
+
+    let key = this.pairwiseKeys.get(peerId);
+    if (!key) {
+      key = this.importContentKey(IdentityUtils.derivePairwiseKey(this.identity, peerId, this.sessionId));
+      this.pairwiseKeys.set(peerId, key);
+      // A failed derivation (e.g. an invalid party ID) must not stay cached
+      key.catch(() => this.pairwiseKeys.delete(peerId));
+    }
+    return key;
+  }
+
+  /**
+   * Drop the pairwise keys of the previous session or identity
+   */
+  private clearPairwiseKeys(): void {
+    this.pairwiseKeys.clear();
+  }
+
+  /**
+   * Import raw bytes as an AES-256-GCM key together with its envelope key id
+   */
+  private async importContentKey(keyBytes: Uint8Array): Promise<ContentKey> {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      keyBytes as unknown as ArrayBuffer,
+      { name: 'AES-GCM' },
+      false,
+      ['encrypt', 'decrypt']
+    );
+    return { key, keyId: EnvelopeUtils.computeKeyId(keyBytes) };
+  }
+
+  /**
+   * Build the plaintext of an encrypted message
+   * Session-bound messages carry their binding inside the ciphertext so it cannot be altered or stripped
+   */
+  private sealContent(message: ProtocolMessage): string {
+    if (message.session_id === undefined || message.seq === undefined) {
+      return message.content;
+    }
+    const sealed: MessageBinding & { content: string; signature?: string } = {
+      group_id: message.group_id,
+      session_id: message.session_id,
+      from_id: message.from_id,
+      to_id: message.to_id,
+      round: message.round,
+      seq: message.seq,
+      content: message.content,
+      signature: message.signature
+    };
+    return JSON.stringify(sealed);
+  }
+
+  /**
+   * Check that a session message was signed by the group member named in from_id
+   *
+   * @returns Why the sender is not authenticated, or null if it is
+   */
+  private checkSender(message: ProtocolMessage): { reason: MessageRejectionReason; detail: string } | null {
+    if (this.groupMembers && !this.groupMembers.has(message.from_id)) {
+      return { reason: 'unknown-sender', detail: `sender is not a member of group ${message.group_id}` };
+    }
+    if (typeof message.signature !== 'string') {
+      return { reason: 'unsigned', detail: 'message carries no identity signature' };
+    }
+    if (!IdentityUtils.verify(message.from_id, messageSignaturePayload(message), message.signature)) {
+      return { reason: 'invalid-signature', detail: 'identity signature does not match the sender' };
+    }
+    return null;
+  }
+
+  /**
+   * Check the session binding of a received peer message
+   * On success the message gets its plaintext content, session id, sequence number and message id;
+   * the sequence number only counts as seen once the sender's signature was checked too
+   *
+   * @param message - Message after decryption
+   * @param sealed - Whether the content is a sealed payload (encrypted transport)
+   * @returns Reason for rejecting the message, or null if it belongs to this session
+   */
+  private checkBinding(message: ProtocolMessage, sealed: boolean): { reason: string; duplicate: boolean } | null {
+    const reject = (reason: string, duplicate: boolean = false) => ({ reason, duplicate });
+
+    let bound: Partial<MessageBinding> & { content?: unknown; signature?: unknown } = message;
+    if (sealed) {
+      try {
+        bound = JSON.parse(message.content);
+      } catch {
+        return reject('payload is not bound to a session');
+      }
+      if (typeof bound !== 'object' || bound === null || typeof bound.content !== 'string') {
+        return reject('payload is not bound to a session');
+      }
+      if (bound.group_id !== message.group_id || bound.from_id !== message.from_id ||
+          bound.to_id !== message.to_id || bound.round !== message.round) {
+        return reject('sealed fields do not match the message');
+      }
+    }
+
+    if (this.groupId && bound.group_id !== this.groupId) {
+      return reject(`message belongs to group ${bound.group_id}`);
+    }
+    if (bound.session_id !== this.sessionId) {
+      return reject(`message belongs to session ${String(bound.session_id).substring(0, 16)}`);
+    }
+
+    const seq = bound.seq;
+    if (typeof seq !== 'number' || !Number.isInteger(seq) || seq < 1) {
+      return reject('message has no valid sequence number');
+    }
+    // The sender's channel and the relay keep per-sender order, anything not newer is a replay
+    const lastSeen = this.lastSeenSequence.get(message.from_id) ?? 0;
+    if (seq <= lastSeen) {
+      return reject(`sequence number ${seq} was already seen (last ${lastSeen})`, true);
+    }
+
+    const content = bound.content as string;
+    const messageId = computeMessageId({ ...message, content, session_id: this.sessionId, seq });
+    if (message.message_id !== undefined && message.message_id !== messageId) {
+      return reject('message id does not match the message');
+    }
+
+    message.content = content;
+    message.session_id = this.sessionId;
+    message.seq = seq;
+    message.message_id = messageId;
+    message.signature = typeof bound.signature === 'string' ? bound.signature : undefined;
+    return null;
+  }
+
+  /**
+   * Encrypt message content into an envelope bound to the message
+   */
+  private async encryptContent(content: string, contentKey: ContentKey | null, message: ProtocolMessage): Promise<string> {
+    if (!contentKey) {
+      throw new Error('No encryption key set');
+    }
+
+    if (this.isEncrypting) {
+      throw new Error('Recursive encryption detected');
+    }
+
+    this.isEncrypting = true;
+
+    try {
+      return await EnvelopeUtils.seal(content, contentKey.key, contentKey.keyId, message);
+    } catch (err) {
+      console.error('[Encryption] Failed:', err);
+      throw err;
+    } finally {
+      this.isEncrypting = false;
+    }
+  }
+
+  /**
+   * Decrypt the envelope of a received message
+   * Envelope errors (version, algorithm, key, authentication) are passed through with their code
+   */
+  private async decryptContent(encryptedContent: string, contentKey: ContentKey | null, message: ProtocolMessage): Promise<string> {
+    if (!contentKey) {
+      throw new Error('No encryption key set');
+    }
+
+    try {
+      return await EnvelopeUtils.open(encryptedContent, contentKey.key, contentKey.keyId, message);
+    } catch (error) {
+      console.error('[Decryption] Failed:', error);
+      throw error instanceof DeFiShArdError ? error : new Error(`Decryption failed: ${error}`);
+    }
+  }
+
+  /**
+   * Safe base64 encoding for large data
+   */
+  protected toBase64(bytes: Uint8Array): string {
+    let binary = '';
+    const chunkSize = 0x8000; // 32KB chunks to avoid stack overflow
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Safe base64 decoding
+   */
+  protected fromBase64(base64: string): Uint8Array {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Validate ProtocolMessage structure
+   */
+  private validateProtocolMessage(message: any): message is ProtocolMessage {
+    return (
+      typeof message === 'object' &&
+      message !== null &&
+      typeof message.group_id === 'string' &&
+      typeof message.from_id === 'string' &&
+      typeof message.to_id === 'string' &&
+      typeof message.content === 'string' &&
+      typeof message.round === 'number' &&
+      typeof message.timestamp === 'string'
+    );
+  }
+}
@@ -0,0 +1,214 @@
+/**
+ * Bundle Transport for DeFiShard SDK
+ *
+ * Runs a ceremony with a device that has no network at all: each party exports
+ * its batch (see batch-transport) as a bundle, a JSON text that is saved to a
+ * file for a USB stick or copied to the clipboard, and imports its peers'
+ * bundles by hand. Messages in a bundle keep their sender signature and their
+ * AES-GCM envelope; the bundle itself is signed with the exporter's identity
+ * key over the group and session it belongs to.
+ *
+ * 'bundle-ready' tells the UI when to export: after every round, or with
+ * batchRounds once this party has nothing more to send. The rounds of DKLs
+ * each need the peers' previous round, so batching merges what becomes ready
+ * from one import (pairing handshake and round 1, the last round and its
+ * acknowledgements) rather than a whole ceremony.
+ */
+
+import { DeFiShArdError } from '../errors';
+import { ErrorType } from '../types';
+import { IdentityUtils } from '../crypto/identity';
+import { BatchTransport, BatchTransportOptions, MessageBatch, MESSAGE_BATCH_VERSION } from './batch-transport';
+
+export const BUNDLE_FORMAT = 'defishard-bundle';
+export const BUNDLE_VERSION = 1;
+export const DEFAULT_BUNDLE_IDLE_MS = 500;
+
+/**
+ * Signed batch of one party, as exported to a file or the clipboard
+ */
+export interface MessageBundle {
+  format: string;              // Always BUNDLE_FORMAT
+  v: number;
+  groupId: string;
+  sessionId: string | null;
+  createdAt: string;           // ISO timestamp of the export
+  batch: MessageBatch;
+  signature: string;           // Exporter's identity signature, hex
+}
+
+export interface BundleTransportOptions extends BatchTransportOptions {
+  batchRounds?: boolean;       // Announce one bundle once idle instead of one per round
+  idleMs?: number;             // Quiet time that ends a batch of rounds
+}
+
+// Payload of the 'bundle-ready' event
+export interface BundleReadyEvent {
+  rounds: number[];            // Rounds of the messages awaiting export
+  messages: number;
+}
+
+// Result of importBundle
+export interface BundleImportResult {
+  from: string;
+  messages: number;            // Messages in the bundle new to this party
+}
+
+/**
+ * Transport that exchanges signed bundles of protocol messages through files or the clipboard
+ */
+export class BundleTransport extends BatchTransport {
+  private batchRounds: boolean;
+  private idleMs: number;
+  private idleTimer: ReturnType<typeof setTimeout> | null = null;
+  private exported: Set<string> = new Set(); // Outbox keys handed over in an export
+
+  constructor(options: BundleTransportOptions) {
+    super(options);
+    this.batchRounds = options.batchRounds ?? false;
+    this.idleMs = options.idleMs ?? DEFAULT_BUNDLE_IDLE_MS;
+  }
+
+  /**
+   * Stop accepting bundles
+   */
+  async disconnect(): Promise<void> {
+    this.clearIdleTimer();
+    await super.disconnect();
+  }
+
+  /**
+   * Signed bundle of everything this party has to hand over, as text for a file or the clipboard
+   *
+   * @throws DeFiShArdError VALIDATION_ERROR with code BUNDLE_NO_SESSION before connect or without an identity
+   */
+  exportBundle(): string {
+    if (!this.isConnected() || !this.identity) {
+      throw new DeFiShArdError(ErrorType.VALIDATION_ERROR, 'No session to export: register and start a session first', 'BUNDLE_NO_SESSION');
+    }
+
+    const unsigned = {
+      format: BUNDLE_FORMAT,
+      v: BUNDLE_VERSION,
+      groupId: this.groupId!,
+      sessionId: this.getSessionId(),
+      createdAt: new Date().toISOString(),
+      batch: this.buildBatch()
+    };
+    const bundle: MessageBundle = {
+      ...unsigned,
+      signature: IdentityUtils.sign(this.identity, bundleSignaturePayload(unsigned))
+    };
+
+    this.exported = new Set(this.outbox.keys());
+    this.clearIdleTimer();
+    this.checkEnd();
+    return JSON.stringify(bundle, null, 2);
+  }
+
+  /**
+   * Import a peer's bundle, its new messages are received in order
+   *
+   * @throws DeFiShArdError VALIDATION_ERROR with code BUNDLE_NO_SESSION, BUNDLE_MALFORMED,
+   * BUNDLE_OUTDATED, BUNDLE_FOREIGN or BUNDLE_SIGNATURE
+   */
+  async importBundle(text: string): Promise<BundleImportResult> {
+    if (!this.isConnected()) {
+      throw new DeFiShArdError(ErrorType.VALIDATION_ERROR, 'No session to import into: start the session first', 'BUNDLE_NO_SESSION');
+    }
+
+    let bundle: MessageBundle;
+    try {
+      bundle = JSON.parse(text);
+    } catch {
+      throw bundleError('Bundle is not valid JSON', 'BUNDLE_MALFORMED');
+    }
+    if (!bundle || bundle.format !== BUNDLE_FORMAT || typeof bundle.batch !== 'object' || !bundle.batch ||
+        typeof bundle.batch.from !== 'string' || typeof bundle.signature !== 'string') {
+      throw bundleError('Not a DeFiShArd message bundle', 'BUNDLE_MALFORMED');
+    }
+    if (bundle.v !== BUNDLE_VERSION || bundle.batch.v !== MESSAGE_BATCH_VERSION) {
+      throw bundleError(`Bundle version ${bundle.v} is not supported, this client reads version ${BUNDLE_VERSION}`, 'BUNDLE_OUTDATED');
+    }
+
+    const { signature, ...unsigned } = bundle;
+    const sessionId = this.getSessionId();
+    if (bundle.groupId !== this.groupId || (sessionId && bundle.sessionId && bundle.sessionId !== sessionId)) {
+      throw bundleError('Bundle belongs to another group or session', 'BUNDLE_FOREIGN');
+    }
+    if (bundle.batch.from === this.ownPartyId) {
+      throw bundleError('Bundle was exported by this party, import the bundles of the other parties', 'BUNDLE_FOREIGN');
+    }
+    if (!this.participants.includes(bundle.batch.from)) {
+      throw bundleError(`Bundle sender ${bundle.batch.from.substring(0, 8)} is not a session participant`, 'BUNDLE_FOREIGN');
+    }
+    if (!IdentityUtils.verify(bundle.batch.from, bundleSignaturePayload(unsigned), signature)) {
+      throw bundleError('Bundle signature does not match its sender', 'BUNDLE_SIGNATURE');
+    }
+
+    const messages = await this.applyBatch(bundle.batch);
+    return { from: bundle.batch.from, messages: Math.max(messages, 0) };
+  }
+
+  /**
+   * Name used in log lines
+   */
+  protected getTransportName(): string {
+    return 'Bundle';
+  }
+
+  protected batchChanged(): void {
+    if (!this.batchRounds) {
+      this.announce();
+      return;
+    }
+    // Wait until this party stops producing messages
+    this.clearIdleTimer();
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+      this.announce();
+    }, this.idleMs);
+  }
+
+  protected resetBatches(): void {
+    this.clearIdleTimer();
+    this.exported.clear();
+  }
+
+  /**
+   * A message counts as handed over once it was exported, there may be no way back for an acknowledgement
+   */
+  protected isFlushed(): boolean {
+    return Array.from(this.outbox.keys()).every(key => this.exported.has(key));
+  }
+
+  private announce(): void {
+    const messages = Array.from(this.outbox.values(), entry => entry.message);
+    const rounds = Array.from(new Set(messages.map(message => message.round))).sort((a, b) => a - b);
+    this.emit('bundle-ready', { rounds, messages: messages.length } as BundleReadyEvent);
+  }
+
+  private clearIdleTimer(): void {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+}
+
+/**
+ * Bytes signed by the exporter: the bundle without its signature
+ */
+function bundleSignaturePayload(bundle: Omit<MessageBundle, 'signature'>): Uint8Array {
+  return new TextEncoder().encode(JSON.stringify([
+    'defishard/bundle/v1',
+    bundle.groupId,
+    bundle.sessionId,
+    bundle.createdAt,
+    bundle.batch
+  ]));
+}
+
+function bundleError(message: string, code: string): DeFiShArdError {
+  return new DeFiShArdError(ErrorType.VALIDATION_ERROR, message, code);
+}
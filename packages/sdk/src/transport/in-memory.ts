@@ -0,0 +1,442 @@
+/**
+ * In-Memory Transport for DeFiShard SDK
+ *
+ * A LoopbackHub stands in for the relay inside one process: it keeps the party
+ * and group registry the REST API would, and routes protocol messages between
+ * InMemoryTransports with the relay's channel semantics:
+ * - START is sent once enough parties joined /{group_id}/{protocol}
+ *   (all parties for keygen, the first `threshold` parties for sign)
+ * - Broadcasts ('0') reach every other participant, anything else only to_id
+ * - END:SUCCESS is sent once every participant reported DONE to the server
+ *
+ * Suitable for unit tests and demos that run several SDK instances without a relay.
+ */
+
+import { ApiClient } from '../api';
+import { GroupInfo, GroupResult, Party, ProtocolMessage, RegistrationResult } from '../types';
+import { BaseTransport } from './base-transport';
+import { IdentityUtils, RegistrationProof } from '../crypto/identity';
+
+const SERVER_ID = '00000000000000000000000000000000000000000000000000000000000000000000';
+
+interface LoopbackChannel {
+  groupId: string;
+  protocol: string;
+  transports: Map<string, InMemoryTransport>; // Connected transports by party ID
+  participants: string[] | null; // Party IDs of the running session, null until START
+  done: Set<string>; // Participants that reported DONE
+}
+
+/**
+ * In-process replacement for the relay server
+ */
+export class LoopbackHub {
+  private parties: Map<string, Party> = new Map(); // Registered parties by token
+  private groups: Map<string, GroupInfo> = new Map();
+  private channels: Map<string, LoopbackChannel> = new Map();
+  private attachments: Map<InMemoryTransport, LoopbackChannel> = new Map();
+
+  constructor(private debug: boolean = false) {}
+
+  /**
+   * Create a transport connected to this hub
+   */
+  createTransport(): InMemoryTransport {
+    return new InMemoryTransport(this, this.debug);
+  }
+
+  /**
+   * Create an API client backed by this hub's registry
+   */
+  createApiClient(): LoopbackApiClient {
+    return new LoopbackApiClient(this);
+  }
+
+  /**
+   * Register a party (POST /party/register)
+   * Registering a known identity again keeps its record and issues a new API key
+   */
+  registerParty(proof: RegistrationProof): Party {
+    if (!IdentityUtils.verifyRegistrationProof(proof)) {
+      throw new Error('Invalid registration proof');
+    }
+    const existing = Array.from(this.parties.values()).find(party => party.partyId === proof.partyId);
+    if (existing) {
+      this.parties.delete(existing.token);
+    }
+    const party: Party = {
+      id: existing ? existing.id : String(this.parties.size + 1),
+      partyId: proof.partyId,
+      token: this.randomHex(32),
+      createdAt: existing ? existing.createdAt : new Date().toISOString()
+    };
+    this.parties.set(party.token, party);
+    return { ...party };
+  }
+
+  /**
+   * Create a group with the caller as its first member (POST /group/create)
+   */
+  createGroup(groupId: string, threshold: number, totalParties: number, timeout: number, token: string): GroupInfo {
+    const creator = this.authenticate(token);
+    if (this.groups.has(groupId)) {
+      throw new Error(`Group ${groupId} already exists`);
+    }
+    if (!Number.isInteger(threshold) || !Number.isInteger(totalParties) || threshold < 2 || threshold > totalParties) {
+      throw new Error(`Invalid group parameters: t=${threshold}, n=${totalParties}`);
+    }
+
+    const now = new Date().toISOString();
+    const group: GroupInfo = {
+      groupId,
+      totalParties,
+      threshold,
+      timeout,
+      createdAt: now,
+      updatedAt: now,
+      createdBy: { ...creator },
+      members: [{ partyId: creator.partyId, index: 0 }],
+      status: 'active'
+    };
+    this.groups.set(groupId, group);
+    return this.cloneGroup(group);
+  }
+
+  /**
+   * Add the caller to a group (POST /group/join)
+   */
+  joinGroup(groupId: string, token: string): GroupInfo {
+    const party = this.authenticate(token);
+    const group = this.requireGroup(groupId);
+
+    if (!group.members.some(member => member.partyId === party.partyId)) {
+      if (group.members.length >= group.totalParties) {
+        throw new Error(`Group ${groupId} is full`);
+      }
+      group.members.push({ partyId: party.partyId, index: group.members.length });
+      group.updatedAt = new Date().toISOString();
+    }
+    return this.cloneGroup(group);
+  }
+
+  /**
+   * Get group information (POST /group/info)
+   */
+  getGroupInfo(groupId: string, token: string): GroupInfo {
+    this.authenticate(token);
+    return this.cloneGroup(this.requireGroup(groupId));
+  }
+
+  /**
+   * Get the party behind a token (GET /party/info)
+   */
+  getParty(token: string): Party {
+    return { ...this.authenticate(token) };
+  }
+
+  /**
+   * Join a transport to the channel of a group and protocol (/ws/{group_id}/{protocol})
+   *
+   * @returns Party ID the token belongs to
+   */
+  attach(transport: InMemoryTransport, groupId: string, protocol: string, token: string): string {
+    const party = this.authenticate(token);
+    const group = this.requireGroup(groupId);
+    if (!group.members.some(member => member.partyId === party.partyId)) {
+      throw new Error(`Party ${party.partyId} is not a member of group ${groupId}`);
+    }
+
+    this.detach(transport);
+
+    const key = `${groupId}/${protocol}`;
+    let channel = this.channels.get(key);
+    if (!channel) {
+      channel = { groupId, protocol, transports: new Map(), participants: null, done: new Set() };
+      this.channels.set(key, channel);
+    }
+    channel.transports.set(party.partyId, transport);
+    this.attachments.set(transport, channel);
+
+    if (channel.participants) {
+      // Session already running: a returning participant gets START again
+      if (channel.participants.includes(party.partyId)) {
+        this.dispatch(transport, this.serverMessage(groupId, party.partyId, 'START', channel.participants));
+      }
+    } else {
+      const required = protocol === 'sign' ? group.threshold : group.totalParties;
+      if (channel.transports.size >= required) {
+        channel.participants = Array.from(channel.transports.keys()).slice(0, required);
+        channel.done.clear();
+        if (this.debug) {
+          console.log(`[LoopbackHub] ▶️ START ${key} with ${channel.participants.length} parties`);
+        }
+        for (const partyId of channel.participants) {
+          this.dispatch(channel.transports.get(partyId)!, this.serverMessage(groupId, '0', 'START', channel.participants));
+        }
+      }
+    }
+
+    return party.partyId;
+  }
+
+  /**
+   * Remove a transport from its channel
+   */
+  detach(transport: InMemoryTransport): void {
+    const channel = this.attachments.get(transport);
+    if (!channel) {
+      return;
+    }
+    this.attachments.delete(transport);
+    for (const [partyId, attached] of channel.transports) {
+      if (attached === transport) {
+        channel.transports.delete(partyId);
+      }
+    }
+    if (channel.transports.size === 0) {
+      this.channels.delete(`${channel.groupId}/${channel.protocol}`);
+    }
+  }
+
+  /**
+   * Route a message sent by a transport to its recipients
+   */
+  route(transport: InMemoryTransport, message: ProtocolMessage): void {
+    const channel = this.attachments.get(transport);
+    if (!channel) {
+      throw new Error('Transport is not connected to the hub');
+    }
+    const sender = Array.from(channel.transports.entries()).find(([, attached]) => attached === transport)![0];
+
+    // Only participants of a running session can talk
+    if (!channel.participants || !channel.participants.includes(sender)) {
+      if (this.debug) {
+        console.log(`[LoopbackHub] Dropping message from ${sender.substring(0, 8)} outside a session`);
+      }
+      return;
+    }
+
+    // Status messages to the server
+    if (message.to_id === SERVER_ID) {
+      if (message.content === 'DONE') {
+        channel.done.add(sender);
+        if (channel.done.size === channel.participants.length) {
+          const participants = channel.participants;
+          channel.participants = null;
+          channel.done.clear();
+          for (const partyId of participants) {
+            const recipient = channel.transports.get(partyId);
+            if (recipient) {
+              this.dispatch(recipient, this.serverMessage(channel.groupId, partyId, 'END:SUCCESS'));
+            }
+          }
+        }
+      }
+      return;
+    }
+
+    const recipients = message.to_id === '0'
+      ? channel.participants.filter(partyId => partyId !== sender)
+      : channel.participants.filter(partyId => partyId === message.to_id);
+    for (const partyId of recipients) {
+      const recipient = channel.transports.get(partyId);
+      if (recipient) {
+        this.dispatch(recipient, message);
+      }
+    }
+  }
+
+  /**
+   * Deliver a copy of a message on a later tick, in send order like a socket
+   */
+  private dispatch(transport: InMemoryTransport, message: ProtocolMessage): void {
+    const wireCopy: ProtocolMessage = JSON.parse(JSON.stringify(message));
+    setTimeout(() => transport.dispatch(wireCopy), 0);
+  }
+
+  private serverMessage(groupId: string, toId: string, content: string, participants?: string[]): ProtocolMessage {
+    return {
+      group_id: groupId,
+      from_id: SERVER_ID,
+      to_id: toId,
+      content,
+      round: 0,
+      timestamp: new Date().toISOString(),
+      ...(participants && { participants: [...participants] })
+    };
+  }
+
+  private authenticate(token: string): Party {
+    const party = this.parties.get(token);
+    if (!party) {
+      throw new Error('Unauthorized: unknown API key');
+    }
+    return party;
+  }
+
+  private requireGroup(groupId: string): GroupInfo {
+    const group = this.groups.get(groupId);
+    if (!group) {
+      throw new Error(`Group ${groupId} not found`);
+    }
+    return group;
+  }
+
+  private cloneGroup(group: GroupInfo): GroupInfo {
+    return JSON.parse(JSON.stringify(group));
+  }
+
+  private randomHex(length: number): string {
+    const bytes = crypto.getRandomValues(new Uint8Array(length));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+}
+
+/**
+ * Transport that exchanges messages through a LoopbackHub
+ */
+export class InMemoryTransport extends BaseTransport {
+  private connected = false;
+  private messageQueue: ProtocolMessage[] = [];
+
+  constructor(private hub: LoopbackHub, debug: boolean = false) {
+    super(debug);
+  }
+
+  /**
+   * Join the hub channel of a group and protocol
+   */
+  async connect(groupId: string, protocol: string, apiKey: string): Promise<void> {
+    if (this.connected) {
+      return;
+    }
+
+    try {
+      this.hub.attach(this, groupId, protocol, apiKey);
+    } catch (error) {
+      throw new Error(`Failed to connect to loopback hub: ${error}`);
+    }
+    this.connected = true;
+    this.groupId = groupId;
+    if (this.debug) {
+      console.log(`[Loopback] 🔌 Connected to ${groupId}/${protocol}`);
+    }
+    this.emit('connected');
+
+    // Send queued messages
+    const queued = this.messageQueue;
+    this.messageQueue = [];
+    for (const message of queued) {
+      this.hub.route(this, message);
+    }
+  }
+
+  /**
+   * Hand a prepared message to the hub, queued until connected
+   */
+  protected async deliver(message: ProtocolMessage): Promise<void> {
+    if (this.connected) {
+      this.hub.route(this, message);
+    } else {
+      this.messageQueue.push(message);
+    }
+  }
+
+  /**
+   * Leave the hub channel
+   */
+  async disconnect(): Promise<void> {
+    this.hub.detach(this);
+    this.connected = false;
+    this.groupId = null;
+    this.messageQueue = []; // Clear queued messages
+  }
+
+  /**
+   * Check if connected
+   */
+  isConnected(): boolean {
+    return this.connected;
+  }
+
+  /**
+   * Receive a message routed by the hub
+   */
+  dispatch(message: ProtocolMessage): void {
+    if (!this.connected) {
+      return;
+    }
+    this.receive(message).catch(error => {
+      console.error('Failed to handle message:', error);
+    });
+  }
+
+  /**
+   * Name used in log lines
+   */
+  protected getTransportName(): string {
+    return 'Loopback';
+  }
+}
+
+/**
+ * API client that registers parties and groups with a LoopbackHub instead of the relay
+ */
+export class LoopbackApiClient extends ApiClient {
+  constructor(private hub: LoopbackHub) {
+    super('loopback://');
+  }
+
+  /**
+   * Register with the hub
+   */
+  async register(proof: RegistrationProof): Promise<RegistrationResult> {
+    const party = this.hub.registerParty(proof);
+    this.config.partyId = party.partyId;
+    this.config.apiKey = party.token;
+    return {
+      success: true,
+      message: 'Registration successful',
+      partyId: party.partyId,
+      token: party.token
+    };
+  }
+
+  /**
+   * Create a new group on the hub
+   */
+  async createGroup(threshold: number, totalParties: number, timeoutMinutes: number): Promise<GroupResult> {
+    const group = this.hub.createGroup(this.generateGroupId(), threshold, totalParties, timeoutMinutes, this.requireApiKey());
+    return { success: true, message: 'Group created successfully', group };
+  }
+
+  /**
+   * Join an existing group on the hub
+   */
+  async joinGroup(groupId: string): Promise<GroupResult> {
+    const group = this.hub.joinGroup(groupId, this.requireApiKey());
+    return { success: true, message: 'Joined group successfully', group };
+  }
+
+  /**
+   * Get group information from the hub
+   */
+  async getGroupInfo(groupId: string): Promise<GroupInfo> {
+    return this.hub.getGroupInfo(groupId, this.requireApiKey());
+  }
+
+  /**
+   * Get party information from the hub
+   */
+  async getPartyInfo(): Promise<any> {
+    const party = this.hub.getParty(this.requireApiKey());
+    return { party_id: party.partyId, created_at: party.createdAt };
+  }
+
+  private requireApiKey(): string {
+    if (!this.config.apiKey) {
+      throw new Error('API key required for group operations');
+    }
+    return this.config.apiKey;
+  }
+}
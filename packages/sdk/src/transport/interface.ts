@@ -0,0 +1,53 @@
+/**
+ * Transport Interface for DeFiShard SDK
+ *
+ * Defines how protocol messages travel between parties. The SDK ships a
+ * WebSocket transport for the relay and an in-memory transport for tests
+ * and demos; both extend BaseTransport, which adds encryption and replay
+ * protection on top of the raw delivery implemented here.
+ *
+ * Besides messages, transports emit 'connected', 'disconnected' and 'error'.
+ */
+
+import { ProtocolMessage } from '../types';
+
+export interface Transport {
+  /**
+   * Join the message channel of a group for one protocol
+   *
+   * @param groupId - Group running the protocol
+   * @param protocol - 'keygen' or 'sign'
+   * @param apiKey - Party API key used to authenticate
+   * @returns Promise that resolves once connected
+   */
+  connect(groupId: string, protocol: string, apiKey: string): Promise<void>;
+
+  /**
+   * Send a protocol message, queued until connected
+   *
+   * @param message - Message to deliver ('0' as to_id broadcasts)
+   * @returns Promise that resolves once the message is handed to the channel
+   */
+  send(message: ProtocolMessage): Promise<void>;
+
+  /**
+   * Register a handler for received protocol messages
+   *
+   * @param handler - Called with every accepted message
+   */
+  onMessage(handler: (message: ProtocolMessage) => void): void;
+
+  /**
+   * Leave the channel and drop queued messages
+   *
+   * @returns Promise that resolves when disconnected
+   */
+  disconnect(): Promise<void>;
+
+  /**
+   * Check if connected to a channel
+   *
+   * @returns True while connected
+   */
+  isConnected(): boolean;
+}
@@ -5,8 +5,26 @@ export interface Config {
   apiKey?: string;
   partyId?: string;
   groupId?: string;
-  privateKey?: string;
+  privateKey?: string;      // Hex identity key to use instead of the one kept in storage
   debug?: boolean;
+  roundTimeoutMs?: number;   // Max wait for one protocol round (0 disables)
+  sessionTimeoutMs?: number; // Max duration of a keygen/signing session after START (0 disables)
+  reconnect?: ReconnectOptions; // WebSocket reconnection after an unexpected close
+  confirmSessionFingerprint?: boolean; // After pairing, wait for confirmSessionFingerprint() before round 1
+  invitationClockSkewMs?: number; // Tolerated clock difference with an invitation's creator, default 2 minutes
+}
+
+export interface ReconnectOptions {
+  maxAttempts?: number; // Attempts before giving up, default 8 (0 disables reconnection)
+  baseDelayMs?: number; // Backoff before the first attempt, doubled per attempt, default 500
+  maxDelayMs?: number;  // Backoff cap, default 30000
+}
+
+// Payload of the 'reconnecting', 'reconnected' and 'gave-up' transport events
+export interface ReconnectEvent {
+  attempt: number;  // Attempt about to start ('reconnecting') or attempts made ('reconnected', 'gave-up')
+  delayMs?: number; // Backoff before the attempt ('reconnecting')
+  error?: string;   // Last failure ('gave-up')
 }
 
 // API response types
@@ -56,6 +74,11 @@ export interface ProtocolMessage {
   content: string; // base64 encoded
   round: number;
   timestamp: string;
+  session_id?: string; // SHA-256 based id of the protocol run, bound into the encrypted payload
+  seq?: number; // Per-sender sequence number within the session, starts at 1
+  message_id?: string; // SHA-256 over the bound fields and plaintext content
+  signature?: string; // Sender identity signature over the bound fields and content hash
+  participants?: string[]; // START only: party IDs the relay put in the session
 }
 
 // Session state types
@@ -70,6 +93,126 @@ export interface SessionState {
   messageHash?: Uint8Array; // Only for sign sessions
 }
 
+// Checkpoint of a processor's round state, persisted after every round
+export interface MissingParty {
+  partyId: string;
+  index: number;
+}
+
+export interface RoundTimeoutInfo {
+  protocol: SessionType;
+  round: number;
+  received: number;
+  expected: number;
+  missing: MissingParty[]; // Members that have not delivered their message for this round
+  timeoutMs: number;
+  reason: 'round' | 'session';
+  misbehavior: MisbehaviorReport[]; // Messages rejected during the session, often the cause of a stall
+}
+
+export type MisbehaviorReason =
+  | 'unknown-sender'     // from_id is not a member of the group
+  | 'invalid-round'      // round outside the protocol or too far ahead
+  | 'invalid-encoding'   // content is not valid base64
+  | 'payload-size'       // payload outside the accepted size bounds
+  | 'malformed-payload'  // payload is not a well-formed WASM (CBOR) message
+  | 'equivocation'       // two different messages for the same round
+  | 'protocol-abort';    // WASM session aborted the protocol because of this party
+
+export interface MisbehaviorReport {
+  partyId: string;
+  index: number;           // Member index, -1 for senders outside the group
+  protocol: SessionType;
+  round: number;
+  reason: MisbehaviorReason;
+  detail: string;
+  timestamp: string;
+}
+
+export type MessageRejectionReason =
+  | 'unsigned'             // peer message without an identity signature
+  | 'invalid-signature'    // signature does not verify against from_id
+  | 'unknown-sender'       // from_id is not a member of the group
+  | 'unsupported-envelope' // encrypted with another envelope version or algorithm (incompatible client)
+  | 'undecryptable';       // envelope does not open with the expected key for this message
+
+// Payload of the 'message-rejected' transport event
+export interface MessageRejectedEvent {
+  fromId: string;
+  round: number;
+  reason: MessageRejectionReason;
+  detail: string;
+}
+
+// Invitation a pairing secret came with; its nonce tells the sessions paired by different invitations apart
+export interface SessionInvitation {
+  nonce: string;     // Hex one-time nonce of the invitation
+  creator: string;   // Party ID of the creator
+  expiresAt: number; // Milliseconds since epoch
+}
+
+// Short authentication string of a session ('session-fingerprint' event), compared between devices before round 1
+export interface SessionFingerprint {
+  digits: string;         // 6 decimal digits
+  emoji: string[];        // 4 emoji, for devices that show them more readably than digits
+  groupId: string;
+  participants: string[]; // Party IDs taking part, sorted
+  keyCommitment: string;  // Hex SHA-256 commitment to the broadcast key
+}
+
+export type ProgressStage = 'start' | 'message' | 'round';
+
+export interface ProgressEvent {
+  protocol: SessionType;
+  stage: ProgressStage;    // START received, a peer message arrived, or a round finished processing
+  round: number;
+  totalRounds: number;
+  received: number;        // Messages received for this round so far
+  expected: number;        // Messages needed to process this round
+  from?: MissingParty;     // Sender of the message ('message' stage only)
+  senders: string[];       // Party IDs that have delivered for this round
+  elapsedMs: number;       // Time since START
+}
+
+export interface ProcessorCheckpoint {
+  currentRound: number;
+  roundStates: Array<[number, { messages: ProtocolMessage[]; processed: boolean; emitted: boolean }]>;
+  receivedMessageHashes: string[]; // SHA-256 hex of messages already seen
+  session?: string; // base64 WASM session bytes (KeygenSession/SignSession toBytes())
+  [key: string]: any; // Processor-specific fields
+}
+
+// Everything needed to rebuild a processor after a reload or service-worker restart
+export interface SessionCheckpoint {
+  version: number;
+  sessionId: string; // Session id bound into every message, also the checkpoint's storage key
+  type: SessionType;
+  groupId: string;
+  partyId: string;
+  partyIndex: number;
+  groupInfo: GroupInfo;
+  encryptionKey?: string; // base64 transport key the app set, re-applied on resume (unpaired sessions only)
+  pairingSecret?: string; // base64, authenticates the handshake that rekeys a resumed session
+  epoch?: number; // Last handshake of the session, one more for every resume
+  messageSequence?: number; // Our sequence number before the outgoing messages were sent
+  fingerprint?: SessionFingerprint; // Short authentication string shown when the session was paired
+  participants?: string[]; // Party IDs START put in a paired session
+  keygen?: {
+    distributed: boolean;
+    isKeyRotation: boolean;
+    lostShares?: number[]; // Party indices being recovered (recovery modes only)
+    publicKey?: string; // Hex group public key the recovery must reproduce
+  };
+  sign?: {
+    messageHash: number[];
+    keyshare: number[]; // Serialized keyshare bytes
+    derivationPath?: string;
+  };
+  processor: ProcessorCheckpoint;
+  outgoing: ProtocolMessage[]; // Our messages from the last completed round
+  updatedAt: string;
+}
+
 // Key share and signature types
 export interface KeyShare {
   serialized: number[]; // Serialized keyshare bytes
@@ -89,6 +232,82 @@ export interface Signature {
   s: Uint8Array;
 }
 
+// Promise-based protocol API options
+export interface ProtocolRunOptions {
+  signal?: AbortSignal; // Aborting tears down the processor and WebSocket
+  timeoutMs?: number;   // Overall deadline for the whole ceremony
+}
+
+export interface KeygenOptions extends ProtocolRunOptions {
+  distributed?: boolean;
+  secret?: string;
+}
+
+export interface SigningOptions {
+  derivationPath?: string; // Non-hardened BIP32 path such as "m/0/5" (default "m")
+}
+
+export interface SignOptions extends ProtocolRunOptions, SigningOptions {}
+
+export interface VerifySignatureOptions extends SigningOptions {
+  chainCode?: Uint8Array;  // Parent chain code, needed to derive from a raw public key
+}
+
+export interface SignResult extends Signature {
+  signature: [Uint8Array, Uint8Array]; // Raw [r, s] as returned by the WASM session, s may be high
+  derivationPath: string;
+  publicKey: Uint8Array;               // Compressed derived public key the signature verifies against
+  compact: Uint8Array;                 // 64-byte low-S r || s; r and s above are low-S as well
+  der: Uint8Array;                     // DER encoding of the low-S signature
+  recoveryId: number;                  // 0-3, Ethereum v is 27 + recoveryId
+}
+
+export interface EthereumSignResult extends SignResult {
+  messageHash: Uint8Array;             // EIP-191 or EIP-712 hash that was signed
+  address: string;                     // Checksummed address of the signing key
+  v: number;                           // 27 + recoveryId
+  rpcSignature: string;                // 0x r || s || v, as personal_sign and eth_signTypedData_v4 return it
+}
+
+export interface EthereumTransactionSignResult extends SignResult {
+  messageHash: Uint8Array;             // Signing hash of the unsigned transaction
+  address: string;                     // Checksummed sender address
+  rawTransaction: string;              // 0x signed transaction for eth_sendRawTransaction
+  transactionHash: string;             // 0x hash of rawTransaction
+}
+
+export type BitcoinNetwork = 'mainnet' | 'testnet' | 'regtest';
+export type BitcoinAddressType = 'p2wpkh' | 'p2sh-p2wpkh' | 'p2pkh';
+
+export interface BitcoinAddressOptions extends SigningOptions {
+  type?: BitcoinAddressType;           // Default 'p2wpkh' (bc1q...)
+  network?: BitcoinNetwork;            // Default 'mainnet'
+}
+
+export interface BitcoinMessageSignOptions extends SignOptions {
+  type?: BitcoinAddressType;           // Address the BIP-137 header announces, default 'p2wpkh'
+  network?: BitcoinNetwork;
+}
+
+export interface BitcoinMessageSignResult extends SignResult {
+  messageHash: Uint8Array;             // BIP-137 hash that was signed
+  address: string;                     // Address of the signing key
+  messageSignature: string;            // Base64 BIP-137 signature, as wallets and verifymessage expect
+}
+
+export interface PsbtSignOptions extends SignOptions {
+  finalize?: boolean;                  // Finalize the signed inputs (default true); false leaves partial signatures for another signer
+  allowedSighashTypes?: number[];      // Sighash types inputs may ask for, default [SIGHASH_ALL]; others throw before any ceremony
+}
+
+export interface PsbtSignResult {
+  psbt: string;                        // Base64 PSBT with the new signatures
+  signedInputs: number[];              // Indices of the inputs signed by the keyshare, one ceremony each
+  complete: boolean;                   // Every input is finalized
+  transaction?: string;                // Signed transaction hex, once complete
+  txid?: string;
+}
+
 // Unified encryption types
 export interface EncryptionOptions {
   usePasskey?: boolean;        // Use Passkey PRF instead of password
@@ -154,7 +373,9 @@ export enum ErrorType {
   AUTHENTICATION_ERROR = 'AUTHENTICATION_ERROR',
   VALIDATION_ERROR = 'VALIDATION_ERROR',
   STORAGE_ERROR = 'STORAGE_ERROR',
-  WASM_ERROR = 'WASM_ERROR'
+  WASM_ERROR = 'WASM_ERROR',
+  ABORTED = 'ABORTED',
+  TIMEOUT = 'TIMEOUT'
 }
 
 export interface SDKError extends Error {
@@ -168,6 +389,11 @@ export type SDKEvent =
   | 'initialized'
   | 'connected'
   | 'disconnected'
+  | 'reconnecting'
+  | 'reconnected'
+  | 'gave-up'
+  | 'message-rejected'
+  | 'session-fingerprint'
   | 'registered'
   | 'groupCreated'
   | 'groupJoined'
@@ -0,0 +1,279 @@
+// CBOR utilities for DeFiShArd SDK
+// WASM protocol payloads are CBOR, checking well-formedness up front lets a bad
+// message be pinned on its sender instead of aborting the whole WASM session
+
+const MAX_NESTING_DEPTH = 64;
+
+// JSON-like values with byte strings; maps decode to Map so integer keys stay apart from text keys
+export type CborValue =
+  | number
+  | string
+  | boolean
+  | null
+  | Uint8Array
+  | CborValue[]
+  | Map<number | string, CborValue>
+  | { [key: string]: CborValue };
+
+/**
+ * Read the argument of an item header, returns [value, nextOffset]
+ * A value of -1 marks an indefinite length
+ */
+function readArgument(bytes: Uint8Array, offset: number, info: number): [number, number] {
+  if (info < 24) {
+    return [info, offset];
+  }
+  const sizes: Record<number, number> = { 24: 1, 25: 2, 26: 4, 27: 8 };
+  const size = sizes[info];
+  if (size === undefined) {
+    if (info === 31) {
+      return [-1, offset];
+    }
+    throw new Error(`reserved additional info ${info} at byte ${offset - 1}`);
+  }
+  if (offset + size > bytes.length) {
+    throw new Error(`truncated item header at byte ${offset - 1}`);
+  }
+  let value = 0;
+  for (let i = 0; i < size; i++) {
+    value = value * 256 + bytes[offset + i];
+  }
+  return [value, offset + size];
+}
+
+/**
+ * Skip one data item, returns the offset after it
+ */
+function skipItem(bytes: Uint8Array, offset: number, depth: number): number {
+  if (depth > MAX_NESTING_DEPTH) {
+    throw new Error(`nesting deeper than ${MAX_NESTING_DEPTH}`);
+  }
+  if (offset >= bytes.length) {
+    throw new Error(`unexpected end of input at byte ${offset}`);
+  }
+
+  const initial = bytes[offset];
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+  const [length, next] = readArgument(bytes, offset + 1, info);
+
+  switch (major) {
+    case 0: // unsigned integer
+    case 1: // negative integer
+      if (length === -1) {
+        throw new Error(`indefinite length integer at byte ${offset}`);
+      }
+      return next;
+
+    case 2: // byte string
+    case 3: // text string
+      if (length === -1) {
+        let cursor = next;
+        while (true) {
+          if (cursor >= bytes.length) {
+            throw new Error(`unterminated indefinite string at byte ${offset}`);
+          }
+          if (bytes[cursor] === 0xff) {
+            return cursor + 1;
+          }
+          if (bytes[cursor] >> 5 !== major) {
+            throw new Error(`invalid chunk in indefinite string at byte ${cursor}`);
+          }
+          cursor = skipItem(bytes, cursor, depth + 1);
+        }
+      }
+      if (next + length > bytes.length) {
+        throw new Error(`string of ${length} bytes overruns input at byte ${offset}`);
+      }
+      return next + length;
+
+    case 4: // array
+    case 5: { // map
+      const itemsPerEntry = major === 5 ? 2 : 1;
+      let cursor = next;
+      if (length === -1) {
+        while (true) {
+          if (cursor >= bytes.length) {
+            throw new Error(`unterminated indefinite container at byte ${offset}`);
+          }
+          if (bytes[cursor] === 0xff) {
+            return cursor + 1;
+          }
+          for (let i = 0; i < itemsPerEntry; i++) {
+            cursor = skipItem(bytes, cursor, depth + 1);
+          }
+        }
+      }
+      // Every item takes at least one byte, reject impossible lengths before looping
+      if (length * itemsPerEntry > bytes.length - cursor) {
+        throw new Error(`container of ${length} entries overruns input at byte ${offset}`);
+      }
+      for (let i = 0; i < length * itemsPerEntry; i++) {
+        cursor = skipItem(bytes, cursor, depth + 1);
+      }
+      return cursor;
+    }
+
+    case 6: // tag
+      if (length === -1) {
+        throw new Error(`indefinite length tag at byte ${offset}`);
+      }
+      return skipItem(bytes, next, depth + 1);
+
+    default: // 7: simple values and floats
+      if (info === 31) {
+        throw new Error(`unexpected break at byte ${offset}`);
+      }
+      return next;
+  }
+}
+
+/**
+ * Check that bytes hold exactly one well-formed CBOR data item
+ * Throws an Error describing the first problem found
+ */
+export function validateCbor(bytes: Uint8Array): void {
+  if (bytes.length === 0) {
+    throw new Error('empty input');
+  }
+  const end = skipItem(bytes, 0, 0);
+  if (end !== bytes.length) {
+    throw new Error(`${bytes.length - end} trailing bytes after data item`);
+  }
+}
+
+/**
+ * Non-throwing variant of validateCbor
+ */
+export function isWellFormedCbor(bytes: Uint8Array): boolean {
+  try {
+    validateCbor(bytes);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Encode a value with the shortest integer headers, keeping map insertion order
+ * Integers beyond 2^53 are not representable; other numbers become float64
+ */
+export function encodeCbor(value: CborValue): Uint8Array {
+  const out: number[] = [];
+  writeItem(out, value);
+  return Uint8Array.from(out);
+}
+
+/**
+ * Decode exactly one data item of the subset encodeCbor writes
+ * Indefinite lengths, tags and simple values other than false, true and null are refused
+ */
+export function decodeCbor(bytes: Uint8Array): CborValue {
+  validateCbor(bytes);
+  return readItem(bytes, 0)[0];
+}
+
+function writeHeader(out: number[], major: number, value: number): void {
+  if (value < 24) {
+    out.push((major << 5) | value);
+    return;
+  }
+  const size = value < 0x100 ? 1 : value < 0x10000 ? 2 : value < 0x100000000 ? 4 : 8;
+  out.push((major << 5) | { 1: 24, 2: 25, 4: 26, 8: 27 }[size]!);
+  for (let i = size - 1; i >= 0; i--) {
+    out.push(Math.floor(value / 2 ** (8 * i)) % 256);
+  }
+}
+
+function writeItem(out: number[], value: CborValue): void {
+  if (value === null) {
+    out.push(0xf6);
+  } else if (typeof value === 'boolean') {
+    out.push(value ? 0xf5 : 0xf4);
+  } else if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) {
+      writeHeader(out, value < 0 ? 1 : 0, value < 0 ? -1 - value : value);
+    } else {
+      const view = new DataView(new ArrayBuffer(8));
+      view.setFloat64(0, value);
+      out.push(0xfb, ...new Uint8Array(view.buffer));
+    }
+  } else if (typeof value === 'string') {
+    const text = new TextEncoder().encode(value);
+    writeHeader(out, 3, text.length);
+    out.push(...text);
+  } else if (value instanceof Uint8Array) {
+    writeHeader(out, 2, value.length);
+    out.push(...value);
+  } else if (Array.isArray(value)) {
+    writeHeader(out, 4, value.length);
+    value.forEach(item => writeItem(out, item));
+  } else {
+    const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+    writeHeader(out, 5, entries.length);
+    for (const [key, item] of entries) {
+      writeItem(out, key);
+      writeItem(out, item);
+    }
+  }
+}
+
+/**
+ * Read one data item of well-formed input, returns [value, nextOffset]
+ */
+function readItem(bytes: Uint8Array, offset: number): [CborValue, number] {
+  const initial = bytes[offset];
+  const major = initial >> 5;
+  const [length, next] = readArgument(bytes, offset + 1, initial & 0x1f);
+  if (length === -1) {
+    throw new Error(`indefinite length item at byte ${offset}`);
+  }
+  if (major <= 1 && !Number.isSafeInteger(length)) {
+    throw new Error(`integer beyond 2^53 at byte ${offset}`);
+  }
+
+  switch (major) {
+    case 0:
+      return [length, next];
+    case 1:
+      return [-1 - length, next];
+    case 2:
+      return [bytes.slice(next, next + length), next + length];
+    case 3:
+      return [new TextDecoder('utf-8', { fatal: true }).decode(bytes.subarray(next, next + length)), next + length];
+    case 4: {
+      const items: CborValue[] = [];
+      let cursor = next;
+      for (let i = 0; i < length; i++) {
+        const [item, after] = readItem(bytes, cursor);
+        items.push(item);
+        cursor = after;
+      }
+      return [items, cursor];
+    }
+    case 5: {
+      const map = new Map<number | string, CborValue>();
+      let cursor = next;
+      for (let i = 0; i < length; i++) {
+        const [key, afterKey] = readItem(bytes, cursor);
+        if (typeof key !== 'number' && typeof key !== 'string') {
+          throw new Error(`map key at byte ${cursor} is neither an integer nor text`);
+        }
+        const [item, afterItem] = readItem(bytes, afterKey);
+        map.set(key, item);
+        cursor = afterItem;
+      }
+      return [map, cursor];
+    }
+    case 6:
+      throw new Error(`unsupported tag at byte ${offset}`);
+    default:
+      if (initial === 0xf4 || initial === 0xf5 || initial === 0xf6) {
+        return [initial === 0xf5 ? true : initial === 0xf4 ? false : null, next];
+      }
+      if (initial === 0xfb) {
+        return [new DataView(bytes.buffer, bytes.byteOffset + offset + 1, 8).getFloat64(0), offset + 9];
+      }
+      throw new Error(`unsupported simple value 0x${initial.toString(16)} at byte ${offset}`);
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * Deep-link invitations
+ *
+ * A link carries the same signed invitation as a session QR code, packed as
+ * base64url(CBOR) in the `i` query parameter: `defishard://join?v=1&i=...`, or
+ * `https://<app>/join?v=1&i=...` where the custom scheme is not handled.
+ * Known fields use small integer keys and hex or base64 values travel as bytes
+ * when that re-encodes to the same text, so decoding gives back the exact QR data.
+ */
+
+import { DeFiShArdError } from '../errors';
+import { ErrorType } from '../types';
+import { encodeCbor, decodeCbor, CborValue } from './cbor';
+
+export const INVITATION_LINK_SCHEME = 'defishard://join';
+export const INVITATION_LINK_VERSION = 1;
+
+type FieldEncoding = 'hex' | 'base64' | 'type' | 'plain';
+
+// Integer key and value packing of each known QR code field; never renumber
+const LINK_FIELDS: [string, FieldEncoding][] = [
+  ['type', 'type'],
+  ['pairingSecret', 'base64'],
+  ['groupId', 'plain'],
+  ['threshold', 'plain'],
+  ['totalParties', 'plain'],
+  ['timeout', 'plain'],
+  ['messageHash', 'hex'],
+  ['txId', 'plain'],
+  ['description', 'plain'],
+  ['rotationType', 'plain'],
+  ['metadata', 'plain'],
+  ['timestamp', 'plain'],
+  ['expiresAt', 'plain'],
+  ['version', 'plain'],
+  ['envelope', 'plain'],
+  ['creator', 'hex'],
+  ['nonce', 'hex'],
+  ['signature', 'hex']
+];
+
+const SESSION_TYPES = ['keygen', 'sign', 'rotation'];
+
+/**
+ * Build a deep link for QR code data
+ *
+ * @param qrData - Invitation JSON as returned by createInvitation
+ * @param baseUrl - Join endpoint, the custom scheme by default or e.g. `https://app.example.com/join`
+ */
+export function encodeInvitationLink(qrData: string, baseUrl: string = INVITATION_LINK_SCHEME): string {
+  let fields: Record<string, unknown>;
+  try {
+    fields = JSON.parse(qrData);
+  } catch {
+    throw linkError('QR code data is not valid JSON');
+  }
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw linkError('QR code data is not an invitation');
+  }
+
+  const packed = new Map<number | string, CborValue>();
+  for (const [name, value] of Object.entries(fields)) {
+    if (value === undefined) {
+      continue;
+    }
+    const index = LINK_FIELDS.findIndex(([field]) => field === name);
+    if (index < 0) {
+      packed.set(name, value as CborValue);
+    } else {
+      packed.set(index, packField(LINK_FIELDS[index][1], value as CborValue));
+    }
+  }
+
+  const separator = baseUrl.includes('?') ? '&' : '?';
+  return `${baseUrl}${separator}v=${INVITATION_LINK_VERSION}&i=${toBase64Url(encodeCbor(packed))}`;
+}
+
+/**
+ * Recover the QR code data carried by a deep link
+ *
+ * @throws DeFiShArdError VALIDATION_ERROR with code INVITATION_MALFORMED or INVITATION_OUTDATED
+ */
+export function decodeInvitationLink(link: string): string {
+  const params = linkParams(link);
+  const payload = params?.get('i');
+  if (!params || !payload) {
+    throw linkError('Not an invitation link');
+  }
+  const version = Number(params.get('v') ?? INVITATION_LINK_VERSION);
+  if (version !== INVITATION_LINK_VERSION) {
+    throw new DeFiShArdError(
+      ErrorType.VALIDATION_ERROR,
+      `Invitation link version ${params.get('v')} is not supported, this client reads version ${INVITATION_LINK_VERSION}`,
+      'INVITATION_OUTDATED'
+    );
+  }
+
+  let packed: CborValue;
+  try {
+    packed = decodeCbor(fromBase64Url(payload));
+  } catch (error) {
+    throw linkError(`Invitation link payload is corrupted: ${error instanceof Error ? error.message : error}`);
+  }
+  if (!(packed instanceof Map)) {
+    throw linkError('Invitation link payload is not a map');
+  }
+
+  const fields: Record<string, unknown> = {};
+  for (const [key, value] of packed) {
+    if (typeof key === 'number') {
+      const field = LINK_FIELDS[key];
+      if (!field) {
+        throw linkError(`Invitation link has unknown field ${key}`);
+      }
+      fields[field[0]] = unpackField(field[1], value);
+    } else {
+      fields[key] = toJson(value);
+    }
+  }
+  return JSON.stringify(fields);
+}
+
+/**
+ * Whether the input looks like an invitation link rather than QR code JSON
+ */
+export function isInvitationLink(input: string): boolean {
+  return !!linkParams(input.trim())?.get('i');
+}
+
+/**
+ * QR code data for either a deep link or QR code JSON
+ */
+export function toInvitationData(input: string): string {
+  return isInvitationLink(input) ? decodeInvitationLink(input.trim()) : input;
+}
+
+function linkParams(link: string): URLSearchParams | null {
+  if (link.startsWith('{')) {
+    return null;
+  }
+  try {
+    return new URL(link).searchParams;
+  } catch {
+    return null;
+  }
+}
+
+function packField(encoding: FieldEncoding, value: CborValue): CborValue {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if (encoding === 'type' && SESSION_TYPES.includes(value)) {
+    return SESSION_TYPES.indexOf(value);
+  }
+  if (encoding === 'hex' && /^([0-9a-f]{2})*$/.test(value)) {
+    return Uint8Array.from(value.match(/../g) ?? [], byte => parseInt(byte, 16));
+  }
+  if (encoding === 'base64') {
+    try {
+      const bytes = Uint8Array.from(atob(value), c => c.charCodeAt(0));
+      if (btoa(String.fromCharCode(...bytes)) === value) {
+        return bytes;
+      }
+    } catch {
+      // Not base64, kept as text
+    }
+  }
+  return value;
+}
+
+function unpackField(encoding: FieldEncoding, value: CborValue): unknown {
+  if (encoding === 'type' && typeof value === 'number') {
+    const type = SESSION_TYPES[value];
+    if (!type) {
+      throw linkError(`Invitation link has unknown session type ${value}`);
+    }
+    return type;
+  }
+  if (value instanceof Uint8Array) {
+    if (encoding === 'hex') {
+      return Array.from(value, b => b.toString(16).padStart(2, '0')).join('');
+    }
+    if (encoding === 'base64') {
+      return btoa(String.fromCharCode(...value));
+    }
+  }
+  return toJson(value);
+}
+
+function toJson(value: CborValue): unknown {
+  if (value instanceof Uint8Array) {
+    throw linkError('Invitation link carries bytes in a text field');
+  }
+  if (Array.isArray(value)) {
+    return value.map(toJson);
+  }
+  if (value instanceof Map) {
+    const object: Record<string, unknown> = {};
+    for (const [key, item] of value) {
+      object[String(key)] = toJson(item);
+    }
+    return object;
+  }
+  return value;
+}
+
+function toBase64Url(bytes: Uint8Array): string {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text: string): Uint8Array {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4)), c => c.charCodeAt(0));
+}
+
+function linkError(message: string): DeFiShArdError {
+  return new DeFiShArdError(ErrorType.VALIDATION_ERROR, message, 'INVITATION_MALFORMED');
+}
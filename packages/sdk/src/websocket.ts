@@ -1,116 +1,56 @@
-import { ProtocolMessage } from './types';
-import { EventEmitter } from './events';
+import { ProtocolMessage, ReconnectOptions, ReconnectEvent } from './types';
+import { BaseTransport } from './transport/base-transport';
 
-export class WebSocketManager extends EventEmitter {
+const CONNECT_TIMEOUT_MS = 10000;
+const DEFAULT_RECONNECT: Required<ReconnectOptions> = {
+  maxAttempts: 8,
+  baseDelayMs: 500,
+  maxDelayMs: 30000
+};
+
+export class WebSocketManager extends BaseTransport {
   private ws: WebSocket | null = null;
-  private isConnecting = false;
+  private connectPromise: Promise<void> | null = null; // Pending connection attempt, shared by concurrent callers
   private messageQueue: ProtocolMessage[] = [];
   private readonly MAX_QUEUE_SIZE = 100; // Prevent unbounded memory growth
   private connectionParams: { groupId: string; protocol: string; apiKey: string } | null = null;
-  private debug: boolean;
-  private ownPartyId: string | null = null; // Track our own party ID for loop prevention
-  
-  // Encryption state
-  private cryptoKey: CryptoKey | null = null;
-  private isEncrypting = false; // Guard against recursive encryption
-  private readonly IV_LENGTH = 12;
-
-  constructor(private websocketUrl: string, debug: boolean = false) {
-    super();
-    this.debug = debug;
+
+  // Reconnection state
+  private readonly reconnectOptions: Required<ReconnectOptions>;
+  private reconnectAttempt = 0; // Attempts since the connection dropped, 0 while healthy
+  private reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+  private resendBuffer: ProtocolMessage[] = []; // Our peer messages of the current round, re-sent after a reconnect
+
+  constructor(private websocketUrl: string, debug: boolean = false, reconnect: ReconnectOptions = {}) {
+    super(debug);
+    this.reconnectOptions = { ...DEFAULT_RECONNECT, ...reconnect };
   }
 
   /**
    * Connect to the WebSocket server
+   * Resolves once the socket is open, rejects on timeout or when the socket closes first
    */
   async connect(groupId: string, protocol: string, apiKey: string): Promise<void> {
-    if (this.isConnecting || this.ws?.readyState === WebSocket.OPEN) {
+    if (this.ws?.readyState === WebSocket.OPEN) {
       return;
     }
+    if (this.connectPromise) {
+      return this.connectPromise;
+    }
 
-    this.isConnecting = true;
     this.connectionParams = { groupId, protocol, apiKey };
+    this.groupId = groupId;
+    this.cancelReconnect();
 
-    try {
-      // Use the same URL format as Rust client: {websocket_url}/ws/{group_id}/{protocol}
-      // Backend now supports Bearer token in URL query parameter
-      const url = `${this.websocketUrl}/ws/${groupId}/${protocol}?token=${encodeURIComponent(apiKey)}`;
-      
-      this.ws = new WebSocket(url);
-      
-      // Add connection timeout
-      const timeout = setTimeout(() => {
-        if (this.ws) {
-          this.ws.close();
-          this.isConnecting = false;
-          throw new Error('Connection timeout after 10 seconds');
-        }
-      }, 10000);
-      
-      this.ws.onopen = () => {
-        clearTimeout(timeout);
-        this.isConnecting = false;
-        if (this.debug) {
-          console.log(`[WebSocket] 🔌 Connected to ${url}`);
-        }
-        this.emit('connected');
-        
-        // Send queued messages
-        this.flushMessageQueue();
-      };
-
-      this.ws.onmessage = (event) => {
-        try {
-          if (typeof event.data === 'string') {
-            const data = JSON.parse(event.data);
-            this.handleParsedMessage(data).catch(error => {
-              console.error('Failed to handle message:', error);
-            });
-          } else {
-            console.error('Unsupported message data type:', typeof event.data);
-          }
-        } catch (error) {
-          console.error('Failed to parse WebSocket message:', error);
-        }
-      };
-
-      this.ws.onclose = (event) => {
-        clearTimeout(timeout);
-        this.isConnecting = false;
-        this.emit('disconnected');
-        // Reconnect logic disabled for simplicity
-      };
-
-      this.ws.onerror = (error) => {
-        clearTimeout(timeout);
-        this.isConnecting = false;
-        this.emit('error', error);
-      };
-
-    } catch (error) {
-      this.isConnecting = false;
-      throw new Error(`Failed to connect to WebSocket: ${error}`);
-    }
+    return this.openSocket();
   }
 
   /**
-   * Send a message via WebSocket
+   * Send a prepared message via WebSocket
    */
-  async sendMessage(message: ProtocolMessage): Promise<void> {
-    
-    // Create a copy of the message to avoid modifying the original
-    const messageToSend = { ...message };
-    
-    // Encrypt content if encryption is enabled
-    if (this.shouldEncryptMessage(messageToSend)) {
-      try {
-        messageToSend.content = await this.encryptContent(messageToSend.content);
-      } catch (error) {
-        console.error('[WebSocket] Failed to encrypt message:', error);
-        throw error;
-      }
-    }
-    
+  protected async deliver(messageToSend: ProtocolMessage): Promise<void> {
+    this.bufferForResend(messageToSend);
+
     if (this.ws?.readyState === WebSocket.OPEN) {
       // Send the message directly as JSON (like Rust client)
       const jsonMessage = JSON.stringify(messageToSend);
@@ -131,179 +71,243 @@ export class WebSocketManager extends EventEmitter {
    * Disconnect from WebSocket
    */
   async disconnect(): Promise<void> {
+    this.cancelReconnect();
+    this.reconnectAttempt = 0;
     if (this.ws) {
       // Clean up event listeners to prevent memory leaks
-      this.ws.onopen = null;
-      this.ws.onmessage = null;
-      this.ws.onclose = null;
-      this.ws.onerror = null;
+      this.detachSocket(this.ws);
       this.ws.close(1000, 'Normal closure');
       this.ws = null;
     }
-    this.isConnecting = false;
+    this.connectPromise = null;
     this.connectionParams = null;
+    this.groupId = null;
     this.messageQueue = []; // Clear queued messages
+    this.resendBuffer = [];
   }
 
   /**
-   * Set own party ID for loop prevention
+   * Check if connected
    */
-  setOwnPartyId(partyId: string): void {
-    this.ownPartyId = partyId;
-    if (this.debug) {
-      console.log(`[WebSocket] 🆔 Set own party ID: ${partyId}`);
-    }
+  isConnected(): boolean {
+    return this.ws?.readyState === WebSocket.OPEN;
   }
 
   /**
-   * Check if connected
+   * Name used in log lines
    */
-  isConnected(): boolean {
-    return this.ws?.readyState === WebSocket.OPEN;
+  protected getTransportName(): string {
+    return 'WebSocket';
   }
 
   /**
-   * Set encryption key for AES-256-GCM
+   * Open a socket with the current connection parameters
    */
-  async setEncryptionKey(rawKey: Uint8Array | string): Promise<void> {
-    let keyBytes: Uint8Array;
-    
-    if (typeof rawKey === 'string') {
-      // Assume base64 encoded key
-      keyBytes = Uint8Array.from(atob(rawKey), c => c.charCodeAt(0));
-    } else {
-      keyBytes = rawKey;
-    }
-    
-    if (keyBytes.byteLength !== 32) {
-      throw new Error('Encryption key must be 32 bytes for AES-256-GCM');
-    }
-    
-    this.cryptoKey = await crypto.subtle.importKey(
-      'raw',
-      keyBytes as unknown as ArrayBuffer,
-      { name: 'AES-GCM' },
-      false,
-      ['encrypt', 'decrypt']
-    );
-    
-    if (this.debug) {
-      console.log('[WebSocket] 🔐 Encryption key set');
-    }
+  private openSocket(): Promise<void> {
+    const { groupId, protocol, apiKey } = this.connectionParams!;
+    // Use the same URL format as Rust client: {websocket_url}/ws/{group_id}/{protocol}
+    // Backend now supports Bearer token in URL query parameter
+    const url = `${this.websocketUrl}/ws/${groupId}/${protocol}?token=${encodeURIComponent(apiKey)}`;
+
+    const attempt = new Promise<void>((resolve, reject) => {
+      let ws: WebSocket;
+      try {
+        ws = new WebSocket(url);
+      } catch (error) {
+        reject(new Error(`Failed to connect to WebSocket: ${error}`));
+        return;
+      }
+      this.ws = ws;
+      let opened = false;
+
+      // Failure before the socket opened: reject the caller instead of throwing in a timer
+      const fail = (error: Error) => {
+        clearTimeout(timeout);
+        this.detachSocket(ws);
+        ws.close();
+        if (this.ws === ws) {
+          this.ws = null;
+        }
+        reject(error);
+      };
+
+      // Add connection timeout
+      const timeout = setTimeout(() => {
+        fail(new Error(`Connection timeout after ${CONNECT_TIMEOUT_MS / 1000} seconds`));
+      }, CONNECT_TIMEOUT_MS);
+
+      ws.onopen = () => {
+        clearTimeout(timeout);
+        opened = true;
+        if (this.debug) {
+          console.log(`[WebSocket] 🔌 Connected to ${url}`);
+        }
+        this.emit('connected');
+        this.handleOpen();
+        resolve();
+      };
+
+      ws.onmessage = (event) => {
+        try {
+          if (typeof event.data === 'string') {
+            const data = JSON.parse(event.data);
+            this.handleParsedMessage(data).catch(error => {
+              console.error('Failed to handle message:', error);
+            });
+          } else {
+            console.error('Unsupported message data type:', typeof event.data);
+          }
+        } catch (error) {
+          console.error('Failed to parse WebSocket message:', error);
+        }
+      };
+
+      ws.onclose = (event) => {
+        if (!opened) {
+          fail(new Error(`WebSocket closed before opening (code ${event.code})`));
+          return;
+        }
+        this.detachSocket(ws);
+        if (this.ws === ws) {
+          this.ws = null;
+        }
+        this.emit('disconnected');
+
+        // A normal closure was intended by one side, anything else is a dropped connection
+        if (event.code !== 1000) {
+          this.scheduleReconnect(`closed with code ${event.code}`);
+        }
+      };
+
+      ws.onerror = (error) => {
+        if (!opened) {
+          fail(new Error('WebSocket error before the connection opened'));
+          return;
+        }
+        this.emit('error', error);
+      };
+    });
+
+    this.connectPromise = attempt;
+    const clear = () => {
+      if (this.connectPromise === attempt) {
+        this.connectPromise = null;
+      }
+    };
+    attempt.then(clear, clear);
+    return attempt;
   }
 
   /**
-   * Check if encryption is enabled
+   * Send what accumulated while the socket was down
    */
-  private shouldEncryptMessage(message: ProtocolMessage): boolean {
-    // Don't encrypt server messages (from_id = all zeros)
-    const SERVER_ID = '00000000000000000000000000000000000000000000000000000000000000000000';
-    
-    // Don't encrypt DONE messages (status messages to server)
-    if (message.content === 'DONE' && message.to_id === SERVER_ID) {
-      return false;
+  private handleOpen(): void {
+    const attempts = this.reconnectAttempt;
+    this.reconnectAttempt = 0;
+
+    if (attempts > 0) {
+      // Queued messages from earlier rounds go first, then the whole current round again;
+      // peers drop copies they already have by sequence number
+      const pending = [
+        ...this.messageQueue.filter(message => !this.resendBuffer.includes(message)),
+        ...this.resendBuffer
+      ];
+      this.messageQueue = pending;
+      if (this.debug) {
+        console.log(`[WebSocket] 🔁 Reconnected after ${attempts} attempt(s), re-sending ${pending.length} message(s)`);
+      }
+      this.flushMessageQueue();
+      this.emit('reconnected', { attempt: attempts } as ReconnectEvent);
+      return;
     }
-    
-    return this.cryptoKey !== null && message.from_id !== SERVER_ID;
+
+    // Send queued messages
+    this.flushMessageQueue();
   }
 
   /**
-   * Encrypt message content using AES-256-GCM
+   * Schedule the next reconnection attempt with exponential backoff and jitter
    */
-  private async encryptContent(content: string): Promise<string> {
-    if (!this.cryptoKey) {
-      throw new Error('No encryption key set');
+  private scheduleReconnect(lastError: string): void {
+    if (!this.connectionParams || this.reconnectTimer) {
+      return;
     }
-    
-    if (this.isEncrypting) {
-      throw new Error('Recursive encryption detected');
+
+    if (this.reconnectAttempt >= this.reconnectOptions.maxAttempts) {
+      const attempts = this.reconnectAttempt;
+      this.reconnectAttempt = 0;
+      console.warn(`[WebSocket] Giving up after ${attempts} reconnection attempt(s): ${lastError}`);
+      this.emit('gave-up', { attempt: attempts, error: lastError } as ReconnectEvent);
+      return;
     }
-    
-    this.isEncrypting = true;
-    
-    try {
-      // Generate random IV with cross-platform support
-      const iv = (globalThis.crypto || crypto).getRandomValues(new Uint8Array(this.IV_LENGTH));
-      
-      // Encode and encrypt
-      const encodedContent = new TextEncoder().encode(content);
-      const encrypted = await crypto.subtle.encrypt(
-        { name: 'AES-GCM', iv },
-        this.cryptoKey,
-        encodedContent
-      );
-      
-      // Combine IV + encrypted data
-      const result = new Uint8Array(iv.length + encrypted.byteLength);
-      result.set(iv, 0);
-      result.set(new Uint8Array(encrypted), iv.length);
-      
-      // Base64 encode safely
-      return this.toBase64(result);
-    } catch (err) {
-      console.error('[Encryption] Failed:', err);
-      throw err;
-    } finally {
-      this.isEncrypting = false;
+
+    const attempt = ++this.reconnectAttempt;
+    const delayMs = this.getBackoffDelay(attempt);
+    if (this.debug) {
+      console.log(`[WebSocket] 🔌 Reconnecting in ${delayMs}ms (attempt ${attempt}/${this.reconnectOptions.maxAttempts})`);
     }
+    this.emit('reconnecting', { attempt, delayMs } as ReconnectEvent);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (!this.connectionParams) {
+        return;
+      }
+      this.openSocket().catch((error: unknown) => {
+        this.scheduleReconnect(error instanceof Error ? error.message : String(error));
+      });
+    }, delayMs);
   }
 
   /**
-   * Decrypt message content using AES-256-GCM
+   * Backoff before an attempt: doubles per attempt up to the cap, half of it randomized
+   * so parties that dropped together do not hit the relay in lockstep
    */
-  private async decryptContent(encryptedContent: string): Promise<string> {
-    if (!this.cryptoKey) {
-      throw new Error('No encryption key set');
-    }
-    
-    try {
-      // Decode from base64
-      const encryptedBytes = this.fromBase64(encryptedContent);
-      
-      // Extract IV (first 12 bytes) and ciphertext
-      const iv = encryptedBytes.subarray(0, this.IV_LENGTH);
-      const ciphertext = encryptedBytes.subarray(this.IV_LENGTH);
-      
-      // Decrypt
-      const decrypted = await crypto.subtle.decrypt(
-        { name: 'AES-GCM', iv: iv as unknown as ArrayBuffer },
-        this.cryptoKey,
-        ciphertext as unknown as ArrayBuffer
-      );
-      
-      // Return as string
-      return new TextDecoder().decode(decrypted);
-    } catch (error) {
-      console.error('[Decryption] Failed:', error);
-      throw new Error(`Decryption failed: ${error}`);
-    }
+  private getBackoffDelay(attempt: number): number {
+    const { baseDelayMs, maxDelayMs } = this.reconnectOptions;
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
   }
 
   /**
-   * Safe base64 encoding for large data
+   * Stop a scheduled reconnection attempt
    */
-  private toBase64(bytes: Uint8Array): string {
-    let binary = '';
-    const chunkSize = 0x8000; // 32KB chunks to avoid stack overflow
-    for (let i = 0; i < bytes.length; i += chunkSize) {
-      binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  private cancelReconnect(): void {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
     }
-    return btoa(binary);
   }
 
   /**
-   * Safe base64 decoding
+   * Keep our peer messages of the current round for re-delivery
+   * A peer message of another round starts a new round; status messages to the server are kept alongside
    */
-  private fromBase64(base64: string): Uint8Array {
-    const binary = atob(base64);
-    const bytes = new Uint8Array(binary.length);
-    for (let i = 0; i < binary.length; i++) {
-      bytes[i] = binary.charCodeAt(i);
+  private bufferForResend(message: ProtocolMessage): void {
+    if (message.from_id === this.SERVER_ID) {
+      return;
+    }
+    if (message.to_id !== this.SERVER_ID) {
+      const current = this.resendBuffer.find(buffered => buffered.to_id !== this.SERVER_ID);
+      if (current && current.round !== message.round) {
+        this.resendBuffer = [];
+      }
+    }
+    if (this.resendBuffer.length >= this.MAX_QUEUE_SIZE) {
+      this.resendBuffer.shift();
     }
-    return bytes;
+    this.resendBuffer.push(message);
   }
 
-
+  /**
+   * Remove event handlers from a socket we no longer use
+   */
+  private detachSocket(ws: WebSocket): void {
+    ws.onopen = null;
+    ws.onmessage = null;
+    ws.onclose = null;
+    ws.onerror = null;
+  }
 
   /**
    * Send queued messages when connection is established
@@ -324,7 +328,7 @@ export class WebSocketManager extends EventEmitter {
   private async handleParsedMessage(data: any): Promise<void> {
     // Handle both wrapped messages (type: 'message') and direct messages
     let protocolMessage: ProtocolMessage;
-    
+
     if (data.type === 'message') {
       protocolMessage = data.message as ProtocolMessage;
     } else {
@@ -332,51 +336,6 @@ export class WebSocketManager extends EventEmitter {
       protocolMessage = data as ProtocolMessage;
     }
 
-    // Validate the message before processing
-    if (!this.validateProtocolMessage(protocolMessage)) {
-      console.error('Invalid ProtocolMessage received:', protocolMessage);
-      return;
-    }
-
-    // Loop prevention: ignore messages from our own party ID
-    if (this.ownPartyId && protocolMessage.from_id === this.ownPartyId) {
-      if (this.debug) {
-        console.log(`[WebSocket] 🔄 Ignoring own message from ${this.ownPartyId} (loop prevention)`);
-      }
-      return;
-    }
-
-    // Log END messages specifically
-    if (protocolMessage.content.startsWith('END:')) {
-      console.log(`[WebSocket] [${this.ownPartyId?.substring(0, 8) || 'unknown'}] 📨 Received END message: ${protocolMessage.content}`);
-    }
-
-    // Decrypt content if encryption is enabled
-    if (this.shouldEncryptMessage(protocolMessage)) {
-      try {
-        protocolMessage.content = await this.decryptContent(protocolMessage.content);
-      } catch (error) {
-        console.error('[WebSocket] Failed to decrypt message:', error);
-        return; // Don't emit invalid message
-      }
-    }
-
-    this.emit('message', protocolMessage);
-  }
-
-  /**
-   * Validate ProtocolMessage structure
-   */
-  private validateProtocolMessage(message: any): message is ProtocolMessage {
-    return (
-      typeof message === 'object' &&
-      message !== null &&
-      typeof message.group_id === 'string' &&
-      typeof message.from_id === 'string' &&
-      typeof message.to_id === 'string' &&
-      typeof message.content === 'string' &&
-      typeof message.round === 'number' &&
-      typeof message.timestamp === 'string'
-    );
+    await this.receive(protocolMessage);
   }
-} 
\ No newline at end of file
+}
@@ -4,6 +4,7 @@ import Home from './components/Home';
 import Keygen from './components/Keygen';
 import Sign from './components/Sign';
 import Settings from './components/Settings';
+import JoinInvitation from './components/JoinInvitation';
 import './styles.css';
 
 function App() {
@@ -16,6 +17,7 @@ function App() {
             <Route path="/keygen" element={<Keygen />} />
             <Route path="/signing" element={<Sign />} />
             <Route path="/settings" element={<Settings />} />
+            <Route path="/join" element={<JoinInvitation />} />
             <Route path="/rotation" element={<div className="rotation-placeholder"><h2>🔄 Key Rotation</h2><p>Key rotation functionality will be implemented here...</p></div>} />
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
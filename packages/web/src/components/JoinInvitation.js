@@ -0,0 +1,66 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import sdkService from '../services/sdk-service';
+import { describeInvitationError } from '../utils/keygenUtils';
+import Header from './Header';
+
+// Join page of each session type; the invitation is verified and consumed there
+const JOIN_ROUTES = {
+	keygen: '/keygen',
+	sign: '/signing',
+	rotation: '/rotation'
+};
+
+/**
+ * Landing page of https invitation links (`/join?v=1&i=...`)
+ * Decodes the invitation and routes into the join flow of its session type
+ */
+const JoinInvitation = () => {
+	const navigate = useNavigate();
+	const location = useLocation();
+	const [error, setError] = useState(null);
+
+	useEffect(() => {
+		const routeInvitation = async () => {
+			try {
+				await sdkService.initialize({ debug: true });
+				const link = `${window.location.origin}${location.pathname}${location.search}`;
+				const invitation = sdkService.sdk.decodeInvitationLink(link);
+				const route = JOIN_ROUTES[JSON.parse(invitation).type];
+				if (!route) {
+					throw new Error('Invitation is for an unknown session type');
+				}
+				navigate(route, { replace: true, state: { invitation } });
+			} catch (err) {
+				setError(describeInvitationError(err));
+			}
+		};
+		routeInvitation();
+	}, [location, navigate]);
+
+	return (
+		<div className="join-container">
+			<Header title="Join Session" subtitle="Opening invitation..." />
+			<div className="join-invitation">
+				{error ? (
+					<>
+						<div className="error-message">❌ {error}</div>
+						<button className="secondary-btn" onClick={() => navigate('/')}>
+							Back to Home
+						</button>
+					</>
+				) : (
+					<p>
+						<span className="loading-spinner"></span>
+						Opening invitation...
+					</p>
+				)}
+				<a className="help-text" href={`defishard://join${location.search}`}>
+					Open in the DeFiShArd app instead
+				</a>
+			</div>
+		</div>
+	);
+};
+
+export default JoinInvitation;
@@ -1,17 +1,20 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { QRCodeSVG } from 'qrcode.react';
 import sdkService from '../services/sdk-service';
-import { useSDKEvents } from '../hooks/useSDKEvents';
+import { useSDKEvents, describeProgress } from '../hooks/useSDKEvents';
 import {
 	generateQRCodeData,
+	generateInvitationLink,
 	parseQRCodeData,
 	waitForPartiesReady
 } from '../utils/keygenUtils';
 import Header from './Header';
+import SessionFingerprint from './SessionFingerprint';
 
 const Keygen = () => {
 	const navigate = useNavigate();
+	const location = useLocation();
 	
 	// Basic state
 	const [partyId, setPartyId] = useState(null);
@@ -22,6 +25,9 @@ const Keygen = () => {
 	// Keygen state
 	const [keygenStatus, setKeygenStatus] = useState('idle');
 	const [keyshare, setKeyshare] = useState(null);
+	const [progress, setProgress] = useState(null);
+	const [sessionFingerprint, setSessionFingerprint] = useState(null);
+	const [fingerprintPending, setFingerprintPending] = useState(false);
 	const [activeTab, setActiveTab] = useState('creator'); // 'creator' or 'joiner'
 	
 	// Group configuration
@@ -37,6 +43,16 @@ const Keygen = () => {
 	const [qrCodeData, setQrCodeData] = useState(null);
 	const [setupData, setSetupData] = useState('');
 	
+	// Opened from an invitation link: go straight to the join form
+	useEffect(() => {
+		const invitation = location.state?.invitation;
+		if (invitation) {
+			setSetupData(invitation);
+			setActiveTab('joiner');
+			addLog('🔗 Invitation link opened, press Join to verify it and join the session');
+		}
+	}, [location]);
+	
 	// Function to clean up SDK state
 	const cleanupSDKState = async () => {
 		if (sdkService.sdk) {
@@ -62,7 +78,23 @@ const Keygen = () => {
 	};
 
 	// Use custom hook for SDK events
-	useSDKEvents(addLog, setKeygenStatus, null, setKeyshare, null);
+	// Session code shown after pairing, answered by the user before round 1
+	const showFingerprint = (fingerprint) => {
+		setSessionFingerprint(fingerprint);
+		setFingerprintPending(true);
+	};
+
+	const answerFingerprint = (matches) => {
+		setFingerprintPending(false);
+		try {
+			sdkService.sdk.confirmSessionFingerprint(matches);
+			addLog(matches ? '✅ Session code confirmed' : '🚫 Session code rejected, session aborted');
+		} catch (error) {
+			addLog(`⚠️ Could not answer session code: ${error.message}`);
+		}
+	};
+
+	useSDKEvents(addLog, setKeygenStatus, null, setKeyshare, null, setProgress, showFingerprint);
 	
 	// Cleanup on component unmount
 	useEffect(() => {
@@ -138,18 +170,10 @@ const Keygen = () => {
 			
 			// Generate QR code
 			try {
-				const generatedQRData = await generateQRCodeData(groupInfo, partyId, addLog);
+				const generatedQRData = await generateQRCodeData(groupInfo, addLog);
 				if (generatedQRData) {
 					setQrCodeData(generatedQRData);
 					addLog('✅ QR code generated');
-					
-					// Set encryption key
-					const parsedQR = JSON.parse(generatedQRData);
-					if (parsedQR.aesKey) {
-						const aesKeyBytes = Uint8Array.from(atob(parsedQR.aesKey), c => c.charCodeAt(0));
-						await sdkService.sdk.setEncryptionKey(aesKeyBytes);
-						addLog('✅ Encryption key set for creator');
-					}
 				}
 			} catch (error) {
 				addLog(`❌ QR code generation failed: ${error.message}`);
@@ -165,18 +189,8 @@ const Keygen = () => {
 			// Start key generation with timeout
 			addLog('🚀 Starting distributed key generation...');
 			
-			// Create a timeout promise for the entire keygen process
-			const keygenTimeout = new Promise((_, reject) => {
-				setTimeout(() => {
-					reject(new Error(`Key generation timeout after ${flowTimeout/1000} seconds`));
-				}, flowTimeout - (Date.now() - startTime));
-			});
-			
-			// Race between keygen completion and timeout
-			await Promise.race([
-				sdkService.startKeygen(true),
-				keygenTimeout
-			]);
+			// The SDK enforces the remaining flow budget and tears the session down on expiry
+			await sdkService.startKeygen(true, { timeoutMs: flowTimeout - (Date.now() - startTime) });
 			
 			addLog('✅ Key generation completed!');
 			setKeygenStatus('completed');
@@ -202,21 +216,13 @@ const Keygen = () => {
 			setKeygenStatus('starting');
 			addLog('🚀 Starting joiner key generation...');
 			
-			// Parse QR code data
-			const parsedQR = await parseQRCodeData(setupData, addLog);
-			if (!parsedQR) {
-				addLog('❌ Invalid QR code data.');
-				setKeygenStatus('error');
-				return;
-			}
-			
 			// Ensure SDK is initialized (uses Settings-configured URLs)
 			if (!sdkService.isInitialized) {
 				addLog('🔌 Initializing SDK...');
 				await sdkService.initialize({ debug: true });
 			}
 			
-			// Register party if needed
+			// Register party if needed (accepting the invitation looks up its group on the relay)
 			if (!partyId) {
 				addLog('👤 Registering party...');
 				const registration = await sdkService.registerParty();
@@ -225,23 +231,20 @@ const Keygen = () => {
 				addLog(`✅ Party registered: ${newPartyId}`);
 			}
 			
+			// Verify and accept the invitation, the session keys come from the handshake its pairing secret authenticates
+			const parsedQR = await parseQRCodeData(setupData, addLog);
+			if (!parsedQR) {
+				addLog('❌ Invalid QR code data.');
+				setKeygenStatus('error');
+				return;
+			}
+			
 			// Join group
 			addLog('🔗 Joining existing group...');
 			await sdkService.joinGroup(parsedQR.groupId);
 			setGroupId(parsedQR.groupId);
 			addLog(`✅ Joined group: ${parsedQR.groupId}`);
 			
-			// Set encryption key
-			if (parsedQR.aesKey) {
-				try {
-					const aesKeyBytes = Uint8Array.from(atob(parsedQR.aesKey), c => c.charCodeAt(0));
-					await sdkService.sdk.setEncryptionKey(aesKeyBytes);
-					addLog('✅ Encryption key set for joiner');
-				} catch (error) {
-					addLog(`⚠️ Could not set encryption key: ${error.message}`);
-				}
-			}
-			
 			// Wait for group to be ready (optimized)
 			addLog('⏳ Waiting for group to be ready...');
 			await waitForPartiesReady(parsedQR.groupId, parsedQR.totalParties, addLog);
@@ -250,18 +253,8 @@ const Keygen = () => {
 			// Start key generation with timeout
 			addLog('🚀 Starting distributed key generation...');
 			
-			// Create a timeout promise for the entire keygen process
-			const keygenTimeout = new Promise((_, reject) => {
-				setTimeout(() => {
-					reject(new Error(`Key generation timeout after ${flowTimeout/1000} seconds`));
-				}, flowTimeout - (Date.now() - startTime));
-			});
-			
-			// Race between keygen completion and timeout
-			await Promise.race([
-				sdkService.startKeygen(false),
-				keygenTimeout
-			]);
+			// The SDK enforces the remaining flow budget and tears the session down on expiry
+			await sdkService.startKeygen(false, { timeoutMs: flowTimeout - (Date.now() - startTime) });
 			
 			addLog('✅ Key generation completed!');
 			setKeygenStatus('completed');
@@ -283,6 +276,7 @@ const Keygen = () => {
 		// Reset keygen-specific state
 		setKeygenStatus('idle');
 		setKeyshare(null);
+		setProgress(null);
 		setQrCodeData(null);
 		setSetupData('');
 		setGroupInfo(null);
@@ -454,6 +448,12 @@ const Keygen = () => {
 											</svg>
 											Copy Data
 										</button>
+										<button
+											className="secondary-btn"
+											onClick={() => copyToClipboard(generateInvitationLink(qrCodeData), 'Invitation link')}
+										>
+											Copy Invite Link
+										</button>
 									</div>
 								</div>
 							)}
@@ -473,7 +473,7 @@ const Keygen = () => {
 									) : keygenStatus === 'in-progress' ? (
 										<>
 											<span className="loading-spinner"></span>
-											Key Generation in Progress...
+											{describeProgress(progress, 'Key Generation in Progress...')}
 										</>
 									) : keygenStatus === 'completed' ? (
 										<>
@@ -525,7 +525,7 @@ const Keygen = () => {
 								<textarea
 									value={setupData}
 									onChange={(e) => setSetupData(e.target.value)}
-									placeholder="Paste the QR code data from the creator..."
+									placeholder="Paste the QR code data or invitation link from the creator..."
 									className="qr-textarea"
 									rows="4"
 								/>
@@ -545,7 +545,7 @@ const Keygen = () => {
 									) : keygenStatus === 'in-progress' ? (
 										<>
 											<span className="loading-spinner"></span>
-											Key Generation in Progress...
+											{describeProgress(progress, 'Key Generation in Progress...')}
 										</>
 									) : keygenStatus === 'completed' ? (
 										<>
@@ -579,6 +579,12 @@ const Keygen = () => {
 					</div>
 				)}
 
+				{/* Session Code */}
+				<SessionFingerprint
+					fingerprint={sessionFingerprint}
+					onConfirm={fingerprintPending ? answerFingerprint : null}
+				/>
+
 				{/* Keyshare Result Section */}
 				{keygenStatus === 'completed' && keyshare && (
 					<div className="keyshare-section">
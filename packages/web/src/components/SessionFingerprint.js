@@ -0,0 +1,36 @@
+import React from 'react';
+
+/**
+ * Short authentication string of the paired session
+ * Every device of the session shows the same code; a different one means a spoofed session
+ */
+const SessionFingerprint = ({ fingerprint, onConfirm }) => {
+	if (!fingerprint) {
+		return null;
+	}
+
+	return (
+		<div className="session-fingerprint">
+			<label>Session Code</label>
+			<div className="fingerprint-digits">
+				{fingerprint.digits.slice(0, 3)} {fingerprint.digits.slice(3)}
+			</div>
+			<div className="fingerprint-emoji">{fingerprint.emoji.join(' ')}</div>
+			<p className="help-text">
+				Compare this code with every other device before key material is exchanged.
+			</p>
+			{onConfirm && (
+				<div className="fingerprint-actions">
+					<button className="primary-btn" onClick={() => onConfirm(true)}>
+						Codes Match
+					</button>
+					<button className="secondary-btn" onClick={() => onConfirm(false)}>
+						Codes Differ
+					</button>
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default SessionFingerprint;
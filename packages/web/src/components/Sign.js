@@ -2,9 +2,11 @@ import React, { useState, useEffect } from 'react';
 import { useLocation } from 'react-router-dom';
 import { QRCodeSVG } from 'qrcode.react';
 import sdkService from '../services/sdk-service';
-import { useSDKEvents } from '../hooks/useSDKEvents';
+import { useSDKEvents, describeProgress } from '../hooks/useSDKEvents';
+import { describeInvitationError, generateInvitationLink, toQRCodeData } from '../utils/keygenUtils';
 
 import Header from './Header';
+import SessionFingerprint from './SessionFingerprint';
 
 const Sign = () => {
 	const location = useLocation();
@@ -20,7 +22,11 @@ const Sign = () => {
 	// Signing state
 	const [signStatus, setSignStatus] = useState('idle');
 	const [signature, setSignature] = useState(null);
+	const [progress, setProgress] = useState(null);
+	const [sessionFingerprint, setSessionFingerprint] = useState(null);
+	const [fingerprintPending, setFingerprintPending] = useState(false);
 	const [message, setMessage] = useState('');
+	const [hashScheme, setHashScheme] = useState('sha256'); // 'sha256', 'ethereum' (EIP-191 personal_sign), 'transaction' or 'bitcoin' (BIP-137)
 	const [signSetupData, setSignSetupData] = useState('');
 	const [signQrCodeData, setSignQrCodeData] = useState(null);
 	const [activeTab, setActiveTab] = useState('creator'); // 'creator' or 'joiner'
@@ -56,7 +62,23 @@ const Sign = () => {
 	};
 
 	// Use custom hook for SDK events
-	useSDKEvents(addLog, null, setSignStatus, setKeyshare, setSignature);
+	// Session code shown after pairing, answered by the user before round 1
+	const showFingerprint = (fingerprint) => {
+		setSessionFingerprint(fingerprint);
+		setFingerprintPending(true);
+	};
+
+	const answerFingerprint = (matches) => {
+		setFingerprintPending(false);
+		try {
+			sdkService.sdk.confirmSessionFingerprint(matches);
+			addLog(matches ? '✅ Session code confirmed' : '🚫 Session code rejected, session aborted');
+		} catch (error) {
+			addLog(`⚠️ Could not answer session code: ${error.message}`);
+		}
+	};
+
+	useSDKEvents(addLog, null, setSignStatus, setKeyshare, setSignature, setProgress, showFingerprint);
 	
 	// Cleanup on component unmount
 	useEffect(() => {
@@ -94,6 +116,16 @@ const Sign = () => {
 		checkExistingKeyshares();
 	}, []);
 
+	// Opened from an invitation link: prefill the join form, a keyshare still has to be loaded
+	useEffect(() => {
+		const invitation = location && location.state && location.state.invitation;
+		if (invitation) {
+			setSignSetupData(invitation);
+			setActiveTab('joiner');
+			addLog('🔗 Invitation link opened, load the keyshare of its group and press Join');
+		}
+	}, [location]);
+
 	// If navigated from Home with a preloaded keyshare, seed state and SDK once
 	useEffect(() => {
 		const navState = location && location.state;
@@ -124,14 +156,12 @@ const Sign = () => {
 	}, [location, preloadHandled]);
 
 	// Signing helpers
+	// Signature, creator membership, expiry and nonce are checked by sdk.acceptInvitation
 	const validateSignQR = (data) => {
 		if (!data) return false;
-		const required = ['type', 'groupId', 'threshold', 'totalParties', 'messageHash', 'aesKey', 'timestamp'];
+		const required = ['type', 'groupId', 'threshold', 'totalParties', 'messageHash', 'pairingSecret', 'expiresAt', 'signature'];
 		for (const k of required) if (!(k in data)) return false;
-		if (data.type !== 'sign') return false;
-		// 60 min expiry by default
-		const ageMs = Date.now() - (data.timestamp || 0);
-		return ageMs >= 0 && ageMs <= 60 * 60 * 1000;
+		return data.type === 'sign';
 	};
 
 	const startCreatorSigning = async () => {
@@ -174,43 +204,21 @@ const Sign = () => {
 				sdkService.updateSDKConfig({ apiKey: sdkService.sdk.config.apiKey });
 			}
 			
-			// Hash message (SHA-256)
-			const encoder = new TextEncoder();
-			const msgBytes = encoder.encode(message);
-			const hashBuffer = await crypto.subtle.digest('SHA-256', msgBytes);
-			const messageHash = Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+			// Hash message (SHA-256, the EIP-191 hash Ethereum wallets sign, a transaction's signing hash or the BIP-137 hash)
+			const transaction = hashScheme === 'transaction' ? JSON.parse(message) : undefined;
+			const hashBytes = await sdkService.hashMessage(message, hashScheme);
+			const messageHash = Array.from(hashBytes).map(b => b.toString(16).padStart(2, '0')).join('');
 			
-			// AES key for session
-			const aesKey = btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(32))));
-			const signingData = {
+			// Invitation signed with the party identity, it also sets the pairing secret for this session
+			const signingData = await sdkService.sdk.createInvitation({
 				type: 'sign',
-				aesKey,
 				groupId: keyshare.groupId,
 				threshold: keyshare.threshold,
 				totalParties: keyshare.totalParties,
-				messageHash,
-				timestamp: Date.now(),
-				version: '1.0'
-			};
+				messageHash
+			});
 			
-			if (!validateSignQR(signingData)) {
-				addLog('❌ Signing data failed validation.');
-				setSignStatus('error');
-				return;
-			}
-			
-			// Set encryption key
-			if (sdkService.sdk) {
-				try {
-					const aesKeyBytes = Uint8Array.from(atob(aesKey), c => c.charCodeAt(0));
-					await sdkService.sdk.setEncryptionKey(aesKeyBytes);
-					addLog('✅ Encryption key set for creator');
-				} catch (e) {
-					addLog(`⚠️ Could not set encryption key: ${e.message}`);
-				}
-			}
-			
-			setSignQrCodeData(JSON.stringify(signingData));
+			setSignQrCodeData(signingData);
 			addLog('✅ QR code generated');
 			addLog('⏳ Waiting for other parties to join...');
 			setSignStatus('waiting');
@@ -234,18 +242,8 @@ const Sign = () => {
 					keyshareKeys: keyshareToUse ? Object.keys(keyshareToUse) : 'null'
 				});
 				
-				// Start signing with timeout
-				const signingTimeout = new Promise((_, reject) => {
-					setTimeout(() => {
-						reject(new Error(`Signing timeout after ${flowTimeout/1000} seconds`));
-					}, flowTimeout - (Date.now() - startTime));
-				});
-				
-				// Race between signing completion and timeout
-				await Promise.race([
-					sdkService.sdk.startSigning(messageHashBytes, keyshareToUse),
-					signingTimeout
-				]);
+				// The SDK enforces the remaining flow budget and tears the session down on expiry
+				await sdkService.sign(messageHashBytes, keyshareToUse, { timeoutMs: flowTimeout - (Date.now() - startTime), transaction });
 				
 				addLog('✅ Signing completed!');
 				setSignStatus('completed');
@@ -267,7 +265,7 @@ const Sign = () => {
 				addLog('❌ Please paste signing session QR data first.');
 				return;
 			}
-			const data = JSON.parse(signSetupData);
+			const data = JSON.parse(toQRCodeData(signSetupData));
 			if (!validateSignQR(data)) {
 				addLog('❌ Invalid or expired signing session data.');
 				return;
@@ -307,15 +305,12 @@ const Sign = () => {
 				addLog(`🔧 SDK configured for group: ${data.groupId}`);
 			}
 			
-			// Set encryption key
-			if (data.aesKey && sdkService.sdk) {
-				try {
-					const aesKeyBytes = Uint8Array.from(atob(data.aesKey), c => c.charCodeAt(0));
-					await sdkService.sdk.setEncryptionKey(aesKeyBytes);
-					addLog('✅ Encryption key set for signing session');
-				} catch (e) {
-					addLog(`⚠️ Could not set encryption key: ${e.message}`);
-				}
+			// Verify the creator signature, membership and expiry, consume the nonce and set the pairing secret
+			try {
+				const invitation = await sdkService.sdk.acceptInvitation(signSetupData);
+				addLog(`✅ Invitation signed by ${invitation.creator}`);
+			} catch (invitationError) {
+				throw new Error(describeInvitationError(invitationError));
 			}
 			
 			// Start signing with the message hash from the QR code
@@ -342,9 +337,12 @@ const Sign = () => {
 						keyshareKeys: keyshareToUse ? Object.keys(keyshareToUse) : 'null'
 					});
 					
-					// Start signing (this will connect to WebSocket and prepare the sign processor)
-					await sdkService.sdk.startSigning(messageHashBytes, keyshareToUse);
-					addLog('✅ Signing started and WebSocket connected');
+					// Run signing in the background; completion arrives through the sign:complete event
+					sdkService.sign(messageHashBytes, keyshareToUse).catch((signError) => {
+						setSignStatus('error');
+						addLog(`❌ Signing failed: ${signError.message}`);
+					});
+					addLog('✅ Signing started');
 				} catch (signError) {
 					addLog(`⚠️ Could not start signing: ${signError.message}`);
 				}
@@ -424,6 +422,7 @@ const Sign = () => {
 		// Keep the keyshare loaded but reset everything else
 		setSignStatus('idle');
 		setSignature(null);
+		setProgress(null);
 		setMessage('');
 		setSignSetupData('');
 		setSignQrCodeData(null);
@@ -539,11 +538,26 @@ const Sign = () => {
 							<textarea 
 								value={message} 
 								onChange={(e) => setMessage(e.target.value)} 
-								placeholder="Enter the message you want to sign..."
+								placeholder={hashScheme === 'transaction'
+									? '{"chainId": 1, "nonce": 0, "maxPriorityFeePerGas": "1000000000", "maxFeePerGas": "30000000000", "gasLimit": 21000, "to": "0x...", "value": "0"}'
+									: 'Enter the message you want to sign...'}
 								className="message-textarea"
 								rows="3" 
 							/>
 						</div>
+						<div className="message-input">
+							<label>Hash:</label>
+							<select 
+								value={hashScheme} 
+								onChange={(e) => setHashScheme(e.target.value)}
+								className="keyshare-dropdown"
+							>
+								<option value="sha256">SHA-256</option>
+								<option value="ethereum">Ethereum personal_sign (EIP-191)</option>
+								<option value="transaction">Ethereum transaction (JSON)</option>
+								<option value="bitcoin">Bitcoin signed message (BIP-137)</option>
+							</select>
+						</div>
 					</div>
 				)}
 
@@ -623,6 +637,12 @@ const Sign = () => {
 											</svg>
 											Copy Data
 										</button>
+										<button
+											className="secondary-btn"
+											onClick={() => copyToClipboard(generateInvitationLink(signQrCodeData), 'Invitation link')}
+										>
+											Copy Invite Link
+										</button>
 									</div>
 								</div>
 							)}
@@ -642,12 +662,12 @@ const Sign = () => {
 									) : signStatus === 'in-progress' ? (
 										<>
 											<span className="loading-spinner"></span>
-											Signing...
+											{describeProgress(progress, 'Signing...')}
 										</>
 									) : signStatus === 'waiting' ? (
 										<>
 											<span className="loading-spinner"></span>
-											Waiting for parties...
+											{describeProgress(progress, 'Waiting for parties...')}
 										</>
 									) : signStatus === 'done' ? (
 										<>
@@ -701,7 +721,7 @@ const Sign = () => {
 								<textarea
 									value={signSetupData}
 									onChange={(e) => setSignSetupData(e.target.value)}
-									placeholder="Paste the QR code data from the signing session..."
+									placeholder="Paste the QR code data or invitation link from the signing session..."
 									className="qr-textarea"
 									rows="4"
 								/>
@@ -721,7 +741,7 @@ const Sign = () => {
 									) : signStatus === 'in-progress' ? (
 										<>
 											<span className="loading-spinner"></span>
-											Signing...
+											{describeProgress(progress, 'Signing...')}
 										</>
 									) : signStatus === 'waiting' ? (
 										<>
@@ -766,6 +786,12 @@ const Sign = () => {
 
 
 
+				{/* Session Code */}
+				<SessionFingerprint
+					fingerprint={sessionFingerprint}
+					onConfirm={fingerprintPending ? answerFingerprint : null}
+				/>
+
 				{/* Signature Result Section */}
 				{signature && (
 					<div className="signature-section">
@@ -822,6 +848,112 @@ const Sign = () => {
 									</div>
 								</div>
 								
+								<div className="signature-field">
+									<label>Signature (DER):</label>
+									<div className="signature-value">
+										<span>{signature.der || 'N/A'}</span>
+										<button 
+											className="copy-btn" 
+											onClick={() => copyToClipboard(signature.der || '', 'Signature DER')}
+											title="Copy DER encoding"
+										>
+											<svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+												<path d="M16 4h2a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2h2" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+												<rect x="8" y="2" width="8" height="4" rx="1" ry="1" stroke="currentColor" strokeWidth="2"/>
+											</svg>
+										</button>
+									</div>
+								</div>
+								
+								<div className="signature-field">
+									<label>Recovery ID:</label>
+									<div className="signature-value">
+										<span>{signature.recoveryId !== undefined ? `${signature.recoveryId} (v = ${signature.v})` : 'N/A'}</span>
+									</div>
+								</div>
+								
+								{signature.rawTransaction && (
+									<div className="signature-field">
+										<label>Raw Transaction:</label>
+										<div className="signature-value">
+											<span>{signature.rawTransaction}</span>
+											<button 
+												className="copy-btn" 
+												onClick={() => copyToClipboard(signature.rawTransaction, 'Raw Transaction')}
+												title="Copy for eth_sendRawTransaction"
+											>
+												<svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+													<path d="M16 4h2a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2h2" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+													<rect x="8" y="2" width="8" height="4" rx="1" ry="1" stroke="currentColor" strokeWidth="2"/>
+												</svg>
+											</button>
+										</div>
+									</div>
+								)}
+								
+								{(hashScheme === 'ethereum' || hashScheme === 'transaction') && (
+									<>
+										<div className="signature-field">
+											<label>Ethereum Address:</label>
+											<div className="signature-value">
+												<span>{signature.address || 'N/A'}</span>
+											</div>
+										</div>
+										
+										<div className="signature-field">
+											<label>Ethereum Signature (r || s || v):</label>
+											<div className="signature-value">
+												<span>{signature.ethereumSignature || 'N/A'}</span>
+												<button 
+													className="copy-btn" 
+													onClick={() => copyToClipboard(signature.ethereumSignature || '', 'Ethereum Signature')}
+													title="Copy Ethereum signature"
+												>
+													<svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+														<path d="M16 4h2a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2h2" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+														<rect x="8" y="2" width="8" height="4" rx="1" ry="1" stroke="currentColor" strokeWidth="2"/>
+													</svg>
+												</button>
+											</div>
+										</div>
+									</>
+								)}
+								
+								{hashScheme === 'bitcoin' && (
+									<>
+										<div className="signature-field">
+											<label>Bitcoin Address (P2WPKH):</label>
+											<div className="signature-value">
+												<span>{signature.bitcoinAddress || 'N/A'}</span>
+											</div>
+										</div>
+										
+										<div className="signature-field">
+											<label>Bitcoin Signature (BIP-137):</label>
+											<div className="signature-value">
+												<span>{signature.bitcoinSignature || 'N/A'}</span>
+												<button 
+													className="copy-btn" 
+													onClick={() => copyToClipboard(signature.bitcoinSignature || '', 'Bitcoin Signature')}
+													title="Copy for verifymessage"
+												>
+													<svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+														<path d="M16 4h2a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2h2" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+														<rect x="8" y="2" width="8" height="4" rx="1" ry="1" stroke="currentColor" strokeWidth="2"/>
+													</svg>
+												</button>
+											</div>
+										</div>
+									</>
+								)}
+								
+								<div className="signature-field">
+									<label>Verified:</label>
+									<div className="signature-value">
+										<span>{signature.verified === undefined ? 'N/A' : signature.verified ? 'Valid for the wallet public key' : 'INVALID - do not use this signature'}</span>
+									</div>
+								</div>
+								
 								<div className="signature-actions">
 									<button 
 										className="primary-btn" 
@@ -1,13 +1,25 @@
 import { useEffect, useRef, useCallback } from 'react';
 import sdkService from '../services/sdk-service';
 
-export const useSDKEvents = (addLog, setKeygenStatus, setSignStatus, setKeyshare, setSignature) => {
+/**
+ * Short status line for a progress event, e.g. "Round 2/4 · 1/2 messages"
+ */
+export const describeProgress = (progress, fallback) => {
+  if (!progress || progress.round < 1) {
+    return fallback;
+  }
+  return `Round ${progress.round}/${progress.totalRounds} · ${progress.received}/${progress.expected} messages`;
+};
+
+export const useSDKEvents = (addLog, setKeygenStatus, setSignStatus, setKeyshare, setSignature, setProgress, setFingerprint) => {
   // Use refs to store the latest function references
   const addLogRef = useRef(addLog);
   const setKeygenStatusRef = useRef(setKeygenStatus);
   const setSignStatusRef = useRef(setSignStatus);
   const setKeyshareRef = useRef(setKeyshare);
   const setSignatureRef = useRef(setSignature);
+  const setProgressRef = useRef(setProgress);
+  const setFingerprintRef = useRef(setFingerprint);
 
   // Update refs when props change
   addLogRef.current = addLog;
@@ -15,6 +27,8 @@ export const useSDKEvents = (addLog, setKeygenStatus, setSignStatus, setKeyshare
   setSignStatusRef.current = setSignStatus;
   setKeyshareRef.current = setKeyshare;
   setSignatureRef.current = setSignature;
+  setProgressRef.current = setProgress;
+  setFingerprintRef.current = setFingerprint;
 
   // Create stable event handlers using useCallback
   const handleKeygenStart = useCallback(() => {
@@ -28,6 +42,20 @@ export const useSDKEvents = (addLog, setKeygenStatus, setSignStatus, setKeyshare
     addLogRef.current(`🎯 Round event received by party: ${sdkService.partyId}`);
   }, []);
 
+  const handleProgress = useCallback((data) => {
+    if (data.stage === 'message' && data.from) {
+      addLogRef.current(`📨 Round ${data.round}/${data.totalRounds}: message ${data.received}/${data.expected} from party #${data.from.index} (${data.from.partyId.substring(0, 8)}...)`);
+    }
+    if (setProgressRef.current) {
+      setProgressRef.current(data);
+    }
+  }, []);
+
+  const handleTimeout = useCallback((data) => {
+    const missing = data.missing.map(p => `#${p.index} (${p.partyId.substring(0, 8)}...)`).join(', ');
+    addLogRef.current(`⏰ Round ${data.round} timed out after ${data.timeoutMs / 1000}s, waiting for: ${missing || 'none'}`);
+  }, []);
+
   const handleKeygenComplete = useCallback(async (data) => {
     addLogRef.current('🎉 Keygen completed successfully!');
     addLogRef.current(`🔑 Public Key: ${data.publicKey || 'Generated'}`);
@@ -70,28 +98,63 @@ export const useSDKEvents = (addLog, setKeygenStatus, setSignStatus, setKeyshare
     addLogRef.current('🔌 WebSocket reconnected');
   }, []);
 
+  const handleReconnecting = useCallback((event) => {
+    addLogRef.current(`🔌 Connection dropped, reconnecting in ${Math.round(event.delayMs / 1000)}s (attempt ${event.attempt})`);
+  }, []);
+
+  const handleConnectionLost = useCallback((event) => {
+    addLogRef.current(`❌ Could not reconnect after ${event.attempt} attempts: ${event.error}`);
+  }, []);
+
+  const handleMessageRejected = useCallback((event) => {
+    addLogRef.current(`🚫 Rejected round ${event.round} message from ${event.fromId.substring(0, 8)}...: ${event.detail}`);
+  }, []);
+
+  const handleSessionFingerprint = useCallback((fingerprint) => {
+    addLogRef.current(`🔐 Session code ${fingerprint.digits} ${fingerprint.emoji.join(' ')} - compare it with the other devices`);
+    if (setFingerprintRef.current) {
+      setFingerprintRef.current(fingerprint);
+    }
+  }, []);
+
   useEffect(() => {
     // Register event handlers
     sdkService.on('keygen:start', handleKeygenStart);
     sdkService.on('keygen:round', handleKeygenRound);
+    sdkService.on('keygen:progress', handleProgress);
+    sdkService.on('keygen:timeout', handleTimeout);
     sdkService.on('keygen:complete', handleKeygenComplete);
     sdkService.on('sign:start', handleSignStart);
     sdkService.on('sign:round', handleSignRound);
+    sdkService.on('sign:progress', handleProgress);
+    sdkService.on('sign:timeout', handleTimeout);
     sdkService.on('sign:complete', handleSignComplete);
     sdkService.on('error', handleError);
     sdkService.on('disconnect', handleDisconnect);
     sdkService.on('reconnect', handleReconnect);
+    sdkService.on('reconnecting', handleReconnecting);
+    sdkService.on('connection-lost', handleConnectionLost);
+    sdkService.on('message-rejected', handleMessageRejected);
+    sdkService.on('session-fingerprint', handleSessionFingerprint);
 
     return () => {
       sdkService.off('keygen:start', handleKeygenStart);
       sdkService.off('keygen:round', handleKeygenRound);
+      sdkService.off('keygen:progress', handleProgress);
+      sdkService.off('keygen:timeout', handleTimeout);
       sdkService.off('keygen:complete', handleKeygenComplete);
       sdkService.off('sign:start', handleSignStart);
       sdkService.off('sign:round', handleSignRound);
+      sdkService.off('sign:progress', handleProgress);
+      sdkService.off('sign:timeout', handleTimeout);
       sdkService.off('sign:complete', handleSignComplete);
       sdkService.off('error', handleError);
       sdkService.off('disconnect', handleDisconnect);
       sdkService.off('reconnect', handleReconnect);
+      sdkService.off('reconnecting', handleReconnecting);
+      sdkService.off('connection-lost', handleConnectionLost);
+      sdkService.off('message-rejected', handleMessageRejected);
+      sdkService.off('session-fingerprint', handleSessionFingerprint);
     };
-  }, [handleKeygenStart, handleKeygenRound, handleKeygenComplete, handleSignStart, handleSignRound, handleSignComplete, handleError, handleDisconnect, handleReconnect]);
+  }, [handleKeygenStart, handleKeygenRound, handleKeygenComplete, handleSignStart, handleSignRound, handleSignComplete, handleProgress, handleTimeout, handleError, handleDisconnect, handleReconnect, handleReconnecting, handleConnectionLost, handleMessageRejected, handleSessionFingerprint]);
 };
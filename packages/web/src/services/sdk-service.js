@@ -179,6 +179,8 @@ class SDKService {
         websocketUrl,
         storage,
         debug: options.debug || false,
+        // Hold round 1 until the user compared the session code on every device
+        confirmSessionFingerprint: true,
         // Add tab identifier to help with isolation
         tabId: this.tabId
       });
@@ -290,9 +292,11 @@ class SDKService {
     }
     
     // Listen for the actual events emitted by the SDK
+    // (completion is delivered through the promises returned by sdk.keygen()/sdk.sign())
     const sdkEvents = [
-      'keygen-complete', 'sign-complete', 'round-complete', 'round-finished',
-      'error', 'disconnected', 'connected'
+      'progress', 'round-timeout',
+      'error', 'disconnected', 'connected', 'reconnecting', 'gave-up',
+      'message-rejected', 'session-fingerprint'
     ];
     
     console.log('🆔 Setting up SDK event listeners...');
@@ -301,45 +305,32 @@ class SDKService {
       const handler = (data) => {
         console.log(`🆔 [${this.instanceId}] SDK Event: ${event}`, data);
         
-        // Handle keygen completion
-        if (event === 'keygen-complete') {
-          this.isKeygenCompleted = true;
-          
-          // Transform the keyshare data to match web app expectations
-          const transformedData = this.transformKeyshareData(data);
-          
-          // Forward as keygen:complete for backward compatibility
-          this.forwardEvent('keygen:complete', transformedData);
-        }
-        
-        // Handle round completion - forward as keygen:round or sign:round based on context
-        if (event === 'round-complete') {
-          const roundNumber = data[0]; // round number
-          const messages = data[1]; // messages
-          
-          // Determine if this is keygen or signing based on current state
-          if (this.isKeygenCompleted === false) {
-            // Still in keygen process
-            this.forwardEvent('keygen:round', {
-              index: roundNumber,
-              total: 5, // total rounds for keygen
-              messages: messages
-            });
-          } else {
-            // In signing process
-            this.forwardEvent('sign:round', {
-              index: roundNumber,
-              total: 3, // total rounds for signing
-              messages: messages
+        // Forward progress as keygen:progress / sign:progress, finished rounds also as keygen:round / sign:round
+        if (event === 'progress') {
+          const prefix = data.protocol === 'sign' ? 'sign' : 'keygen';
+          this.forwardEvent(`${prefix}:progress`, data);
+          if (data.stage === 'round') {
+            this.forwardEvent(`${prefix}:round`, {
+              index: data.round,
+              total: data.totalRounds,
+              elapsedMs: data.elapsedMs
             });
           }
         }
         
-        // Handle sign completion
-        if (event === 'sign-complete') {
-          // Transform signature data to match web app expectations
-          const transformedData = this.transformSignatureData(data);
-          this.forwardEvent('sign:complete', transformedData);
+        // Handle stalled rounds
+        if (event === 'round-timeout') {
+          this.forwardEvent(`${data.protocol === 'sign' ? 'sign' : 'keygen'}:timeout`, data);
+        }
+        
+        // Handle peer messages dropped for a missing or bad identity signature
+        if (event === 'message-rejected') {
+          this.forwardEvent('message-rejected', data);
+        }
+        
+        // Handle the session code shown after pairing
+        if (event === 'session-fingerprint') {
+          this.forwardEvent('session-fingerprint', data);
         }
         
         // Handle errors
@@ -352,6 +343,10 @@ class SDKService {
           this.forwardEvent('disconnect', data);
         } else if (event === 'connected') {
           this.forwardEvent('reconnect', data);
+        } else if (event === 'reconnecting') {
+          this.forwardEvent('reconnecting', data);
+        } else if (event === 'gave-up') {
+          this.forwardEvent('connection-lost', data);
         }
       };
       
@@ -416,22 +411,25 @@ class SDKService {
   }
   
   /**
-   * Transform keyshare data from WASM format to web app format
-   * @param {any} wasmKeyshare - Raw keyshare from WASM
+   * Transform keyshare data from SDK format to web app format
+   * @param {Object} keyShare - KeyShare resolved by sdk.keygen() (hex public key, serialized bytes)
    * @returns {Object} - Transformed keyshare data
    */
-  transformKeyshareData(wasmKeyshare) {
+  transformKeyshareData(keyShare) {
     try {
-      console.log('🔄 Transforming keyshare data:', wasmKeyshare);
-      
-      // Extract data from WASM keyshare object
-      const publicKey = wasmKeyshare.publicKey ? 
-        Array.from(wasmKeyshare.publicKey).map(b => b.toString(16).padStart(2, '0')).join('') : 
-        'Generated';
+      console.log('🔄 Transforming keyshare data:', keyShare);
+      
+      // Older callers may still hand over a WASM keyshare with a byte public key
+      let publicKey = 'Generated';
+      if (typeof keyShare.publicKey === 'string') {
+        publicKey = keyShare.publicKey;
+      } else if (keyShare.publicKey) {
+        publicKey = Array.from(keyShare.publicKey).map(b => b.toString(16).padStart(2, '0')).join('');
+      }
       
       const partyId = this.partyId || 'Unknown';
-      const participants = wasmKeyshare.participants || 'All parties';
-      const threshold = wasmKeyshare.threshold || 'Unknown';
+      const participants = keyShare.participants || 'All parties';
+      const threshold = keyShare.threshold || 'Unknown';
       
       const transformedData = {
         publicKey,
@@ -439,11 +437,11 @@ class SDKService {
         participants,
         threshold,
         groupId: this.groupId,
-        partyIndex: wasmKeyshare.partyIndex,
-        totalParties: wasmKeyshare.totalParties,
+        partyIndex: keyShare.partyIndex,
+        totalParties: keyShare.totalParties,
         timestamp: new Date().toISOString(),
-        // Include the original WASM keyshare for advanced usage
-        rawKeyshare: wasmKeyshare
+        // Include the original keyshare for signing and advanced usage
+        rawKeyshare: keyShare
       };
       
       console.log('✅ Transformed keyshare data:', transformedData);
@@ -463,34 +461,33 @@ class SDKService {
   }
   
   /**
-   * Transform signature data from WASM format to web app format
-   * @param {Array} wasmSignature - Raw signature from WASM [Uint8Array, Uint8Array]
+   * Transform an SDK sign result to web app format
+   * @param {Object} result - SignResult with low-S r/s, compact, der and recoveryId
    * @returns {Object} - Transformed signature data
    */
-  transformSignatureData(wasmSignature) {
+  transformSignatureData(result) {
     try {
-      console.log('🔄 Transforming signature data:', wasmSignature);
-      
-      // WASM signature is [r, s] where r and s are Uint8Arrays
-      const [r, s] = wasmSignature;
+      console.log('🔄 Transforming signature data:', result);
       
-      // Convert Uint8Arrays to hex strings
-      const rHex = Array.from(r).map(b => b.toString(16).padStart(2, '0')).join('');
-      const sHex = Array.from(s).map(b => b.toString(16).padStart(2, '0')).join('');
-      
-      // Combine into a single signature string
-      const signature = rHex + sHex;
+      const toHex = bytes => Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+      const rHex = toHex(result.r);
+      const sHex = toHex(result.s);
       
       const transformedData = {
         message: 'Message signed successfully', // We don't have the original message here
-        signature: signature,
+        signature: toHex(result.compact), // 64-byte low-S r || s
         r: rHex,
         s: sHex,
+        der: toHex(result.der),
+        recoveryId: result.recoveryId,
+        v: 27 + result.recoveryId,
+        ethereumSignature: `0x${toHex(result.compact)}${(27 + result.recoveryId).toString(16)}`, // r || s || v as personal_sign returns it
+        bitcoinSignature: btoa(String.fromCharCode(39 + result.recoveryId, ...result.compact)), // BIP-137 signature for a P2WPKH address
         timestamp: new Date().toISOString(),
         groupId: this.groupId,
         partyId: this.partyId,
         // Include the original WASM signature for advanced usage
-        rawSignature: wasmSignature
+        rawSignature: result.signature
       };
       
       console.log('✅ Transformed signature data:', transformedData);
@@ -662,11 +659,12 @@ class SDKService {
   }
   
   /**
-   * Start key generation
+   * Run key generation to completion
    * @param {boolean} isCreator - Whether this party is the creator of the group
+   * @param {Object} options - { signal, timeoutMs } forwarded to sdk.keygen()
    * @returns {Promise<Object>} - Keyshare information
    */
-  async startKeygen(isCreator = false) {
+  async startKeygen(isCreator = false, options = {}) {
     console.log(`🆔 [${this.instanceId}] SDK Service startKeygen called with isCreator=${isCreator}`);
     
     if (!this.isInitialized) {
@@ -697,9 +695,13 @@ class SDKService {
       this.forwardEvent('keygen:start', { isCreator, groupId: this.groupId });
       
       console.log(`🆔 [${this.instanceId}] Starting DKG as ${isCreator ? 'creator' : 'joiner'}...`);
-      const result = await this.sdk.startKeygen(isCreator);
-      console.log(`🆔 [${this.instanceId}] DKG startKeygen completed successfully`);
-      return result;
+      const keyShare = await this.sdk.keygen({ ...options, distributed: isCreator });
+      console.log(`🆔 [${this.instanceId}] DKG completed successfully`);
+      
+      this.isKeygenCompleted = true;
+      const transformedData = this.transformKeyshareData(keyShare);
+      this.forwardEvent('keygen:complete', transformedData);
+      return transformedData;
     } catch (error) {
       console.error(`🆔 [${this.instanceId}] Failed to start keygen:`, error);
       throw error;
@@ -741,19 +743,56 @@ class SDKService {
       console.log(`🆔 [${this.instanceId}] Keyshare loaded for signing`);
       
       // Call SDK with proper parameters
-      return await this.sdk.startSigning(messageHash, keyshare);
+      return await this.sign(messageHash, keyshare);
     } catch (error) {
       console.error('Failed to sign message:', error);
       throw error;
     }
   }
   
+  /**
+   * Run a signing ceremony to completion
+   * @param {Uint8Array} messageHash - 32-byte hash to sign
+   * @param {Object} keyshare - Keyshare to sign with
+   * @param {Object} options - { signal, timeoutMs, derivationPath } forwarded to sdk.sign(), and the
+   * Ethereum transaction whose signing hash messageHash is to get the raw signed transaction
+   * @returns {Promise<Object>} - Signature information, verified tells whether it checks out against the keyshare
+   */
+  async sign(messageHash, keyshare, options = {}) {
+    const { transaction, ...signOptions } = options;
+    const result = await this.sdk.sign(messageHash, keyshare, signOptions);
+    const transformedData = {
+      ...this.transformSignatureData(result),
+      derivationPath: result.derivationPath,
+      publicKey: result.publicKey ? Array.from(result.publicKey).map(b => b.toString(16).padStart(2, '0')).join('') : undefined,
+      // Checked again here against the keyshare's own key rather than the key reported with the result
+      verified: await this.sdk.verifySignature(messageHash, result.compact, keyshare, { derivationPath: result.derivationPath }),
+      address: await this.sdk.getEthereumAddress(keyshare, result.derivationPath),
+      bitcoinAddress: await this.sdk.getBitcoinAddress(keyshare, { derivationPath: result.derivationPath }),
+      rawTransaction: transaction ? this.sdk.serializeSignedTransaction(transaction, result) : undefined
+    };
+    this.forwardEvent('sign:complete', transformedData);
+    return transformedData;
+  }
+  
   /**
    * Hash a message to 32 bytes
    * @param {string} message - Message to hash
+   * @param {string} scheme - 'sha256', 'ethereum' for the EIP-191 personal_sign hash,
+   * 'transaction' for the signing hash of an Ethereum transaction given as JSON,
+   * or 'bitcoin' for the BIP-137 signed message hash
    * @returns {Promise<Uint8Array>} - 32-byte hash
    */
-  async hashMessage(message) {
+  async hashMessage(message, scheme = 'sha256') {
+    if (scheme === 'ethereum') {
+      return this.sdk.hashPersonalMessage(message);
+    }
+    if (scheme === 'transaction') {
+      return this.sdk.hashTransaction(JSON.parse(message));
+    }
+    if (scheme === 'bitcoin') {
+      return this.sdk.hashBitcoinMessage(message);
+    }
     const encoder = new TextEncoder();
     const data = encoder.encode(message);
     const hashBuffer = await crypto.subtle.digest('SHA-256', data);
@@ -1,6 +1,43 @@
 import sdkService from '../services/sdk-service';
 
+// Session invitations are signed by their creator and carry a one-time nonce
+export const QR_CODE_VERSION = '4.0';
 
+/**
+ * Describe a rejected invitation; the SDK reports why with an INVITATION_* error code
+ */
+export const describeInvitationError = (error) => {
+  switch (error.code) {
+    case 'INVITATION_EXPIRED':
+      return 'QR code has expired, ask for a new one';
+    case 'INVITATION_REUSED':
+      return 'QR code was already used on this device, ask for a new one';
+    case 'INVITATION_SIGNATURE':
+    case 'INVITATION_UNSIGNED':
+      return `QR code is not signed by its creator and may have been tampered with (${error.message})`;
+    case 'INVITATION_CREATOR':
+      return `QR code was not created by a member of its group (${error.message})`;
+    case 'INVITATION_OUTDATED':
+      return `QR code was made by an incompatible client, update it (${error.message})`;
+    default:
+      return error.message;
+  }
+};
+
+/**
+ * Invitation link to share in chat instead of a QR code screenshot
+ * Opens this app's /join page, which routes into the matching join flow
+ */
+export const generateInvitationLink = (qrData) =>
+  sdkService.sdk.encodeInvitationLink(qrData, `${window.location.origin}/join`);
+
+/**
+ * QR code data of pasted input, which may be the QR code JSON or an invitation link
+ */
+export const toQRCodeData = (input) => {
+  const trimmed = input.trim();
+  return trimmed.startsWith('{') ? trimmed : sdkService.sdk.decodeInvitationLink(trimmed);
+};
 
 export const searchAllLocalStorageForKeyshares = () => {
   const keyshareKeys = [];
@@ -13,33 +50,24 @@ export const searchAllLocalStorageForKeyshares = () => {
   return keyshareKeys;
 };
 
-export const generateQRCodeData = async (groupInfoParam, partyId, addLog) => {
+export const generateQRCodeData = async (groupInfoParam, addLog) => {
   if (!groupInfoParam) return null;
   
   try {
     addLog('📱 Generating QR code data...');
     
-    const aesKey = btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(32))));
-    
-    const qrData = {
+    // Signed with the party identity; also sets the pairing secret for this party's session
+    const qrCodeString = await sdkService.sdk.createInvitation({
       type: 'keygen',
       groupId: groupInfoParam.group.groupId,
       threshold: groupInfoParam.group.threshold,
       totalParties: groupInfoParam.group.totalParties,
       timeout: 60,
-      timestamp: Date.now(),
-      version: '1.0',
-      aesKey: aesKey,
       metadata: {
-        threshold: groupInfoParam.group.threshold,
-        totalParties: groupInfoParam.group.totalParties,
-        timeout: 60,
-        sessionName: `Keygen Session ${new Date().toLocaleString()}`,
-        creator: partyId
+        sessionName: `Keygen Session ${new Date().toLocaleString()}`
       }
-    };
+    });
     
-    const qrCodeString = JSON.stringify(qrData);
     addLog('✅ QR code data generated successfully');
     addLog(`📱 QR code size: ${qrCodeString.length} characters`);
     
@@ -52,29 +80,28 @@ export const generateQRCodeData = async (groupInfoParam, partyId, addLog) => {
 
 export const parseQRCodeData = async (qrCodeString, addLog) => {
   try {
-    const parsed = JSON.parse(qrCodeString);
-    
-    if (!parsed.groupId || !parsed.threshold || !parsed.totalParties) {
-      throw new Error('Invalid QR code format - missing required fields');
-    }
+    // Verifies the creator signature and group membership, expiry and nonce, then sets the pairing secret
+    const parsed = await sdkService.sdk.acceptInvitation(qrCodeString);
+    const { threshold, totalParties } = parsed.groupInfo;
     
     addLog(`📱 QR Code parsed successfully: ${parsed.type} session`);
     addLog(`📱 Group ID: ${parsed.groupId}`);
-    addLog(`📱 Threshold: ${parsed.threshold}`);
-    addLog(`📱 Total Parties: ${parsed.totalParties}`);
+    addLog(`📱 Threshold: ${threshold}`);
+    addLog(`📱 Total Parties: ${totalParties}`);
+    addLog(`📱 Signed by: ${parsed.creator}`);
     
     return {
       type: parsed.type,
       groupId: parsed.groupId,
-      threshold: parsed.threshold,
-      totalParties: parsed.totalParties,
-      aesKey: parsed.aesKey,
+      threshold,
+      totalParties,
+      creator: parsed.creator,
+      expiresAt: parsed.expiresAt,
       metadata: parsed.metadata,
-      isValid: true,
-      age: Date.now() - parsed.timestamp
+      isValid: true
     };
   } catch (error) {
-    addLog(`❌ QR Code parsing failed: ${error.message}`);
+    addLog(`❌ QR Code parsing failed: ${describeInvitationError(error)}`);
     throw error;
   }
 };